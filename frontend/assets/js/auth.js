@@ -138,7 +138,10 @@ async function apiCall(endpoint, method = 'GET', body = null) {
     }
     if (!res.ok) {
         console.error('apiCall error:', endpoint, res.status, data);
-        throw new Error(data.message || data.error || `API error ${res.status}`);
+        const err = new Error(data.message || data.error || `API error ${res.status}`);
+        // Keep the body for callers that show field/row errors
+        err.data = data;
+        throw err;
     }
     return data;
 }
\ No newline at end of file
@@ -1,4 +1,8 @@
 // Admin Reports & Analytics
+
+// Timesheet statuses that count as approved (multi-level chains end at approved_final, then locked)
+const APPROVED_STATUSES = ['approved', 'approved_final', 'locked'];
+
 document.addEventListener('DOMContentLoaded', async() => {
     const user = getUser();
     // support both _id and id in stored user object
@@ -33,10 +37,10 @@ async function loadAdminReports() {
         let onTimeSubmissions = 0;
 
         timesheets.forEach(ts => {
-            if (ts.status === 'approved') {
+            if (APPROVED_STATUSES.includes(ts.status)) {
                 totalSubmitted++;
                 // Consider on-time if submitted/approved within a reasonable timeframe
-                if (ts.status === 'approved') onTimeSubmissions++;
+                if (APPROVED_STATUSES.includes(ts.status)) onTimeSubmissions++;
             }
         });
 
@@ -1,9 +1,10 @@
 // Simple approval level configuration
 // Order matters: first is the initial approver level
+// Used only when no ApprovalLevel documents are configured.
+// Roles must match User.role; admins can sign off at any level.
 module.exports = [
     { key: 'manager', display: 'Manager', role: 'manager', status: 'pending_manager' },
-    { key: 'hr', display: 'HR', role: 'hr', status: 'pending_hr' },
-    { key: 'director', display: 'Director', role: 'director', status: 'pending_director' }
+    { key: 'hr', display: 'HR', role: 'admin', status: 'pending_hr' }
 ];
 
 module.exports.defaultFinalStatus = 'approved_final';
@@ -0,0 +1,42 @@
+// Attendance sessions and breaks
+// A day can hold several check-in/check-out sessions; breaks taken inside a
+// session are typed, and unpaid ones are taken off the day's total hours.
+module.exports = {
+    breakTypes: ['lunch', 'personal', 'client_visit'],
+    // Comma-separated break types counted as working time
+    paidBreakTypes: (process.env.ATTENDANCE_PAID_BREAK_TYPES || 'client_visit')
+        .split(',').map(t => t.trim()).filter(Boolean),
+    // Forgotten check-outs are closed at the scheduled shift end once this
+    // many minutes have passed it (see services/missed-punches)
+    autoCheckOutGraceMinutes: Number(process.env.ATTENDANCE_AUTO_CHECKOUT_GRACE_MINUTES) || 60,
+    // Session length assumed when there is no shift end to close at
+    // (unscheduled days, or a session started after the shift ended)
+    autoCheckOutSessionHours: Number(process.env.ATTENDANCE_AUTO_CHECKOUT_SESSION_HOURS) || 8,
+    // How often the server sweeps for forgotten check-outs
+    sweepIntervalMinutes: Number(process.env.ATTENDANCE_SWEEP_MINUTES) || 15,
+    // Missed punches within missedPunchWindowDays that make a repeat offender
+    missedPunchRepeatThreshold: Number(process.env.ATTENDANCE_MISSED_PUNCH_THRESHOLD) || 3,
+    missedPunchWindowDays: Number(process.env.ATTENDANCE_MISSED_PUNCH_WINDOW_DAYS) || 30,
+    // Office check-ins: GPS fixes less accurate than this fall back to the IP check
+    maxLocationAccuracyMeters: Number(process.env.ATTENDANCE_MAX_LOCATION_ACCURACY_METERS) || 200,
+    // 'true' refuses remote check-ins without approved remote leave (e.g. WFH) that day
+    remoteRequiresApprovedLeave: process.env.ATTENDANCE_REMOTE_REQUIRES_LEAVE === 'true',
+    // Device punch imports (POST /api/attendance/import): default column
+    // names, overridable per import with `mapping`. Rows are matched on email
+    // or User.employeeCode; the punch time is one column or date + time.
+    punchImportMapping: {
+        email: 'Email',
+        employeeCode: 'Employee Code',
+        timestamp: 'Punch Time',
+        date: 'Date',
+        time: 'Time',
+        direction: 'Direction',
+        device: 'Device'
+    },
+    punchDirections: {
+        in: ['in', 'i', 'entry', 'checkin', 'check-in', 'check in', 'c/in'],
+        out: ['out', 'o', 'exit', 'checkout', 'check-out', 'check out', 'c/out']
+    },
+    // Punches by the same person this close together count once
+    punchDedupeMinutes: Number(process.env.ATTENDANCE_PUNCH_DEDUPE_MINUTES) || 2
+};
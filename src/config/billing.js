@@ -0,0 +1,10 @@
+// Client billing settings
+// Invoices are numbered <invoicePrefix>-<year>-<sequence>, e.g. INV-2026-0001.
+module.exports = {
+    currency: process.env.BILLING_CURRENCY || 'USD',
+    invoicePrefix: process.env.BILLING_INVOICE_PREFIX || 'INV',
+    // Days until an invoice is due, unless the client has its own terms
+    paymentTermsDays: Number(process.env.BILLING_PAYMENT_TERMS_DAYS) || 30,
+    // Tax percentage added to invoices of clients without their own rate
+    taxRate: Number(process.env.BILLING_TAX_RATE) || 0
+};
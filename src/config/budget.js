@@ -0,0 +1,16 @@
+// Project budget tracking settings
+// Burn is measured against Project.budgetHours and Project.budget (currency);
+// the project manager is notified once per threshold crossed.
+const thresholds = (process.env.PROJECT_BUDGET_ALERT_THRESHOLDS || '50,80,100')
+    .split(',')
+    .map(Number)
+    .filter(n => n > 0)
+    .sort((a, b) => a - b);
+
+module.exports = {
+    alertThresholds: thresholds,
+    // Weeks of recent burn averaged into the run rate
+    runRateWeeks: Number(process.env.PROJECT_BUDGET_RUN_RATE_WEEKS) || 4,
+    // How often budgets are checked for crossed thresholds
+    sweepIntervalMinutes: Number(process.env.PROJECT_BUDGET_SWEEP_MINUTES) || 60
+};
@@ -0,0 +1,11 @@
+// Comp-off credits earned by working on non-working days
+// Approved timesheet hours on a weekend (outside the employee's shift
+// workDays) or a Holiday earn a full or half day of COMP_OFF leave.
+module.exports = {
+    fullDayHours: Number(process.env.COMP_OFF_FULL_DAY_HOURS) || 8,
+    halfDayHours: Number(process.env.COMP_OFF_HALF_DAY_HOURS) || 4,
+    // Credits must be used within this many days of the day worked
+    expiryDays: Number(process.env.COMP_OFF_EXPIRY_DAYS) || 90,
+    // 'true' grants credits without manager review
+    autoApprove: process.env.COMP_OFF_AUTO_APPROVE === 'true'
+};
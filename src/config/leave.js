@@ -0,0 +1,12 @@
+// How approved leave and holidays affect timesheet entry
+// 'block' rejects the entry, 'warn' saves it and returns a warning.
+module.exports = {
+    timesheetOnLeave: process.env.LEAVE_TIMESHEET_MODE || 'block',
+    timesheetOnHoliday: process.env.HOLIDAY_TIMESHEET_MODE || 'warn',
+    // Days of week (0 = Sunday) that count as leave days for employees
+    // without a shift assignment; assigned shifts use their own workDays
+    workWeek: (process.env.LEAVE_WORK_WEEK || '1,2,3,4,5').split(',').map(Number),
+    // Minimum share (%) of a team/project present for groups without a
+    // StaffingRule; unset means overlapping leave is reported without a threshold
+    coverageMinPresentPercent: process.env.LEAVE_COVERAGE_MIN_PERCENT ? Number(process.env.LEAVE_COVERAGE_MIN_PERCENT) : null
+};
@@ -0,0 +1,10 @@
+// Leave accrual settings shared by every leave type.
+// Per-type schedules (annual allowance, monthly/yearly accrual, pro-rating,
+// carry-forward cap) live on the LeaveType catalog; see config/leaveTypes.js
+// for the built-in defaults.
+module.exports = {
+    // Mid-year joiners earn for their joining month if they joined on or before this day
+    joiningCutoffDay: Number(process.env.LEAVE_JOINING_CUTOFF_DAY) || 15,
+    // Accrued amounts are rounded down to this step (half days)
+    roundTo: 0.5
+};
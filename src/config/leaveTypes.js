@@ -0,0 +1,18 @@
+// Built-in leave types, seeded into the LeaveType collection the first time
+// the catalog is read. Admins can edit or deactivate them afterwards.
+// balanceField: the LeaveBalance field holding the balance (custom types
+// are stored under LeaveBalance.extra by code).
+// annualAllowance: null means the type has no balance (e.g. unpaid leave).
+// accrual: 'yearly' grants the allowance on 1 January, 'monthly' grants
+// allowance / 12 on the first of each month; carryForwardCap: unused
+// balance moved into the next year (0 = lapses, null = no cap).
+// usesCompOffCredits: charged against comp-off credits earned by working
+// weekends and holidays (config/compOff.js) instead of a balance.
+module.exports = [
+    { code: 'CL', name: 'Casual Leave', unit: 'days', balanceField: 'casualLeave', annualAllowance: 12, accrual: 'monthly', carryForwardCap: 0, sortOrder: 1 },
+    { code: 'SL', name: 'Sick Leave', unit: 'days', balanceField: 'sickLeave', annualAllowance: 12, accrual: 'yearly', carryForwardCap: 6, sortOrder: 2 },
+    { code: 'EL', name: 'Earned Leave', unit: 'days', balanceField: 'earnedLeave', annualAllowance: 18, accrual: 'monthly', carryForwardCap: 30, sortOrder: 3 },
+    { code: 'WFH', name: 'Work From Home', unit: 'days', balanceField: 'workFromHome', annualAllowance: 24, accrual: 'monthly', carryForwardCap: 0, isRemote: true, sortOrder: 4 },
+    { code: 'PERMISSION', name: 'Permission', unit: 'hours', balanceField: 'permission', annualAllowance: 48, accrual: 'yearly', carryForwardCap: 0, minHours: 1, maxHours: 4, sortOrder: 5 },
+    { code: 'COMP_OFF', name: 'Compensatory Off', unit: 'days', annualAllowance: null, usesCompOffCredits: true, sortOrder: 6 }
+];
@@ -0,0 +1,8 @@
+// Running timer settings
+// Timers still running (or paused) after maxHours are stopped automatically
+// at startedAt + maxHours and turned into a draft timesheet.
+module.exports = {
+    maxHours: Number(process.env.TIMER_MAX_HOURS) || 12,
+    // How often the server sweeps for timers past the limit
+    sweepIntervalMinutes: Number(process.env.TIMER_SWEEP_MINUTES) || 5
+};
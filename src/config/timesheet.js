@@ -0,0 +1,29 @@
+// Timesheet entry settings shared by the weekly grid, templates and imports
+// Hours typed into the grid without times are laid out back to back from
+// gridStartTime on their day.
+module.exports = {
+    gridStartTime: process.env.TIMESHEET_GRID_START_TIME || '09:00',
+    // 'false' lets grid rows with hours be saved without a description
+    requireDescription: process.env.TIMESHEET_REQUIRE_DESCRIPTION !== 'false',
+    // Longest date range a template can be applied to in one go
+    templateMaxRangeDays: Number(process.env.TIMESHEET_TEMPLATE_MAX_RANGE_DAYS) || 62,
+    // How often recurring templates are checked for a new week's drafts
+    recurringSweepIntervalMinutes: Number(process.env.TIMESHEET_RECURRING_SWEEP_MINUTES) || 60,
+    // Default column names of a timesheet import file (overridable per request).
+    // Rows need start/end times or hours; hours-only rows are laid out from
+    // gridStartTime like grid cells.
+    importMapping: {
+        email: 'Email',
+        employee: 'Employee',
+        employeeCode: 'Employee Code',
+        project: 'Project',
+        task: 'Task',
+        date: 'Date',
+        startTime: 'Start Time',
+        endTime: 'End Time',
+        endDate: 'End Date',
+        breakMinutes: 'Break (min)',
+        hours: 'Hours',
+        description: 'Description'
+    }
+};
@@ -24,6 +24,26 @@ const notifyRoutes = require('./routes/notify');
 const projectCompletionRoutes = require('./routes/project-completion');
 const analyticsReportRoutes = require('./routes/analytics-report');
 const chatbotRoutes = require('./routes/chatbot');
+const timesheetPeriodRoutes = require('./routes/timesheet-periods');
+const overtimeRoutes = require('./routes/overtime');
+const shiftRoutes = require('./routes/shifts');
+const timerRoutes = require('./routes/timers');
+const reconciliationRoutes = require('./routes/reconciliation');
+const leaveTypeRoutes = require('./routes/leave-types');
+const compOffRoutes = require('./routes/comp-off');
+const officeSiteRoutes = require('./routes/office-sites');
+const timesheetTemplateRoutes = require('./routes/timesheet-templates');
+const clientRoutes = require('./routes/clients');
+const rateCardRoutes = require('./routes/rate-cards');
+const invoiceRoutes = require('./routes/invoices');
+const timerConfig = require('./config/timer');
+const timers = require('./services/timers');
+const attendanceConfig = require('./config/attendance');
+const missedPunches = require('./services/missed-punches');
+const timesheetConfig = require('./config/timesheet');
+const timesheetTemplates = require('./services/timesheet-templates');
+const budgetConfig = require('./config/budget');
+const projectBudget = require('./services/project-budget');
 const path = require('path');
 
 const app = express();
@@ -32,9 +52,17 @@ const PORT = process.env.PORT || 4000;
 // Connect to MongoDB
 connectDB().catch(err => console.error('DB Error:', err.message));
 
+// Behind a reverse proxy set TRUST_PROXY (e.g. 1) so req.ip is the client
+// address that office IP ranges are checked against
+if (process.env.TRUST_PROXY) {
+    const trustProxy = process.env.TRUST_PROXY;
+    app.set('trust proxy', trustProxy === 'true' ? true : /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+}
+
 // Middleware
 app.use(cors());
-app.use(express.json());
+// Imports send CSV/XLSX files inside the JSON body
+app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 app.use((req, res, next) => {
     console.log(`[${new Date().toISOString()}] ${req.method} ${req.originalUrl}`);
@@ -66,6 +94,18 @@ app.use('/api/notify', notifyRoutes);
 app.use('/api/project-completion', projectCompletionRoutes);
 app.use('/api/analytics-report', analyticsReportRoutes);
 app.use('/api/chatbot', chatbotRoutes);
+app.use('/api/timesheet-periods', timesheetPeriodRoutes);
+app.use('/api/overtime', overtimeRoutes);
+app.use('/api/shifts', shiftRoutes);
+app.use('/api/timers', timerRoutes);
+app.use('/api/reconciliation', reconciliationRoutes);
+app.use('/api/leave-types', leaveTypeRoutes);
+app.use('/api/comp-off', compOffRoutes);
+app.use('/api/office-sites', officeSiteRoutes);
+app.use('/api/timesheet-templates', timesheetTemplateRoutes);
+app.use('/api/clients', clientRoutes);
+app.use('/api/rate-cards', rateCardRoutes);
+app.use('/api/invoices', invoiceRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => res.json({ ok: true }));
@@ -92,6 +132,26 @@ const server = app.listen(PORT, () => {
     console.log(`🌐 Open http://localhost:${PORT} in browser`);
 });
 
+// Auto-stop timers left running past the configured limit
+setInterval(() => {
+    timers.autoStopExpired().catch(err => console.error('Timer sweep error:', err.message));
+}, timerConfig.sweepIntervalMinutes * 60 * 1000).unref();
+
+// Check out attendance left open past the shift end
+setInterval(() => {
+    missedPunches.autoCloseStale().catch(err => console.error('Auto check-out sweep error:', err.message));
+}, attendanceConfig.sweepIntervalMinutes * 60 * 1000).unref();
+
+// Draft each new week from recurring timesheet templates
+setInterval(() => {
+    timesheetTemplates.generateRecurring().catch(err => console.error('Recurring timesheet sweep error:', err.message));
+}, timesheetConfig.recurringSweepIntervalMinutes * 60 * 1000).unref();
+
+// Notify project managers as budget burn crosses the alert thresholds
+setInterval(() => {
+    projectBudget.sweepBudgets().catch(err => console.error('Project budget sweep error:', err.message));
+}, budgetConfig.sweepIntervalMinutes * 60 * 1000).unref();
+
 server.on('error', (err) => {
     console.error('❌ Server error:', err);
     process.exit(1);
@@ -0,0 +1,139 @@
+/**
+ * Audit Middleware
+ * Records who changed what on mutating routes. Place after `auth` so
+ * `req.user` is available:
+ *
+ *   router.put('/:id', auth, permit('admin'), audit('Timesheet'), handler)
+ *
+ * The entity is snapshotted before the handler runs and again once the
+ * response has been sent; successful (< 400) responses write an AuditLog
+ * entry with both snapshots and a field-level diff.
+ */
+
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+
+// Never copied into the log
+const REDACTED_FIELDS = ['password', '__v', 'updatedAt'];
+
+const ACTION_BY_METHOD = { POST: 'create', PUT: 'update', PATCH: 'update', DELETE: 'delete' };
+
+/**
+ * Plain JSON copy of a document with sensitive/noisy fields removed
+ */
+function snapshot(doc) {
+    if (!doc) return null;
+    const plain = JSON.parse(JSON.stringify(doc.toObject ? doc.toObject() : doc));
+    REDACTED_FIELDS.forEach(f => delete plain[f]);
+    return plain;
+}
+
+/**
+ * Flatten nested objects into dot paths (arrays are compared as a whole)
+ */
+function flatten(obj, prefix = '', out = {}) {
+    Object.keys(obj || {}).forEach(key => {
+        const path = prefix ? `${prefix}.${key}` : key;
+        const value = obj[key];
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            flatten(value, path, out);
+        } else {
+            out[path] = value;
+        }
+    });
+    return out;
+}
+
+/**
+ * Field-level differences between two snapshots
+ */
+function diff(before, after) {
+    const a = flatten(before || {});
+    const b = flatten(after || {});
+    const fields = new Set([...Object.keys(a), ...Object.keys(b)]);
+
+    const changes = [];
+    fields.forEach(field => {
+        if (JSON.stringify(a[field]) !== JSON.stringify(b[field])) {
+            changes.push({ field, from: a[field], to: b[field] });
+        }
+    });
+    return changes;
+}
+
+/**
+ * Find the affected entity's id in a JSON response body (used for creates)
+ */
+function idFromResponse(body, entityType) {
+    if (!body || typeof body !== 'object') return null;
+    const idKey = entityType.charAt(0).toLowerCase() + entityType.slice(1) + 'Id';
+    const candidates = [body._id, body.id, body.data && body.data._id, body.data && body.data[idKey], body[idKey]];
+    return candidates.find(id => id && mongoose.isValidObjectId(id)) || null;
+}
+
+/**
+ * Build audit middleware for an entity.
+ *
+ * @param {string} entityType - Mongoose model name
+ * @param {object} [options]
+ * @param {string} [options.action] - Defaults to create/update/delete by HTTP method
+ * @param {string} [options.idParam] - Route param holding the entity id (default: first param)
+ * @param {Function} [options.load] - (req, id) => Promise<doc>, for entities not addressed by _id
+ */
+const audit = (entityType, options = {}) => {
+    return async(req, res, next) => {
+        const Model = mongoose.model(entityType);
+        const paramName = options.idParam || Object.keys(req.params)[0];
+        const paramId = paramName ? req.params[paramName] : null;
+
+        const load = options.load ||
+            ((r, id) => (id && mongoose.isValidObjectId(id) ? Model.findById(id).lean() : null));
+
+        let before = null;
+        try {
+            before = snapshot(await load(req, paramId));
+        } catch (err) {
+            console.error('Audit snapshot error:', err.message);
+        }
+
+        // Keep the response body so creates can be linked to the new entity
+        const originalJson = res.json.bind(res);
+        res.json = (body) => {
+            res.locals.auditBody = body;
+            return originalJson(body);
+        };
+
+        res.on('finish', async() => {
+            if (res.statusCode >= 400) return;
+            try {
+                const entityId = (before && before._id) || idFromResponse(res.locals.auditBody, entityType) || paramId;
+                const after = req.method === 'DELETE' ? null : snapshot(await load(req, entityId));
+
+                await AuditLog.create({
+                    actor: req.user && req.user._id,
+                    actorName: req.user && req.user.name,
+                    actorEmail: req.user && req.user.email,
+                    actorRole: req.user && req.user.role,
+                    action: options.action || ACTION_BY_METHOD[req.method] || req.method.toLowerCase(),
+                    entityType,
+                    entityId: entityId && mongoose.isValidObjectId(entityId) ? entityId : undefined,
+                    method: req.method,
+                    route: req.originalUrl,
+                    statusCode: res.statusCode,
+                    before,
+                    after,
+                    changes: diff(before, after),
+                    ip: req.ip,
+                    userAgent: req.headers['user-agent']
+                });
+            } catch (err) {
+                // Never fail the request because of the audit trail
+                console.error('Audit log error:', err.message);
+            }
+        });
+
+        next();
+    };
+};
+
+module.exports = { audit, diff, snapshot };
@@ -69,12 +69,15 @@ const AnalyticsReportSchema = new mongoose.Schema({
             presentDays: { type: Number, default: 0 },
             absentDays: { type: Number, default: 0 },
             lateDays: { type: Number, default: 0 },
+            // approved leave / holidays on scheduled work days
+            excusedDays: { type: Number, default: 0 },
             byEmployee: [{
                 employee: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
                 name: String,
                 present: Number,
                 absent: Number,
                 late: Number,
+                excused: Number,
                 attendanceRate: Number
             }]
         },
@@ -91,9 +94,13 @@ const AnalyticsReportSchema = new mongoose.Schema({
                 count: Number,
                 days: Number
             }],
+            // one row per LeaveType catalog code
             byType: [{
-                type: String,
-                count: Number
+                type: { type: String },
+                name: String,
+                isPaid: Boolean,
+                count: Number,
+                days: Number
             }]
         },
 
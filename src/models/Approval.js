@@ -1,23 +1,15 @@
 const mongoose = require('mongoose');
 
 const ApprovalSchema = new mongoose.Schema({
-    timesheet: { type: mongoose.Schema.Types.ObjectId, ref: 'Timesheet', required: true, index: true },
+    timesheet: { type: mongoose.Schema.Types.ObjectId, ref: 'Timesheet', index: true },
+    period: { type: mongoose.Schema.Types.ObjectId, ref: 'TimesheetPeriod', index: true },
     approver: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
     level: { type: String, required: true },
-    action: { type: String, enum: ['approve', 'reject'], required: true },
-    comments: { type: String },
-    createdAt: { type: Date, default: Date.now }
-});
-
-module.exports = mongoose.model('Approval', ApprovalSchema);
-const mongoose = require('mongoose');
-
-const ApprovalSchema = new mongoose.Schema({
-    timesheet: { type: mongoose.Schema.Types.ObjectId, ref: 'Timesheet', required: true },
-    approver: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    levelOrder: { type: Number, default: 0 },
     action: { type: String, enum: ['approved', 'rejected'], required: true },
     comments: { type: String },
-    level: { type: String },
+    fromStatus: { type: String },
+    toStatus: { type: String },
 }, { timestamps: true });
 
 module.exports = mongoose.model('Approval', ApprovalSchema);
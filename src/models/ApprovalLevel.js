@@ -1,11 +1,16 @@
 const mongoose = require('mongoose');
 
 const ApprovalLevelSchema = new mongoose.Schema({
-    key: { type: String, required: true, unique: true },
+    key: { type: String, required: true },
     display: { type: String, required: true },
     role: { type: String, required: true },
     status: { type: String, required: true },
-    order: { type: Number, default: 0 }
+    order: { type: Number, default: 0 },
+    // null = company-wide default chain, otherwise matches User.department
+    department: { type: String, default: null },
+    isActive: { type: Boolean, default: true }
 });
 
+ApprovalLevelSchema.index({ department: 1, key: 1 }, { unique: true });
+
 module.exports = mongoose.model('ApprovalLevel', ApprovalLevelSchema);
@@ -1,4 +1,38 @@
 const mongoose = require('mongoose');
+const attendanceSettings = require('../config/attendance');
+
+// How a check-in's location was confirmed (see services/location-verification)
+const VerificationSchema = new mongoose.Schema({
+    status: { type: String, enum: ['verified', 'unverified', 'not_required'] },
+    method: { type: String, enum: ['gps', 'ip', 'leave', 'device'] },
+    site: { type: mongoose.Schema.Types.ObjectId, ref: 'OfficeSite' },
+    siteName: { type: String },
+    distanceMeters: { type: Number },
+    latitude: { type: Number },
+    longitude: { type: Number },
+    accuracy: { type: Number },
+    ip: { type: String },
+    reason: { type: String }
+}, { _id: false });
+
+// One check-in/check-out span of the day
+const SessionSchema = new mongoose.Schema({
+    checkIn: { type: Date, required: true },
+    checkOut: { type: Date },
+    location: { type: String, enum: ['office', 'remote', 'client_site'], default: 'office' },
+    verification: VerificationSchema,
+    notes: { type: String, maxlength: 500 }
+});
+
+// A break inside a session; unpaid breaks are taken off totalHours
+const BreakSchema = new mongoose.Schema({
+    type: { type: String, enum: attendanceSettings.breakTypes, required: true },
+    start: { type: Date, required: true },
+    end: { type: Date },
+    // Fixed when the break starts (config/attendance.js paidBreakTypes)
+    paid: { type: Boolean, default: false },
+    notes: { type: String, maxlength: 500 }
+});
 
 const AttendanceSchema = new mongoose.Schema({
     employee: {
@@ -15,6 +49,7 @@ const AttendanceSchema = new mongoose.Schema({
             return today;
         }
     },
+    // First check-in and last check-out of the day (see sessions)
     checkInTime: {
         type: Date,
         required: true
@@ -22,6 +57,9 @@ const AttendanceSchema = new mongoose.Schema({
     checkOutTime: {
         type: Date
     },
+    // Records from before sessions existed have none and use checkInTime/checkOutTime
+    sessions: [SessionSchema],
+    breaks: [BreakSchema],
     totalHours: {
         type: Number,
         default: 0
@@ -30,14 +68,56 @@ const AttendanceSchema = new mongoose.Schema({
         type: Number,
         default: 0
     },
+    // Overtime within the policy cap (or pre-approved), times the day-type multiplier
+    weightedOvertimeHours: {
+        type: Number,
+        default: 0
+    },
+    unapprovedOvertimeHours: {
+        type: Number,
+        default: 0
+    },
     isLate: {
         type: Boolean,
         default: false
     },
+    lateMinutes: {
+        type: Number,
+        default: 0
+    },
+    earlyMinutes: {
+        type: Number,
+        default: 0
+    },
+    // Shift the employee was scheduled for on this day (see services/work-schedule)
+    shift: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Shift'
+    },
+    scheduledStart: {
+        type: Date
+    },
+    scheduledEnd: {
+        type: Date
+    },
+    scheduledHours: {
+        type: Number
+    },
+    isScheduledWorkDay: {
+        type: Boolean
+    },
     isEarly: {
         type: Boolean,
         default: false
     },
+    // Closed by the missed-punch sweep, not by the employee (see services/missed-punches)
+    autoClosed: {
+        type: Boolean,
+        default: false
+    },
+    autoClosedAt: {
+        type: Date
+    },
     status: {
         type: String,
         enum: ['checked_in', 'checked_out', 'correction_requested', 'correction_approved'],
@@ -75,6 +155,14 @@ const AttendanceSchema = new mongoose.Schema({
         type: String,
         enum: ['office', 'remote', 'client_site'],
         default: 'office'
+    },
+    // Verification of the first check-in; later sessions carry their own
+    verification: VerificationSchema,
+    // 'device_import': punches from a biometric/door-access export (see services/punch-import)
+    source: {
+        type: String,
+        enum: ['app', 'device_import'],
+        default: 'app'
     }
 }, {
     timestamps: true
@@ -84,45 +172,138 @@ const AttendanceSchema = new mongoose.Schema({
 AttendanceSchema.index({ employee: 1, date: 1 });
 AttendanceSchema.index({ date: 1 });
 AttendanceSchema.index({ status: 1 });
+AttendanceSchema.index({ autoClosed: 1, date: 1 });
+
+const minutesBetween = (start, end) => Math.max(0, (end - start) / (60 * 1000));
+
+// Single-session records get their one session spelled out before another is added
+AttendanceSchema.methods.ensureSessions = function() {
+    if (this.sessions.length === 0 && this.checkInTime) {
+        this.sessions.push({ checkIn: this.checkInTime, checkOut: this.checkOutTime, location: this.location, verification: this.verification ? this.verification.toObject() : undefined });
+    }
+    return this.sessions;
+};
+
+AttendanceSchema.methods.getOpenSession = function() {
+    const last = this.sessions[this.sessions.length - 1];
+    return last && !last.checkOut ? last : null;
+};
+
+AttendanceSchema.methods.getOpenBreak = function() {
+    return this.breaks.find(b => !b.end) || null;
+};
+
+// Minutes of closed breaks not counted as working time
+AttendanceSchema.methods.getUnpaidBreakMinutes = function() {
+    return this.breaks
+        .filter(b => b.end && !b.paid)
+        .reduce((sum, b) => sum + minutesBetween(b.start, b.end), 0);
+};
+
+// Sum of closed sessions minus unpaid breaks (legacy records: check-out minus check-in)
+AttendanceSchema.methods.getWorkedHours = function() {
+    let minutes;
+    if (this.sessions.length > 0) {
+        minutes = this.sessions
+            .filter(s => s.checkOut)
+            .reduce((sum, s) => sum + minutesBetween(s.checkIn, s.checkOut), 0);
+        minutes -= this.getUnpaidBreakMinutes();
+    } else {
+        minutes = minutesBetween(this.checkInTime, this.checkOutTime);
+    }
+    return Math.round(Math.max(0, minutes) / 60 * 100) / 100; // Round to 2 decimals
+};
+
+// Sessions and breaks in time order, for display
+AttendanceSchema.methods.getTimeline = function() {
+    const sessions = this.sessions.length > 0 ? this.sessions :
+        [{ checkIn: this.checkInTime, checkOut: this.checkOutTime, location: this.location, verification: this.verification }];
+    const timeline = sessions.map(s => ({
+        kind: 'session',
+        start: s.checkIn,
+        end: s.checkOut || null,
+        location: s.location,
+        verification: s.verification ? s.verification.status : undefined,
+        minutes: s.checkOut ? Math.round(minutesBetween(s.checkIn, s.checkOut)) : null
+    })).concat(this.breaks.map(b => ({
+        kind: 'break',
+        type: b.type,
+        paid: b.paid,
+        start: b.start,
+        end: b.end || null,
+        minutes: b.end ? Math.round(minutesBetween(b.start, b.end)) : null
+    })));
+    return timeline.sort((a, b) => a.start - b.start);
+};
+
+// Any office session (legacy records: the check-in) whose location could not be confirmed
+AttendanceSchema.methods.hasUnverifiedOffice = function() {
+    const spans = this.sessions.length > 0 ? this.sessions : [this];
+    return spans.some(s => s.location === 'office' && s.verification && s.verification.status === 'unverified');
+};
+
+// Correct the day's first check-in / last check-out, keeping sessions in step
+AttendanceSchema.methods.applyCorrection = function(checkIn, checkOut) {
+    if (checkIn) {
+        this.checkInTime = checkIn;
+        if (this.sessions.length > 0) this.sessions[0].checkIn = checkIn;
+    }
+    if (checkOut) {
+        this.checkOutTime = checkOut;
+        if (this.sessions.length > 0) this.sessions[this.sessions.length - 1].checkOut = checkOut;
+    }
+};
 
 // Calculate total hours and overtime before saving
-AttendanceSchema.pre('save', function(next) {
+AttendanceSchema.pre('save', async function() {
     if (this.checkOutTime && this.checkInTime) {
-        const diffMs = this.checkOutTime - this.checkInTime;
-        const diffHours = diffMs / (1000 * 60 * 60);
-        this.totalHours = Math.round(diffHours * 100) / 100; // Round to 2 decimals
-
-        // Standard work day is 8 hours
-        const standardHours = 8;
-        if (this.totalHours > standardHours) {
-            this.overtimeHours = Math.round((this.totalHours - standardHours) * 100) / 100;
-        }
+        this.totalHours = this.getWorkedHours();
 
-        // Check if checked out early (before 5:00 PM)
-        const checkOutHour = this.checkOutTime.getHours();
-        if (checkOutHour < 17) {
+        // Overtime from the employee's assigned policy (required lazily to avoid a model/service require cycle)
+        const overtimePolicy = require('../services/overtime-policy');
+        const overtime = await overtimePolicy.computeForAttendance(this);
+        this.overtimeHours = overtime.overtimeHours;
+        this.weightedOvertimeHours = overtime.weightedOvertimeHours;
+        this.unapprovedOvertimeHours = overtime.unapprovedOvertimeHours;
+
+        // Check if checked out before the scheduled shift end, less the shift's
+        // early-leave grace (legacy records: 5:00 PM); never on days off
+        if (this.isScheduledWorkDay === false) {
+            this.earlyMinutes = 0;
+            this.isEarly = false;
+        } else if (this.scheduledEnd) {
+            // Required lazily so models load before the services layer
+            const workSchedule = require('../services/work-schedule');
+            const Shift = require('./Shift');
+            const shift = (this.shift && await Shift.findById(this.shift).select('earlyLeaveGraceMinutes').lean()) ||
+                workSchedule.DEFAULT_SHIFT;
+            this.earlyMinutes = workSchedule.getEarlyMinutes(shift, { start: this.scheduledStart, end: this.scheduledEnd }, this.checkOutTime);
+            this.isEarly = this.earlyMinutes > 0;
+        } else if (this.checkOutTime.getHours() < 17) {
             this.isEarly = true;
         }
     }
-
-    next();
 });
 
-// Static method to check if late (after 9:30 AM grace period)
+// Check if late (after scheduled shift start + grace period; legacy records: 9:00 AM)
 AttendanceSchema.methods.checkIfLate = function(graceMinutes = 30) {
-    const checkInHour = this.checkInTime.getHours();
-    const checkInMinutes = this.checkInTime.getMinutes();
-
-    // Standard time: 9:00 AM + grace period
-    const standardHour = 9;
-    const lateThreshold = standardHour * 60 + graceMinutes; // in minutes
-    const checkInTotalMinutes = checkInHour * 60 + checkInMinutes;
+    if (this.isScheduledWorkDay === false) {
+        this.lateMinutes = 0;
+        this.isLate = false;
+        return false;
+    }
 
-    if (checkInTotalMinutes > lateThreshold) {
-        this.isLate = true;
-        return true;
+    let start = this.scheduledStart;
+    if (!start) {
+        start = new Date(this.checkInTime);
+        start.setHours(9, 0, 0, 0);
     }
-    return false;
+
+    // Required lazily so models load before the services layer
+    const workSchedule = require('../services/work-schedule');
+    this.lateMinutes = workSchedule.getLateMinutes({ graceMinutes }, { start, end: this.scheduledEnd }, this.checkInTime);
+    this.isLate = this.lateMinutes > 0;
+    return this.isLate;
 };
 
 module.exports = mongoose.model('Attendance', AttendanceSchema);
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+const AuditLogSchema = new mongoose.Schema({
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    // Denormalized so the trail survives the actor being deleted
+    actorName: { type: String },
+    actorEmail: { type: String },
+    actorRole: { type: String },
+    action: { type: String, required: true }, // create, update, delete, approve, ...
+    entityType: { type: String, required: true },
+    entityId: { type: mongoose.Schema.Types.ObjectId },
+    method: { type: String },
+    route: { type: String },
+    statusCode: { type: Number },
+    before: { type: Object },
+    after: { type: Object },
+    changes: [{
+        _id: false,
+        field: String,
+        from: mongoose.Schema.Types.Mixed,
+        to: mongoose.Schema.Types.Mixed
+    }],
+    ip: { type: String },
+    userAgent: { type: String }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+AuditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+AuditLogSchema.index({ actor: 1, createdAt: -1 });
+AuditLogSchema.index({ createdAt: -1 });
+
+// Audit entries are append-only
+function rejectMutation(next) {
+    next(new Error('Audit log entries are immutable'));
+}
+
+AuditLogSchema.pre('save', function(next) {
+    if (!this.isNew) return rejectMutation(next);
+    next();
+});
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndReplace']
+.forEach(op => AuditLogSchema.pre(op, rejectMutation));
+
+module.exports = mongoose.model('AuditLog', AuditLogSchema);
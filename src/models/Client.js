@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+const ClientSchema = new mongoose.Schema({
+    name: { type: String, required: true, trim: true, unique: true },
+    code: { type: String, trim: true },
+    contactName: { type: String },
+    email: { type: String },
+    phone: { type: String },
+    billingAddress: { type: String },
+    // Defaults from config/billing.js when not set
+    currency: { type: String, uppercase: true, trim: true },
+    paymentTermsDays: { type: Number, min: 0 },
+    taxRate: { type: Number, min: 0, max: 100 },
+    isActive: { type: Boolean, default: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+module.exports = mongoose.model('Client', ClientSchema);
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+/**
+ * Comp-off credit: leave earned by working one non-working day (weekend or
+ * holiday). Generated from approved timesheets (see services/comp-off),
+ * granted by a manager, then spent by COMP_OFF leave requests before
+ * it expires.
+ */
+const CompOffCreditSchema = new mongoose.Schema({
+    employee: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    workDate: { type: Date, required: true },
+    dayType: { type: String, enum: ['weekend', 'holiday'], required: true },
+    holidayName: { type: String },
+    hoursWorked: { type: Number, default: 0 },
+    days: { type: Number, required: true, min: 0 }, // 0.5 or 1
+    timesheets: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Timesheet' }],
+    status: { type: String, enum: ['pending', 'approved', 'rejected', 'expired'], default: 'pending' },
+    expiresAt: { type: Date, required: true },
+    decidedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    decidedAt: { type: Date },
+    comments: { type: String },
+    // Leave requests the credit was spent on
+    usedDays: { type: Number, default: 0 },
+    usage: [{
+        _id: false,
+        leaveRequest: { type: mongoose.Schema.Types.ObjectId, ref: 'LeaveRequest' },
+        days: { type: Number }
+    }]
+}, { timestamps: true });
+
+CompOffCreditSchema.index({ employee: 1, workDate: 1 }, { unique: true });
+CompOffCreditSchema.index({ status: 1, expiresAt: 1 });
+CompOffCreditSchema.index({ 'usage.leaveRequest': 1 });
+
+module.exports = mongoose.model('CompOffCredit', CompOffCreditSchema);
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+const LineItemSchema = new mongoose.Schema({
+    project: { type: mongoose.Schema.Types.ObjectId, ref: 'Project' },
+    employee: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    rateCard: { type: mongoose.Schema.Types.ObjectId, ref: 'RateCard' },
+    description: { type: String },
+    hours: { type: Number, required: true },
+    rate: { type: Number, required: true },
+    amount: { type: Number, required: true },
+    timesheets: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Timesheet' }]
+}, { _id: false });
+
+// Drafts already hold their timesheets (Timesheet.invoice) so no other
+// invoice can bill them; issuing marks the hours invoiced, voiding frees them
+const InvoiceSchema = new mongoose.Schema({
+    number: { type: String, required: true, unique: true },
+    client: { type: mongoose.Schema.Types.ObjectId, ref: 'Client', required: true },
+    periodStart: { type: Date, required: true },
+    periodEnd: { type: Date, required: true },
+    currency: { type: String, required: true },
+    lineItems: { type: [LineItemSchema], default: [] },
+    totalHours: { type: Number, default: 0 },
+    subtotal: { type: Number, default: 0 },
+    taxRate: { type: Number, default: 0 },
+    taxAmount: { type: Number, default: 0 },
+    total: { type: Number, default: 0 },
+    status: { type: String, enum: ['draft', 'issued', 'paid', 'void'], default: 'draft' },
+    issueDate: { type: Date },
+    dueDate: { type: Date },
+    paidAt: { type: Date },
+    voidedAt: { type: Date },
+    notes: { type: String },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+InvoiceSchema.index({ client: 1, periodStart: -1 });
+
+module.exports = mongoose.model('Invoice', InvoiceSchema);
@@ -1,5 +1,17 @@
 const mongoose = require('mongoose');
 
+// total = carriedForward + accrued + adjustment (manual admin changes)
+function balanceBucket(defaultTotal) {
+    return {
+        total: { type: Number, default: defaultTotal },
+        used: { type: Number, default: 0 },
+        balance: { type: Number, default: defaultTotal },
+        accrued: { type: Number, default: 0 },
+        carriedForward: { type: Number, default: 0 },
+        adjustment: { type: Number, default: 0 }
+    };
+}
+
 const LeaveBalanceSchema = new mongoose.Schema({
     employee: {
         type: mongoose.Schema.Types.ObjectId,
@@ -11,30 +23,30 @@ const LeaveBalanceSchema = new mongoose.Schema({
         required: true,
         default: () => new Date().getFullYear()
     },
-    casualLeave: {
-        total: { type: Number, default: 12 },
-        used: { type: Number, default: 0 },
-        balance: { type: Number, default: 12 }
-    },
-    sickLeave: {
-        total: { type: Number, default: 12 },
-        used: { type: Number, default: 0 },
-        balance: { type: Number, default: 12 }
+    casualLeave: balanceBucket(12),
+    sickLeave: balanceBucket(12),
+    earnedLeave: balanceBucket(18),
+    workFromHome: balanceBucket(24),
+    permission: balanceBucket(48), // In hours
+    // Buckets of custom leave types (LeaveType catalog), keyed by code
+    extra: {
+        type: Map,
+        of: new mongoose.Schema(balanceBucket(0), { _id: false }),
+        default: {}
     },
-    earnedLeave: {
-        total: { type: Number, default: 18 },
-        used: { type: Number, default: 0 },
-        balance: { type: Number, default: 18 }
+    // Date accrual was last calculated up to (see services/leave-accrual)
+    accruedThrough: {
+        type: Date,
+        default: null
     },
-    workFromHome: {
-        total: { type: Number, default: 24 },
-        used: { type: Number, default: 0 },
-        balance: { type: Number, default: 24 }
+    // Set once the previous year's unused balance has been carried in
+    rolledOverFrom: {
+        type: Number,
+        default: null
     },
-    permission: {
-        total: { type: Number, default: 48 }, // In hours
-        used: { type: Number, default: 0 },
-        balance: { type: Number, default: 48 }
+    rolledOverAt: {
+        type: Date,
+        default: null
     },
     lastUpdated: {
         type: Date,
@@ -48,76 +60,79 @@ const LeaveBalanceSchema = new mongoose.Schema({
 LeaveBalanceSchema.index({ employee: 1, year: 1 }, { unique: true });
 
 // Method to deduct leave balance
-LeaveBalanceSchema.methods.deductLeave = function(leaveType, days, hours = 0) {
-    const typeMap = {
-        'CL': 'casualLeave',
-        'SL': 'sickLeave',
-        'EL': 'earnedLeave',
-        'WFH': 'workFromHome',
-        'PERMISSION': 'permission'
-    };
-
-    const field = typeMap[leaveType];
-    if (!field) {
+// Unit (days/hours) and bucket come from the LeaveType catalog; types
+// without an annual allowance have no balance and deduct nothing.
+// `context` ({ leaveRequest, performedBy, note }) goes on the ledger entry.
+LeaveBalanceSchema.methods.deductLeave = async function(leaveType, days, hours = 0, context = {}) {
+    // Required lazily so models load before the services layer
+    const leaveTypes = require('../services/leave-types');
+    const leaveLedger = require('../services/leave-ledger');
+    const type = await leaveTypes.getLeaveType(leaveType);
+    if (!type) {
         throw new Error('Invalid leave type');
     }
 
-    if (leaveType === 'PERMISSION') {
-        // Permission is hour-based
-        if (this[field].balance < hours) {
-            throw new Error('Insufficient permission hours balance');
+    const bucket = leaveTypes.getBucket(this, type, { create: true });
+    if (!bucket) return this;
+    await leaveLedger.ensureOpening(this);
+
+    if (leaveTypes.isHourly(type)) {
+        if (bucket.balance < hours) {
+            throw new Error(`Insufficient ${type.name.toLowerCase()} hours balance`);
         }
-        this[field].used += hours;
-        this[field].balance -= hours;
+        bucket.used += hours;
+        bucket.balance -= hours;
     } else {
-        // Day-based leaves
-        if (this[field].balance < days) {
-            throw new Error(`Insufficient ${leaveType} balance`);
+        if (bucket.balance < days) {
+            throw new Error(`Insufficient ${type.code} balance`);
         }
-        this[field].used += days;
-        this[field].balance -= days;
+        bucket.used += days;
+        bucket.balance -= days;
     }
 
     this.lastUpdated = Date.now();
-    return this.save();
+    await this.save();
+    await leaveLedger.record(this, type, {
+        ...context,
+        type: 'deduction',
+        amount: -(leaveTypes.isHourly(type) ? hours : days)
+    });
+    return this;
 };
 
 // Method to restore leave balance (when leave is cancelled)
-LeaveBalanceSchema.methods.restoreLeave = function(leaveType, days, hours = 0) {
-    const typeMap = {
-        'CL': 'casualLeave',
-        'SL': 'sickLeave',
-        'EL': 'earnedLeave',
-        'WFH': 'workFromHome',
-        'PERMISSION': 'permission'
-    };
-
-    const field = typeMap[leaveType];
-    if (!field) {
+LeaveBalanceSchema.methods.restoreLeave = async function(leaveType, days, hours = 0, context = {}) {
+    const leaveTypes = require('../services/leave-types');
+    const leaveLedger = require('../services/leave-ledger');
+    const type = await leaveTypes.getLeaveType(leaveType);
+    if (!type) {
         throw new Error('Invalid leave type');
     }
 
-    if (leaveType === 'PERMISSION') {
-        this[field].used = Math.max(0, this[field].used - hours);
-        this[field].balance = Math.min(this[field].total, this[field].balance + hours);
-    } else {
-        this[field].used = Math.max(0, this[field].used - days);
-        this[field].balance = Math.min(this[field].total, this[field].balance + days);
-    }
+    const bucket = leaveTypes.getBucket(this, type);
+    if (!bucket) return this;
+    await leaveLedger.ensureOpening(this);
+
+    const amount = leaveTypes.isHourly(type) ? hours : days;
+    const balanceBefore = bucket.balance;
+    bucket.used = Math.max(0, bucket.used - amount);
+    bucket.balance = Math.min(bucket.total, bucket.balance + amount);
 
     this.lastUpdated = Date.now();
-    return this.save();
+    await this.save();
+    // What actually came back; the balance never goes above the total
+    await leaveLedger.record(this, type, { ...context, type: 'restore', amount: bucket.balance - balanceBefore });
+    return this;
 };
 
 // Static method to initialize leave balance for new employee
-LeaveBalanceSchema.statics.initializeForEmployee = async function(employeeId) {
+// Opening amounts come from the LeaveType catalog (see services/leave-accrual)
+LeaveBalanceSchema.statics.initializeForEmployee = async function(employeeId, year = new Date().getFullYear()) {
     try {
-        const currentYear = new Date().getFullYear();
-
-        // Check if balance exists for current year
+        // Check if balance exists for the year
         const existingBalance = await this.findOne({
             employee: employeeId,
-            year: currentYear
+            year
         });
 
         if (existingBalance) {
@@ -125,18 +140,13 @@ LeaveBalanceSchema.statics.initializeForEmployee = async function(employeeId) {
             return existingBalance;
         }
 
-        console.log('📊 Creating new leave balance for employee:', employeeId, 'year:', currentYear);
+        console.log('📊 Creating new leave balance for employee:', employeeId, 'year:', year);
 
-        // Create new balance with default values
-        const newBalance = await this.create({
-            employee: employeeId,
-            year: currentYear,
-            casualLeave: { total: 12, used: 0, balance: 12 },
-            sickLeave: { total: 12, used: 0, balance: 12 },
-            earnedLeave: { total: 18, used: 0, balance: 18 },
-            workFromHome: { total: 24, used: 0, balance: 24 },
-            permission: { total: 48, used: 0, balance: 48 }
-        });
+        // Required lazily so models load before the services layer
+        const leaveAccrual = require('../services/leave-accrual');
+        const leaveLedger = require('../services/leave-ledger');
+        const newBalance = await this.create(await leaveAccrual.buildOpeningBalance(employeeId, year));
+        await leaveLedger.recordOpening(newBalance);
 
         console.log('✅ Leave balance created successfully:', newBalance._id);
         return newBalance;
@@ -149,7 +159,7 @@ LeaveBalanceSchema.statics.initializeForEmployee = async function(employeeId) {
             console.log('📊 Duplicate key error, fetching existing balance...');
             return this.findOne({
                 employee: employeeId,
-                year: new Date().getFullYear()
+                year
             });
         }
 
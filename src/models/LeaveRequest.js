@@ -1,14 +1,42 @@
 const mongoose = require('mongoose');
 
+// A date change to an approved leave; applied only once approved
+const AmendmentSchema = new mongoose.Schema({
+    fromDate: { type: Date, required: true },
+    toDate: { type: Date, required: true },
+    fromSession: { type: String, enum: ['full', 'first_half', 'second_half'], default: 'full' },
+    toSession: { type: String, enum: ['full', 'first_half', 'second_half'], default: 'full' },
+    totalDays: { type: Number, required: true },
+    // The leave as it was when the amendment was requested
+    previous: {
+        fromDate: Date,
+        toDate: Date,
+        fromSession: String,
+        toSession: String,
+        totalDays: Number
+    },
+    // Balance change on approval (+ takes more, - gives back)
+    daysDelta: { type: Number, default: 0 },
+    reason: { type: String, required: true, maxlength: 500 },
+    status: { type: String, enum: ['pending', 'approved', 'rejected', 'withdrawn'], default: 'pending' },
+    requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    requestedAt: { type: Date, default: Date.now },
+    decidedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    decidedAt: { type: Date },
+    comments: { type: String, maxlength: 500 }
+});
+
 const LeaveRequestSchema = new mongoose.Schema({
     employee: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
         required: true
     },
+    // LeaveType catalog code (validated against the catalog on request)
     leaveType: {
         type: String,
-        enum: ['CL', 'SL', 'EL', 'WFH', 'PERMISSION'],
+        uppercase: true,
+        trim: true,
         required: true
     },
     fromDate: {
@@ -19,18 +47,39 @@ const LeaveRequestSchema = new mongoose.Schema({
         type: Date,
         required: true
     },
-    // For permission (hour-based leave)
+    // Half days: start in the second half / end after the first half
+    // (see services/leave-days)
+    fromSession: {
+        type: String,
+        enum: ['full', 'first_half', 'second_half'],
+        default: 'full'
+    },
+    toSession: {
+        type: String,
+        enum: ['full', 'first_half', 'second_half'],
+        default: 'full'
+    },
+    // For hour-based leave types (e.g. PERMISSION); limits come from the catalog
     permissionHours: {
         type: Number,
-        min: 1,
-        max: 4,
+        min: 0,
         default: null
     },
+    // Working days charged (weekends and holidays excluded, halves allowed)
     totalDays: {
         type: Number,
         required: true,
         default: 1
     },
+    // What approval actually took from LeaveBalance; restored on cancel
+    deductedDays: {
+        type: Number,
+        default: null
+    },
+    deductedHours: {
+        type: Number,
+        default: null
+    },
     reason: {
         type: String,
         required: true,
@@ -76,7 +125,9 @@ const LeaveRequestSchema = new mongoose.Schema({
     appliedAt: {
         type: Date,
         default: Date.now
-    }
+    },
+    // Date changes after approval, oldest first (see PUT /api/leave/amend/:id)
+    amendments: [AmendmentSchema]
 }, {
     timestamps: true
 });
@@ -85,18 +136,34 @@ const LeaveRequestSchema = new mongoose.Schema({
 LeaveRequestSchema.index({ employee: 1, status: 1 });
 LeaveRequestSchema.index({ status: 1, appliedAt: -1 });
 LeaveRequestSchema.index({ fromDate: 1, toDate: 1 });
+LeaveRequestSchema.index({ 'amendments.status': 1 });
+
+LeaveRequestSchema.methods.getPendingAmendment = function() {
+    return (this.amendments || []).find(a => a.status === 'pending') || null;
+};
 
-// Calculate total days before saving
-LeaveRequestSchema.pre('save', function(next) {
-    if (this.leaveType === 'PERMISSION') {
-        // Permission is hour-based, not day-based
+// Calculate working days before saving, unless the caller already did
+LeaveRequestSchema.pre('save', async function() {
+    // Required lazily so models load before the services layer
+    const leaveTypes = require('../services/leave-types');
+    if (leaveTypes.isHourly(await leaveTypes.getLeaveType(this.leaveType))) {
+        // Hour-based, not day-based
         this.totalDays = 0;
-    } else if (this.fromDate && this.toDate) {
-        const diffTime = Math.abs(this.toDate - this.fromDate);
-        const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24)) + 1;
-        this.totalDays = diffDays;
+        return;
+    }
+
+    const datesChanged = ['fromDate', 'toDate', 'fromSession', 'toSession', 'leaveType'].some(f => this.isModified(f));
+    if (this.fromDate && this.toDate && datesChanged && !this.isModified('totalDays')) {
+        const leaveDays = require('../services/leave-days');
+        const result = await leaveDays.countLeaveDays({
+            employeeId: this.employee,
+            fromDate: this.fromDate,
+            toDate: this.toDate,
+            fromSession: this.fromSession,
+            toSession: this.toSession
+        });
+        this.totalDays = result.totalDays;
     }
-    next();
 });
 
 module.exports = mongoose.model('LeaveRequest', LeaveRequestSchema);
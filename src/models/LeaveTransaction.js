@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+/**
+ * Leave Ledger
+ * One row per change to a leave balance; LeaveBalance counters must always
+ * equal the sum of these amounts (see services/leave-ledger).
+ * Amounts are signed: credits positive, debits negative, in the leave
+ * type's unit (days or hours).
+ */
+const TRANSACTION_TYPES = ['grant', 'accrual', 'carry_forward', 'deduction', 'restore', 'adjustment', 'lapse', 'encashment'];
+
+const LeaveTransactionSchema = new mongoose.Schema({
+    employee: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    year: { type: Number, required: true },
+    leaveType: { type: String, required: true }, // LeaveType code
+    unit: { type: String, enum: ['days', 'hours'], default: 'days' },
+    type: { type: String, enum: TRANSACTION_TYPES, required: true },
+    amount: { type: Number, required: true },
+    // Year-end closing entries (lapse / carried out): the year's counters are
+    // left as they were, so reconciliation skips these
+    yearEnd: { type: Boolean, default: false },
+    leaveRequest: { type: mongoose.Schema.Types.ObjectId, ref: 'LeaveRequest', default: null },
+    performedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    note: { type: String },
+    meta: { type: Object }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+LeaveTransactionSchema.index({ employee: 1, year: 1, createdAt: 1 });
+LeaveTransactionSchema.index({ leaveRequest: 1 });
+
+// Ledger entries are append-only; corrections are new entries
+function rejectMutation(next) {
+    next(new Error('Leave ledger entries are immutable'));
+}
+
+LeaveTransactionSchema.pre('save', function(next) {
+    if (!this.isNew) return rejectMutation(next);
+    next();
+});
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndReplace']
+.forEach(op => LeaveTransactionSchema.pre(op, rejectMutation));
+
+module.exports = mongoose.model('LeaveTransaction', LeaveTransactionSchema);
+module.exports.TRANSACTION_TYPES = TRANSACTION_TYPES;
@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+
+/**
+ * Leave Type Catalog
+ * Drives leave request validation, balances/accrual, attendance treatment,
+ * exports and analytics. Built-ins are seeded from config/leaveTypes.js.
+ */
+const LeaveTypeSchema = new mongoose.Schema({
+    code: {
+        type: String,
+        required: true,
+        unique: true,
+        uppercase: true,
+        trim: true,
+        match: [/^[A-Z0-9_]{2,20}$/, 'Code must be 2-20 letters, digits or underscores']
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    description: String,
+    // 'hours' types are requested in hours on a single day (e.g. PERMISSION)
+    unit: {
+        type: String,
+        enum: ['days', 'hours'],
+        default: 'days'
+    },
+    isPaid: {
+        type: Boolean,
+        default: true
+    },
+    // Still working, just not in the office (e.g. WFH): excused from
+    // attendance and allowed to log hours
+    isRemote: {
+        type: Boolean,
+        default: false
+    },
+    requiresAttachment: {
+        type: Boolean,
+        default: false
+    },
+    // Days between applying and the first day of leave (waived for emergencies)
+    minNoticeDays: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    // Longest single request in calendar days (null = no limit)
+    maxConsecutiveDays: {
+        type: Number,
+        min: 1,
+        default: null
+    },
+    allowHalfDay: {
+        type: Boolean,
+        default: true
+    },
+    // Hour limits per request, 'hours' types only
+    minHours: {
+        type: Number,
+        min: 0,
+        default: null
+    },
+    maxHours: {
+        type: Number,
+        min: 0,
+        default: null
+    },
+    // Balance & accrual (see services/leave-accrual); null = no balance kept
+    annualAllowance: {
+        type: Number,
+        min: 0,
+        default: null
+    },
+    accrual: {
+        type: String,
+        enum: ['yearly', 'monthly'],
+        default: 'yearly'
+    },
+    prorate: {
+        type: Boolean,
+        default: true
+    },
+    carryForwardCap: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    // Taken against approved comp-off credits (see services/comp-off)
+    // instead of a LeaveBalance bucket
+    usesCompOffCredits: {
+        type: Boolean,
+        default: false
+    },
+    // Built-in types keep their balance in a dedicated LeaveBalance field
+    balanceField: {
+        type: String,
+        default: null
+    },
+    sortOrder: {
+        type: Number,
+        default: 100
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+LeaveTypeSchema.index({ isActive: 1, sortOrder: 1 });
+
+module.exports = mongoose.model('LeaveType', LeaveTypeSchema);
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+const IPV4_RANGE = /^(\d{1,3})(\.\d{1,3}){3}(\/([0-9]|[12][0-9]|3[0-2]))?$/;
+
+/**
+ * Office site used to verify "office" check-ins (see
+ * services/location-verification): by submitted coordinates within
+ * radiusMeters of the site, or by the request IP being in ipRanges.
+ */
+const OfficeSiteSchema = new mongoose.Schema({
+    name: { type: String, required: true, trim: true },
+    address: { type: String },
+    latitude: { type: Number, min: -90, max: 90, default: null },
+    longitude: { type: Number, min: -180, max: 180, default: null },
+    radiusMeters: { type: Number, min: 10, default: 200 },
+    // IPv4 addresses or CIDR ranges (e.g. 203.0.113.0/24); IPv6 addresses match exactly
+    ipRanges: [{ type: String, trim: true }],
+    isActive: { type: Boolean, default: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+OfficeSiteSchema.pre('validate', function(next) {
+    const hasCoordinates = this.latitude !== null && this.longitude !== null;
+    if ((this.latitude === null) !== (this.longitude === null)) {
+        this.invalidate('longitude', 'Set both latitude and longitude');
+    }
+    if (!hasCoordinates && (this.ipRanges || []).length === 0) {
+        this.invalidate('ipRanges', 'Set coordinates and/or at least one IP range');
+    }
+    (this.ipRanges || []).forEach((range, i) => {
+        const valid = range.includes(':') ||
+            (IPV4_RANGE.test(range) && range.split('/')[0].split('.').every(n => Number(n) <= 255));
+        if (!valid) this.invalidate(`ipRanges.${i}`, `Invalid IP range: ${range}`);
+    });
+    next();
+});
+
+module.exports = mongoose.model('OfficeSite', OfficeSiteSchema);
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+const OvertimePolicySchema = new mongoose.Schema({
+    name: { type: String, required: true, unique: true },
+    description: { type: String },
+    // Hours worked beyond these count as overtime
+    dailyThresholdHours: { type: Number, default: 8, min: 0 },
+    weeklyThresholdHours: { type: Number, default: 40, min: 0 },
+    // Pay multipliers by day type
+    weekdayMultiplier: { type: Number, default: 1.5, min: 1 },
+    weekendMultiplier: { type: Number, default: 2, min: 1 },
+    holidayMultiplier: { type: Number, default: 2, min: 1 },
+    // 0 = Sunday ... 6 = Saturday
+    weekendDays: { type: [Number], default: [0, 6] },
+    // On weekends/holidays every hour is overtime
+    restDayAllHoursOvertime: { type: Boolean, default: true },
+    // Daily overtime above this needs an approved OvertimeRequest (null = no cap)
+    dailyCapHours: { type: Number, default: null },
+    // Assignment: employee-specific beats department beats default
+    employees: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    departments: [{ type: String }],
+    isDefault: { type: Boolean, default: false },
+    isActive: { type: Boolean, default: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+OvertimePolicySchema.index({ employees: 1 });
+OvertimePolicySchema.index({ departments: 1 });
+
+module.exports = mongoose.model('OvertimePolicy', OvertimePolicySchema);
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// Pre-approval for overtime beyond a policy's daily cap
+const OvertimeRequestSchema = new mongoose.Schema({
+    employee: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    date: { type: Date, required: true },
+    hours: { type: Number, required: true, min: 0.25, max: 16 },
+    reason: { type: String, required: true, minlength: 10, maxlength: 500 },
+    project: { type: mongoose.Schema.Types.ObjectId, ref: 'Project' },
+    status: {
+        type: String,
+        enum: ['pending', 'approved', 'rejected', 'cancelled'],
+        default: 'pending'
+    },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reviewedAt: { type: Date },
+    reviewComments: { type: String, maxlength: 500 }
+}, { timestamps: true });
+
+OvertimeRequestSchema.index({ employee: 1, date: 1, status: 1 });
+
+module.exports = mongoose.model('OvertimeRequest', OvertimeRequestSchema);
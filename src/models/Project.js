@@ -12,7 +12,20 @@ const ProjectSchema = new mongoose.Schema({
     endDate: { type: Date },
     manager: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
     employees: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    // Budget in currency (the client's, else config/billing.js) and in hours;
+    // burn is tracked by services/project-budget
     budget: { type: Number },
+    budgetHours: { type: Number },
+    // Budget thresholds (%) the manager has been notified about
+    budgetAlerts: [{
+        _id: false,
+        metric: { type: String, enum: ['hours', 'cost'] },
+        threshold: { type: Number },
+        sentAt: { type: Date }
+    }],
+    client: { type: mongoose.Schema.Types.ObjectId, ref: 'Client' },
+    // Default for the project's timesheet entries (tasks can override)
+    billable: { type: Boolean, default: true },
 
     // Project Completion Proof
     completionProof: {
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// Hourly billing (and optionally cost) rate. Each scope field left empty
+// matches everything; the most specific card effective on an entry's date
+// wins (see services/billing):
+// employee + project, employee, role + project, role, project, then a
+// catch-all card.
+const RateCardSchema = new mongoose.Schema({
+    name: { type: String, trim: true },
+    project: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', default: null },
+    // Job role, matched against User.designation
+    role: { type: String, trim: true, default: null },
+    employee: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    rate: { type: Number, required: true, min: 0 },
+    // Internal cost per hour, for project budget burn; optional
+    costRate: { type: Number, min: 0, default: null },
+    currency: { type: String, uppercase: true, trim: true },
+    effectiveFrom: { type: Date, required: true },
+    // Inclusive; empty = open-ended
+    effectiveTo: { type: Date, default: null },
+    isActive: { type: Boolean, default: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+RateCardSchema.index({ isActive: 1, effectiveFrom: 1 });
+
+RateCardSchema.pre('validate', function(next) {
+    if (this.effectiveTo && this.effectiveFrom && this.effectiveTo < this.effectiveFrom) {
+        this.invalidate('effectiveTo', 'effectiveTo must not be before effectiveFrom');
+    }
+    next();
+});
+
+module.exports = mongoose.model('RateCard', RateCardSchema);
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+const TIME_FORMAT = /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+const ShiftSchema = new mongoose.Schema({
+    name: { type: String, required: true, unique: true },
+    code: { type: String },
+    // HH:MM local time; an endTime at or before startTime means the shift ends the next day
+    startTime: { type: String, required: true, match: TIME_FORMAT },
+    endTime: { type: String, required: true, match: TIME_FORMAT },
+    breakMinutes: { type: Number, default: 0, min: 0 },
+    // Minutes after startTime before a check-in counts as late
+    graceMinutes: { type: Number, default: 30, min: 0 },
+    // Minutes before endTime a check-out may happen without counting as early
+    earlyLeaveGraceMinutes: { type: Number, default: 0, min: 0 },
+    // 0 = Sunday ... 6 = Saturday
+    workDays: { type: [Number], default: [1, 2, 3, 4, 5] },
+    isActive: { type: Boolean, default: true }
+}, { timestamps: true });
+
+ShiftSchema.virtual('crossesMidnight').get(function() {
+    return this.endTime <= this.startTime;
+});
+
+module.exports = mongoose.model('Shift', ShiftSchema);
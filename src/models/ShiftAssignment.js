@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+// Which shift an employee works from effectiveFrom until effectiveTo (open-ended when unset)
+const ShiftAssignmentSchema = new mongoose.Schema({
+    employee: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    shift: { type: mongoose.Schema.Types.ObjectId, ref: 'Shift', required: true },
+    effectiveFrom: { type: Date, required: true },
+    effectiveTo: { type: Date, default: null },
+    notes: { type: String, maxlength: 500 },
+    assignedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+ShiftAssignmentSchema.index({ employee: 1, effectiveFrom: -1 });
+
+module.exports = mongoose.model('ShiftAssignment', ShiftAssignmentSchema);
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+/**
+ * Minimum staffing for a team (the direct reports of a manager) or a
+ * project's members, checked when leave is requested and approved
+ * (see services/leave-coverage). With both minimums set, the stricter wins.
+ */
+const StaffingRuleSchema = new mongoose.Schema({
+    name: { type: String },
+    scope: { type: String, enum: ['team', 'project'], required: true },
+    manager: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }, // scope 'team'
+    project: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', default: null }, // scope 'project'
+    // Members that must be present on every working day
+    minPresent: { type: Number, min: 0, default: null },
+    minPresentPercent: { type: Number, min: 0, max: 100, default: null },
+    // Refuse approvals that would leave the group short (admins may override)
+    blockApproval: { type: Boolean, default: false },
+    isActive: { type: Boolean, default: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+StaffingRuleSchema.pre('validate', function(next) {
+    if (this.scope === 'team' && !this.manager) this.invalidate('manager', 'A team rule needs a manager');
+    if (this.scope === 'project' && !this.project) this.invalidate('project', 'A project rule needs a project');
+    if (this.minPresent === null && this.minPresentPercent === null) {
+        this.invalidate('minPresent', 'Set minPresent and/or minPresentPercent');
+    }
+    next();
+});
+
+StaffingRuleSchema.index({ scope: 1, manager: 1 });
+StaffingRuleSchema.index({ scope: 1, project: 1 });
+
+module.exports = mongoose.model('StaffingRule', StaffingRuleSchema);
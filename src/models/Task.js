@@ -63,6 +63,8 @@ const TaskSchema = new mongoose.Schema({
     description: { type: String },
     project: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', required: true },
     createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }, // manager
+    // null = as the project
+    billable: { type: Boolean, default: null },
     assignments: [AssignmentSchema],
     createdAt: { type: Date, default: Date.now }
 });
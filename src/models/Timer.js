@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+const TimerSchema = new mongoose.Schema({
+    employee: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    project: { type: mongoose.Schema.Types.ObjectId, ref: 'Project' },
+    task: { type: mongoose.Schema.Types.ObjectId, ref: 'Task' },
+    description: { type: String },
+    status: { type: String, enum: ['running', 'paused', 'stopped'], default: 'running' },
+    // true while running or paused; backs the one-timer-per-user index
+    isActive: { type: Boolean, default: true },
+    startedAt: { type: Date, required: true },
+    pauses: [{
+        _id: false,
+        start: { type: Date, required: true },
+        end: { type: Date }
+    }],
+    stoppedAt: { type: Date },
+    autoStopped: { type: Boolean, default: false },
+    // draft timesheet produced on stop (null when the entry couldn't be created)
+    timesheet: { type: mongoose.Schema.Types.ObjectId, ref: 'Timesheet' },
+    timesheetError: { type: String }
+}, { timestamps: true });
+
+TimerSchema.index({ employee: 1, startedAt: -1 });
+
+// Only one running/paused timer per user
+TimerSchema.index({ employee: 1 }, { unique: true, partialFilterExpression: { isActive: true } });
+
+module.exports = mongoose.model('Timer', TimerSchema);
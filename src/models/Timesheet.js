@@ -9,6 +9,12 @@ const TimesheetSchema = new mongoose.Schema({
     endTime: { type: String, required: true },
     breakMinutes: { type: Number, default: 0 },
     totalHours: { type: Number },
+    // hours per calendar day for entries crossing midnight (see services/time-calculation)
+    dayHours: [{
+        _id: false,
+        date: { type: Date },
+        hours: { type: Number }
+    }],
     description: { type: String },
     task: { type: mongoose.Schema.Types.ObjectId, ref: 'Task' },
     // support multi-level statuses
@@ -17,6 +23,30 @@ const TimesheetSchema = new mongoose.Schema({
     approvals: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Approval' }],
     manager: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
     overtimeHours: { type: Number, default: 0 },
+    // overtime breakdown from the employee's OvertimePolicy
+    payableOvertimeHours: { type: Number, default: 0 },
+    unapprovedOvertimeHours: { type: Number, default: 0 },
+    weightedOvertimeHours: { type: Number, default: 0 },
+    overtimeMultiplier: { type: Number, default: 1 },
+    overtimePolicy: { type: mongoose.Schema.Types.ObjectId, ref: 'OvertimePolicy' },
+    period: { type: mongoose.Schema.Types.ObjectId, ref: 'TimesheetPeriod' },
+    // set on entries brought in by a file import (see services/timesheet-import)
+    importBatch: { type: mongoose.Schema.Types.ObjectId, ref: 'TimesheetImport' },
+    // null until saved, then defaulted from the task/project (see services/billing)
+    billable: { type: Boolean, default: null },
+    // Invoice billing these hours (a draft holds them); invoicedAt once issued
+    invoice: { type: mongoose.Schema.Types.ObjectId, ref: 'Invoice', default: null },
+    invoicedAt: { type: Date },
 }, { timestamps: true });
 
+TimesheetSchema.index({ importBatch: 1 }, { sparse: true });
+TimesheetSchema.index({ invoice: 1, billable: 1, date: 1 });
+
+TimesheetSchema.pre('save', async function() {
+    if (this.billable !== null && this.billable !== undefined) return;
+    // Required lazily so models load before the services layer
+    const billing = require('../services/billing');
+    this.billable = await billing.getDefaultBillable(this.project, this.task);
+});
+
 module.exports = mongoose.model('Timesheet', TimesheetSchema);
@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// One timesheet import; its entries carry the id (Timesheet.importBatch) so
+// the whole batch can be rolled back
+const TimesheetImportSchema = new mongoose.Schema({
+    importedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    fileName: { type: String },
+    rowCount: { type: Number, default: 0 },
+    entryCount: { type: Number, default: 0 },
+    errorCount: { type: Number, default: 0 },
+    employees: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    status: { type: String, enum: ['completed', 'rolled_back', 'partially_rolled_back'], default: 'completed' },
+    rolledBackAt: { type: Date },
+    rolledBackBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    // Entries left in place on rollback (locked or in a closed week)
+    keptCount: { type: Number, default: 0 }
+}, { timestamps: true });
+
+module.exports = mongoose.model('TimesheetImport', TimesheetImportSchema);
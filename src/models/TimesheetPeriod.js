@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// One ISO week of an employee's timesheet entries, submitted and approved as a unit
+const TimesheetPeriodSchema = new mongoose.Schema({
+    employee: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    isoYear: { type: Number, required: true },
+    isoWeek: { type: Number, required: true },
+    weekStart: { type: Date, required: true }, // Monday 00:00
+    weekEnd: { type: Date, required: true }, // Sunday 23:59:59.999
+    status: {
+        type: String,
+        enum: ['open', 'pending', 'pending_manager', 'pending_hr', 'pending_director', 'approved_final', 'rejected', 'locked'],
+        default: 'open'
+    },
+    totalHours: { type: Number, default: 0 },
+    overtimeHours: { type: Number, default: 0 },
+    entryCount: { type: Number, default: 0 },
+    submittedAt: { type: Date },
+    managerRemarks: { type: String },
+    manager: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    approvals: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Approval' }],
+    lockedAt: { type: Date },
+    lockedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reopenHistory: [{
+        reopenedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        reopenedAt: { type: Date, default: Date.now },
+        reason: String,
+        previousStatus: String
+    }]
+}, { timestamps: true });
+
+TimesheetPeriodSchema.index({ employee: 1, isoYear: 1, isoWeek: 1 }, { unique: true });
+TimesheetPeriodSchema.index({ status: 1 });
+
+module.exports = mongoose.model('TimesheetPeriod', TimesheetPeriodSchema);
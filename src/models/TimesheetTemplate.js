@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+const TIME_FORMAT = /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+const TemplateRowSchema = new mongoose.Schema({
+    project: { type: mongoose.Schema.Types.ObjectId, ref: 'Project' },
+    task: { type: mongoose.Schema.Types.ObjectId, ref: 'Task' },
+    description: { type: String, trim: true },
+    // HH:MM local time; an endTime at or before startTime ends the next day
+    startTime: { type: String, required: true, match: TIME_FORMAT },
+    endTime: { type: String, required: true, match: TIME_FORMAT },
+    breakMinutes: { type: Number, default: 0, min: 0 },
+    // Days the row is logged on: 0 = Sunday ... 6 = Saturday
+    days: { type: [Number], default: [1, 2, 3, 4, 5] }
+}, { _id: false });
+
+const TimesheetTemplateSchema = new mongoose.Schema({
+    employee: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    name: { type: String, required: true, trim: true },
+    rows: { type: [TemplateRowSchema], default: [] },
+    // Drafts are created from the template at the start of every week
+    recurring: { type: Boolean, default: false },
+    // Monday of the last week drafts were generated for
+    lastGeneratedWeek: { type: Date },
+    isActive: { type: Boolean, default: true }
+}, { timestamps: true });
+
+TimesheetTemplateSchema.index({ employee: 1, name: 1 }, { unique: true, partialFilterExpression: { isActive: true } });
+TimesheetTemplateSchema.index({ recurring: 1, isActive: 1 });
+
+TimesheetTemplateSchema.pre('validate', function(next) {
+    if (this.rows.length === 0) this.invalidate('rows', 'A template needs at least one row');
+    this.rows.forEach((row, i) => {
+        if (row.days.length === 0 || row.days.some(d => !Number.isInteger(d) || d < 0 || d > 6)) {
+            this.invalidate(`rows.${i}.days`, 'Days must be weekday numbers from 0 (Sunday) to 6 (Saturday)');
+        }
+    });
+    next();
+});
+
+module.exports = mongoose.model('TimesheetTemplate', TimesheetTemplateSchema);
@@ -6,10 +6,14 @@ const UserSchema = new mongoose.Schema({
     password: { type: String, required: true },
     role: { type: String, enum: ['admin', 'manager', 'employee'], default: 'employee' },
     manager: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    // HR/badge code used by attendance devices (see services/punch-import)
+    employeeCode: { type: String, trim: true, unique: true, sparse: true, set: v => (v ? String(v).trim() : undefined) },
     department: { type: String },
     designation: { type: String },
     phone: { type: String },
     dob: { type: Date },
+    // Leave accrual is pro-rated from this date (falls back to createdAt)
+    joiningDate: { type: Date },
     address: { type: String },
     photo: { type: String },
     github: { type: String },
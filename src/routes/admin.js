@@ -1,9 +1,15 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const Holiday = require('../models/Holiday');
 const User = require('../models/User');
 const Project = require('../models/Project');
 const Task = require('../models/Task');
+const Timesheet = require('../models/Timesheet');
+const ApprovalLevel = require('../models/ApprovalLevel');
+const AuditLog = require('../models/AuditLog');
 const { auth, permit } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const approvalEngine = require('../services/approval-engine');
 
 const router = express.Router();
 
@@ -36,9 +42,9 @@ router.get('/employees/:id', auth, permit('admin'), async(req, res) => {
 });
 
 // CREATE employee
-router.post('/employees', auth, permit('admin'), async(req, res) => {
+router.post('/employees', auth, permit('admin'), audit('User'), async(req, res) => {
     try {
-        const { name, email, password, role, department, designation } = req.body;
+        const { name, email, password, role, department, designation, joiningDate, employeeCode } = req.body;
         if (!name || !email || !password) return res.status(400).json({ message: 'name/email/password required' });
 
         const existing = await User.findOne({ email });
@@ -64,35 +70,39 @@ router.post('/employees', auth, permit('admin'), async(req, res) => {
             role: role || 'employee',
             department: department || '',
             designation: designation || '',
+            employeeCode,
+            joiningDate: joiningDate || new Date(),
             manager: manager,
             isActive: true
         });
 
         res.status(201).json({ id: emp._id, name: emp.name, email: emp.email, role: emp.role, manager: emp.manager });
     } catch (e) {
+        if (e.code === 11000 && e.keyPattern && e.keyPattern.employeeCode) return res.status(400).json({ message: 'Employee code already in use' });
         console.error('Failed to create employee', e);
         res.status(500).json({ message: 'Server error' });
     }
 });
 
-// UPDATE employee (role, department, designation, isActive)
-router.put('/employees/:id', auth, permit('admin'), async(req, res) => {
+// UPDATE employee (role, department, designation, isActive, joiningDate, employeeCode)
+router.put('/employees/:id', auth, permit('admin'), audit('User'), async(req, res) => {
     try {
-        const { role, department, designation, isActive } = req.body;
+        const { role, department, designation, isActive, joiningDate, employeeCode } = req.body;
         const emp = await User.findByIdAndUpdate(
-            req.params.id, { role, department, designation, isActive }, { new: true }
-        ).select('_id name email role department designation isActive');
+            req.params.id, { role, department, designation, isActive, joiningDate, employeeCode }, { new: true }
+        ).select('_id name email role department designation isActive joiningDate employeeCode');
 
         if (!emp) return res.status(404).json({ message: 'Employee not found' });
         res.json(emp);
     } catch (e) {
+        if (e.code === 11000 && e.keyPattern && e.keyPattern.employeeCode) return res.status(400).json({ message: 'Employee code already in use' });
         console.error('Failed to update employee', e);
         res.status(500).json({ message: 'Server error' });
     }
 });
 
 // DELETE employee
-router.delete('/employees/:id', auth, permit('admin'), async(req, res) => {
+router.delete('/employees/:id', auth, permit('admin'), audit('User'), async(req, res) => {
     try {
         const emp = await User.findByIdAndDelete(req.params.id);
         if (!emp) return res.status(404).json({ message: 'Employee not found' });
@@ -104,7 +114,7 @@ router.delete('/employees/:id', auth, permit('admin'), async(req, res) => {
 });
 
 // ASSIGN employee to project
-router.post('/employees/:empId/assign-project/:projectId', auth, permit('admin'), async(req, res) => {
+router.post('/employees/:empId/assign-project/:projectId', auth, permit('admin'), audit('Project', { action: 'assign_employee', idParam: 'projectId' }), async(req, res) => {
     try {
         const { empId, projectId } = req.params;
         const project = await Project.findById(projectId);
@@ -156,7 +166,7 @@ router.get('/projects/:id', auth, permit('admin'), async(req, res) => {
 });
 
 // CREATE project (admin override)
-router.post('/projects', auth, permit('admin'), async(req, res) => {
+router.post('/projects', auth, permit('admin'), audit('Project'), async(req, res) => {
     try {
         const { name, description, manager, employees } = req.body;
         if (!name) return res.status(400).json({ message: 'name required' });
@@ -177,7 +187,7 @@ router.post('/projects', auth, permit('admin'), async(req, res) => {
 });
 
 // UPDATE project
-router.put('/projects/:id', auth, permit('admin'), async(req, res) => {
+router.put('/projects/:id', auth, permit('admin'), audit('Project'), async(req, res) => {
     try {
         const { name, description, manager, employees } = req.body;
         const project = await Project.findByIdAndUpdate(
@@ -193,7 +203,7 @@ router.put('/projects/:id', auth, permit('admin'), async(req, res) => {
 });
 
 // DELETE project
-router.delete('/projects/:id', auth, permit('admin'), async(req, res) => {
+router.delete('/projects/:id', auth, permit('admin'), audit('Project'), async(req, res) => {
     try {
         const project = await Project.findByIdAndDelete(req.params.id);
         if (!project) return res.status(404).json({ message: 'Project not found' });
@@ -208,7 +218,7 @@ router.delete('/projects/:id', auth, permit('admin'), async(req, res) => {
 });
 
 // ASSIGN employee to project
-router.post('/projects/:id/assign-employee', auth, permit('admin'), async(req, res) => {
+router.post('/projects/:id/assign-employee', auth, permit('admin'), audit('Project', { action: 'assign_employee' }), async(req, res) => {
     try {
         const { employee } = req.body;
         const project = await Project.findById(req.params.id);
@@ -314,6 +324,146 @@ router.delete('/tasks/:id', auth, permit('admin'), async(req, res) => {
     }
 });
 
+// ===== APPROVAL LEVELS =====
+
+const APPROVAL_LEVEL_STATUSES = Timesheet.schema.path('status').enumValues.filter(s => s.startsWith('pending_'));
+
+// List approval levels (optionally for one department)
+router.get('/approval-levels', auth, permit('admin'), async(req, res) => {
+    try {
+        const query = {};
+        if (req.query.department !== undefined) query.department = req.query.department || null;
+        const levels = await ApprovalLevel.find(query).sort({ department: 1, order: 1 });
+        res.json(levels);
+    } catch (e) {
+        console.error('Failed to list approval levels', e);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Preview the effective chain for a department
+router.get('/approval-levels/effective', auth, permit('admin', 'manager'), async(req, res) => {
+    try {
+        const levels = await approvalEngine.getLevelsForDepartment(req.query.department || null);
+        res.json(levels);
+    } catch (e) {
+        console.error('Failed to resolve approval chain', e);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Create approval level
+router.post('/approval-levels', auth, permit('admin'), async(req, res) => {
+    try {
+        const { key, display, role, status, order, department, isActive } = req.body;
+        if (!key || !display || !role || !status) return res.status(400).json({ message: 'key/display/role/status required' });
+        if (!APPROVAL_LEVEL_STATUSES.includes(status)) {
+            return res.status(400).json({ message: `status must be one of: ${APPROVAL_LEVEL_STATUSES.join(', ')}` });
+        }
+
+        const level = await ApprovalLevel.create({
+            key,
+            display,
+            role,
+            status,
+            order: order || 0,
+            department: department || null,
+            isActive: isActive !== undefined ? isActive : true
+        });
+        res.status(201).json(level);
+    } catch (e) {
+        if (e.code === 11000) return res.status(400).json({ message: 'Level key already exists for this department' });
+        console.error('Failed to create approval level', e);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Update approval level
+router.put('/approval-levels/:id', auth, permit('admin'), async(req, res) => {
+    try {
+        const { display, role, status, order, isActive } = req.body;
+        if (status && !APPROVAL_LEVEL_STATUSES.includes(status)) {
+            return res.status(400).json({ message: `status must be one of: ${APPROVAL_LEVEL_STATUSES.join(', ')}` });
+        }
+
+        const level = await ApprovalLevel.findByIdAndUpdate(
+            req.params.id, { display, role, status, order, isActive }, { new: true, omitUndefined: true }
+        );
+        if (!level) return res.status(404).json({ message: 'Approval level not found' });
+        res.json(level);
+    } catch (e) {
+        console.error('Failed to update approval level', e);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Delete approval level
+router.delete('/approval-levels/:id', auth, permit('admin'), async(req, res) => {
+    try {
+        const level = await ApprovalLevel.findByIdAndDelete(req.params.id);
+        if (!level) return res.status(404).json({ message: 'Approval level not found' });
+        res.json({ message: 'Deleted' });
+    } catch (e) {
+        console.error('Failed to delete approval level', e);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// ===== AUDIT LOG =====
+
+// Query audit trail (filter by entity, actor, action and date range)
+router.get('/audit-logs', auth, permit('admin'), async(req, res) => {
+    try {
+        const { entityType, entityId, actor, action, from, to } = req.query;
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+        const skip = Math.max(parseInt(req.query.skip) || 0, 0);
+
+        if (entityId && !mongoose.Types.ObjectId.isValid(entityId)) return res.status(400).json({ message: 'Invalid entityId' });
+        if (actor && !mongoose.Types.ObjectId.isValid(actor)) return res.status(400).json({ message: 'Invalid actor' });
+        if ((from && isNaN(new Date(from).getTime())) || (to && isNaN(new Date(to).getTime()))) {
+            return res.status(400).json({ message: 'Invalid from/to date' });
+        }
+
+        const query = {};
+        if (entityType) query.entityType = entityType;
+        if (entityId) query.entityId = entityId;
+        if (actor) query.actor = actor;
+        if (action) query.action = action;
+        if (from || to) {
+            query.createdAt = {};
+            if (from) query.createdAt.$gte = new Date(from);
+            if (to) {
+                const end = new Date(to);
+                end.setHours(23, 59, 59, 999);
+                query.createdAt.$lte = end;
+            }
+        }
+
+        const [logs, total] = await Promise.all([
+            AuditLog.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit),
+            AuditLog.countDocuments(query)
+        ]);
+
+        res.json({ data: logs, total, limit, skip });
+    } catch (e) {
+        console.error('Failed to query audit logs', e);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Single audit entry
+router.get('/audit-logs/:id', auth, permit('admin'), async(req, res) => {
+    try {
+        const log = await AuditLog.findById(req.params.id).populate('actor', 'name email role');
+        if (!log) return res.status(404).json({ message: 'Audit log entry not found' });
+        res.json(log);
+    } catch (e) {
+        if (e.name === 'CastError') return res.status(400).json({ message: 'Invalid audit log id' });
+        console.error('Failed to get audit log', e);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
 // ===== HOLIDAYS =====
 
 // List holidays
@@ -6,6 +6,8 @@ const Project = require('../models/Project');
 const User = require('../models/User');
 const ProofSubmission = require('../models/ProofSubmission');
 const mongoose = require('mongoose');
+const timeCalculation = require('../services/time-calculation');
+const projectBudget = require('../services/project-budget');
 
 const router = express.Router();
 
@@ -113,9 +115,12 @@ router.get('/chart/daily-trend', auth, permit('employee', 'manager', 'admin'), a
         // Aggregate by date
         const byDate = {};
         timesheets.forEach(ts => {
-            const dateStr = new Date(ts.date).toLocaleDateString();
-            if (!byDate[dateStr]) byDate[dateStr] = 0;
-            byDate[dateStr] += ts.totalHours || 0;
+            // Overnight entries count toward each calendar day they cover
+            timeCalculation.getDayHours(ts).forEach(d => {
+                const dateStr = new Date(d.date).toLocaleDateString();
+                if (!byDate[dateStr]) byDate[dateStr] = 0;
+                byDate[dateStr] += d.hours;
+            });
         });
 
         const data = Object.entries(byDate).map(([date, hours]) => ({
@@ -196,9 +201,11 @@ router.get('/chart/overtime', auth, permit('employee', 'manager', 'admin'), asyn
         const managerId = req.user._id;
         const { from, to } = getDateRange(range);
 
+        // Overtime is computed per entry from the employee's overtime policy
         let query = {
             date: { $gte: from, $lte: to },
-            totalHours: { $gt: 8 } // Overtime threshold
+            overtimeHours: { $gt: 0 },
+            status: { $ne: 'rejected' }
         };
 
         if (req.user.role === 'manager') {
@@ -222,15 +229,22 @@ router.get('/chart/overtime', auth, permit('employee', 'manager', 'admin'), asyn
             if (!byEmployee[empId]) {
                 byEmployee[empId] = {
                     name: ts.employee.name,
-                    overtimeHours: 0
+                    overtimeHours: 0,
+                    weightedOvertimeHours: 0,
+                    unapprovedOvertimeHours: 0
                 };
             }
-            byEmployee[empId].overtimeHours += (ts.totalHours - 8);
+            byEmployee[empId].overtimeHours += ts.overtimeHours || 0;
+            // Entries logged before overtime policies existed have no weighting: count them at 1x
+            byEmployee[empId].weightedOvertimeHours += ts.weightedOvertimeHours !== undefined ? ts.weightedOvertimeHours : (ts.overtimeHours || 0);
+            byEmployee[empId].unapprovedOvertimeHours += ts.unapprovedOvertimeHours || 0;
         });
 
         const data = Object.values(byEmployee).map(e => ({
             name: e.name,
-            overtime: Math.round(e.overtimeHours * 10) / 10
+            overtime: Math.round(e.overtimeHours * 10) / 10,
+            weightedOvertime: Math.round(e.weightedOvertimeHours * 10) / 10,
+            unapprovedOvertime: Math.round(e.unapprovedOvertimeHours * 10) / 10
         }));
 
         res.json({
@@ -320,6 +334,44 @@ router.get('/chart/team-performance', auth, permit('employee', 'manager', 'admin
     }
 });
 
+// 6. PROJECT BUDGET BURN LINE CHART
+// Planned (spread evenly from start to end date) vs actual cumulative burn per week
+router.get('/chart/budget-burn', auth, permit('manager', 'admin'), async(req, res) => {
+    try {
+        const { projectId } = req.query;
+        if (!projectId || !mongoose.Types.ObjectId.isValid(projectId)) {
+            return res.status(400).json({ message: 'Valid projectId required' });
+        }
+
+        const project = await Project.findById(projectId).lean();
+        if (!project) return res.status(404).json({ message: 'Project not found' });
+        if (req.user.role === 'manager' && String(project.manager) !== String(req.user._id)) {
+            return res.status(403).json({ message: 'Not allowed' });
+        }
+
+        const burn = await projectBudget.getBurn(project);
+        const data = burn.weekly.map(w => ({
+            week: timeCalculation.dateKey(w.weekStart),
+            plannedHours: w.plannedHours,
+            actualHours: w.cumulativeHours,
+            plannedCost: w.plannedCost,
+            actualCost: w.cumulativeCost
+        }));
+
+        res.json({
+            type: 'line',
+            title: `Budget Burn - ${project.name}`,
+            data,
+            currency: burn.currency,
+            hours: burn.hours,
+            cost: burn.cost
+        });
+    } catch (err) {
+        console.error('Error:', err);
+        res.status(500).json({ message: 'Failed to fetch budget burn data' });
+    }
+});
+
 // EXPORT: CSV
 router.get('/export/csv', auth, permit('manager', 'admin'), async(req, res) => {
     try {
@@ -8,6 +8,9 @@ const LeaveRequest = require('../models/LeaveRequest');
 const User = require('../models/User');
 const Project = require('../models/Project');
 const { auth, permit } = require('../middleware/auth');
+const workSchedule = require('../services/work-schedule');
+const leaveCalendar = require('../services/leave-calendar');
+const leaveTypes = require('../services/leave-types');
 
 // ===== CREATE NEW ANALYTICS REPORT (Manager or Employee) =====
 router.post('/create', auth, permit('manager', 'employee'), async (req, res) => {
@@ -219,50 +222,77 @@ router.post('/generate/:id', auth, permit('manager'), async (req, res) => {
         }).sort((a, b) => b.completed - a.completed);
 
         // ===== ATTENDANCE ANALYTICS =====
+        // Evaluated per scheduled work day; approved leave and holidays are excused, not absent
         const attendance = await Attendance.find({
             employee: { $in: employeeIds },
             date: { $gte: startDate, $lte: endDate }
         }).populate('employee', 'name');
 
+        const rangeStart = workSchedule.startOfDay(startDate);
+        const lastDay = workSchedule.startOfDay(new Date(Math.min(new Date(endDate).getTime(), Date.now())));
+        const [shiftAssignments, calendar] = await Promise.all([
+            workSchedule.getAssignmentsInRange(employeeIds, rangeStart, lastDay),
+            leaveCalendar.buildCalendar(employeeIds, rangeStart, lastDay)
+        ]);
+
+        const attendedDays = {};
+        attendance.forEach(att => {
+            const empId = String(att.employee._id);
+            attendedDays[empId] = attendedDays[empId] || {};
+            attendedDays[empId][new Date(att.date).toDateString()] = att;
+        });
+
         const attendanceData = {
-            totalDays: attendance.length,
-            presentDays: attendance.filter(a => a.status === 'present' || a.status === 'late').length,
-            absentDays: attendance.filter(a => a.status === 'absent').length,
-            lateDays: attendance.filter(a => a.status === 'late').length,
+            totalDays: 0,
+            presentDays: 0,
+            absentDays: 0,
+            lateDays: 0,
+            excusedDays: 0,
             byEmployee: []
         };
 
-        const attEmpMap = {};
-        attendance.forEach(att => {
-            const empId = String(att.employee._id);
-            if (!attEmpMap[empId]) {
-                attEmpMap[empId] = {
-                    employee: att.employee._id,
-                    name: att.employee.name,
-                    present: 0,
-                    absent: 0,
-                    late: 0
-                };
+        attendanceData.byEmployee = managedEmployees.map(emp => {
+            const empId = String(emp._id);
+            const stats = { employee: emp._id, name: emp.name, present: 0, absent: 0, late: 0, excused: 0 };
+
+            for (const day = new Date(rangeStart); day <= lastDay; day.setDate(day.getDate() + 1)) {
+                const shift = workSchedule.pickShift(shiftAssignments[empId], day);
+                if (!workSchedule.isWorkDay(shift, day)) continue;
+
+                const record = (attendedDays[empId] || {})[day.toDateString()];
+                const dayStatus = leaveCalendar.getDayStatus(calendar, emp._id, day);
+                if (record) {
+                    stats.present++;
+                    if (record.isLate) stats.late++;
+                } else if (dayStatus.excused) {
+                    stats.excused++;
+                } else {
+                    stats.absent++;
+                }
             }
 
-            if (att.status === 'present') attEmpMap[empId].present++;
-            else if (att.status === 'absent') attEmpMap[empId].absent++;
-            else if (att.status === 'late') attEmpMap[empId].late++;
-        });
+            attendanceData.totalDays += stats.present + stats.absent + stats.excused;
+            attendanceData.presentDays += stats.present;
+            attendanceData.absentDays += stats.absent;
+            attendanceData.lateDays += stats.late;
+            attendanceData.excusedDays += stats.excused;
 
-        attendanceData.byEmployee = Object.values(attEmpMap).map(e => {
-            const total = e.present + e.absent + e.late;
+            const expected = stats.present + stats.absent;
             return {
-                ...e,
-                attendanceRate: total > 0 ? (((e.present + e.late) / total) * 100).toFixed(1) : 0
+                ...stats,
+                attendanceRate: expected > 0 ? ((stats.present / expected) * 100).toFixed(1) : 0
             };
         }).sort((a, b) => b.attendanceRate - a.attendanceRate);
 
         // ===== LEAVE ANALYTICS =====
-        const leaves = await LeaveRequest.find({
-            employee: { $in: employeeIds },
-            startDate: { $gte: startDate, $lte: endDate }
-        }).populate('employee', 'name');
+        const [leaves, leaveTypeMap] = await Promise.all([
+            LeaveRequest.find({
+                employee: { $in: employeeIds },
+                fromDate: { $lte: endDate },
+                toDate: { $gte: startDate }
+            }).populate('employee', 'name'),
+            leaveTypes.getTypeMap()
+        ]);
 
         const leaveData = {
             total: leaves.length,
@@ -274,7 +304,7 @@ router.post('/generate/:id', auth, permit('manager'), async (req, res) => {
         };
 
         const leaveEmpMap = {};
-        const leaveTypeMap = {};
+        const leaveByType = {};
 
         leaves.forEach(leave => {
             const empId = String(leave.employee._id);
@@ -288,17 +318,20 @@ router.post('/generate/:id', auth, permit('manager'), async (req, res) => {
             }
             leaveEmpMap[empId].count++;
 
-            const days = Math.ceil((new Date(leave.endDate) - new Date(leave.startDate)) / (1000 * 60 * 60 * 24)) + 1;
+            // Working days charged (hour-based types have totalDays 0)
+            const days = leave.totalDays || 0;
             leaveEmpMap[empId].days += days;
 
-            if (!leaveTypeMap[leave.leaveType]) {
-                leaveTypeMap[leave.leaveType] = 0;
+            if (!leaveByType[leave.leaveType]) {
+                const type = leaveTypeMap[leave.leaveType] || {};
+                leaveByType[leave.leaveType] = { type: leave.leaveType, name: type.name || leave.leaveType, isPaid: type.isPaid !== false, count: 0, days: 0 };
             }
-            leaveTypeMap[leave.leaveType]++;
+            leaveByType[leave.leaveType].count++;
+            leaveByType[leave.leaveType].days += days;
         });
 
         leaveData.byEmployee = Object.values(leaveEmpMap).sort((a, b) => b.days - a.days);
-        leaveData.byType = Object.entries(leaveTypeMap).map(([type, count]) => ({ type, count }));
+        leaveData.byType = Object.values(leaveByType).sort((a, b) => b.count - a.count);
 
         // ===== PERFORMANCE RANKINGS =====
         const rankings = {
@@ -4,22 +4,57 @@ const Attendance = require('../models/Attendance');
 const User = require('../models/User');
 const Notification = require('../models/Notification');
 const { auth, permit } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const workSchedule = require('../services/work-schedule');
+const leaveCalendar = require('../services/leave-calendar');
+const attendanceSettings = require('../config/attendance');
+const missedPunches = require('../services/missed-punches');
+const locationVerification = require('../services/location-verification');
+const punchImport = require('../services/punch-import');
+const { readTable } = require('../utils/tabular-file');
+const { getVisibleEmployeeIds } = require('../services/team');
+
+// Today's open attendance, or yesterday's if it was an overnight shift
+async function findOpenAttendance(employeeId) {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+
+    let attendance = await Attendance.findOne({
+        employee: employeeId,
+        date: today,
+        status: 'checked_in'
+    });
+
+    if (!attendance) {
+        const yesterday = new Date(today);
+        yesterday.setDate(yesterday.getDate() - 1);
+        attendance = await Attendance.findOne({
+            employee: employeeId,
+            date: yesterday,
+            status: 'checked_in',
+            scheduledEnd: { $gte: today }
+        });
+    }
+    return attendance;
+}
 
-// Configuration
-const STANDARD_CHECK_IN_HOUR = 9; // 9:00 AM
-const GRACE_MINUTES = 30; // 30 minutes grace period
-const STANDARD_WORK_HOURS = 8;
-const STANDARD_CHECK_OUT_HOUR = 17; // 5:00 PM
+const withTimeline = a => ({ ...a.toObject(), timeline: a.getTimeline() });
 
 // ===== EMPLOYEE: CHECK-IN =====
 router.post('/check-in', auth, permit('employee', 'manager', 'admin'), async (req, res) => {
     try {
-        const { location, projectId, notes } = req.body;
+        const { projectId, notes } = req.body;
+        const location = req.body.location || 'office';
+
+        if (!['office', 'remote', 'client_site'].includes(location)) {
+            return res.status(400).json({ message: 'Invalid location. Must be one of: office, remote, client_site' });
+        }
 
-        // Check if already checked in today
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
+        // Evaluate against the employee's scheduled shift (overnight shifts belong to the day they start)
+        const checkInTime = new Date();
+        const { date: today, shift, window } = await workSchedule.resolveShiftDay(req.user._id, checkInTime);
 
+        // Check if already checked in for this shift day
         const existingAttendance = await Attendance.findOne({
             employee: req.user._id,
             date: today
@@ -35,41 +70,69 @@ router.post('/check-in', auth, permit('employee', 'manager', 'admin'), async (re
             });
         }
 
-        if (existingAttendance && existingAttendance.status === 'checked_out') {
-            return res.status(400).json({
-                message: 'You have already completed attendance for today',
+        // Confirm the location from the submitted coordinates / request IP
+        let verification;
+        try {
+            verification = await locationVerification.verifyCheckIn({
+                employeeId: req.user._id,
+                location,
+                coordinates: locationVerification.parseCoordinates(req.body),
+                ip: req.ip,
+                date: today
+            });
+        } catch (verifyErr) {
+            if (!verifyErr.status) throw verifyErr;
+            return res.status(verifyErr.status).json({ message: verifyErr.message });
+        }
+
+        // Back from lunch or a client visit: the day gets another session
+        if (existingAttendance && ['checked_out', 'correction_approved'].includes(existingAttendance.status)) {
+            existingAttendance.ensureSessions();
+            existingAttendance.sessions.push({ checkIn: checkInTime, location, verification, notes });
+            existingAttendance.checkOutTime = undefined;
+            existingAttendance.status = 'checked_in';
+            await existingAttendance.save();
+
+            return res.json({
+                message: `Checked in again (session ${existingAttendance.sessions.length})`,
                 data: {
-                    checkInTime: existingAttendance.checkInTime,
-                    checkOutTime: existingAttendance.checkOutTime,
-                    totalHours: existingAttendance.totalHours
+                    attendanceId: existingAttendance._id,
+                    checkInTime,
+                    firstCheckInTime: existingAttendance.checkInTime,
+                    totalHours: existingAttendance.totalHours,
+                    sessions: existingAttendance.sessions.length,
+                    verification,
+                    timeline: existingAttendance.getTimeline()
                 }
             });
         }
 
-        const checkInTime = new Date();
-
         // Create attendance record
         const attendance = new Attendance({
             employee: req.user._id,
             date: today,
             checkInTime,
-            location: location || 'office',
+            location,
+            verification,
             project: projectId || null,
             notes: notes || '',
-            status: 'checked_in'
+            sessions: [{ checkIn: checkInTime, location, verification, notes }],
+            status: 'checked_in',
+            shift: shift._id || undefined,
+            scheduledStart: window.start,
+            scheduledEnd: window.end,
+            scheduledHours: workSchedule.getScheduledHours(shift),
+            isScheduledWorkDay: workSchedule.isWorkDay(shift, today)
         });
 
-        // Check if late
-        const isLate = attendance.checkIfLate(GRACE_MINUTES);
+        // Check if late (only on scheduled work days)
+        const isLate = attendance.isScheduledWorkDay && attendance.checkIfLate(shift.graceMinutes);
 
         await attendance.save();
 
         // Notify if late
         if (isLate) {
-            const lateMinutes = Math.floor(
-                (checkInTime.getHours() * 60 + checkInTime.getMinutes()) -
-                (STANDARD_CHECK_IN_HOUR * 60 + GRACE_MINUTES)
-            );
+            const lateMinutes = attendance.lateMinutes;
 
             await Notification.create({
                 user: req.user._id,
@@ -108,7 +171,14 @@ router.post('/check-in', auth, permit('employee', 'manager', 'admin'), async (re
                 attendanceId: attendance._id,
                 checkInTime: attendance.checkInTime,
                 isLate: attendance.isLate,
-                location: attendance.location
+                lateMinutes: attendance.lateMinutes,
+                location: attendance.location,
+                verification,
+                shift: {
+                    name: shift.name,
+                    scheduledStart: attendance.scheduledStart,
+                    scheduledEnd: attendance.scheduledEnd
+                }
             }
         });
 
@@ -123,15 +193,7 @@ router.post('/check-out', auth, permit('employee', 'manager', 'admin'), async (r
     try {
         const { notes } = req.body;
 
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-
-        // Find today's attendance
-        const attendance = await Attendance.findOne({
-            employee: req.user._id,
-            date: today,
-            status: 'checked_in'
-        });
+        const attendance = await findOpenAttendance(req.user._id);
 
         if (!attendance) {
             return res.status(400).json({
@@ -139,8 +201,13 @@ router.post('/check-out', auth, permit('employee', 'manager', 'admin'), async (r
             });
         }
 
-        // Update check-out time
-        attendance.checkOutTime = new Date();
+        // Update check-out time, closing the open session and any break left running
+        const checkOutTime = new Date();
+        const openBreak = attendance.getOpenBreak();
+        if (openBreak) openBreak.end = checkOutTime;
+        const openSession = attendance.getOpenSession();
+        if (openSession) openSession.checkOut = checkOutTime;
+        attendance.checkOutTime = checkOutTime;
         attendance.status = 'checked_out';
         if (notes) {
             attendance.notes = attendance.notes ? `${attendance.notes} | ${notes}` : notes;
@@ -161,7 +228,7 @@ router.post('/check-out', auth, permit('employee', 'manager', 'admin'), async (r
                     attendanceId: attendance._id,
                     totalHours: attendance.totalHours,
                     overtimeHours: attendance.overtimeHours,
-                    date: today
+                    date: attendance.date
                 }
             });
         }
@@ -175,7 +242,10 @@ router.post('/check-out', auth, permit('employee', 'manager', 'admin'), async (r
                 totalHours: attendance.totalHours,
                 overtimeHours: attendance.overtimeHours,
                 isEarly: attendance.isEarly,
-                isLate: attendance.isLate
+                earlyMinutes: attendance.earlyMinutes,
+                isLate: attendance.isLate,
+                unpaidBreakMinutes: Math.round(attendance.getUnpaidBreakMinutes()),
+                timeline: attendance.getTimeline()
             }
         });
 
@@ -185,6 +255,90 @@ router.post('/check-out', auth, permit('employee', 'manager', 'admin'), async (r
     }
 });
 
+// ===== EMPLOYEE: START BREAK =====
+router.post('/break/start', auth, permit('employee', 'manager', 'admin'), async (req, res) => {
+    try {
+        const { type, notes } = req.body;
+
+        if (!attendanceSettings.breakTypes.includes(type)) {
+            return res.status(400).json({
+                message: `Invalid break type. Must be one of: ${attendanceSettings.breakTypes.join(', ')}`
+            });
+        }
+
+        const attendance = await findOpenAttendance(req.user._id);
+        if (!attendance) {
+            return res.status(400).json({
+                message: 'No active check-in found for today. Please check in first.'
+            });
+        }
+
+        const openBreak = attendance.getOpenBreak();
+        if (openBreak) {
+            return res.status(400).json({
+                message: `You are already on a ${openBreak.type.replace('_', ' ')} break`,
+                data: { breakStart: openBreak.start }
+            });
+        }
+
+        attendance.ensureSessions();
+        attendance.breaks.push({
+            type,
+            start: new Date(),
+            paid: attendanceSettings.paidBreakTypes.includes(type),
+            notes
+        });
+        await attendance.save();
+
+        const started = attendance.breaks[attendance.breaks.length - 1];
+        res.json({
+            message: 'Break started',
+            data: {
+                attendanceId: attendance._id,
+                breakId: started._id,
+                type: started.type,
+                paid: started.paid,
+                start: started.start
+            }
+        });
+
+    } catch (err) {
+        console.error('Start break error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// ===== EMPLOYEE: END BREAK =====
+router.post('/break/end', auth, permit('employee', 'manager', 'admin'), async (req, res) => {
+    try {
+        const attendance = await findOpenAttendance(req.user._id);
+        const openBreak = attendance && attendance.getOpenBreak();
+        if (!openBreak) {
+            return res.status(400).json({ message: 'You are not on a break' });
+        }
+
+        openBreak.end = new Date();
+        await attendance.save();
+
+        res.json({
+            message: 'Break ended',
+            data: {
+                attendanceId: attendance._id,
+                breakId: openBreak._id,
+                type: openBreak.type,
+                paid: openBreak.paid,
+                start: openBreak.start,
+                end: openBreak.end,
+                minutes: Math.round((openBreak.end - openBreak.start) / (60 * 1000))
+            }
+        });
+
+    } catch (err) {
+        console.error('End break error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
 // ===== GET MY ATTENDANCE HISTORY =====
 router.get('/my-attendance', auth, permit('employee', 'manager', 'admin'), async (req, res) => {
     try {
@@ -223,7 +377,7 @@ router.get('/my-attendance', auth, permit('employee', 'manager', 'admin'), async
 
         res.json({
             message: 'Attendance history retrieved successfully',
-            data: attendanceRecords,
+            data: attendanceRecords.map(withTimeline),
             stats
         });
 
@@ -272,7 +426,7 @@ router.get('/:employeeId', auth, permit('manager', 'admin'), async (req, res) =>
 
         res.json({
             message: 'Employee attendance retrieved successfully',
-            data: attendanceRecords,
+            data: attendanceRecords.map(withTimeline),
             stats
         });
 
@@ -333,27 +487,48 @@ router.get('/team/all', auth, permit('manager', 'admin'), async (req, res) => {
             _id: { $nin: checkedInEmployees }
         }).select('name email role');
 
-        const absentEmployees = allEmployees.map(emp => ({
-            employee: emp,
-            status: 'absent',
-            date: targetStart
-        }));
+        // Employees on approved leave (or everyone, on a holiday) are excused, not absent
+        const calendar = await leaveCalendar.buildCalendar(allEmployees.map(e => e._id), targetStart, targetStart);
+        const absentEmployees = [];
+        const excusedEmployees = [];
+        allEmployees.forEach(emp => {
+            const dayStatus = leaveCalendar.getDayStatus(calendar, emp._id, targetStart);
+            if (dayStatus.excused) {
+                excusedEmployees.push({
+                    employee: emp,
+                    status: dayStatus.onLeave ? 'on_leave' : dayStatus.holiday ? 'holiday' : 'remote',
+                    leaveTypes: dayStatus.leaveTypes,
+                    holiday: dayStatus.holiday,
+                    date: targetStart
+                });
+            } else {
+                absentEmployees.push({
+                    employee: emp,
+                    status: 'absent',
+                    date: targetStart
+                });
+            }
+        });
 
         const summary = {
-            totalEmployees: attendanceRecords.length + absentEmployees.length,
+            totalEmployees: attendanceRecords.length + absentEmployees.length + excusedEmployees.length,
             present: attendanceRecords.length,
             absent: absentEmployees.length,
+            excused: excusedEmployees.length,
             late: attendanceRecords.filter(a => a.isLate).length,
             onTime: attendanceRecords.filter(a => !a.isLate).length,
             checkedOut: attendanceRecords.filter(a => a.status === 'checked_out').length,
-            stillWorking: attendanceRecords.filter(a => a.status === 'checked_in').length
+            stillWorking: attendanceRecords.filter(a => a.status === 'checked_in').length,
+            onBreak: attendanceRecords.filter(a => a.status === 'checked_in' && a.getOpenBreak()).length,
+            unverifiedOffice: attendanceRecords.filter(a => a.hasUnverifiedOffice()).length
         };
 
         res.json({
             message: 'Team attendance retrieved successfully',
             data: {
-                present: attendanceRecords,
-                absent: absentEmployees
+                present: attendanceRecords.map(a => ({ ...withTimeline(a), unverifiedOffice: a.hasUnverifiedOffice() })),
+                absent: absentEmployees,
+                excused: excusedEmployees
             },
             summary
         });
@@ -365,7 +540,7 @@ router.get('/team/all', auth, permit('manager', 'admin'), async (req, res) => {
 });
 
 // ===== REQUEST ATTENDANCE CORRECTION =====
-router.post('/correction/:attendanceId', auth, permit('employee', 'manager', 'admin'), async (req, res) => {
+router.post('/correction/:attendanceId', auth, permit('employee', 'manager', 'admin'), audit('Attendance', { action: 'correction_request' }), async (req, res) => {
     try {
         const { attendanceId } = req.params;
         const { reason, requestedCheckIn, requestedCheckOut } = req.body;
@@ -432,7 +607,7 @@ router.post('/correction/:attendanceId', auth, permit('employee', 'manager', 'ad
 });
 
 // ===== APPROVE/REJECT ATTENDANCE CORRECTION =====
-router.put('/correction/:attendanceId', auth, permit('manager', 'admin'), async (req, res) => {
+router.put('/correction/:attendanceId', auth, permit('manager', 'admin'), audit('Attendance', { action: 'correction_review' }), async (req, res) => {
     try {
         const { attendanceId } = req.params;
         const { action } = req.body; // 'approve' or 'reject'
@@ -456,8 +631,7 @@ router.put('/correction/:attendanceId', auth, permit('manager', 'admin'), async
 
         if (action === 'approve') {
             // Apply corrections
-            attendance.checkInTime = attendance.correctionRequest.requestedCheckIn;
-            attendance.checkOutTime = attendance.correctionRequest.requestedCheckOut;
+            attendance.applyCorrection(attendance.correctionRequest.requestedCheckIn, attendance.correctionRequest.requestedCheckOut);
             attendance.correctionRequest.status = 'approved';
             attendance.correctionRequest.approvedBy = req.user._id;
             attendance.correctionRequest.approvedAt = new Date();
@@ -525,6 +699,93 @@ router.put('/correction/:attendanceId', auth, permit('manager', 'admin'), async
     }
 });
 
+// ===== MISSED PUNCH REPORT (Manager/Admin) =====
+// Auto-closed check-outs per employee: ?from&to&employeeId&minCount
+router.get('/missed-punches/report', auth, permit('manager', 'admin'), async (req, res) => {
+    try {
+        const { employeeId } = req.query;
+        const to = req.query.to ? new Date(req.query.to) : new Date();
+        const from = req.query.from ? new Date(req.query.from) :
+            new Date(to.getTime() - attendanceSettings.missedPunchWindowDays * 24 * 60 * 60 * 1000);
+        if (isNaN(from.getTime()) || isNaN(to.getTime()) || to < from) {
+            return res.status(400).json({ message: 'Invalid date range' });
+        }
+
+        const visible = await getVisibleEmployeeIds(req.user);
+        let employeeIds = visible;
+        if (employeeId) {
+            if (visible !== null && !visible.includes(String(employeeId))) {
+                return res.status(403).json({ message: 'You can only view missed punches of your team' });
+            }
+            employeeIds = [employeeId];
+        }
+
+        const report = await missedPunches.getReport({
+            from,
+            to,
+            employeeIds,
+            minCount: parseInt(req.query.minCount) || 1
+        });
+
+        res.json({
+            message: 'Missed punch report retrieved successfully',
+            data: report
+        });
+
+    } catch (err) {
+        console.error('Missed punch report error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// ===== RUN AUTO CHECK-OUT NOW (Admin) =====
+// The server also runs it every sweepIntervalMinutes (config/attendance.js)
+router.post('/missed-punches/sweep', auth, permit('admin'), audit('Attendance', { action: 'auto_checkout' }), async (req, res) => {
+    try {
+        const closed = await missedPunches.autoCloseStale();
+
+        res.json({
+            message: `Checked out ${closed} forgotten attendance record(s)`,
+            data: { closed }
+        });
+
+    } catch (err) {
+        console.error('Auto check-out error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// ===== IMPORT DEVICE PUNCHES (Admin) =====
+// { fileName, format: csv|xlsx, content (CSV text or base64 XLSX), mapping,
+//   dateOrder: DMY|MDY, onConflict: skip|replace, dryRun (default true) }
+router.post('/import', auth, permit('admin'), audit('Attendance', { action: 'import' }), async (req, res) => {
+    try {
+        const { fileName, format, content, mapping, dateOrder, onConflict } = req.body;
+        const dryRun = req.body.dryRun !== false;
+
+        let report;
+        try {
+            const { rows } = await readTable({ format, fileName, content });
+            report = await punchImport.importPunches({ rows, mapping, dateOrder, onConflict, dryRun, fileName });
+        } catch (importErr) {
+            if (!importErr.status) throw importErr;
+            return res.status(importErr.status).json({ message: importErr.message });
+        }
+
+        const { totals } = report;
+        res.json({
+            message: dryRun ?
+                `Dry run: ${totals.created} day(s) to create, ${totals.replaced} to replace, ${totals.conflicts} conflict(s), ${totals.unmatched} unmatched row(s)` :
+                `Imported punches: ${totals.created} day(s) created, ${totals.replaced} replaced, ${totals.skipped} skipped`,
+            data: report
+        });
+
+    } catch (err) {
+        console.error('Import punches error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
 // ===== GET ATTENDANCE ANALYTICS (Admin) =====
 router.get('/analytics/summary', auth, permit('admin', 'manager'), async (req, res) => {
     try {
@@ -544,15 +805,25 @@ router.get('/analytics/summary', auth, permit('admin', 'manager'), async (req, r
         }
 
         const records = await Attendance.find(query).populate('employee', 'name');
+        const lateRecords = records.filter(r => r.isLate);
 
         const analytics = {
             totalRecords: records.length,
             uniqueEmployees: [...new Set(records.map(r => r.employee._id.toString()))].length,
             totalHoursWorked: Math.round(records.reduce((sum, r) => sum + (r.totalHours || 0), 0) * 100) / 100,
             totalOvertimeHours: Math.round(records.reduce((sum, r) => sum + (r.overtimeHours || 0), 0) * 100) / 100,
-            lateCheckIns: records.filter(r => r.isLate).length,
+            lateCheckIns: lateRecords.length,
             earlyCheckOuts: records.filter(r => r.isEarly).length,
+            averageLateMinutes: lateRecords.length > 0 ?
+                Math.round(lateRecords.reduce((sum, r) => sum + (r.lateMinutes || 0), 0) / lateRecords.length) : 0,
             averageHoursPerDay: 0,
+            scheduledHours: 0,
+            scheduleAdherence: 0,
+            scheduledWorkDays: 0,
+            excusedDays: 0,
+            leaveDays: 0,
+            holidayDays: 0,
+            absentDays: 0,
             attendanceRate: 0
         };
 
@@ -560,6 +831,52 @@ router.get('/analytics/summary', auth, permit('admin', 'manager'), async (req, r
             analytics.averageHoursPerDay = Math.round((analytics.totalHoursWorked / analytics.totalRecords) * 100) / 100;
         }
 
+        // Compare against each employee's scheduled shifts
+        const rangeStart = workSchedule.startOfDay(query.date.$gte);
+        const rangeEnd = query.date.$lte ? workSchedule.startOfDay(query.date.$lte) : workSchedule.startOfDay(new Date());
+        const employees = await User.find({ role: { $in: ['employee', 'manager'] }, isActive: { $ne: false } }).select('_id');
+        const assignments = await workSchedule.getAssignmentsInRange(employees.map(e => e._id), rangeStart, rangeEnd);
+
+        // Leave and holidays are excused; half days and PERMISSION hours reduce the expected hours
+        const calendar = await leaveCalendar.buildCalendar(employees.map(e => e._id), rangeStart, rangeEnd);
+
+        let scheduledHours = 0;
+        let scheduledWorkDays = 0;
+        let excusedDays = 0;
+        let leaveDays = 0;
+        let holidayDays = 0;
+        employees.forEach(emp => {
+            for (const day = new Date(rangeStart); day <= rangeEnd; day.setDate(day.getDate() + 1)) {
+                const shift = workSchedule.pickShift(assignments[String(emp._id)], day);
+                if (!workSchedule.isWorkDay(shift, day)) continue;
+                scheduledWorkDays++;
+
+                const dayStatus = leaveCalendar.getDayStatus(calendar, emp._id, day);
+                scheduledHours += leaveCalendar.getExpectedHours(dayStatus, workSchedule.getScheduledHours(shift));
+                if (dayStatus.excused) excusedDays++;
+                if (dayStatus.onLeave) leaveDays++;
+                else if (dayStatus.halfDay) leaveDays += 0.5;
+                else if (dayStatus.holiday) holidayDays++;
+            }
+        });
+
+        // Showing up on an excused day (e.g. WFH, worked holiday) still counts as present
+        const presentWorkDays = records.filter(r => r.isScheduledWorkDay !== false &&
+            !leaveCalendar.getDayStatus(calendar, r.employee._id, r.date).excused).length;
+        const expectedWorkDays = scheduledWorkDays - excusedDays;
+        analytics.scheduledHours = Math.round(scheduledHours * 100) / 100;
+        analytics.scheduledWorkDays = scheduledWorkDays;
+        analytics.excusedDays = excusedDays;
+        analytics.leaveDays = leaveDays;
+        analytics.holidayDays = holidayDays;
+        analytics.absentDays = Math.max(0, expectedWorkDays - presentWorkDays);
+        if (scheduledHours > 0) {
+            analytics.scheduleAdherence = Math.round((analytics.totalHoursWorked / scheduledHours) * 10000) / 100;
+        }
+        if (expectedWorkDays > 0) {
+            analytics.attendanceRate = Math.round((presentWorkDays / expectedWorkDays) * 10000) / 100;
+        }
+
         res.json({
             message: 'Attendance analytics retrieved successfully',
             data: analytics
@@ -655,7 +972,7 @@ router.get('/corrections/pending', auth, permit('admin', 'manager'), async (req,
 });
 
 // ===== APPROVE CORRECTION REQUEST =====
-router.post('/corrections/:id/approve', auth, permit('admin', 'manager'), async (req, res) => {
+router.post('/corrections/:id/approve', auth, permit('admin', 'manager'), audit('Attendance', { action: 'correction_approve' }), async (req, res) => {
     try {
         const attendance = await Attendance.findById(req.params.id);
 
@@ -668,12 +985,7 @@ router.post('/corrections/:id/approve', auth, permit('admin', 'manager'), async
         }
 
         // Apply the correction
-        if (attendance.correctionRequest.requestedCheckIn) {
-            attendance.checkInTime = attendance.correctionRequest.requestedCheckIn;
-        }
-        if (attendance.correctionRequest.requestedCheckOut) {
-            attendance.checkOutTime = attendance.correctionRequest.requestedCheckOut;
-        }
+        attendance.applyCorrection(attendance.correctionRequest.requestedCheckIn, attendance.correctionRequest.requestedCheckOut);
 
         attendance.correctionRequest.status = 'approved';
         attendance.correctionRequest.approvedBy = req.user._id;
@@ -705,7 +1017,7 @@ router.post('/corrections/:id/approve', auth, permit('admin', 'manager'), async
 });
 
 // ===== REJECT CORRECTION REQUEST =====
-router.post('/corrections/:id/reject', auth, permit('admin', 'manager'), async (req, res) => {
+router.post('/corrections/:id/reject', auth, permit('admin', 'manager'), audit('Attendance', { action: 'correction_reject' }), async (req, res) => {
     try {
         const { reason } = req.body;
         const attendance = await Attendance.findById(req.params.id);
@@ -8,6 +8,7 @@ const Project = require('../models/Project');
 const Attendance = require('../models/Attendance');
 const Leave = require('../models/LeaveRequest');
 const cacheManager = require('../utils/cache-manager');
+const timeCalculation = require('../services/time-calculation');
 
 // Groq API configuration
 const GROQ_API_KEY = process.env.GROQ_API_KEY;
@@ -43,7 +44,7 @@ async function getLoggedHours(userId, period = 'week') {
         const totalHours = timesheets.reduce((sum, ts) => sum + (ts.totalHours || 0), 0);
         const overtimeHours = timesheets.reduce((sum, ts) => sum + (ts.overtimeHours || 0), 0);
         const pendingCount = timesheets.filter(ts => ts.status === 'pending').length;
-        const approvedCount = timesheets.filter(ts => ts.status === 'approved').length;
+        const approvedCount = timesheets.filter(ts => ts.status === 'approved' || ts.status === 'approved_final').length;
 
         return {
             period,
@@ -419,8 +420,10 @@ async function checkMissingHours(userId, period = 'week') {
         // Find days with no entries or low hours
         const daysMap = {};
         timesheets.forEach(ts => {
-            const dateKey = new Date(ts.date).toDateString();
-            daysMap[dateKey] = (daysMap[dateKey] || 0) + (ts.totalHours || 0);
+            timeCalculation.getDayHours(ts).forEach(d => {
+                const dateKey = new Date(d.date).toDateString();
+                daysMap[dateKey] = (daysMap[dateKey] || 0) + d.hours;
+            });
         });
 
         const missingDays = [];
@@ -664,8 +667,10 @@ async function checkOvertimeLimits(userId, period = 'month') {
         let totalOvertime = 0;
 
         timesheets.forEach(ts => {
-            const dateKey = new Date(ts.date).toDateString();
-            dailyHours[dateKey] = (dailyHours[dateKey] || 0) + (ts.totalHours || 0);
+            timeCalculation.getDayHours(ts).forEach(d => {
+                const dateKey = new Date(d.date).toDateString();
+                dailyHours[dateKey] = (dailyHours[dateKey] || 0) + d.hours;
+            });
             totalOvertime += (ts.overtimeHours || 0);
         });
 
@@ -0,0 +1,119 @@
+const express = require('express');
+const router = express.Router();
+const Client = require('../models/Client');
+const Project = require('../models/Project');
+const { auth, permit } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+
+const CLIENT_FIELDS = [
+    'name', 'code', 'contactName', 'email', 'phone', 'billingAddress', 'currency', 'paymentTermsDays', 'taxRate', 'isActive'
+];
+
+function pickClientFields(body) {
+    const data = {};
+    CLIENT_FIELDS.forEach(f => {
+        if (body[f] !== undefined) data[f] = body[f];
+    });
+    return data;
+}
+
+// ===== LIST CLIENTS (Manager/Admin) =====
+router.get('/', auth, permit('manager', 'admin'), async(req, res) => {
+    try {
+        const query = req.query.includeInactive === 'true' ? {} : { isActive: true };
+        const clients = await Client.find(query).sort({ name: 1 }).lean();
+
+        // Projects per client, for the client list
+        const counts = await Project.aggregate([
+            { $match: { client: { $in: clients.map(c => c._id) } } },
+            { $group: { _id: '$client', projects: { $sum: 1 } } }
+        ]);
+        const projectsByClient = {};
+        counts.forEach(c => { projectsByClient[String(c._id)] = c.projects; });
+
+        res.json({
+            message: 'Clients retrieved successfully',
+            data: clients.map(c => ({ ...c, projectCount: projectsByClient[String(c._id)] || 0 }))
+        });
+    } catch (err) {
+        console.error('Get clients error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// ===== GET CLIENT WITH PROJECTS (Manager/Admin) =====
+router.get('/:id', auth, permit('manager', 'admin'), async(req, res) => {
+    try {
+        const client = await Client.findById(req.params.id);
+        if (!client) return res.status(404).json({ message: 'Client not found' });
+        const projects = await Project.find({ client: client._id }).select('name status billable manager').populate('manager', 'name email');
+
+        res.json({
+            message: 'Client retrieved successfully',
+            data: { ...client.toObject(), projects }
+        });
+    } catch (err) {
+        if (err.name === 'CastError') return res.status(400).json({ message: 'Invalid client id' });
+        console.error('Get client error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// ===== CREATE CLIENT (Admin) =====
+router.post('/', auth, permit('admin'), audit('Client'), async(req, res) => {
+    try {
+        const data = pickClientFields(req.body);
+        if (!data.name) {
+            return res.status(400).json({ message: 'Missing required field: name' });
+        }
+
+        const client = await Client.create({ ...data, createdBy: req.user._id });
+
+        res.status(201).json({
+            message: 'Client created successfully',
+            data: client
+        });
+    } catch (err) {
+        if (err.code === 11000) return res.status(400).json({ message: 'A client with this name already exists' });
+        if (err.name === 'ValidationError') return res.status(400).json({ message: err.message });
+        console.error('Create client error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// ===== UPDATE CLIENT (Admin) =====
+router.put('/:id', auth, permit('admin'), audit('Client'), async(req, res) => {
+    try {
+        const client = await Client.findById(req.params.id);
+        if (!client) return res.status(404).json({ message: 'Client not found' });
+
+        Object.assign(client, pickClientFields(req.body));
+        await client.save();
+
+        res.json({
+            message: 'Client updated successfully',
+            data: client
+        });
+    } catch (err) {
+        if (err.code === 11000) return res.status(400).json({ message: 'A client with this name already exists' });
+        if (err.name === 'ValidationError' || err.name === 'CastError') return res.status(400).json({ message: err.message });
+        console.error('Update client error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// ===== DEACTIVATE CLIENT (Admin) =====
+router.delete('/:id', auth, permit('admin'), audit('Client'), async(req, res) => {
+    try {
+        // Soft delete: projects and invoices keep referencing the client
+        const client = await Client.findByIdAndUpdate(req.params.id, { isActive: false }, { new: true });
+        if (!client) return res.status(404).json({ message: 'Client not found' });
+
+        res.json({ message: 'Client deactivated successfully' });
+    } catch (err) {
+        console.error('Delete client error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,152 @@
+const express = require('express');
+const router = express.Router();
+const CompOffCredit = require('../models/CompOffCredit');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { auth, permit } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const compOff = require('../services/comp-off');
+const { getVisibleEmployeeIds } = require('../services/team');
+
+// Managers act on their team's credits (everyone when no team is configured)
+async function canManage(user, employeeId) {
+    if (String(employeeId) === String(user._id) && user.role !== 'admin') return false;
+    const visible = await getVisibleEmployeeIds(user);
+    return visible === null || visible.includes(String(employeeId));
+}
+
+// ===== MY COMP-OFF CREDITS =====
+router.get('/my', auth, permit('employee', 'manager', 'admin'), async(req, res) => {
+    try {
+        // Summary first: it marks lapsed credits as expired
+        const summary = await compOff.getSummary(req.user._id);
+        const credits = await CompOffCredit.find({ employee: req.user._id })
+            .populate('decidedBy', 'name email')
+            .populate('usage.leaveRequest', 'fromDate toDate status')
+            .sort({ workDate: -1 });
+
+        res.json({
+            message: 'Comp-off credits retrieved successfully',
+            data: credits,
+            summary
+        });
+    } catch (err) {
+        console.error('Get my comp-off credits error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// ===== LIST COMP-OFF CREDITS (Manager/Admin) =====
+// ?status&employeeId&from&to (workDate)
+router.get('/', auth, permit('manager', 'admin'), async(req, res) => {
+    try {
+        const { status, employeeId, from, to } = req.query;
+        await compOff.expireCredits();
+
+        const query = {};
+        const visible = await getVisibleEmployeeIds(req.user);
+        if (employeeId) {
+            if (visible !== null && !visible.includes(String(employeeId))) {
+                return res.status(403).json({ message: 'You can only view comp-off credits of your team' });
+            }
+            query.employee = employeeId;
+        } else if (visible !== null) {
+            query.employee = { $in: visible };
+        }
+        if (status) query.status = status;
+        if (from || to) {
+            query.workDate = {};
+            if (from) query.workDate.$gte = new Date(from);
+            if (to) query.workDate.$lte = new Date(to);
+        }
+
+        const credits = await CompOffCredit.find(query)
+            .populate('employee', 'name email department')
+            .populate('decidedBy', 'name email')
+            .sort({ status: 1, workDate: -1 });
+
+        res.json({
+            message: 'Comp-off credits retrieved successfully',
+            data: credits
+        });
+    } catch (err) {
+        console.error('List comp-off credits error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// ===== APPROVE/REJECT COMP-OFF CREDIT (Manager/Admin) =====
+router.put('/:id/decision', auth, permit('manager', 'admin'), audit('CompOffCredit', { action: 'approval' }), async(req, res) => {
+    try {
+        const { approve, comments } = req.body;
+        const credit = await CompOffCredit.findById(req.params.id);
+        if (!credit) return res.status(404).json({ message: 'Comp-off credit not found' });
+
+        if (!(await canManage(req.user, credit.employee))) {
+            return res.status(403).json({ message: 'You cannot decide on this comp-off credit' });
+        }
+
+        try {
+            await compOff.decide(credit, { approver: req.user, approve: !!approve, comments });
+        } catch (decisionErr) {
+            return res.status(decisionErr.status || 400).json({ message: decisionErr.message });
+        }
+
+        await Notification.create({
+            user: credit.employee,
+            type: approve ? 'comp_off_approved' : 'comp_off_rejected',
+            title: approve ? '✅ Comp-off Granted' : '❌ Comp-off Not Granted',
+            body: approve ?
+                `${credit.days} comp-off day(s) for ${credit.workDate.toDateString()} were granted by ${req.user.name}. Use them before ${credit.expiresAt.toDateString()}.` :
+                `Your comp-off for ${credit.workDate.toDateString()} was not granted${comments ? `: ${comments}` : ''}`,
+            meta: {
+                creditId: credit._id,
+                workDate: credit.workDate,
+                days: credit.days,
+                expiresAt: credit.expiresAt,
+                decidedBy: req.user._id,
+                comments
+            }
+        });
+
+        res.json({
+            message: approve ? 'Comp-off credit approved' : 'Comp-off credit rejected',
+            data: credit
+        });
+    } catch (err) {
+        console.error('Comp-off decision error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// ===== RECALCULATE CREDITS (Admin) =====
+// Backfill from approved timesheets: { from, to, employeeId? }
+router.post('/sync', auth, permit('admin'), audit('CompOffCredit', { action: 'sync' }), async(req, res) => {
+    try {
+        const { from, to, employeeId } = req.body;
+        if (!from || !to) return res.status(400).json({ message: 'Missing required fields: from, to' });
+
+        const fromDate = new Date(from);
+        const toDate = new Date(to);
+        if (isNaN(fromDate.getTime()) || isNaN(toDate.getTime()) || toDate < fromDate) {
+            return res.status(400).json({ message: 'Invalid date range' });
+        }
+        if ((toDate - fromDate) / (24 * 60 * 60 * 1000) > 366) {
+            return res.status(400).json({ message: 'Date range cannot exceed a year' });
+        }
+
+        const employeeIds = employeeId ? [employeeId] :
+            (await User.find({ role: { $in: ['employee', 'manager'] }, isActive: { $ne: false } }).select('_id').lean()).map(u => String(u._id));
+        const created = await compOff.syncRange(employeeIds, fromDate, toDate);
+
+        res.json({
+            message: `Created ${created.length} comp-off credits`,
+            data: created
+        });
+    } catch (err) {
+        console.error('Comp-off sync error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+module.exports = router;
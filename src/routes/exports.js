@@ -7,6 +7,8 @@ const Attendance = require('../models/Attendance');
 const LeaveRequest = require('../models/LeaveRequest');
 const User = require('../models/User');
 const { auth, permit } = require('../middleware/auth');
+const reconciliation = require('../services/reconciliation');
+const leaveTypes = require('../services/leave-types');
 
 // Helper function to build query from filters
 function buildQuery(filters) {
@@ -382,10 +384,122 @@ router.get('/attendance/xlsx', auth, permit('manager', 'admin'), async(req, res)
     }
 });
 
+// ===== EXPORT ATTENDANCE/TIMESHEET RECONCILIATION AS CSV =====
+router.get('/reconciliation/csv', auth, permit('manager', 'admin'), async(req, res) => {
+    try {
+        let options;
+        try {
+            options = await reconciliation.resolveOptions(req.user, req.query);
+        } catch (err) {
+            return res.status(err.status || 400).json({ message: err.message });
+        }
+
+        const { rows } = await reconciliation.reconcile(options);
+
+        let csv = 'Date,Employee,Email,Department,Check In/Out,Attended Hours,Timesheet Hours,Difference,Entries,Flags\n';
+
+        rows.forEach(r => {
+            csv += `"${new Date(r.date).toLocaleDateString()}","${r.employeeName || 'N/A'}","${r.employeeEmail || 'N/A'}","${r.department || 'N/A'}","${r.checkIns.map(c => c.label).join(' ') || 'N/A'}","${r.attendedHours}","${r.timesheetHours}","${r.differenceHours}","${r.entries.length}","${r.flags.map(f => f.message.replace(/"/g, "'")).join('; ')}"\n`;
+        });
+
+        const filename = `reconciliation_${Date.now()}.csv`;
+
+        res.setHeader('Content-Type', 'text/csv');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        res.send(csv);
+
+    } catch (err) {
+        console.error('Export reconciliation CSV error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// ===== EXPORT ATTENDANCE/TIMESHEET RECONCILIATION AS XLSX =====
+router.get('/reconciliation/xlsx', auth, permit('manager', 'admin'), async(req, res) => {
+    try {
+        let options;
+        try {
+            options = await reconciliation.resolveOptions(req.user, req.query);
+        } catch (err) {
+            return res.status(err.status || 400).json({ message: err.message });
+        }
+
+        const { rows, summary } = await reconciliation.reconcile(options);
+
+        const workbook = new ExcelJS.Workbook();
+        const worksheet = workbook.addWorksheet('Reconciliation');
+
+        worksheet.columns = [
+            { header: 'Date', key: 'date', width: 15 },
+            { header: 'Employee', key: 'employee', width: 25 },
+            { header: 'Email', key: 'email', width: 30 },
+            { header: 'Department', key: 'department', width: 20 },
+            { header: 'Check In/Out', key: 'checkIns', width: 20 },
+            { header: 'Attended Hours', key: 'attendedHours', width: 15 },
+            { header: 'Timesheet Hours', key: 'timesheetHours', width: 15 },
+            { header: 'Difference', key: 'differenceHours', width: 12 },
+            { header: 'Entries', key: 'entries', width: 10 },
+            { header: 'Flags', key: 'flags', width: 60 }
+        ];
+
+        worksheet.getRow(1).font = { bold: true };
+        worksheet.getRow(1).fill = {
+            type: 'pattern',
+            pattern: 'solid',
+            fgColor: { argb: 'FF4A90E2' }
+        };
+
+        rows.forEach(r => {
+            const row = worksheet.addRow({
+                date: new Date(r.date).toLocaleDateString(),
+                employee: r.employeeName || 'N/A',
+                email: r.employeeEmail || 'N/A',
+                department: r.department || 'N/A',
+                checkIns: r.checkIns.map(c => c.label).join(' ') || 'N/A',
+                attendedHours: r.attendedHours,
+                timesheetHours: r.timesheetHours,
+                differenceHours: r.differenceHours,
+                entries: r.entries.length,
+                flags: r.flags.map(f => f.message).join('; ')
+            });
+            if (r.flags.length) {
+                row.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFFF3CD' } };
+            }
+        });
+
+        const summarySheet = workbook.addWorksheet('Summary');
+        summarySheet.columns = [
+            { header: 'Metric', key: 'metric', width: 30 },
+            { header: 'Value', key: 'value', width: 20 }
+        ];
+        summarySheet.getRow(1).font = { bold: true };
+        summarySheet.addRow({ metric: 'From', value: new Date(summary.from).toLocaleDateString() });
+        summarySheet.addRow({ metric: 'To', value: new Date(summary.to).toLocaleDateString() });
+        summarySheet.addRow({ metric: 'Tolerance (minutes)', value: summary.toleranceMinutes });
+        summarySheet.addRow({ metric: 'Employees', value: summary.employees });
+        summarySheet.addRow({ metric: 'Flagged Days', value: summary.flaggedDays });
+        summarySheet.addRow({ metric: 'Attended Hours', value: summary.attendedHours });
+        summarySheet.addRow({ metric: 'Timesheet Hours', value: summary.timesheetHours });
+        Object.entries(summary.byFlag).forEach(([type, count]) => summarySheet.addRow({ metric: type, value: count }));
+
+        const filename = `reconciliation_${Date.now()}.xlsx`;
+
+        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+        await workbook.xlsx.write(res);
+        res.end();
+
+    } catch (err) {
+        console.error('Export reconciliation XLSX error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
 // ===== EXPORT LEAVE REQUESTS AS CSV =====
 router.get('/leaves/csv', auth, permit('manager', 'admin'), async(req, res) => {
     try {
-        const { employeeId, status, from, to } = req.query;
+        const { employeeId, status, leaveType, from, to } = req.query;
 
         const query = {};
         if (employeeId) {
@@ -396,6 +510,10 @@ router.get('/leaves/csv', auth, permit('manager', 'admin'), async(req, res) => {
             query.status = status;
         }
 
+        if (leaveType) {
+            query.leaveType = String(leaveType).toUpperCase();
+        }
+
         if (from && to) {
             query.fromDate = {
                 $gte: new Date(from),
@@ -403,17 +521,21 @@ router.get('/leaves/csv', auth, permit('manager', 'admin'), async(req, res) => {
             };
         }
 
-        const leaves = await LeaveRequest.find(query)
-            .populate('employee', 'name email')
-            .populate('approvedBy', 'name')
-            .populate('rejectedBy', 'name')
-            .sort({ appliedAt: -1 })
-            .limit(5000);
+        const [leaves, typeMap] = await Promise.all([
+            LeaveRequest.find(query)
+                .populate('employee', 'name email')
+                .populate('approvedBy', 'name')
+                .populate('rejectedBy', 'name')
+                .sort({ appliedAt: -1 })
+                .limit(5000),
+            leaveTypes.getTypeMap()
+        ]);
 
-        let csv = 'Employee,Email,Leave Type,From Date,To Date,Total Days,Permission Hours,Reason,Status,Applied At,Approved/Rejected By\n';
+        let csv = 'Employee,Email,Leave Type,Leave Name,Paid,From Date,To Date,Total Days,Hours,Reason,Status,Applied At,Approved/Rejected By\n';
 
         leaves.forEach(l => {
-            csv += `"${l.employee?.name || 'N/A'}","${l.employee?.email || 'N/A'}","${l.leaveType}","${new Date(l.fromDate).toLocaleDateString()}","${new Date(l.toDate).toLocaleDateString()}","${l.totalDays || 0}","${l.permissionHours || 'N/A'}","${l.reason}","${l.status}","${new Date(l.appliedAt).toLocaleString()}","${l.approvedBy?.name || l.rejectedBy?.name || 'N/A'}"\n`;
+            const type = typeMap[l.leaveType] || {};
+            csv += `"${l.employee?.name || 'N/A'}","${l.employee?.email || 'N/A'}","${l.leaveType}","${type.name || l.leaveType}","${type.isPaid === false ? 'No' : 'Yes'}","${new Date(l.fromDate).toLocaleDateString()}","${new Date(l.toDate).toLocaleDateString()}","${l.totalDays || 0}","${l.permissionHours || 'N/A'}","${l.reason}","${l.status}","${new Date(l.appliedAt).toLocaleString()}","${l.approvedBy?.name || l.rejectedBy?.name || 'N/A'}"\n`;
         });
 
         const filename = `leave_requests_${Date.now()}.csv`;
@@ -431,7 +553,7 @@ router.get('/leaves/csv', auth, permit('manager', 'admin'), async(req, res) => {
 // ===== EXPORT LEAVE REQUESTS AS XLSX =====
 router.get('/leaves/xlsx', auth, permit('manager', 'admin'), async(req, res) => {
     try {
-        const { employeeId, status, from, to } = req.query;
+        const { employeeId, status, leaveType, from, to } = req.query;
 
         const query = {};
         if (employeeId) {
@@ -442,6 +564,10 @@ router.get('/leaves/xlsx', auth, permit('manager', 'admin'), async(req, res) =>
             query.status = status;
         }
 
+        if (leaveType) {
+            query.leaveType = String(leaveType).toUpperCase();
+        }
+
         if (from && to) {
             query.fromDate = {
                 $gte: new Date(from),
@@ -449,12 +575,15 @@ router.get('/leaves/xlsx', auth, permit('manager', 'admin'), async(req, res) =>
             };
         }
 
-        const leaves = await LeaveRequest.find(query)
-            .populate('employee', 'name email')
-            .populate('approvedBy', 'name')
-            .populate('rejectedBy', 'name')
-            .sort({ appliedAt: -1 })
-            .limit(5000);
+        const [leaves, typeMap] = await Promise.all([
+            LeaveRequest.find(query)
+                .populate('employee', 'name email')
+                .populate('approvedBy', 'name')
+                .populate('rejectedBy', 'name')
+                .sort({ appliedAt: -1 })
+                .limit(5000),
+            leaveTypes.getTypeMap()
+        ]);
 
         const workbook = new ExcelJS.Workbook();
         const worksheet = workbook.addWorksheet('Leave Requests');
@@ -463,10 +592,12 @@ router.get('/leaves/xlsx', auth, permit('manager', 'admin'), async(req, res) =>
             { header: 'Employee', key: 'employee', width: 25 },
             { header: 'Email', key: 'email', width: 30 },
             { header: 'Leave Type', key: 'leaveType', width: 15 },
+            { header: 'Leave Name', key: 'leaveName', width: 22 },
+            { header: 'Paid', key: 'isPaid', width: 8 },
             { header: 'From Date', key: 'fromDate', width: 15 },
             { header: 'To Date', key: 'toDate', width: 15 },
             { header: 'Total Days', key: 'totalDays', width: 12 },
-            { header: 'Permission Hours', key: 'permissionHours', width: 18 },
+            { header: 'Hours', key: 'permissionHours', width: 10 },
             { header: 'Reason', key: 'reason', width: 40 },
             { header: 'Status', key: 'status', width: 15 },
             { header: 'Applied At', key: 'appliedAt', width: 20 },
@@ -481,10 +612,13 @@ router.get('/leaves/xlsx', auth, permit('manager', 'admin'), async(req, res) =>
         };
 
         leaves.forEach(l => {
+            const type = typeMap[l.leaveType] || {};
             worksheet.addRow({
                 employee: l.employee ?.name || 'N/A',
                 email: l.employee ?.email || 'N/A',
                 leaveType: l.leaveType,
+                leaveName: type.name || l.leaveType,
+                isPaid: type.isPaid === false ? 'No' : 'Yes',
                 fromDate: new Date(l.fromDate).toLocaleDateString(),
                 toDate: new Date(l.toDate).toLocaleDateString(),
                 totalDays: l.totalDays || 0,
@@ -496,6 +630,34 @@ router.get('/leaves/xlsx', auth, permit('manager', 'admin'), async(req, res) =>
             });
         });
 
+        // Per-type totals in catalog order
+        const typeSheet = workbook.addWorksheet('By Type');
+        typeSheet.columns = [
+            { header: 'Code', key: 'code', width: 14 },
+            { header: 'Leave Type', key: 'name', width: 24 },
+            { header: 'Unit', key: 'unit', width: 8 },
+            { header: 'Paid', key: 'isPaid', width: 8 },
+            { header: 'Requests', key: 'requests', width: 10 },
+            { header: 'Approved', key: 'approved', width: 10 },
+            { header: 'Approved Days/Hours', key: 'taken', width: 20 }
+        ];
+        typeSheet.getRow(1).font = { bold: true };
+        Object.values(typeMap)
+            .filter(type => leaves.some(l => l.leaveType === type.code))
+            .forEach(type => {
+                const requests = leaves.filter(l => l.leaveType === type.code);
+                const approved = requests.filter(l => l.status === 'approved');
+                typeSheet.addRow({
+                    code: type.code,
+                    name: type.name,
+                    unit: type.unit,
+                    isPaid: type.isPaid ? 'Yes' : 'No',
+                    requests: requests.length,
+                    approved: approved.length,
+                    taken: approved.reduce((sum, l) => sum + (leaveTypes.isHourly(type) ? (l.permissionHours || 0) : (l.totalDays || 0)), 0)
+                });
+            });
+
         const filename = `leave_requests_${Date.now()}.xlsx`;
 
         res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
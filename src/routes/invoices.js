@@ -0,0 +1,216 @@
+const express = require('express');
+const router = express.Router();
+const Invoice = require('../models/Invoice');
+const { auth, permit } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const billing = require('../services/billing');
+
+// ===== LIST INVOICES (Admin) =====
+// Optional filters: ?client=&status=
+router.get('/', auth, permit('admin'), async(req, res) => {
+    try {
+        const query = {};
+        if (req.query.client) query.client = req.query.client;
+        if (req.query.status) query.status = req.query.status;
+
+        const invoices = await Invoice.find(query)
+            .select('-lineItems.timesheets')
+            .populate('client', 'name code')
+            .sort({ createdAt: -1 })
+            .limit(200);
+
+        res.json({
+            message: 'Invoices retrieved successfully',
+            data: invoices
+        });
+    } catch (err) {
+        if (err.name === 'CastError') return res.status(400).json({ message: err.message });
+        console.error('Get invoices error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// ===== PREVIEW UNBILLED HOURS (Admin) =====
+// GET /api/invoices/unbilled?client=&from=&to=&projects=id1,id2 - what an invoice for the period would contain
+router.get('/unbilled', auth, permit('admin'), async(req, res) => {
+    try {
+        const { client, from, to, projects } = req.query;
+        if (!client || !from || !to) return res.status(400).json({ message: 'client, from and to are required' });
+
+        let preview;
+        try {
+            preview = await billing.getUnbilled({
+                clientId: client,
+                from: new Date(from),
+                to: new Date(to),
+                projectIds: projects ? projects.split(',') : null
+            });
+        } catch (billingErr) {
+            if (!billingErr.status) throw billingErr;
+            return res.status(billingErr.status).json({ message: billingErr.message });
+        }
+
+        res.json({
+            message: 'Unbilled hours retrieved successfully',
+            data: preview
+        });
+    } catch (err) {
+        if (err.name === 'CastError') return res.status(400).json({ message: err.message });
+        console.error('Get unbilled hours error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// ===== GENERATE INVOICE (Admin) =====
+// POST /api/invoices { client, from, to, projects?, notes?, skipUnrated? } - a draft holding the period's approved billable hours
+router.post('/', auth, permit('admin'), audit('Invoice'), async(req, res) => {
+    try {
+        const { client, from, to, projects, notes, skipUnrated = false } = req.body;
+        if (!client || !from || !to) return res.status(400).json({ message: 'Missing required fields: client, from, to' });
+
+        let result;
+        try {
+            result = await billing.createInvoice(req.user, {
+                clientId: client,
+                from: new Date(from),
+                to: new Date(to),
+                projectIds: Array.isArray(projects) && projects.length ? projects : null,
+                notes,
+                skipUnrated
+            });
+        } catch (billingErr) {
+            if (!billingErr.status) throw billingErr;
+            return res.status(billingErr.status).json({ message: billingErr.message, ...(billingErr.details || {}) });
+        }
+
+        res.status(201).json({
+            message: `Draft invoice ${result.invoice.number} created`,
+            data: result.invoice,
+            unrated: result.unrated
+        });
+    } catch (err) {
+        if (err.name === 'CastError') return res.status(400).json({ message: err.message });
+        console.error('Create invoice error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// ===== GET INVOICE (Admin) =====
+router.get('/:id', auth, permit('admin'), async(req, res) => {
+    try {
+        const invoice = await Invoice.findById(req.params.id)
+            .populate('client')
+            .populate('lineItems.project', 'name')
+            .populate('lineItems.employee', 'name email designation');
+        if (!invoice) return res.status(404).json({ message: 'Invoice not found' });
+
+        res.json({
+            message: 'Invoice retrieved successfully',
+            data: invoice
+        });
+    } catch (err) {
+        if (err.name === 'CastError') return res.status(400).json({ message: 'Invalid invoice id' });
+        console.error('Get invoice error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// ===== EXPORT INVOICE AS XLSX (Admin) =====
+router.get('/:id/xlsx', auth, permit('admin'), async(req, res) => {
+    try {
+        const invoice = await Invoice.findById(req.params.id).populate('client');
+        if (!invoice) return res.status(404).json({ message: 'Invoice not found' });
+
+        const workbook = await billing.buildInvoiceWorkbook(invoice);
+        const filename = `invoice_${invoice.number}.xlsx`;
+
+        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+        await workbook.xlsx.write(res);
+        res.end();
+    } catch (err) {
+        if (err.name === 'CastError') return res.status(400).json({ message: 'Invalid invoice id' });
+        console.error('Export invoice XLSX error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// ===== ISSUE INVOICE / MARK HOURS INVOICED (Admin) =====
+router.post('/:id/issue', auth, permit('admin'), audit('Invoice', { action: 'issue' }), async(req, res) => {
+    try {
+        const invoice = await Invoice.findById(req.params.id);
+        if (!invoice) return res.status(404).json({ message: 'Invoice not found' });
+
+        const issueDate = req.body.issueDate ? new Date(req.body.issueDate) : new Date();
+        if (isNaN(issueDate.getTime())) return res.status(400).json({ message: 'Invalid issueDate' });
+        try {
+            await billing.issueInvoice(invoice, { issueDate });
+        } catch (billingErr) {
+            if (!billingErr.status) throw billingErr;
+            return res.status(billingErr.status).json({ message: billingErr.message });
+        }
+
+        res.json({
+            message: `Invoice ${invoice.number} issued; its hours are marked invoiced`,
+            data: invoice
+        });
+    } catch (err) {
+        if (err.name === 'CastError') return res.status(400).json({ message: 'Invalid invoice id' });
+        console.error('Issue invoice error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// ===== MARK INVOICE PAID (Admin) =====
+router.post('/:id/paid', auth, permit('admin'), audit('Invoice', { action: 'paid' }), async(req, res) => {
+    try {
+        const invoice = await Invoice.findById(req.params.id);
+        if (!invoice) return res.status(404).json({ message: 'Invoice not found' });
+
+        const paidAt = req.body.paidAt ? new Date(req.body.paidAt) : new Date();
+        if (isNaN(paidAt.getTime())) return res.status(400).json({ message: 'Invalid paidAt' });
+        try {
+            await billing.markPaid(invoice, { paidAt });
+        } catch (billingErr) {
+            if (!billingErr.status) throw billingErr;
+            return res.status(billingErr.status).json({ message: billingErr.message });
+        }
+
+        res.json({
+            message: `Invoice ${invoice.number} marked paid`,
+            data: invoice
+        });
+    } catch (err) {
+        if (err.name === 'CastError') return res.status(400).json({ message: 'Invalid invoice id' });
+        console.error('Mark invoice paid error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// ===== VOID INVOICE (Admin) =====
+// The invoice's hours become billable again
+router.post('/:id/void', auth, permit('admin'), audit('Invoice', { action: 'void' }), async(req, res) => {
+    try {
+        const invoice = await Invoice.findById(req.params.id);
+        if (!invoice) return res.status(404).json({ message: 'Invoice not found' });
+
+        try {
+            await billing.voidInvoice(invoice);
+        } catch (billingErr) {
+            if (!billingErr.status) throw billingErr;
+            return res.status(billingErr.status).json({ message: billingErr.message });
+        }
+
+        res.json({
+            message: `Invoice ${invoice.number} voided`,
+            data: invoice
+        });
+    } catch (err) {
+        if (err.name === 'CastError') return res.status(400).json({ message: 'Invalid invoice id' });
+        console.error('Void invoice error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,107 @@
+const express = require('express');
+const router = express.Router();
+const LeaveType = require('../models/LeaveType');
+const LeaveRequest = require('../models/LeaveRequest');
+const { auth, permit } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const leaveTypes = require('../services/leave-types');
+
+const LEAVE_TYPE_FIELDS = [
+    'code', 'name', 'description', 'unit', 'isPaid', 'isRemote', 'requiresAttachment', 'minNoticeDays',
+    'maxConsecutiveDays', 'allowHalfDay', 'minHours', 'maxHours', 'annualAllowance', 'accrual', 'prorate',
+    'carryForwardCap', 'usesCompOffCredits', 'sortOrder', 'isActive'
+];
+
+function pickLeaveTypeFields(body) {
+    const data = {};
+    LEAVE_TYPE_FIELDS.forEach(f => {
+        if (body[f] !== undefined) data[f] = body[f];
+    });
+    return data;
+}
+
+// ===== LIST LEAVE TYPES =====
+router.get('/', auth, async(req, res) => {
+    try {
+        const includeInactive = req.query.includeInactive === 'true' && req.user.role === 'admin';
+        const types = await leaveTypes.getLeaveTypes({ includeInactive });
+
+        res.json({
+            message: 'Leave types retrieved successfully',
+            data: types
+        });
+    } catch (err) {
+        console.error('Get leave types error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// ===== CREATE LEAVE TYPE (Admin) =====
+router.post('/', auth, permit('admin'), audit('LeaveType'), async(req, res) => {
+    try {
+        const data = pickLeaveTypeFields(req.body);
+        if (!data.code || !data.name) {
+            return res.status(400).json({ message: 'Missing required fields: code, name' });
+        }
+
+        const type = await LeaveType.create({ ...data, createdBy: req.user._id });
+        leaveTypes.clearCache();
+
+        res.status(201).json({
+            message: 'Leave type created successfully',
+            data: type
+        });
+    } catch (err) {
+        if (err.code === 11000) return res.status(400).json({ message: 'A leave type with this code already exists' });
+        if (err.name === 'ValidationError') return res.status(400).json({ message: err.message });
+        console.error('Create leave type error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// ===== UPDATE LEAVE TYPE (Admin) =====
+router.put('/:id', auth, permit('admin'), audit('LeaveType'), async(req, res) => {
+    try {
+        const existing = await LeaveType.findById(req.params.id);
+        if (!existing) return res.status(404).json({ message: 'Leave type not found' });
+
+        const data = pickLeaveTypeFields(req.body);
+        // Requests and balances reference the code; the unit decides how they were charged
+        if (data.code && data.code.toUpperCase() !== existing.code) {
+            return res.status(400).json({ message: 'Leave type code cannot be changed' });
+        }
+        if (data.unit && data.unit !== existing.unit && await LeaveRequest.exists({ leaveType: existing.code })) {
+            return res.status(400).json({ message: 'Unit cannot be changed once the type has been used' });
+        }
+
+        Object.assign(existing, data);
+        await existing.save();
+        leaveTypes.clearCache();
+
+        res.json({
+            message: 'Leave type updated successfully',
+            data: existing
+        });
+    } catch (err) {
+        if (err.name === 'ValidationError') return res.status(400).json({ message: err.message });
+        console.error('Update leave type error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// ===== DEACTIVATE LEAVE TYPE (Admin) =====
+router.delete('/:id', auth, permit('admin'), audit('LeaveType'), async(req, res) => {
+    try {
+        // Soft delete: existing requests and balances still reference the code
+        const type = await LeaveType.findByIdAndUpdate(req.params.id, { isActive: false }, { new: true });
+        if (!type) return res.status(404).json({ message: 'Leave type not found' });
+        leaveTypes.clearCache();
+
+        res.json({ message: 'Leave type deactivated successfully' });
+    } catch (err) {
+        console.error('Delete leave type error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+module.exports = router;
@@ -2,49 +2,70 @@ const express = require('express');
 const router = express.Router();
 const LeaveRequest = require('../models/LeaveRequest');
 const LeaveBalance = require('../models/LeaveBalance');
+const StaffingRule = require('../models/StaffingRule');
 const User = require('../models/User');
 const Notification = require('../models/Notification');
 const { auth, permit } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const leaveDays = require('../services/leave-days');
+const leaveAccrual = require('../services/leave-accrual');
+const leaveTypes = require('../services/leave-types');
+const leaveLedger = require('../services/leave-ledger');
+const leaveCoverage = require('../services/leave-coverage');
+const compOff = require('../services/comp-off');
+const timeCalculation = require('../services/time-calculation');
+
+// Audit loader: balances are addressed by employee, not by their own id
+const loadCurrentBalance = (req) => LeaveBalance.findOne({
+    employee: req.params.employeeId,
+    year: new Date().getFullYear()
+}).lean();
+
+const STAFFING_RULE_FIELDS = ['name', 'scope', 'manager', 'project', 'minPresent', 'minPresentPercent', 'blockApproval', 'isActive'];
+
+function pickStaffingRuleFields(body) {
+    const data = {};
+    STAFFING_RULE_FIELDS.forEach(f => {
+        if (body[f] !== undefined) data[f] = body[f];
+    });
+    return data;
+}
 
 // ===== EMPLOYEE: REQUEST LEAVE =====
-router.post('/request', auth, permit('employee', 'manager', 'admin'), async(req, res) => {
+router.post('/request', auth, permit('employee', 'manager', 'admin'), audit('LeaveRequest'), async(req, res) => {
     try {
         const {
             leaveType,
-            fromDate,
-            toDate,
             permissionHours,
             reason,
             attachments,
-            isEmergency
+            isEmergency,
+            fromSession = 'full',
+            toSession = 'full'
         } = req.body;
 
         // Validation
-        if (!leaveType || !fromDate || !reason) {
+        if (!leaveType || !req.body.fromDate || !reason) {
             return res.status(400).json({
                 message: 'Missing required fields: leaveType, fromDate, reason'
             });
         }
+        // 'YYYY-MM-DD' is the local calendar day, as for timesheets
+        const fromDate = timeCalculation.parseDate(req.body.fromDate);
+        const toDate = req.body.toDate ? timeCalculation.parseDate(req.body.toDate) : undefined;
 
-        const validLeaveTypes = ['CL', 'SL', 'EL', 'WFH', 'PERMISSION'];
-        if (!validLeaveTypes.includes(leaveType)) {
+        const activeTypes = await leaveTypes.getLeaveTypes();
+        const type = activeTypes.find(t => t.code === String(leaveType).toUpperCase());
+        if (!type) {
             return res.status(400).json({
-                message: 'Invalid leave type. Must be one of: CL, SL, EL, WFH, PERMISSION'
+                message: `Invalid leave type. Must be one of: ${activeTypes.map(t => t.code).join(', ')}`
             });
         }
+        const hourly = leaveTypes.isHourly(type);
 
-        if (leaveType === 'PERMISSION') {
-            if (!permissionHours || permissionHours < 1 || permissionHours > 4) {
-                return res.status(400).json({
-                    message: 'Permission hours must be between 1 and 4'
-                });
-            }
-        } else {
-            if (!toDate) {
-                return res.status(400).json({
-                    message: 'toDate is required for day-based leave types'
-                });
-            }
+        const ruleError = leaveTypes.checkRequestRules(type, { fromDate, toDate, permissionHours, attachments, isEmergency, fromSession, toSession });
+        if (ruleError) {
+            return res.status(400).json({ message: ruleError });
         }
 
         if (reason.length < 10) {
@@ -53,41 +74,35 @@ router.post('/request', auth, permit('employee', 'manager', 'admin'), async(req,
             });
         }
 
-        // Check leave balance
-        let leaveBalance = await LeaveBalance.findOne({
-            employee: req.user._id,
-            year: new Date().getFullYear()
-        });
-
-        if (!leaveBalance) {
-            leaveBalance = await LeaveBalance.initializeForEmployee(req.user._id);
-        }
+        // Check leave balance (accrued up to today)
+        const leaveBalance = await leaveAccrual.getCurrentBalance(req.user._id);
 
-        // Calculate days
+        // Calculate working days (weekends and holidays excluded)
         let totalDays = 0;
-        if (leaveType !== 'PERMISSION') {
-            const from = new Date(fromDate);
-            const to = new Date(toDate);
-            const diffTime = Math.abs(to - from);
-            totalDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24)) + 1;
-        }
-
-        // Check if sufficient balance
-        const typeMap = {
-            'CL': 'casualLeave',
-            'SL': 'sickLeave',
-            'EL': 'earnedLeave',
-            'WFH': 'workFromHome',
-            'PERMISSION': 'permission'
-        };
+        let dayBreakdown = null;
+        if (!hourly) {
+            try {
+                dayBreakdown = await leaveDays.countLeaveDays({ employeeId: req.user._id, fromDate, toDate, fromSession, toSession });
+            } catch (calcErr) {
+                return res.status(calcErr.status || 400).json({ message: calcErr.message });
+            }
+            totalDays = dayBreakdown.totalDays;
+            if (totalDays === 0) {
+                return res.status(400).json({ message: 'The selected dates contain no working days' });
+            }
+        }
 
-        const balanceField = typeMap[leaveType];
-        const requiredBalance = leaveType === 'PERMISSION' ? permissionHours : totalDays;
-        const availableBalance = leaveBalance[balanceField].balance;
+        // Check if sufficient balance (types without an allowance, e.g. unpaid, have none;
+        // comp-off is checked against credits still valid on the first day)
+        const creditBased = leaveTypes.usesCompOffCredits(type);
+        const bucket = creditBased ? null : leaveTypes.getBucket(leaveBalance, type);
+        const requiredBalance = hourly ? Number(permissionHours) : totalDays;
+        const availableBalance = creditBased ? await compOff.getAvailableDays(req.user._id, fromDate) :
+            bucket ? bucket.balance : null;
 
-        if (availableBalance < requiredBalance) {
+        if (availableBalance !== null && availableBalance < requiredBalance) {
             return res.status(400).json({
-                message: `Insufficient ${leaveType} balance. Available: ${availableBalance}, Required: ${requiredBalance}`,
+                message: `Insufficient ${type.code} balance. Available: ${availableBalance}, Required: ${requiredBalance}`,
                 data: {
                     available: availableBalance,
                     required: requiredBalance
@@ -95,13 +110,25 @@ router.post('/request', auth, permit('employee', 'manager', 'admin'), async(req,
             });
         }
 
+        // Overlap with team/project members (warning only; approval enforces rules)
+        const coverage = await leaveCoverage.checkCoverage({
+            employeeId: req.user._id,
+            leaveType: type.code,
+            fromDate,
+            toDate: hourly ? fromDate : toDate,
+            fromSession,
+            toSession
+        });
+
         // Create leave request
         const leaveRequest = new LeaveRequest({
             employee: req.user._id,
-            leaveType,
-            fromDate: new Date(fromDate),
-            toDate: leaveType === 'PERMISSION' ? new Date(fromDate) : new Date(toDate),
-            permissionHours: leaveType === 'PERMISSION' ? permissionHours : null,
+            leaveType: type.code,
+            fromDate,
+            toDate: hourly ? fromDate : toDate,
+            permissionHours: hourly ? Number(permissionHours) : null,
+            fromSession: hourly ? 'full' : fromSession,
+            toSession: hourly ? 'full' : toSession,
             totalDays,
             reason,
             attachments: attachments || [],
@@ -117,18 +144,20 @@ router.post('/request', auth, permit('employee', 'manager', 'admin'), async(req,
             user: m._id,
             type: 'leave_request_submitted',
             title: '📅 New Leave Request',
-            body: `${req.user.name} requested ${leaveType} leave`,
+            body: `${req.user.name} requested ${type.name} (${type.code})` +
+                (coverage.warnings.length ? ` ⚠️ ${coverage.warnings.join('; ')}` : ''),
             meta: {
                 leaveRequestId: leaveRequest._id,
                 employeeId: req.user._id,
                 employeeName: req.user.name,
-                leaveType,
+                leaveType: type.code,
                 fromDate: leaveRequest.fromDate,
                 toDate: leaveRequest.toDate,
                 totalDays,
                 permissionHours,
                 reason,
-                isEmergency
+                isEmergency,
+                coverageWarnings: coverage.warnings
             }
         }));
         await Notification.insertMany(notifications);
@@ -137,13 +166,17 @@ router.post('/request', auth, permit('employee', 'manager', 'admin'), async(req,
             message: 'Leave request submitted successfully',
             data: {
                 leaveRequestId: leaveRequest._id,
-                leaveType,
+                leaveType: type.code,
                 fromDate: leaveRequest.fromDate,
                 toDate: leaveRequest.toDate,
                 totalDays,
                 permissionHours,
+                fromSession: leaveRequest.fromSession,
+                toSession: leaveRequest.toSession,
+                excludedDays: dayBreakdown ? dayBreakdown.excluded : [],
                 status: 'pending',
-                availableBalance: availableBalance - requiredBalance
+                availableBalance: availableBalance !== null ? availableBalance - requiredBalance : null,
+                coverage
             }
         });
 
@@ -286,10 +319,10 @@ router.get('/all', auth, permit('manager', 'admin'), async(req, res) => {
 });
 
 // ===== APPROVE LEAVE REQUEST (Manager/Admin) =====
-router.put('/approve/:id', auth, permit('manager', 'admin'), async(req, res) => {
+router.put('/approve/:id', auth, permit('manager', 'admin'), audit('LeaveRequest', { action: 'approve' }), async(req, res) => {
     try {
         const { id } = req.params;
-        const { comments } = req.body;
+        const { comments, overrideCoverage } = req.body;
 
         const leaveRequest = await LeaveRequest.findById(id).populate('employee', 'name email');
         if (!leaveRequest) {
@@ -302,33 +335,22 @@ router.put('/approve/:id', auth, permit('manager', 'admin'), async(req, res) =>
             });
         }
 
-        // Get employee's leave balance
-        const leaveBalance = await LeaveBalance.findOne({
-            employee: leaveRequest.employee._id,
-            year: new Date().getFullYear()
-        });
-
-        if (!leaveBalance) {
-            return res.status(400).json({
-                message: 'Leave balance not found for employee'
+        // Staffing rules with blockApproval stop approvals that leave a group short;
+        // admins may approve anyway with overrideCoverage
+        const coverage = await leaveCoverage.checkRequest(leaveRequest);
+        if (coverage.blocking && !(overrideCoverage === true && req.user.role === 'admin')) {
+            return res.status(409).json({
+                message: `Approval would break minimum staffing: ${coverage.warnings.join('; ')}`,
+                data: { coverage, canOverride: req.user.role === 'admin' }
             });
         }
 
+        // Get employee's leave balance (accrued up to today)
+        const leaveBalance = await leaveAccrual.getCurrentBalance(leaveRequest.employee._id);
+
         // Deduct leave balance
         try {
-            if (leaveRequest.leaveType === 'PERMISSION') {
-                await leaveBalance.deductLeave(
-                    leaveRequest.leaveType,
-                    0,
-                    leaveRequest.permissionHours
-                );
-            } else {
-                await leaveBalance.deductLeave(
-                    leaveRequest.leaveType,
-                    leaveRequest.totalDays,
-                    0
-                );
-            }
+            await leaveDays.deduct(leaveBalance, leaveRequest, { performedBy: req.user._id });
         } catch (balanceErr) {
             return res.status(400).json({
                 message: balanceErr.message
@@ -367,13 +389,8 @@ router.put('/approve/:id', auth, permit('manager', 'admin'), async(req, res) =>
                 status: 'approved',
                 approvedBy: req.user._id,
                 approvedAt: leaveRequest.approvedAt,
-                remainingBalance: leaveBalance[{
-                    'CL': 'casualLeave',
-                    'SL': 'sickLeave',
-                    'EL': 'earnedLeave',
-                    'WFH': 'workFromHome',
-                    'PERMISSION': 'permission'
-                }[leaveRequest.leaveType]].balance
+                coverageWarnings: coverage.warnings,
+                remainingBalance: (leaveTypes.getBucket(leaveBalance, await leaveTypes.getLeaveType(leaveRequest.leaveType)) || {}).balance ?? null
             }
         });
 
@@ -384,7 +401,7 @@ router.put('/approve/:id', auth, permit('manager', 'admin'), async(req, res) =>
 });
 
 // ===== REJECT LEAVE REQUEST (Manager/Admin) =====
-router.put('/reject/:id', auth, permit('manager', 'admin'), async(req, res) => {
+router.put('/reject/:id', auth, permit('manager', 'admin'), audit('LeaveRequest', { action: 'reject' }), async(req, res) => {
     try {
         const { id } = req.params;
         const { rejectionReason } = req.body;
@@ -448,7 +465,7 @@ router.put('/reject/:id', auth, permit('manager', 'admin'), async(req, res) => {
 });
 
 // ===== CANCEL LEAVE REQUEST (Employee) =====
-router.put('/cancel/:id', auth, permit('employee', 'manager', 'admin'), async(req, res) => {
+router.put('/cancel/:id', auth, permit('employee', 'manager', 'admin'), audit('LeaveRequest', { action: 'cancel' }), async(req, res) => {
     try {
         const { id } = req.params;
 
@@ -474,15 +491,13 @@ router.put('/cancel/:id', auth, permit('employee', 'manager', 'admin'), async(re
             });
 
             if (leaveBalance) {
-                if (leaveRequest.leaveType === 'PERMISSION') {
-                    await leaveBalance.restoreLeave(leaveRequest.leaveType, 0, leaveRequest.permissionHours);
-                } else {
-                    await leaveBalance.restoreLeave(leaveRequest.leaveType, leaveRequest.totalDays, 0);
-                }
+                await leaveDays.restore(leaveBalance, leaveRequest, { performedBy: req.user._id });
             }
         }
 
         leaveRequest.status = 'cancelled';
+        const pendingAmendment = leaveRequest.getPendingAmendment();
+        if (pendingAmendment) pendingAmendment.status = 'withdrawn';
         await leaveRequest.save();
 
         res.json({
@@ -499,6 +514,473 @@ router.put('/cancel/:id', auth, permit('employee', 'manager', 'admin'), async(re
     }
 });
 
+// ===== REQUEST AMENDMENT OF APPROVED LEAVE (Employee) =====
+// New dates for an approved day-based leave (return early, extend, ...).
+// Nothing changes until the amendment is approved.
+router.put('/amend/:id', auth, permit('employee', 'manager', 'admin'), audit('LeaveRequest', { action: 'amend' }), async(req, res) => {
+    try {
+        const { fromSession = 'full', toSession = 'full', reason } = req.body;
+        if (!req.body.fromDate || !req.body.toDate || !reason) {
+            return res.status(400).json({ message: 'Missing required fields: fromDate, toDate, reason' });
+        }
+        const fromDate = timeCalculation.parseDate(req.body.fromDate);
+        const toDate = timeCalculation.parseDate(req.body.toDate);
+        if (reason.length < 10) {
+            return res.status(400).json({ message: 'Reason must be at least 10 characters long' });
+        }
+
+        const leaveRequest = await LeaveRequest.findById(req.params.id);
+        if (!leaveRequest) {
+            return res.status(404).json({ message: 'Leave request not found' });
+        }
+        if (String(leaveRequest.employee) !== String(req.user._id) && req.user.role !== 'admin') {
+            return res.status(403).json({ message: 'You can only amend your own leave requests' });
+        }
+        if (leaveRequest.status !== 'approved') {
+            return res.status(400).json({ message: 'Only approved leave can be amended; edit or cancel the request instead' });
+        }
+        if (leaveRequest.getPendingAmendment()) {
+            return res.status(400).json({ message: 'This leave already has an amendment awaiting approval' });
+        }
+
+        const type = await leaveTypes.getLeaveType(leaveRequest.leaveType);
+        if (leaveTypes.isHourly(type)) {
+            return res.status(400).json({ message: `${type.name} cannot be amended; cancel it and request again` });
+        }
+        // Notice periods apply to new leave only
+        const ruleError = leaveTypes.checkRequestRules(type, {
+            fromDate, toDate, fromSession, toSession, attachments: leaveRequest.attachments, isEmergency: true
+        });
+        if (ruleError) {
+            return res.status(400).json({ message: ruleError });
+        }
+
+        let breakdown;
+        try {
+            breakdown = await leaveDays.countLeaveDays({ employeeId: leaveRequest.employee, fromDate, toDate, fromSession, toSession });
+        } catch (calcErr) {
+            return res.status(calcErr.status || 400).json({ message: calcErr.message });
+        }
+        if (breakdown.totalDays === 0) {
+            return res.status(400).json({ message: 'The selected dates contain no working days' });
+        }
+
+        const unchanged = fromDate.getTime() === leaveRequest.fromDate.getTime() &&
+            toDate.getTime() === leaveRequest.toDate.getTime() &&
+            fromSession === leaveRequest.fromSession && toSession === leaveRequest.toSession;
+        if (unchanged) {
+            return res.status(400).json({ message: 'The amendment does not change the leave' });
+        }
+
+        // Only the difference is charged when approved
+        const charged = leaveDays.getCharge(leaveRequest, type).days;
+        const daysDelta = Math.round((breakdown.totalDays - charged) * 100) / 100;
+        if (daysDelta > 0) {
+            const available = leaveTypes.usesCompOffCredits(type) ?
+                await compOff.getAvailableDays(leaveRequest.employee, fromDate) :
+                (leaveTypes.getBucket(await leaveAccrual.getCurrentBalance(leaveRequest.employee), type) || {}).balance ?? null;
+            if (available !== null && available < daysDelta) {
+                return res.status(400).json({
+                    message: `Insufficient ${type.code} balance for the extra days. Available: ${available}, Required: ${daysDelta}`,
+                    data: { available, required: daysDelta }
+                });
+            }
+        }
+
+        const coverage = await leaveCoverage.checkCoverage({
+            employeeId: leaveRequest.employee,
+            leaveType: leaveRequest.leaveType,
+            fromDate,
+            toDate,
+            fromSession,
+            toSession
+        }, { excludeRequestId: leaveRequest._id });
+
+        leaveRequest.amendments.push({
+            fromDate,
+            toDate,
+            fromSession,
+            toSession,
+            totalDays: breakdown.totalDays,
+            previous: {
+                fromDate: leaveRequest.fromDate,
+                toDate: leaveRequest.toDate,
+                fromSession: leaveRequest.fromSession,
+                toSession: leaveRequest.toSession,
+                totalDays: leaveRequest.totalDays
+            },
+            daysDelta,
+            reason,
+            requestedBy: req.user._id
+        });
+        await leaveRequest.save();
+        const amendment = leaveRequest.getPendingAmendment();
+
+        // Notify managers
+        const managers = await User.find({ role: { $in: ['manager', 'admin'] } });
+        await Notification.insertMany(managers.map(m => ({
+            user: m._id,
+            type: 'leave_amendment_submitted',
+            title: '📅 Leave Amendment Requested',
+            body: `${req.user.name} wants to change ${type.code} leave to ${amendment.fromDate.toDateString()} - ${amendment.toDate.toDateString()} ` +
+                `(${daysDelta >= 0 ? '+' : ''}${daysDelta} day(s))` +
+                (coverage.warnings.length ? ` ⚠️ ${coverage.warnings.join('; ')}` : ''),
+            meta: {
+                leaveRequestId: leaveRequest._id,
+                amendmentId: amendment._id,
+                employeeId: leaveRequest.employee,
+                leaveType: leaveRequest.leaveType,
+                fromDate: amendment.fromDate,
+                toDate: amendment.toDate,
+                daysDelta,
+                reason,
+                coverageWarnings: coverage.warnings
+            }
+        })));
+
+        res.json({
+            message: 'Leave amendment submitted for approval',
+            data: {
+                leaveRequestId: leaveRequest._id,
+                amendment,
+                excludedDays: breakdown.excluded,
+                coverage
+            }
+        });
+    } catch (err) {
+        console.error('Amend leave error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// ===== GET PENDING LEAVE AMENDMENTS (Manager/Admin) =====
+router.get('/amendments/pending', auth, permit('manager', 'admin'), async(req, res) => {
+    try {
+        const leaveRequests = await LeaveRequest.find({ 'amendments.status': 'pending' })
+            .populate('employee', 'name email department')
+            .sort({ updatedAt: -1 });
+
+        res.json({
+            message: 'Pending leave amendments retrieved successfully',
+            data: leaveRequests.map(l => ({ ...l.toJSON(), pendingAmendment: l.getPendingAmendment() }))
+        });
+    } catch (err) {
+        console.error('Get pending amendments error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// ===== APPROVE LEAVE AMENDMENT (Manager/Admin) =====
+router.put('/amend/:id/approve', auth, permit('manager', 'admin'), audit('LeaveRequest', { action: 'approve_amendment' }), async(req, res) => {
+    try {
+        const { comments, overrideCoverage } = req.body;
+
+        const leaveRequest = await LeaveRequest.findById(req.params.id).populate('employee', 'name email');
+        if (!leaveRequest) {
+            return res.status(404).json({ message: 'Leave request not found' });
+        }
+        const amendment = leaveRequest.getPendingAmendment();
+        if (!amendment) {
+            return res.status(400).json({ message: 'No amendment is awaiting approval for this leave' });
+        }
+        if (leaveRequest.status !== 'approved') {
+            return res.status(400).json({ message: `Leave request is ${leaveRequest.status}` });
+        }
+
+        const coverage = await leaveCoverage.checkCoverage({
+            employeeId: leaveRequest.employee._id,
+            leaveType: leaveRequest.leaveType,
+            fromDate: amendment.fromDate,
+            toDate: amendment.toDate,
+            fromSession: amendment.fromSession,
+            toSession: amendment.toSession
+        }, { includePending: false, excludeRequestId: leaveRequest._id });
+        if (coverage.blocking && !(overrideCoverage === true && req.user.role === 'admin')) {
+            return res.status(409).json({
+                message: `Approval would break minimum staffing: ${coverage.warnings.join('; ')}`,
+                data: { coverage, canOverride: req.user.role === 'admin' }
+            });
+        }
+
+        // New dates first (comp-off credits must be valid on the new start),
+        // then charge or give back the difference against the old charge
+        leaveRequest.fromDate = amendment.fromDate;
+        leaveRequest.toDate = amendment.toDate;
+        leaveRequest.fromSession = amendment.fromSession;
+        leaveRequest.toSession = amendment.toSession;
+
+        const leaveBalance = await leaveAccrual.getCurrentBalance(leaveRequest.employee._id);
+        let change;
+        try {
+            change = await leaveDays.adjust(leaveBalance, leaveRequest, amendment.totalDays, { performedBy: req.user._id });
+        } catch (balanceErr) {
+            return res.status(400).json({ message: balanceErr.message });
+        }
+
+        leaveRequest.totalDays = amendment.totalDays;
+        amendment.status = 'approved';
+        amendment.daysDelta = change.difference;
+        amendment.decidedBy = req.user._id;
+        amendment.decidedAt = new Date();
+        amendment.comments = comments || 'Approved';
+        await leaveRequest.save();
+
+        await Notification.create({
+            user: leaveRequest.employee._id,
+            type: 'leave_amendment_approved',
+            title: '✅ Leave Amendment Approved',
+            body: `Your ${leaveRequest.leaveType} leave now runs ${leaveRequest.fromDate.toDateString()} - ${leaveRequest.toDate.toDateString()} (${leaveRequest.totalDays} day(s))`,
+            meta: {
+                leaveRequestId: leaveRequest._id,
+                amendmentId: amendment._id,
+                fromDate: leaveRequest.fromDate,
+                toDate: leaveRequest.toDate,
+                daysDelta: change.difference,
+                approvedBy: req.user._id,
+                approverName: req.user.name,
+                comments
+            }
+        });
+
+        res.json({
+            message: 'Leave amendment approved successfully',
+            data: {
+                leaveRequestId: leaveRequest._id,
+                amendment,
+                totalDays: leaveRequest.totalDays,
+                daysDelta: change.difference,
+                coverageWarnings: coverage.warnings,
+                remainingBalance: (leaveTypes.getBucket(leaveBalance, await leaveTypes.getLeaveType(leaveRequest.leaveType)) || {}).balance ?? null
+            }
+        });
+    } catch (err) {
+        console.error('Approve amendment error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// ===== REJECT LEAVE AMENDMENT (Manager/Admin) =====
+router.put('/amend/:id/reject', auth, permit('manager', 'admin'), audit('LeaveRequest', { action: 'reject_amendment' }), async(req, res) => {
+    try {
+        const { rejectionReason } = req.body;
+        if (!rejectionReason) {
+            return res.status(400).json({ message: 'Rejection reason is required' });
+        }
+
+        const leaveRequest = await LeaveRequest.findById(req.params.id);
+        if (!leaveRequest) {
+            return res.status(404).json({ message: 'Leave request not found' });
+        }
+        const amendment = leaveRequest.getPendingAmendment();
+        if (!amendment) {
+            return res.status(400).json({ message: 'No amendment is awaiting approval for this leave' });
+        }
+
+        amendment.status = 'rejected';
+        amendment.decidedBy = req.user._id;
+        amendment.decidedAt = new Date();
+        amendment.comments = rejectionReason;
+        await leaveRequest.save();
+
+        await Notification.create({
+            user: leaveRequest.employee,
+            type: 'leave_amendment_rejected',
+            title: '❌ Leave Amendment Rejected',
+            body: `Your change to ${leaveRequest.leaveType} leave was rejected: ${rejectionReason}. The original dates still apply.`,
+            meta: {
+                leaveRequestId: leaveRequest._id,
+                amendmentId: amendment._id,
+                rejectedBy: req.user._id,
+                rejectionReason
+            }
+        });
+
+        res.json({
+            message: 'Leave amendment rejected',
+            data: { leaveRequestId: leaveRequest._id, amendment }
+        });
+    } catch (err) {
+        console.error('Reject amendment error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// ===== WITHDRAW LEAVE AMENDMENT (Employee) =====
+router.put('/amend/:id/withdraw', auth, permit('employee', 'manager', 'admin'), audit('LeaveRequest', { action: 'withdraw_amendment' }), async(req, res) => {
+    try {
+        const leaveRequest = await LeaveRequest.findById(req.params.id);
+        if (!leaveRequest) {
+            return res.status(404).json({ message: 'Leave request not found' });
+        }
+        if (String(leaveRequest.employee) !== String(req.user._id) && req.user.role !== 'admin') {
+            return res.status(403).json({ message: 'You can only withdraw your own amendments' });
+        }
+        const amendment = leaveRequest.getPendingAmendment();
+        if (!amendment) {
+            return res.status(400).json({ message: 'No amendment is awaiting approval for this leave' });
+        }
+
+        amendment.status = 'withdrawn';
+        amendment.decidedAt = new Date();
+        await leaveRequest.save();
+
+        res.json({
+            message: 'Leave amendment withdrawn',
+            data: { leaveRequestId: leaveRequest._id, amendment }
+        });
+    } catch (err) {
+        console.error('Withdraw amendment error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// ===== CHECK TEAM COVERAGE =====
+// Who else is off for ?fromDate&toDate&leaveType (the requester's view, before submitting)
+router.get('/coverage/check', auth, permit('employee', 'manager', 'admin'), async(req, res) => {
+    try {
+        const { leaveType, fromDate, toDate, fromSession, toSession } = req.query;
+        if (!leaveType || !fromDate) {
+            return res.status(400).json({ message: 'Missing required fields: leaveType, fromDate' });
+        }
+
+        let coverage;
+        try {
+            coverage = await leaveCoverage.checkCoverage({ employeeId: req.user._id, leaveType, fromDate, toDate, fromSession, toSession });
+        } catch (coverageErr) {
+            if (!coverageErr.status) throw coverageErr;
+            return res.status(coverageErr.status).json({ message: coverageErr.message });
+        }
+
+        res.json({
+            message: 'Coverage checked successfully',
+            data: coverage
+        });
+    } catch (err) {
+        console.error('Check coverage error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// ===== REQUEST COVERAGE (Manager/Admin) =====
+// Approver's view of a request: others' approved leave decides the staffing
+// check, pending requests are listed too
+router.get('/coverage/request/:id', auth, permit('manager', 'admin'), async(req, res) => {
+    try {
+        const leaveRequest = await LeaveRequest.findById(req.params.id);
+        if (!leaveRequest) {
+            return res.status(404).json({ message: 'Leave request not found' });
+        }
+
+        const [coverage, withPending] = await Promise.all([
+            leaveCoverage.checkRequest(leaveRequest),
+            leaveCoverage.checkRequest(leaveRequest, { includePending: true })
+        ]);
+
+        res.json({
+            message: 'Coverage checked successfully',
+            data: { ...coverage, pendingConflicts: withPending.conflicts.filter(c => c.status === 'pending') }
+        });
+    } catch (err) {
+        console.error('Request coverage error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// ===== LIST STAFFING RULES (Manager/Admin) =====
+router.get('/coverage/rules', auth, permit('manager', 'admin'), async(req, res) => {
+    try {
+        const rules = await StaffingRule.find()
+            .populate('manager', 'name email')
+            .populate('project', 'name')
+            .sort({ scope: 1, createdAt: 1 });
+
+        res.json({
+            message: 'Staffing rules retrieved successfully',
+            data: rules
+        });
+    } catch (err) {
+        console.error('Get staffing rules error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// ===== CREATE STAFFING RULE (Admin) =====
+router.post('/coverage/rules', auth, permit('admin'), audit('StaffingRule'), async(req, res) => {
+    try {
+        const rule = await StaffingRule.create({ ...pickStaffingRuleFields(req.body), createdBy: req.user._id });
+
+        res.status(201).json({
+            message: 'Staffing rule created successfully',
+            data: rule
+        });
+    } catch (err) {
+        if (err.name === 'ValidationError' || err.name === 'CastError') {
+            return res.status(400).json({ message: err.message });
+        }
+        console.error('Create staffing rule error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// ===== UPDATE STAFFING RULE (Admin) =====
+router.put('/coverage/rules/:id', auth, permit('admin'), audit('StaffingRule'), async(req, res) => {
+    try {
+        const rule = await StaffingRule.findById(req.params.id);
+        if (!rule) return res.status(404).json({ message: 'Staffing rule not found' });
+
+        Object.assign(rule, pickStaffingRuleFields(req.body));
+        await rule.save();
+
+        res.json({
+            message: 'Staffing rule updated successfully',
+            data: rule
+        });
+    } catch (err) {
+        if (err.name === 'ValidationError' || err.name === 'CastError') {
+            return res.status(400).json({ message: err.message });
+        }
+        console.error('Update staffing rule error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// ===== DELETE STAFFING RULE (Admin) =====
+router.delete('/coverage/rules/:id', auth, permit('admin'), audit('StaffingRule'), async(req, res) => {
+    try {
+        const rule = await StaffingRule.findByIdAndDelete(req.params.id);
+        if (!rule) return res.status(404).json({ message: 'Staffing rule not found' });
+
+        res.json({ message: 'Staffing rule deleted successfully' });
+    } catch (err) {
+        console.error('Delete staffing rule error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// ===== PREVIEW LEAVE DAYS =====
+// ?fromDate&toDate&fromSession&toSession: working days a request would charge
+router.get('/calculate', auth, permit('employee', 'manager', 'admin'), async(req, res) => {
+    try {
+        const { fromDate, toDate, fromSession = 'full', toSession = 'full' } = req.query;
+        if (!fromDate) return res.status(400).json({ message: 'fromDate is required' });
+
+        let result;
+        try {
+            result = await leaveDays.countLeaveDays({ employeeId: req.user._id, fromDate, toDate: toDate || fromDate, fromSession, toSession });
+        } catch (calcErr) {
+            return res.status(calcErr.status || 400).json({ message: calcErr.message });
+        }
+
+        res.json({
+            message: 'Leave days calculated successfully',
+            data: result
+        });
+    } catch (err) {
+        console.error('Calculate leave days error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
 // ===== GET LEAVE BALANCE =====
 router.get('/balance/:employeeId?', auth, permit('employee', 'manager', 'admin'), async(req, res) => {
     try {
@@ -510,19 +992,9 @@ router.get('/balance/:employeeId?', auth, permit('employee', 'manager', 'admin')
             return res.status(403).json({ message: 'You can only view your own leave balance' });
         }
 
-        let leaveBalance = await LeaveBalance.findOne({
-            employee: employeeId,
-            year: new Date().getFullYear()
-        }).populate('employee', 'name email');
-
-        console.log('📊 Existing leave balance found:', !!leaveBalance);
-
-        if (!leaveBalance) {
-            console.log('📊 Creating new leave balance for employee:', employeeId);
-            leaveBalance = await LeaveBalance.initializeForEmployee(employeeId);
-            leaveBalance = await leaveBalance.populate('employee', 'name email');
-            console.log('📊 New leave balance created:', leaveBalance);
-        }
+        // Created on first access, accrued up to today
+        let leaveBalance = await leaveAccrual.getCurrentBalance(employeeId);
+        leaveBalance = await leaveBalance.populate('employee', 'name email');
 
         console.log('📊 Leave balance details:', {
             CL: leaveBalance.casualLeave,
@@ -532,9 +1004,19 @@ router.get('/balance/:employeeId?', auth, permit('employee', 'manager', 'admin')
             PERM: leaveBalance.permission
         });
 
+        const [types, compOffSummary] = await Promise.all([
+            leaveTypes.getLeaveTypes(),
+            compOff.getSummary(employeeId)
+        ]);
+
         res.json({
             message: 'Leave balance retrieved successfully',
-            data: leaveBalance
+            // `types`: every balance-tracked catalog type, custom ones included
+            data: {
+                ...leaveBalance.toJSON({ flattenMaps: true }),
+                types: leaveTypes.summarizeBalance(leaveBalance, types),
+                compOff: compOffSummary
+            }
         });
 
     } catch (err) {
@@ -544,19 +1026,15 @@ router.get('/balance/:employeeId?', auth, permit('employee', 'manager', 'admin')
 });
 
 // ===== UPDATE LEAVE BALANCE (Admin only) =====
-router.put('/balance/:employeeId', auth, permit('admin'), async(req, res) => {
+router.put('/balance/:employeeId', auth, permit('admin'), audit('LeaveBalance', { load: loadCurrentBalance }), async(req, res) => {
     try {
         const { employeeId } = req.params;
         const { casualLeave, sickLeave, earnedLeave, workFromHome, permission } = req.body;
 
-        let leaveBalance = await LeaveBalance.findOne({
-            employee: employeeId,
-            year: new Date().getFullYear()
-        });
-
-        if (!leaveBalance) {
-            leaveBalance = await LeaveBalance.initializeForEmployee(employeeId);
-        }
+        const leaveBalance = await leaveAccrual.getCurrentBalance(employeeId);
+        const types = await leaveTypes.getLeaveTypes({ includeInactive: true });
+        await leaveLedger.ensureOpening(leaveBalance, types);
+        const balancesBefore = leaveLedger.snapshotBalances(leaveBalance, types);
 
         // Update balances if provided
         if (casualLeave !== undefined) {
@@ -589,7 +1067,28 @@ router.put('/balance/:employeeId', auth, permit('admin'), async(req, res) => {
             leaveBalance.permission.balance = leaveBalance.permission.total - leaveBalance.permission.used;
         }
 
+        // Any catalog type by code, e.g. { types: { MATERNITY: { total: 90 } } }
+        Object.entries(req.body.types || {}).forEach(([code, values]) => {
+            const type = types.find(t => t.code === String(code).toUpperCase());
+            const bucket = leaveTypes.getBucket(leaveBalance, type, { create: true });
+            if (!bucket || !values) return;
+            bucket.total = values.total || bucket.total;
+            bucket.used = values.used || bucket.used;
+            bucket.balance = bucket.total - bucket.used;
+        });
+
+        // Keep manually set totals across later accrual runs
+        types.forEach(type => {
+            const bucket = leaveTypes.getBucket(leaveBalance, type);
+            if (bucket) bucket.adjustment = bucket.total - (bucket.accrued || 0) - (bucket.carriedForward || 0);
+        });
+
         await leaveBalance.save();
+        await leaveLedger.recordBalanceChanges(leaveBalance, balancesBefore, types, {
+            type: 'adjustment',
+            performedBy: req.user._id,
+            note: req.body.reason || 'Balance updated by admin'
+        });
 
         res.json({
             message: 'Leave balance updated successfully',
@@ -602,37 +1101,187 @@ router.put('/balance/:employeeId', auth, permit('admin'), async(req, res) => {
     }
 });
 
+// ===== ENCASH LEAVE (Admin only) =====
+router.post('/balance/:employeeId/encash', auth, permit('admin'), audit('LeaveBalance', { action: 'encash', load: loadCurrentBalance }), async(req, res) => {
+    try {
+        const { leaveType, amount, note } = req.body;
+        if (!leaveType || amount === undefined) {
+            return res.status(400).json({ message: 'Missing required fields: leaveType, amount' });
+        }
+
+        const leaveBalance = await leaveAccrual.getCurrentBalance(req.params.employeeId);
+
+        let result;
+        try {
+            result = await leaveLedger.encash(leaveBalance, leaveType, amount, { performedBy: req.user._id, note });
+        } catch (encashErr) {
+            if (!encashErr.status) throw encashErr;
+            return res.status(encashErr.status).json({ message: encashErr.message });
+        }
+
+        res.json({
+            message: 'Leave encashed successfully',
+            data: result
+        });
+    } catch (err) {
+        console.error('Encash leave error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// ===== LEAVE LEDGER STATEMENT =====
+// Every transaction of one employee's year with running balances, checked
+// against the stored balance (?year, default: current year)
+router.get('/statement/:employeeId?', auth, permit('employee', 'manager', 'admin'), async(req, res) => {
+    try {
+        const employeeId = req.params.employeeId || req.user._id;
+
+        if (String(employeeId) !== String(req.user._id) && !['manager', 'admin'].includes(req.user.role)) {
+            return res.status(403).json({ message: 'You can only view your own leave statement' });
+        }
+
+        const year = Number(req.query.year) || new Date().getFullYear();
+        const [employee, statement] = await Promise.all([
+            User.findById(employeeId).select('name email department').lean(),
+            leaveLedger.getStatement(employeeId, year)
+        ]);
+        if (!employee) return res.status(404).json({ message: 'Employee not found' });
+
+        res.json({
+            message: 'Leave statement retrieved successfully',
+            data: { ...statement, employee }
+        });
+    } catch (err) {
+        console.error('Get leave statement error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// ===== LEDGER RECONCILIATION (Admin) =====
+// Balances whose stored counters no longer match their ledger (?year)
+router.get('/ledger/discrepancies', auth, permit('admin'), async(req, res) => {
+    try {
+        const year = Number(req.query.year) || new Date().getFullYear();
+        const rows = await leaveLedger.findDiscrepancies(year);
+
+        res.json({
+            message: rows.length ? `${rows.length} leave balances differ from the ledger` : 'All leave balances match the ledger',
+            data: { year, rows }
+        });
+    } catch (err) {
+        console.error('Leave ledger reconciliation error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// ===== ACCRUAL RULES (Admin) =====
+// Per-type schedules are edited through /api/leave-types
+router.get('/accrual/rules', auth, permit('admin'), async(req, res) => {
+    try {
+        const types = await leaveTypes.getLeaveTypes({ includeInactive: true });
+
+        res.json({
+            message: 'Accrual rules retrieved successfully',
+            data: types.filter(leaveTypes.tracksBalance).map(t => ({
+                code: t.code,
+                name: t.name,
+                unit: t.unit,
+                annualAllowance: t.annualAllowance,
+                accrual: t.accrual,
+                prorate: t.prorate,
+                carryForwardCap: t.carryForwardCap,
+                isActive: t.isActive
+            }))
+        });
+    } catch (err) {
+        console.error('Get accrual rules error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// ===== RUN ACCRUAL (Admin) =====
+// Balances also accrue when read; this refreshes everyone at once
+router.post('/accrual/run', auth, permit('admin'), audit('LeaveBalance', { action: 'accrue' }), async(req, res) => {
+    try {
+        const result = await leaveAccrual.runAccrual({ year: Number(req.body.year) || new Date().getFullYear() });
+
+        res.json({
+            message: `Accrued ${result.updated} of ${result.balances} leave balances`,
+            data: result
+        });
+    } catch (err) {
+        console.error('Run accrual error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// ===== PREVIEW YEAR ROLLOVER (Admin) =====
+// ?fromYear (default: current year) shows next year's opening balances
+router.get('/rollover/preview', auth, permit('admin'), async(req, res) => {
+    try {
+        const fromYear = Number(req.query.fromYear) || new Date().getFullYear();
+        const employeeIds = req.query.employeeId ? [req.query.employeeId] : null;
+        const plan = await leaveAccrual.planRollover(fromYear, { employeeIds });
+
+        res.json({
+            message: 'Rollover preview generated successfully',
+            data: plan
+        });
+    } catch (err) {
+        console.error('Preview rollover error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// ===== COMMIT YEAR ROLLOVER (Admin) =====
+router.post('/rollover', auth, permit('admin'), audit('LeaveBalance', { action: 'rollover' }), async(req, res) => {
+    try {
+        const fromYear = Number(req.body.fromYear) || new Date().getFullYear() - 1;
+        const employeeIds = Array.isArray(req.body.employeeIds) && req.body.employeeIds.length ? req.body.employeeIds : null;
+
+        let result;
+        try {
+            result = await leaveAccrual.applyRollover(fromYear, { employeeIds });
+        } catch (rolloverErr) {
+            if (!rolloverErr.status) throw rolloverErr;
+            return res.status(rolloverErr.status).json({ message: rolloverErr.message });
+        }
+
+        res.json({
+            message: `Rolled ${result.rolledOver} leave balances over from ${result.fromYear} to ${result.toYear}`,
+            data: result
+        });
+    } catch (err) {
+        console.error('Commit rollover error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
 // ===== GET ALL LEAVE BALANCES (Admin) =====
 router.get('/balances', auth, permit('admin'), async(req, res) => {
     try {
         const currentYear = new Date().getFullYear();
 
-        const balances = await LeaveBalance.find({
-            year: currentYear
-        }).populate('employee', 'name email role');
-
-        // Calculate used leave from approved leave requests
-        const balancesWithUsage = await Promise.all(balances.map(async(balance) => {
-            const approvedLeaves = await LeaveRequest.find({
-                employee: balance.employee._id,
-                status: { $in: ['approved', 'approved_final'] },
-                fromDate: {
-                    $gte: new Date(currentYear, 0, 1),
-                    $lte: new Date(currentYear, 11, 31)
-                }
-            });
+        const [balances, types] = await Promise.all([
+            LeaveBalance.find({ year: currentYear }).populate('employee', 'name email role'),
+            leaveTypes.getLeaveTypes()
+        ]);
+        // Headline totals cover paid day-based leave that is actually taken off
+        const annualTypes = types.filter(t => leaveTypes.tracksBalance(t) && !leaveTypes.isHourly(t) && t.isPaid && !t.isRemote);
 
-            const usedLeave = approvedLeaves.reduce((total, leave) => total + (leave.totalDays || 0), 0);
-            const remainingLeave = balance.totalAnnualLeave - usedLeave;
+        const balancesWithUsage = balances.filter(b => b.employee).map(balance => {
+            const summary = leaveTypes.summarizeBalance(balance, types);
+            const annual = summary.filter(row => annualTypes.some(t => t.code === row.code));
 
             return {
                 employee: balance.employee,
-                totalAnnualLeave: balance.totalAnnualLeave,
-                usedLeave: usedLeave,
-                remainingLeave: Math.max(0, remainingLeave),
-                carryForward: balance.carryForward || 0
+                totalAnnualLeave: annual.reduce((sum, row) => sum + row.total, 0),
+                usedLeave: annual.reduce((sum, row) => sum + row.used, 0),
+                remainingLeave: Math.max(0, annual.reduce((sum, row) => sum + row.balance, 0)),
+                carryForward: annual.reduce((sum, row) => sum + row.carriedForward, 0),
+                types: summary
             };
-        }));
+        });
 
         res.json({
             message: 'Leave balances retrieved successfully',
@@ -663,22 +1312,45 @@ router.get('/analytics/summary', auth, permit('manager', 'admin'), async(req, re
             query.fromDate = { $gte: startOfYear, $lte: endOfYear };
         }
 
-        const leaveRequests = await LeaveRequest.find(query);
+        const [leaveRequests, types] = await Promise.all([
+            LeaveRequest.find(query),
+            leaveTypes.getLeaveTypes({ includeInactive: true })
+        ]);
+
+        const approvedRequests = leaveRequests.filter(l => l.status === 'approved');
+        const amountOf = (l, type) => leaveTypes.isHourly(type) ? (l.permissionHours || 0) : (l.totalDays || 0);
+
+        // One row per catalog type: active types always, retired ones only if used
+        const typeRows = types
+            .filter(t => t.isActive || leaveRequests.some(l => l.leaveType === t.code))
+            .map(t => {
+                const requests = leaveRequests.filter(l => l.leaveType === t.code);
+                const approved = requests.filter(l => l.status === 'approved');
+                return {
+                    code: t.code,
+                    name: t.name,
+                    unit: t.unit,
+                    isPaid: t.isPaid,
+                    requests: requests.length,
+                    approved: approved.length,
+                    pending: requests.filter(l => l.status === 'pending').length,
+                    requested: requests.reduce((sum, l) => sum + amountOf(l, t), 0),
+                    taken: approved.reduce((sum, l) => sum + amountOf(l, t), 0)
+                };
+            });
+        const dayRows = typeRows.filter(row => row.unit === 'days');
 
         const analytics = {
             totalRequests: leaveRequests.length,
-            approved: leaveRequests.filter(l => l.status === 'approved').length,
+            approved: approvedRequests.length,
             rejected: leaveRequests.filter(l => l.status === 'rejected').length,
             pending: leaveRequests.filter(l => l.status === 'pending').length,
-            byType: {
-                CL: leaveRequests.filter(l => l.leaveType === 'CL').length,
-                SL: leaveRequests.filter(l => l.leaveType === 'SL').length,
-                EL: leaveRequests.filter(l => l.leaveType === 'EL').length,
-                WFH: leaveRequests.filter(l => l.leaveType === 'WFH').length,
-                PERMISSION: leaveRequests.filter(l => l.leaveType === 'PERMISSION').length
-            },
-            totalDaysRequested: leaveRequests.reduce((sum, l) => sum + (l.totalDays || 0), 0),
-            totalDaysApproved: leaveRequests.filter(l => l.status === 'approved').reduce((sum, l) => sum + (l.totalDays || 0), 0)
+            byType: Object.fromEntries(typeRows.map(row => [row.code, row.requests])),
+            types: typeRows,
+            totalDaysRequested: dayRows.reduce((sum, row) => sum + row.requested, 0),
+            totalDaysApproved: dayRows.reduce((sum, row) => sum + row.taken, 0),
+            paidDaysApproved: dayRows.filter(row => row.isPaid).reduce((sum, row) => sum + row.taken, 0),
+            unpaidDaysApproved: dayRows.filter(row => !row.isPaid).reduce((sum, row) => sum + row.taken, 0)
         };
 
         res.json({
@@ -0,0 +1,88 @@
+const express = require('express');
+const router = express.Router();
+const OfficeSite = require('../models/OfficeSite');
+const { auth, permit } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+
+const OFFICE_SITE_FIELDS = ['name', 'address', 'latitude', 'longitude', 'radiusMeters', 'ipRanges', 'isActive'];
+
+function pickOfficeSiteFields(body) {
+    const data = {};
+    OFFICE_SITE_FIELDS.forEach(f => {
+        if (body[f] !== undefined) data[f] = body[f];
+    });
+    return data;
+}
+
+// ===== LIST OFFICE SITES (Manager/Admin) =====
+router.get('/', auth, permit('manager', 'admin'), async(req, res) => {
+    try {
+        const query = req.query.includeInactive === 'true' ? {} : { isActive: true };
+        const sites = await OfficeSite.find(query).sort({ name: 1 });
+
+        res.json({
+            message: 'Office sites retrieved successfully',
+            data: sites
+        });
+    } catch (err) {
+        console.error('Get office sites error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// ===== CREATE OFFICE SITE (Admin) =====
+router.post('/', auth, permit('admin'), audit('OfficeSite'), async(req, res) => {
+    try {
+        const data = pickOfficeSiteFields(req.body);
+        if (!data.name) {
+            return res.status(400).json({ message: 'Missing required field: name' });
+        }
+
+        const site = await OfficeSite.create({ ...data, createdBy: req.user._id });
+
+        res.status(201).json({
+            message: 'Office site created successfully',
+            data: site
+        });
+    } catch (err) {
+        if (err.name === 'ValidationError') return res.status(400).json({ message: err.message });
+        console.error('Create office site error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// ===== UPDATE OFFICE SITE (Admin) =====
+router.put('/:id', auth, permit('admin'), audit('OfficeSite'), async(req, res) => {
+    try {
+        const site = await OfficeSite.findById(req.params.id);
+        if (!site) return res.status(404).json({ message: 'Office site not found' });
+
+        Object.assign(site, pickOfficeSiteFields(req.body));
+        await site.save();
+
+        res.json({
+            message: 'Office site updated successfully',
+            data: site
+        });
+    } catch (err) {
+        if (err.name === 'ValidationError' || err.name === 'CastError') return res.status(400).json({ message: err.message });
+        console.error('Update office site error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// ===== DEACTIVATE OFFICE SITE (Admin) =====
+router.delete('/:id', auth, permit('admin'), audit('OfficeSite'), async(req, res) => {
+    try {
+        // Soft delete: past check-ins reference the site they were verified against
+        const site = await OfficeSite.findByIdAndUpdate(req.params.id, { isActive: false }, { new: true });
+        if (!site) return res.status(404).json({ message: 'Office site not found' });
+
+        res.json({ message: 'Office site deactivated successfully' });
+    } catch (err) {
+        console.error('Delete office site error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+module.exports = router;
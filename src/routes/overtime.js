@@ -0,0 +1,258 @@
+const express = require('express');
+const router = express.Router();
+const OvertimePolicy = require('../models/OvertimePolicy');
+const OvertimeRequest = require('../models/OvertimeRequest');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { auth, permit } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const overtimePolicy = require('../services/overtime-policy');
+
+const POLICY_FIELDS = [
+    'name', 'description', 'dailyThresholdHours', 'weeklyThresholdHours',
+    'weekdayMultiplier', 'weekendMultiplier', 'holidayMultiplier', 'weekendDays',
+    'restDayAllHoursOvertime', 'dailyCapHours', 'employees', 'departments', 'isDefault', 'isActive'
+];
+
+function pickPolicyFields(body) {
+    const data = {};
+    POLICY_FIELDS.forEach(f => {
+        if (body[f] !== undefined) data[f] = body[f];
+    });
+    return data;
+}
+
+// ===== LIST POLICIES (Manager/Admin) =====
+router.get('/policies', auth, permit('manager', 'admin'), async(req, res) => {
+    try {
+        const policies = await OvertimePolicy.find()
+            .populate('employees', 'name email')
+            .sort({ isDefault: -1, name: 1 });
+
+        res.json({
+            message: 'Overtime policies retrieved successfully',
+            data: policies
+        });
+    } catch (err) {
+        console.error('Get overtime policies error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// ===== EFFECTIVE POLICY FOR AN EMPLOYEE =====
+router.get('/policies/effective/:employeeId?', auth, permit('employee', 'manager', 'admin'), async(req, res) => {
+    try {
+        const employeeId = req.params.employeeId || req.user._id;
+        if (String(employeeId) !== String(req.user._id) && !['manager', 'admin'].includes(req.user.role)) {
+            return res.status(403).json({ message: 'You can only view your own overtime policy' });
+        }
+
+        const policy = await overtimePolicy.resolvePolicy(employeeId);
+
+        res.json({
+            message: 'Effective overtime policy retrieved successfully',
+            data: policy
+        });
+    } catch (err) {
+        console.error('Get effective policy error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// ===== CREATE POLICY (Admin) =====
+router.post('/policies', auth, permit('admin'), audit('OvertimePolicy'), async(req, res) => {
+    try {
+        const data = pickPolicyFields(req.body);
+        if (!data.name) return res.status(400).json({ message: 'Policy name is required' });
+
+        if (data.isDefault) {
+            await OvertimePolicy.updateMany({ isDefault: true }, { $set: { isDefault: false } });
+        }
+
+        const policy = await OvertimePolicy.create({ ...data, createdBy: req.user._id });
+
+        res.status(201).json({
+            message: 'Overtime policy created successfully',
+            data: policy
+        });
+    } catch (err) {
+        if (err.code === 11000) return res.status(400).json({ message: 'A policy with this name already exists' });
+        if (err.name === 'ValidationError') return res.status(400).json({ message: err.message });
+        console.error('Create overtime policy error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// ===== UPDATE POLICY (Admin) =====
+router.put('/policies/:id', auth, permit('admin'), audit('OvertimePolicy'), async(req, res) => {
+    try {
+        const data = pickPolicyFields(req.body);
+
+        if (data.isDefault) {
+            await OvertimePolicy.updateMany({ isDefault: true, _id: { $ne: req.params.id } }, { $set: { isDefault: false } });
+        }
+
+        const policy = await OvertimePolicy.findByIdAndUpdate(req.params.id, data, { new: true, runValidators: true });
+        if (!policy) return res.status(404).json({ message: 'Overtime policy not found' });
+
+        res.json({
+            message: 'Overtime policy updated successfully',
+            data: policy
+        });
+    } catch (err) {
+        if (err.name === 'ValidationError') return res.status(400).json({ message: err.message });
+        console.error('Update overtime policy error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// ===== DELETE POLICY (Admin) =====
+router.delete('/policies/:id', auth, permit('admin'), audit('OvertimePolicy'), async(req, res) => {
+    try {
+        const policy = await OvertimePolicy.findByIdAndDelete(req.params.id);
+        if (!policy) return res.status(404).json({ message: 'Overtime policy not found' });
+
+        res.json({ message: 'Overtime policy deleted successfully' });
+    } catch (err) {
+        console.error('Delete overtime policy error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// ===== REQUEST OVERTIME PRE-APPROVAL =====
+router.post('/requests', auth, permit('employee', 'manager', 'admin'), audit('OvertimeRequest'), async(req, res) => {
+    try {
+        const { date, hours, reason, project } = req.body;
+        if (!date || !hours || !reason) {
+            return res.status(400).json({ message: 'Missing required fields: date, hours, reason' });
+        }
+
+        const request = new OvertimeRequest({
+            employee: req.user._id,
+            date: new Date(date),
+            hours: Number(hours),
+            reason,
+            project: project || undefined
+        });
+        await request.save();
+
+        const managers = req.user.manager ?
+            await User.find({ _id: req.user.manager }) :
+            await User.find({ role: { $in: ['manager', 'admin'] } });
+        await Notification.insertMany(managers.map(m => ({
+            user: m._id,
+            type: 'overtime_request_submitted',
+            title: '⏱️ Overtime Pre-Approval Request',
+            body: `${req.user.name} requested ${request.hours}h of overtime on ${request.date.toDateString()}`,
+            meta: {
+                overtimeRequestId: request._id,
+                employeeId: req.user._id,
+                employeeName: req.user.name,
+                date: request.date,
+                hours: request.hours,
+                reason
+            }
+        })));
+
+        res.status(201).json({
+            message: 'Overtime request submitted successfully',
+            data: request
+        });
+    } catch (err) {
+        if (err.name === 'ValidationError') return res.status(400).json({ message: err.message });
+        console.error('Create overtime request error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// ===== MY OVERTIME REQUESTS =====
+router.get('/requests/my', auth, permit('employee', 'manager', 'admin'), async(req, res) => {
+    try {
+        const query = { employee: req.user._id };
+        if (req.query.status) query.status = req.query.status;
+
+        const requests = await OvertimeRequest.find(query)
+            .populate('reviewedBy', 'name role')
+            .sort({ date: -1 })
+            .limit(100);
+
+        res.json({
+            message: 'Overtime requests retrieved successfully',
+            data: requests
+        });
+    } catch (err) {
+        console.error('Get my overtime requests error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// ===== PENDING OVERTIME REQUESTS (Manager/Admin) =====
+router.get('/requests/pending', auth, permit('manager', 'admin'), async(req, res) => {
+    try {
+        const requests = await OvertimeRequest.find({ status: 'pending' })
+            .populate('employee', 'name email department')
+            .populate('project', 'name')
+            .sort({ date: 1 });
+
+        res.json({
+            message: 'Pending overtime requests retrieved successfully',
+            data: requests,
+            count: requests.length
+        });
+    } catch (err) {
+        console.error('Get pending overtime requests error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// ===== APPROVE/REJECT OVERTIME REQUEST (Manager/Admin) =====
+router.put('/requests/:id/review', auth, permit('manager', 'admin'), audit('OvertimeRequest', { action: 'review' }), async(req, res) => {
+    try {
+        const { action, comments } = req.body;
+        if (!['approve', 'reject'].includes(action)) {
+            return res.status(400).json({ message: 'Invalid action. Must be "approve" or "reject"' });
+        }
+
+        const request = await OvertimeRequest.findById(req.params.id);
+        if (!request) return res.status(404).json({ message: 'Overtime request not found' });
+        if (request.status !== 'pending') {
+            return res.status(400).json({ message: `Overtime request is already ${request.status}` });
+        }
+        if (String(request.employee) === String(req.user._id) && req.user.role !== 'admin') {
+            return res.status(403).json({ message: 'You cannot review your own overtime request' });
+        }
+
+        request.status = action === 'approve' ? 'approved' : 'rejected';
+        request.reviewedBy = req.user._id;
+        request.reviewedAt = new Date();
+        request.reviewComments = comments;
+        await request.save();
+
+        // Hours may already be logged for that day: re-apply the cap
+        if (request.status === 'approved') {
+            await overtimePolicy.recalculateTimesheetWeeks(request.employee, [request.date]);
+        }
+
+        await Notification.create({
+            user: request.employee,
+            type: request.status === 'approved' ? 'overtime_request_approved' : 'overtime_request_rejected',
+            title: request.status === 'approved' ? '✅ Overtime Approved' : '❌ Overtime Rejected',
+            body: `Your overtime request for ${request.date.toDateString()} was ${request.status} by ${req.user.name}`,
+            meta: {
+                overtimeRequestId: request._id,
+                reviewedBy: req.user._id,
+                comments
+            }
+        });
+
+        res.json({
+            message: `Overtime request ${request.status}`,
+            data: request
+        });
+    } catch (err) {
+        console.error('Review overtime request error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+module.exports = router;
@@ -2,11 +2,13 @@ const express = require('express');
 const Project = require('../models/Project');
 const Timesheet = require('../models/Timesheet');
 const { auth, permit } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const projectBudget = require('../services/project-budget');
 
 const router = express.Router();
 
 // create project (manager/admin)
-router.post('/', auth, permit('manager', 'admin'), async(req, res) => {
+router.post('/', auth, permit('manager', 'admin'), audit('Project'), async(req, res) => {
     try {
         const payload = Object.assign({}, req.body);
         // ensure manager is the requester unless admin explicitly sets another manager
@@ -35,8 +37,29 @@ router.get('/:id', auth, permit('manager', 'admin', 'employee'), async(req, res)
     }
 });
 
+// budget burn, run rate and estimate at completion (project manager/admin)
+// GET /api/projects/:id/budget?asOf=
+router.get('/:id/budget', auth, permit('manager', 'admin'), async(req, res) => {
+    try {
+        const p = await Project.findById(req.params.id).lean();
+        if (!p) return res.status(404).json({ message: 'Project not found' });
+        if (req.user.role !== 'admin' && String(p.manager) !== String(req.user._id)) {
+            return res.status(403).json({ message: 'Not allowed' });
+        }
+        const asOf = req.query.asOf ? new Date(req.query.asOf) : new Date();
+        if (isNaN(asOf.getTime())) return res.status(400).json({ message: 'Invalid asOf' });
+
+        const burn = await projectBudget.getBurn(p, { asOf });
+        res.json({ ...burn, alerts: p.budgetAlerts || [] });
+    } catch (err) {
+        if (err.name === 'CastError') return res.status(400).json({ message: 'Invalid project id' });
+        console.error(err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
 // update project (manager/admin)
-router.put('/:id', auth, permit('manager', 'admin'), async(req, res) => {
+router.put('/:id', auth, permit('manager', 'admin'), audit('Project'), async(req, res) => {
     try {
         const updates = req.body;
         const p = await Project.findById(req.params.id);
@@ -56,7 +79,7 @@ router.put('/:id', auth, permit('manager', 'admin'), async(req, res) => {
 });
 
 // delete project (manager or admin)
-router.delete('/:id', auth, permit('manager', 'admin'), async(req, res) => {
+router.delete('/:id', auth, permit('manager', 'admin'), audit('Project'), async(req, res) => {
     try {
         const p = await Project.findById(req.params.id);
         if (!p) return res.status(404).json({ message: 'Project not found' });
@@ -76,7 +99,7 @@ router.delete('/:id', auth, permit('manager', 'admin'), async(req, res) => {
 });
 
 // remove employee from project (manager or admin)
-router.delete('/:id/employees/:empId', auth, permit('manager', 'admin'), async(req, res) => {
+router.delete('/:id/employees/:empId', auth, permit('manager', 'admin'), audit('Project', { action: 'remove_employee' }), async(req, res) => {
     try {
         const p = await Project.findById(req.params.id);
         if (!p) return res.status(404).json({ message: 'Project not found' });
@@ -95,7 +118,7 @@ router.delete('/:id/employees/:empId', auth, permit('manager', 'admin'), async(r
 });
 
 // employee leaves a project (self-remove)
-router.post('/:id/leave', auth, permit('employee', 'manager', 'admin'), async(req, res) => {
+router.post('/:id/leave', auth, permit('employee', 'manager', 'admin'), audit('Project', { action: 'member_leave' }), async(req, res) => {
     try {
         const p = await Project.findById(req.params.id);
         if (!p) return res.status(404).json({ message: 'Project not found' });
@@ -0,0 +1,103 @@
+const express = require('express');
+const router = express.Router();
+const RateCard = require('../models/RateCard');
+const { auth, permit } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+
+const RATE_CARD_FIELDS = ['name', 'project', 'role', 'employee', 'rate', 'costRate', 'currency', 'effectiveFrom', 'effectiveTo', 'isActive'];
+
+function pickRateCardFields(body) {
+    const data = {};
+    RATE_CARD_FIELDS.forEach(f => {
+        if (body[f] !== undefined) data[f] = body[f] === '' ? null : body[f];
+    });
+    return data;
+}
+
+// ===== LIST RATE CARDS (Admin) =====
+// Optional filters: ?project=&employee=&activeOn=YYYY-MM-DD
+router.get('/', auth, permit('admin'), async(req, res) => {
+    try {
+        const query = req.query.includeInactive === 'true' ? {} : { isActive: true };
+        if (req.query.project) query.project = req.query.project;
+        if (req.query.employee) query.employee = req.query.employee;
+        if (req.query.activeOn) {
+            const day = new Date(req.query.activeOn);
+            query.effectiveFrom = { $lte: day };
+            query.$or = [{ effectiveTo: null }, { effectiveTo: { $gte: day } }];
+        }
+
+        const cards = await RateCard.find(query)
+            .populate('project', 'name')
+            .populate('employee', 'name email designation')
+            .sort({ effectiveFrom: -1 });
+
+        res.json({
+            message: 'Rate cards retrieved successfully',
+            data: cards
+        });
+    } catch (err) {
+        if (err.name === 'CastError') return res.status(400).json({ message: err.message });
+        console.error('Get rate cards error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// ===== CREATE RATE CARD (Admin) =====
+router.post('/', auth, permit('admin'), audit('RateCard'), async(req, res) => {
+    try {
+        const data = pickRateCardFields(req.body);
+        if (data.rate === undefined || data.rate === null || !data.effectiveFrom) {
+            return res.status(400).json({ message: 'Missing required fields: rate, effectiveFrom' });
+        }
+
+        const card = await RateCard.create({ ...data, createdBy: req.user._id });
+
+        res.status(201).json({
+            message: 'Rate card created successfully',
+            data: card
+        });
+    } catch (err) {
+        if (err.name === 'ValidationError' || err.name === 'CastError') return res.status(400).json({ message: err.message });
+        console.error('Create rate card error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// ===== UPDATE RATE CARD (Admin) =====
+// Rate changes should get a new card with a later effectiveFrom, so past
+// periods are still priced at the old rate
+router.put('/:id', auth, permit('admin'), audit('RateCard'), async(req, res) => {
+    try {
+        const card = await RateCard.findById(req.params.id);
+        if (!card) return res.status(404).json({ message: 'Rate card not found' });
+
+        Object.assign(card, pickRateCardFields(req.body));
+        await card.save();
+
+        res.json({
+            message: 'Rate card updated successfully',
+            data: card
+        });
+    } catch (err) {
+        if (err.name === 'ValidationError' || err.name === 'CastError') return res.status(400).json({ message: err.message });
+        console.error('Update rate card error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// ===== DEACTIVATE RATE CARD (Admin) =====
+router.delete('/:id', auth, permit('admin'), audit('RateCard'), async(req, res) => {
+    try {
+        // Soft delete: invoice lines reference the card they were priced with
+        const card = await RateCard.findByIdAndUpdate(req.params.id, { isActive: false }, { new: true });
+        if (!card) return res.status(404).json({ message: 'Rate card not found' });
+
+        res.json({ message: 'Rate card deactivated successfully' });
+    } catch (err) {
+        console.error('Delete rate card error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+module.exports = router;
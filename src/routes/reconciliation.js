@@ -0,0 +1,53 @@
+const express = require('express');
+const router = express.Router();
+const { auth, permit } = require('../middleware/auth');
+const reconciliation = require('../services/reconciliation');
+
+// ===== RECONCILIATION REPORT (Manager/Admin) =====
+// ?from&to&employeeId&department&toleranceMinutes&flaggedOnly=true
+router.get('/', auth, permit('manager', 'admin'), async(req, res) => {
+    try {
+        let options;
+        try {
+            options = await reconciliation.resolveOptions(req.user, req.query);
+        } catch (err) {
+            return res.status(err.status || 400).json({ message: err.message });
+        }
+
+        const { rows, summary } = await reconciliation.reconcile(options);
+
+        res.json({
+            message: 'Reconciliation report generated successfully',
+            data: rows,
+            summary
+        });
+    } catch (err) {
+        console.error('Reconciliation report error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// ===== MY RECONCILIATION (own days only) =====
+router.get('/me', auth, permit('employee', 'manager', 'admin'), async(req, res) => {
+    try {
+        let options;
+        try {
+            options = await reconciliation.resolveOptions(req.user, req.query, { selfOnly: true });
+        } catch (err) {
+            return res.status(err.status || 400).json({ message: err.message });
+        }
+
+        const { rows, summary } = await reconciliation.reconcile(options);
+
+        res.json({
+            message: 'Reconciliation report generated successfully',
+            data: rows,
+            summary
+        });
+    } catch (err) {
+        console.error('My reconciliation error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+module.exports = router;
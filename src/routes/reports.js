@@ -29,7 +29,7 @@ router.get('/summary', auth, permit('employee', 'manager', 'admin'), async(req,
             totalTimesheets: timesheets.length,
             totalHours: timesheets.reduce((sum, ts) => sum + (ts.totalHours || 0), 0),
             totalOvertimeHours: timesheets.reduce((sum, ts) => sum + (ts.overtimeHours || 0), 0),
-            approved: timesheets.filter(ts => ts.status === 'approved').length,
+            approved: timesheets.filter(ts => ts.status === 'approved' || ts.status === 'approved_final').length,
             pending: timesheets.filter(ts => ts.status === 'pending').length,
             rejected: timesheets.filter(ts => ts.status === 'rejected').length,
             timesheets: timesheets
@@ -176,7 +176,7 @@ router.get('/by-project', auth, async(req, res) => {
 
             const totalHours = data.timesheets.reduce((sum, ts) => sum + (ts.totalHours || 0), 0);
             const pending = data.timesheets.filter(ts => ts.status === 'pending').length;
-            const approved = data.timesheets.filter(ts => ts.status === 'approved').length;
+            const approved = data.timesheets.filter(ts => ts.status === 'approved' || ts.status === 'approved_final').length;
             const rejected = data.timesheets.filter(ts => ts.status === 'rejected').length;
 
             result.push({
@@ -246,7 +246,7 @@ router.get('/by-task', auth, async(req, res) => {
 
             const totalHours = data.timesheets.reduce((sum, ts) => sum + (ts.totalHours || 0), 0);
             const pending = data.timesheets.filter(ts => ts.status === 'pending').length;
-            const approved = data.timesheets.filter(ts => ts.status === 'approved').length;
+            const approved = data.timesheets.filter(ts => ts.status === 'approved' || ts.status === 'approved_final').length;
             const rejected = data.timesheets.filter(ts => ts.status === 'rejected').length;
 
             result.push({
@@ -0,0 +1,282 @@
+const express = require('express');
+const router = express.Router();
+const Shift = require('../models/Shift');
+const ShiftAssignment = require('../models/ShiftAssignment');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { auth, permit } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const workSchedule = require('../services/work-schedule');
+
+const SHIFT_FIELDS = ['name', 'code', 'startTime', 'endTime', 'breakMinutes', 'graceMinutes', 'earlyLeaveGraceMinutes', 'workDays', 'isActive'];
+
+function pickShiftFields(body) {
+    const data = {};
+    SHIFT_FIELDS.forEach(f => {
+        if (body[f] !== undefined) data[f] = body[f];
+    });
+    return data;
+}
+
+// Close the employee's open-ended assignment the day before a new one starts
+async function closeOpenAssignment(employeeId, effectiveFrom) {
+    const dayBefore = new Date(effectiveFrom);
+    dayBefore.setDate(dayBefore.getDate() - 1);
+    await ShiftAssignment.updateMany(
+        { employee: employeeId, effectiveTo: null, effectiveFrom: { $lt: effectiveFrom } },
+        { $set: { effectiveTo: dayBefore } }
+    );
+}
+
+// ===== LIST SHIFTS =====
+router.get('/', auth, async(req, res) => {
+    try {
+        const query = req.query.includeInactive === 'true' ? {} : { isActive: true };
+        const shifts = await Shift.find(query).sort({ startTime: 1 });
+
+        res.json({
+            message: 'Shifts retrieved successfully',
+            data: shifts.map(s => ({ ...s.toObject(), crossesMidnight: s.crossesMidnight, scheduledHours: workSchedule.getScheduledHours(s) }))
+        });
+    } catch (err) {
+        console.error('Get shifts error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// ===== CREATE SHIFT (Admin) =====
+router.post('/', auth, permit('admin'), audit('Shift'), async(req, res) => {
+    try {
+        const data = pickShiftFields(req.body);
+        if (!data.name || !data.startTime || !data.endTime) {
+            return res.status(400).json({ message: 'Missing required fields: name, startTime, endTime' });
+        }
+
+        const shift = await Shift.create(data);
+        res.status(201).json({
+            message: 'Shift created successfully',
+            data: shift
+        });
+    } catch (err) {
+        if (err.code === 11000) return res.status(400).json({ message: 'A shift with this name already exists' });
+        if (err.name === 'ValidationError') return res.status(400).json({ message: err.message });
+        console.error('Create shift error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// ===== UPDATE SHIFT (Admin) =====
+router.put('/:id', auth, permit('admin'), audit('Shift'), async(req, res) => {
+    try {
+        const shift = await Shift.findByIdAndUpdate(req.params.id, pickShiftFields(req.body), { new: true, runValidators: true });
+        if (!shift) return res.status(404).json({ message: 'Shift not found' });
+
+        res.json({
+            message: 'Shift updated successfully',
+            data: shift
+        });
+    } catch (err) {
+        if (err.name === 'ValidationError') return res.status(400).json({ message: err.message });
+        console.error('Update shift error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// ===== DEACTIVATE SHIFT (Admin) =====
+router.delete('/:id', auth, permit('admin'), audit('Shift'), async(req, res) => {
+    try {
+        // Soft delete: past attendance records still reference the shift
+        const shift = await Shift.findByIdAndUpdate(req.params.id, { isActive: false }, { new: true });
+        if (!shift) return res.status(404).json({ message: 'Shift not found' });
+
+        res.json({ message: 'Shift deactivated successfully' });
+    } catch (err) {
+        console.error('Delete shift error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// ===== MY SCHEDULE =====
+router.get('/my-schedule', auth, permit('employee', 'manager', 'admin'), async(req, res) => {
+    try {
+        const from = req.query.from ? new Date(req.query.from) : new Date();
+        const to = req.query.to ? new Date(req.query.to) : new Date(from.getTime() + 6 * 24 * 60 * 60 * 1000);
+        if ((to - from) > 92 * 24 * 60 * 60 * 1000) {
+            return res.status(400).json({ message: 'Schedule range cannot exceed 92 days' });
+        }
+
+        const schedule = await workSchedule.getSchedule(req.user._id, from, to);
+
+        res.json({
+            message: 'Schedule retrieved successfully',
+            data: schedule
+        });
+    } catch (err) {
+        console.error('Get schedule error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// ===== EMPLOYEE SCHEDULE (Manager/Admin) =====
+router.get('/schedule/:employeeId', auth, permit('manager', 'admin'), async(req, res) => {
+    try {
+        const from = req.query.from ? new Date(req.query.from) : new Date();
+        const to = req.query.to ? new Date(req.query.to) : new Date(from.getTime() + 6 * 24 * 60 * 60 * 1000);
+        if ((to - from) > 92 * 24 * 60 * 60 * 1000) {
+            return res.status(400).json({ message: 'Schedule range cannot exceed 92 days' });
+        }
+
+        const schedule = await workSchedule.getSchedule(req.params.employeeId, from, to);
+
+        res.json({
+            message: 'Schedule retrieved successfully',
+            data: schedule
+        });
+    } catch (err) {
+        console.error('Get employee schedule error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// ===== LIST ASSIGNMENTS (Manager/Admin) =====
+router.get('/assignments', auth, permit('manager', 'admin'), async(req, res) => {
+    try {
+        const query = {};
+        if (req.query.employeeId) query.employee = req.query.employeeId;
+        if (req.query.shiftId) query.shift = req.query.shiftId;
+
+        const assignments = await ShiftAssignment.find(query)
+            .populate('employee', 'name email department')
+            .populate('shift', 'name startTime endTime')
+            .populate('assignedBy', 'name')
+            .sort({ effectiveFrom: -1 })
+            .limit(500);
+
+        res.json({
+            message: 'Shift assignments retrieved successfully',
+            data: assignments
+        });
+    } catch (err) {
+        console.error('Get shift assignments error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// ===== ASSIGN SHIFT (Manager/Admin) =====
+router.post('/assignments', auth, permit('manager', 'admin'), audit('ShiftAssignment'), async(req, res) => {
+    try {
+        const { employee, shift, effectiveFrom, effectiveTo, notes } = req.body;
+        if (!employee || !shift || !effectiveFrom) {
+            return res.status(400).json({ message: 'Missing required fields: employee, shift, effectiveFrom' });
+        }
+
+        const [emp, shiftDoc] = await Promise.all([User.findById(employee), Shift.findById(shift)]);
+        if (!emp) return res.status(404).json({ message: 'Employee not found' });
+        if (!shiftDoc || !shiftDoc.isActive) return res.status(404).json({ message: 'Shift not found' });
+
+        const from = workSchedule.startOfDay(effectiveFrom);
+        const to = effectiveTo ? workSchedule.startOfDay(effectiveTo) : null;
+        if (to && to < from) return res.status(400).json({ message: 'effectiveTo cannot be before effectiveFrom' });
+
+        if (!to) await closeOpenAssignment(emp._id, from);
+
+        const assignment = await ShiftAssignment.create({
+            employee: emp._id,
+            shift: shiftDoc._id,
+            effectiveFrom: from,
+            effectiveTo: to,
+            notes,
+            assignedBy: req.user._id
+        });
+
+        await Notification.create({
+            user: emp._id,
+            type: 'shift_assigned',
+            title: '🕘 Shift Assigned',
+            body: `You are scheduled on ${shiftDoc.name} (${shiftDoc.startTime}-${shiftDoc.endTime}) from ${from.toDateString()}`,
+            meta: {
+                shiftAssignmentId: assignment._id,
+                shiftId: shiftDoc._id,
+                effectiveFrom: from,
+                effectiveTo: to
+            }
+        });
+
+        res.status(201).json({
+            message: 'Shift assigned successfully',
+            data: assignment
+        });
+    } catch (err) {
+        console.error('Assign shift error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// ===== ASSIGN ROTATING SHIFTS (Manager/Admin) =====
+// Cycles through `shifts` in order, `daysPerShift` days each, from `from` to `to`
+router.post('/assignments/rotation', auth, permit('manager', 'admin'), audit('ShiftAssignment', { action: 'rotation' }), async(req, res) => {
+    try {
+        const { shifts, from, to } = req.body;
+        const employees = req.body.employees || (req.body.employee ? [req.body.employee] : []);
+        const daysPerShift = Number(req.body.daysPerShift || 7);
+        if (!Array.isArray(employees) || employees.length === 0 || !Array.isArray(shifts) || shifts.length === 0 || !from || !to) {
+            return res.status(400).json({ message: 'Missing required fields: employees[], shifts[], from, to' });
+        }
+        if (!Number.isInteger(daysPerShift) || daysPerShift < 1) {
+            return res.status(400).json({ message: 'daysPerShift must be a positive whole number' });
+        }
+
+        const start = workSchedule.startOfDay(from);
+        const end = workSchedule.startOfDay(to);
+        if (end < start) return res.status(400).json({ message: 'to cannot be before from' });
+        if ((end - start) > 366 * 24 * 60 * 60 * 1000) return res.status(400).json({ message: 'Rotation cannot exceed one year' });
+
+        const shiftDocs = await Shift.find({ _id: { $in: shifts }, isActive: true });
+        if (shiftDocs.length !== new Set(shifts.map(String)).size) {
+            return res.status(400).json({ message: 'One or more shifts not found' });
+        }
+
+        const docs = [];
+        employees.forEach(employee => {
+            let index = 0;
+            for (const blockStart = new Date(start); blockStart <= end; blockStart.setDate(blockStart.getDate() + daysPerShift)) {
+                const blockEnd = new Date(blockStart);
+                blockEnd.setDate(blockEnd.getDate() + daysPerShift - 1);
+                docs.push({
+                    employee,
+                    shift: shifts[index % shifts.length],
+                    effectiveFrom: new Date(blockStart),
+                    effectiveTo: blockEnd > end ? new Date(end) : blockEnd,
+                    notes: 'Rotation',
+                    assignedBy: req.user._id
+                });
+                index++;
+            }
+        });
+
+        const created = await ShiftAssignment.insertMany(docs);
+
+        res.status(201).json({
+            message: `Created ${created.length} rotating shift assignments`,
+            data: created
+        });
+    } catch (err) {
+        console.error('Assign rotation error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// ===== REMOVE ASSIGNMENT (Manager/Admin) =====
+router.delete('/assignments/:id', auth, permit('manager', 'admin'), audit('ShiftAssignment'), async(req, res) => {
+    try {
+        const assignment = await ShiftAssignment.findByIdAndDelete(req.params.id);
+        if (!assignment) return res.status(404).json({ message: 'Shift assignment not found' });
+
+        res.json({ message: 'Shift assignment removed successfully' });
+    } catch (err) {
+        console.error('Delete shift assignment error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,184 @@
+const express = require('express');
+const router = express.Router();
+const Timer = require('../models/Timer');
+const { auth, permit } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const timers = require('../services/timers');
+
+// Timer routes address the caller's active timer rather than an :id
+const loadTimer = (req, id) => (id ?
+    Timer.findById(id).lean() :
+    Timer.findOne({ employee: req.user._id, isActive: true }).lean());
+
+async function findActiveTimer(userId) {
+    return Timer.findOne({ employee: userId, isActive: true });
+}
+
+// ===== CURRENT TIMER =====
+router.get('/current', auth, permit('employee', 'manager', 'admin'), async(req, res) => {
+    try {
+        await timers.autoStopExpired(req.user._id);
+        const timer = await findActiveTimer(req.user._id);
+
+        res.json({
+            message: timer ? 'Timer retrieved successfully' : 'No timer running',
+            data: timer ? timers.present(await timer.populate([{ path: 'project', select: 'name' }, { path: 'task', select: 'title' }])) : null
+        });
+    } catch (err) {
+        console.error('Get current timer error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// ===== TIMER HISTORY =====
+router.get('/history', auth, permit('employee', 'manager', 'admin'), async(req, res) => {
+    try {
+        const list = await Timer.find({ employee: req.user._id, isActive: false })
+            .populate('project', 'name')
+            .populate('task', 'title')
+            .populate('timesheet', 'date totalHours status')
+            .sort({ startedAt: -1 })
+            .limit(Math.min(parseInt(req.query.limit) || 20, 100));
+
+        res.json({
+            message: 'Timer history retrieved successfully',
+            data: list.map(t => timers.present(t))
+        });
+    } catch (err) {
+        console.error('Get timer history error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// ===== START TIMER =====
+router.post('/start', auth, permit('employee', 'manager', 'admin'), audit('Timer', { load: loadTimer }), async(req, res) => {
+    try {
+        const { project, task, description } = req.body;
+
+        await timers.autoStopExpired(req.user._id);
+        const existing = await findActiveTimer(req.user._id);
+        if (existing) {
+            return res.status(400).json({ message: 'You already have a running timer. Stop it before starting a new one.' });
+        }
+
+        const timer = await Timer.create({
+            employee: req.user._id,
+            project: project || undefined,
+            task: task || undefined,
+            description,
+            startedAt: new Date()
+        });
+
+        res.status(201).json({
+            message: 'Timer started',
+            data: timers.present(timer)
+        });
+    } catch (err) {
+        // Two concurrent starts: the partial unique index rejects the second
+        if (err.code === 11000) return res.status(400).json({ message: 'You already have a running timer' });
+        console.error('Start timer error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// ===== UPDATE RUNNING TIMER (project/task/description) =====
+router.put('/current', auth, permit('employee', 'manager', 'admin'), audit('Timer', { load: loadTimer }), async(req, res) => {
+    try {
+        const timer = await findActiveTimer(req.user._id);
+        if (!timer) return res.status(404).json({ message: 'No timer running' });
+
+        const { project, task, description } = req.body;
+        if (project !== undefined) timer.project = project || undefined;
+        if (task !== undefined) timer.task = task || undefined;
+        if (description !== undefined) timer.description = description;
+        await timer.save();
+
+        res.json({
+            message: 'Timer updated',
+            data: timers.present(timer)
+        });
+    } catch (err) {
+        console.error('Update timer error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// ===== PAUSE TIMER =====
+router.post('/pause', auth, permit('employee', 'manager', 'admin'), audit('Timer', { action: 'pause', load: loadTimer }), async(req, res) => {
+    try {
+        const timer = await findActiveTimer(req.user._id);
+        if (!timer) return res.status(404).json({ message: 'No timer running' });
+        if (timer.status === 'paused') return res.status(400).json({ message: 'Timer is already paused' });
+
+        timer.pauses.push({ start: new Date() });
+        timer.status = 'paused';
+        await timer.save();
+
+        res.json({
+            message: 'Timer paused',
+            data: timers.present(timer)
+        });
+    } catch (err) {
+        console.error('Pause timer error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// ===== RESUME TIMER =====
+router.post('/resume', auth, permit('employee', 'manager', 'admin'), audit('Timer', { action: 'resume', load: loadTimer }), async(req, res) => {
+    try {
+        const timer = await findActiveTimer(req.user._id);
+        if (!timer) return res.status(404).json({ message: 'No timer running' });
+        if (timer.status !== 'paused') return res.status(400).json({ message: 'Timer is not paused' });
+
+        const openPause = timer.pauses.find(p => !p.end);
+        if (openPause) openPause.end = new Date();
+        timer.status = 'running';
+        await timer.save();
+
+        res.json({
+            message: 'Timer resumed',
+            data: timers.present(timer)
+        });
+    } catch (err) {
+        console.error('Resume timer error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// ===== STOP TIMER (creates a draft timesheet) =====
+router.post('/stop', auth, permit('employee', 'manager', 'admin'), audit('Timer', { action: 'stop', load: loadTimer }), async(req, res) => {
+    try {
+        const timer = await findActiveTimer(req.user._id);
+        if (!timer) return res.status(404).json({ message: 'No timer running' });
+
+        if (req.body.description !== undefined) timer.description = req.body.description;
+        const { timesheet, error } = await timers.stopTimer(timer);
+
+        res.json({
+            message: timesheet ? 'Timer stopped. A draft timesheet was created.' : `Timer stopped, but no timesheet was created: ${error}`,
+            data: {
+                timer: timers.present(timer),
+                timesheet
+            }
+        });
+    } catch (err) {
+        console.error('Stop timer error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// ===== DISCARD TIMER (no timesheet) =====
+router.delete('/current', auth, permit('employee', 'manager', 'admin'), audit('Timer', { load: loadTimer }), async(req, res) => {
+    try {
+        const timer = await Timer.findOneAndDelete({ employee: req.user._id, isActive: true });
+        if (!timer) return res.status(404).json({ message: 'No timer running' });
+
+        res.json({ message: 'Timer discarded' });
+    } catch (err) {
+        console.error('Discard timer error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,323 @@
+const express = require('express');
+const router = express.Router();
+const TimesheetPeriod = require('../models/TimesheetPeriod');
+const Approval = require('../models/Approval');
+const Timesheet = require('../models/Timesheet');
+const Notification = require('../models/Notification');
+const { auth, permit } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const cacheManager = require('../utils/cache-manager');
+const approvalEngine = require('../services/approval-engine');
+const timesheetPeriods = require('../services/timesheet-periods');
+const compOff = require('../services/comp-off');
+const { getTeamIds } = require('../services/team');
+
+// Helper: load a period with its entries
+async function withEntries(period) {
+    const entries = await timesheetPeriods.getPeriodEntries(period);
+    return { ...period.toObject(), entries };
+}
+
+// ===== GET CURRENT WEEK (or the week containing ?date) =====
+router.get('/current', auth, permit('employee', 'manager', 'admin'), async(req, res) => {
+    try {
+        const date = req.query.date ? new Date(req.query.date) : new Date();
+        if (isNaN(date.getTime())) return res.status(400).json({ message: 'Invalid date' });
+
+        const period = await timesheetPeriods.findOrCreatePeriod(req.user._id, date);
+        const entries = await timesheetPeriods.getPeriodEntries(period);
+        if (timesheetPeriods.EDITABLE_STATUSES.includes(period.status)) {
+            timesheetPeriods.applyTotals(period, entries);
+            await period.save();
+        }
+
+        res.json({
+            message: 'Timesheet period retrieved successfully',
+            data: { ...period.toObject(), entries }
+        });
+    } catch (err) {
+        console.error('Get current period error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// ===== GET MY PERIODS =====
+router.get('/me', auth, permit('employee', 'manager', 'admin'), async(req, res) => {
+    try {
+        const { status, from, to } = req.query;
+        const query = { employee: req.user._id };
+        if (status) query.status = status;
+        if (from || to) {
+            query.weekStart = {};
+            if (from) query.weekStart.$gte = timesheetPeriods.getWeekBounds(from).weekStart;
+            if (to) query.weekStart.$lte = new Date(to);
+        }
+
+        const periods = await TimesheetPeriod.find(query).sort({ weekStart: -1 }).limit(52);
+
+        res.json({
+            message: 'Timesheet periods retrieved successfully',
+            data: periods
+        });
+    } catch (err) {
+        console.error('Get my periods error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// ===== GET PERIODS AWAITING MY APPROVAL (Manager/Admin) =====
+router.get('/pending', auth, permit('manager', 'admin'), async(req, res) => {
+    try {
+        const statuses = await approvalEngine.getActionableStatuses(req.user);
+        const query = { status: { $in: statuses } };
+
+        if (req.user.role === 'manager') {
+            const teamIds = await getTeamIds(req.user._id);
+            // No team configured: manager sees all, same as /api/timesheets/pending
+            if (teamIds.length > 0) query.employee = { $in: teamIds };
+        }
+
+        const periods = await approvalEngine.filterActionable(req.user, await TimesheetPeriod.find(query)
+            .populate('employee', 'name email department')
+            .sort({ weekStart: 1 }));
+
+        res.json({
+            message: 'Pending timesheet periods retrieved successfully',
+            data: periods,
+            count: periods.length
+        });
+    } catch (err) {
+        console.error('Get pending periods error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// ===== SUBMIT WHOLE WEEK =====
+router.post('/submit', auth, permit('employee', 'manager', 'admin'), audit('TimesheetPeriod', { action: 'submit' }), async(req, res) => {
+    try {
+        const date = req.body.date ? new Date(req.body.date) : new Date();
+        if (isNaN(date.getTime())) return res.status(400).json({ message: 'Invalid date' });
+
+        const period = await timesheetPeriods.findOrCreatePeriod(req.user._id, date);
+        if (!timesheetPeriods.EDITABLE_STATUSES.includes(period.status)) {
+            return res.status(400).json({ message: `Week ${period.isoWeek}/${period.isoYear} is already ${period.status}` });
+        }
+
+        const entries = await timesheetPeriods.getPeriodEntries(period);
+        if (entries.length === 0) {
+            return res.status(400).json({ message: 'No timesheet entries to submit for this week' });
+        }
+
+        // Entries already approved on their own stay approved
+        await timesheetPeriods.setEntriesStatus(period, 'pending', {}, { exceptStatuses: approvalEngine.APPROVED_STATUSES });
+        timesheetPeriods.applyTotals(period, entries);
+        period.status = 'pending';
+        period.submittedAt = new Date();
+        await period.save();
+
+        cacheManager.invalidateUserCache(req.user._id);
+
+        res.json({
+            message: `Week ${period.isoWeek}/${period.isoYear} submitted for approval`,
+            data: period
+        });
+    } catch (err) {
+        console.error('Submit period error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// ===== GET ONE PERIOD =====
+router.get('/:id', auth, permit('employee', 'manager', 'admin'), async(req, res) => {
+    try {
+        const period = await TimesheetPeriod.findById(req.params.id)
+            .populate('employee', 'name email department')
+            .populate('reopenHistory.reopenedBy', 'name email');
+        if (!period) return res.status(404).json({ message: 'Timesheet period not found' });
+
+        if (req.user.role === 'employee' && String(period.employee._id) !== String(req.user._id)) {
+            return res.status(403).json({ message: 'Not allowed' });
+        }
+
+        const data = await withEntries(period);
+        data.history = await Approval.find({ period: period._id })
+            .populate('approver', 'name email role')
+            .sort({ createdAt: 1 });
+
+        res.json({
+            message: 'Timesheet period retrieved successfully',
+            data
+        });
+    } catch (err) {
+        console.error('Get period error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// ===== APPROVE/REJECT WHOLE WEEK =====
+router.put('/:id/approve', auth, audit('TimesheetPeriod', { action: 'approval' }), async(req, res) => {
+    try {
+        const { approve, remarks } = req.body;
+        const period = await TimesheetPeriod.findById(req.params.id);
+        if (!period) return res.status(404).json({ message: 'Timesheet period not found' });
+
+        if (String(period.employee) === String(req.user._id) && req.user.role !== 'admin') {
+            return res.status(403).json({ message: 'You cannot approve your own timesheet' });
+        }
+
+        let result;
+        try {
+            result = await approvalEngine.applyDecision({
+                period,
+                approver: req.user,
+                approve: !!approve,
+                comments: remarks
+            });
+        } catch (approvalErr) {
+            return res.status(approvalErr.status || 400).json({ message: approvalErr.message });
+        }
+
+        const { level, nextLevel, isFinal } = result;
+
+        if (!approve) {
+            // Send entries back to the employee for correction
+            await timesheetPeriods.setEntriesStatus(period, 'draft', remarks ? { managerRemarks: remarks } : {}, {
+                exceptStatuses: approvalEngine.APPROVED_STATUSES
+            });
+        } else if (isFinal) {
+            // Fully approved weeks close immediately
+            await timesheetPeriods.setEntriesStatus(period, 'locked');
+            period.status = 'locked';
+            period.lockedAt = new Date();
+            period.lockedBy = req.user._id;
+            await period.save();
+            await compOff.syncForTimesheets(await timesheetPeriods.getPeriodEntries(period));
+        } else {
+            await timesheetPeriods.setEntriesStatus(period, period.status, {}, { exceptStatuses: approvalEngine.APPROVED_STATUSES });
+        }
+
+        await Notification.create({
+            user: period.employee,
+            type: approve ? (isFinal ? 'timesheet_period_approved' : 'timesheet_period_level_approved') : 'timesheet_period_rejected',
+            title: approve ? (isFinal ? '✅ Week Approved' : `✅ ${level.display} Approval`) : '❌ Week Rejected',
+            body: approve
+                ? (isFinal ? `Your timesheet for week ${period.isoWeek} has been approved and locked` : `Week ${period.isoWeek} approved at ${level.display} level and sent to ${nextLevel.display}`)
+                : `Your timesheet for week ${period.isoWeek} was rejected at ${level.display} level${remarks ? `: ${remarks}` : ''}`,
+            meta: {
+                periodId: period._id,
+                approverId: req.user._id,
+                level: level.key,
+                status: period.status
+            }
+        });
+
+        cacheManager.invalidateUserCache(period.employee);
+
+        res.json({
+            message: approve ? 'Timesheet period approved' : 'Timesheet period rejected',
+            data: period
+        });
+    } catch (err) {
+        console.error('Approve period error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// ===== LOCK PERIOD (Admin) =====
+router.post('/:id/lock', auth, permit('admin'), audit('TimesheetPeriod', { action: 'lock' }), async(req, res) => {
+    try {
+        const period = await TimesheetPeriod.findById(req.params.id);
+        if (!period) return res.status(404).json({ message: 'Timesheet period not found' });
+        if (period.status === 'locked') return res.status(400).json({ message: 'Timesheet period is already locked' });
+
+        const entries = await timesheetPeriods.getPeriodEntries(period);
+        timesheetPeriods.applyTotals(period, entries);
+        // Only entries that passed final approval become locked (locked counts as
+        // approved); the rest keep their status and are frozen by the period lock
+        const approvedEntries = entries.filter(e => approvalEngine.APPROVED_STATUSES.includes(e.status));
+        await Timesheet.updateMany(
+            { _id: { $in: approvedEntries.map(e => e._id) } },
+            { $set: { status: 'locked', period: period._id } }
+        );
+        await Timesheet.updateMany(
+            { _id: { $in: entries.map(e => e._id) } },
+            { $set: { period: period._id } }
+        );
+
+        period.status = 'locked';
+        period.lockedAt = new Date();
+        period.lockedBy = req.user._id;
+        await period.save();
+        // Comp-off is only earned from approved hours
+        await compOff.syncForTimesheets(approvedEntries);
+
+        res.json({
+            message: 'Timesheet period locked',
+            data: period
+        });
+    } catch (err) {
+        console.error('Lock period error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// ===== REOPEN LOCKED/SUBMITTED PERIOD (Admin) =====
+router.post('/:id/reopen', auth, permit('admin'), audit('TimesheetPeriod', { action: 'reopen' }), async(req, res) => {
+    try {
+        const { reason } = req.body;
+        if (!reason || reason.trim().length < 5) {
+            return res.status(400).json({ message: 'A reason (min 5 characters) is required to reopen a period' });
+        }
+
+        const period = await TimesheetPeriod.findById(req.params.id);
+        if (!period) return res.status(404).json({ message: 'Timesheet period not found' });
+        if (timesheetPeriods.EDITABLE_STATUSES.includes(period.status)) {
+            return res.status(400).json({ message: 'Timesheet period is already open' });
+        }
+
+        const previousStatus = period.status;
+        // Invoiced entries keep their status and stay read-only in the reopened week
+        const invoicedCount = (await timesheetPeriods.getPeriodEntries(period)).filter(e => e.invoice).length;
+        await timesheetPeriods.setEntriesStatus(period, 'draft');
+        // Hours are no longer approved: drop comp-off credits not yet granted
+        await compOff.syncForTimesheets(await timesheetPeriods.getPeriodEntries(period));
+
+        period.reopenHistory.push({
+            reopenedBy: req.user._id,
+            reopenedAt: new Date(),
+            reason,
+            previousStatus
+        });
+        period.status = 'open';
+        period.submittedAt = undefined;
+        period.lockedAt = undefined;
+        period.lockedBy = undefined;
+        await period.save();
+
+        await Notification.create({
+            user: period.employee,
+            type: 'timesheet_period_reopened',
+            title: '🔓 Week Reopened',
+            body: `Your timesheet for week ${period.isoWeek}/${period.isoYear} was reopened by ${req.user.name}: ${reason}`,
+            meta: {
+                periodId: period._id,
+                reopenedBy: req.user._id,
+                previousStatus,
+                reason
+            }
+        });
+
+        cacheManager.invalidateUserCache(period.employee);
+
+        res.json({
+            message: 'Timesheet period reopened' +
+                (invoicedCount ? `; ${invoicedCount} invoiced ${invoicedCount === 1 ? 'entry stays' : 'entries stay'} as billed` : ''),
+            data: period
+        });
+    } catch (err) {
+        console.error('Reopen period error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,147 @@
+const express = require('express');
+const router = express.Router();
+const TimesheetTemplate = require('../models/TimesheetTemplate');
+const { auth, permit } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const timesheetTemplates = require('../services/timesheet-templates');
+
+const TEMPLATE_FIELDS = ['name', 'rows', 'recurring'];
+
+function pickTemplateFields(body) {
+    const data = {};
+    TEMPLATE_FIELDS.forEach(f => {
+        if (body[f] !== undefined) data[f] = body[f];
+    });
+    return data;
+}
+
+// Templates are personal: only the owner sees or uses them
+function findOwnTemplate(req) {
+    return TimesheetTemplate.findOne({ _id: req.params.id, employee: req.user._id, isActive: true });
+}
+
+function handleSaveError(res, err, label) {
+    if (err.code === 11000) return res.status(400).json({ message: 'You already have a template with this name' });
+    if (err.name === 'ValidationError' || err.name === 'CastError') return res.status(400).json({ message: err.message });
+    console.error(`${label} error:`, err);
+    res.status(500).json({ message: 'Server error', error: err.message });
+}
+
+// ===== LIST MY TEMPLATES =====
+router.get('/', auth, permit('employee', 'manager', 'admin'), async(req, res) => {
+    try {
+        const templates = await TimesheetTemplate.find({ employee: req.user._id, isActive: true })
+            .populate('rows.project', 'name')
+            .populate('rows.task', 'title')
+            .sort({ name: 1 });
+
+        res.json({
+            message: 'Templates retrieved successfully',
+            data: templates
+        });
+    } catch (err) {
+        console.error('Get timesheet templates error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// ===== CREATE TEMPLATE =====
+router.post('/', auth, permit('employee', 'manager', 'admin'), audit('TimesheetTemplate'), async(req, res) => {
+    try {
+        const data = pickTemplateFields(req.body);
+        if (!data.name) return res.status(400).json({ message: 'Missing required field: name' });
+
+        const template = await TimesheetTemplate.create({ ...data, employee: req.user._id });
+        res.status(201).json({
+            message: 'Template created successfully',
+            data: template
+        });
+    } catch (err) {
+        handleSaveError(res, err, 'Create timesheet template');
+    }
+});
+
+// ===== CREATE TEMPLATE FROM A WEEK =====
+// POST /api/timesheet-templates/from-week { name, weekStart, recurring } - rows taken from that week's entries
+router.post('/from-week', auth, permit('employee', 'manager', 'admin'), audit('TimesheetTemplate'), async(req, res) => {
+    try {
+        const { name, weekStart, recurring = false } = req.body;
+        if (!name || !weekStart) return res.status(400).json({ message: 'Missing required fields: name, weekStart' });
+        if (isNaN(new Date(weekStart).getTime())) return res.status(400).json({ message: 'Invalid weekStart date' });
+
+        const rows = await timesheetTemplates.rowsFromWeek(req.user._id, weekStart);
+        if (rows.length === 0) return res.status(400).json({ message: 'That week has no entries to build a template from' });
+
+        const template = await TimesheetTemplate.create({ name, rows, recurring, employee: req.user._id });
+        res.status(201).json({
+            message: 'Template created successfully',
+            data: template
+        });
+    } catch (err) {
+        handleSaveError(res, err, 'Create timesheet template from week');
+    }
+});
+
+// ===== UPDATE TEMPLATE =====
+router.put('/:id', auth, permit('employee', 'manager', 'admin'), audit('TimesheetTemplate'), async(req, res) => {
+    try {
+        const template = await findOwnTemplate(req);
+        if (!template) return res.status(404).json({ message: 'Template not found' });
+
+        Object.assign(template, pickTemplateFields(req.body));
+        await template.save();
+
+        res.json({
+            message: 'Template updated successfully',
+            data: template
+        });
+    } catch (err) {
+        handleSaveError(res, err, 'Update timesheet template');
+    }
+});
+
+// ===== DELETE TEMPLATE =====
+router.delete('/:id', auth, permit('employee', 'manager', 'admin'), audit('TimesheetTemplate'), async(req, res) => {
+    try {
+        const template = await findOwnTemplate(req);
+        if (!template) return res.status(404).json({ message: 'Template not found' });
+
+        template.isActive = false;
+        template.recurring = false;
+        await template.save();
+
+        res.json({ message: 'Template deleted successfully' });
+    } catch (err) {
+        if (err.name === 'CastError') return res.status(400).json({ message: err.message });
+        console.error('Delete timesheet template error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// ===== APPLY TEMPLATE TO A DATE RANGE =====
+// POST /api/timesheet-templates/:id/apply { from, to } - creates drafts, skipping holidays and approved leave
+router.post('/:id/apply', auth, permit('employee', 'manager', 'admin'), audit('TimesheetTemplate', { action: 'apply' }), async(req, res) => {
+    try {
+        const template = await findOwnTemplate(req);
+        if (!template) return res.status(404).json({ message: 'Template not found' });
+
+        let result;
+        try {
+            result = await timesheetTemplates.applyTemplate(template, { from: req.body.from, to: req.body.to });
+        } catch (applyErr) {
+            if (!applyErr.status) throw applyErr;
+            return res.status(applyErr.status).json({ message: applyErr.message });
+        }
+
+        res.json({
+            message: `${result.created.length} draft entries created, ${result.skipped.length} skipped`,
+            data: result
+        });
+    } catch (err) {
+        if (err.name === 'CastError') return res.status(400).json({ message: err.message });
+        console.error('Apply timesheet template error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+module.exports = router;
@@ -1,8 +1,23 @@
 const express = require('express');
 const Timesheet = require('../models/Timesheet');
 const User = require('../models/User');
+const Approval = require('../models/Approval');
+const Notification = require('../models/Notification');
 const { auth, permit } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
 const cacheManager = require('../utils/cache-manager');
+const approvalEngine = require('../services/approval-engine');
+const timesheetPeriods = require('../services/timesheet-periods');
+const overtimePolicy = require('../services/overtime-policy');
+const timeCalculation = require('../services/time-calculation');
+const leaveCalendar = require('../services/leave-calendar');
+const compOff = require('../services/comp-off');
+const { getVisibleEmployeeIds } = require('../services/team');
+const timesheetGrid = require('../services/timesheet-grid');
+const timesheetTemplates = require('../services/timesheet-templates');
+const timesheetImport = require('../services/timesheet-import');
+const { readTable } = require('../utils/tabular-file');
+const TimesheetImport = require('../models/TimesheetImport');
 
 const router = express.Router();
 
@@ -120,142 +135,282 @@ router.get('/', auth, permit('employee', 'manager', 'admin'), async (req, res) =
 });
 
 // submit timesheet
-router.post('/', auth, permit('employee', 'manager', 'admin'), async (req, res) => {
+router.post('/', auth, permit('employee', 'manager', 'admin'), audit('Timesheet'), async (req, res) => {
     try {
-        const { date, startTime, endTime, breakMinutes = 0, description, project, task, isDraft = false } = req.body;
+        const { date, endDate, startTime, endTime, breakMinutes = 0, description, project, task, billable, isDraft = false } = req.body;
         if (!date || !startTime || !endTime) return res.status(400).json({ message: 'date/startTime/endTime required' });
 
-        // Parse time strings properly
-        const s = new Date(`${date}T${startTime}:00`);
-        const e = new Date(`${date}T${endTime}:00`);
-
-        // Validate dates
-        if (isNaN(s.getTime()) || isNaN(e.getTime())) {
-            return res.status(400).json({ message: 'Invalid date or time format' });
+        let hours;
+        try {
+            hours = timeCalculation.calculateEntry({ date, endDate, startTime, endTime, breakMinutes });
+        } catch (calcErr) {
+            return res.status(calcErr.status || 400).json({ message: calcErr.message });
         }
-
-        const diffMs = Math.max(0, e - s);
+        const { totalHours, dayHours } = hours;
+        const entryDate = hours.date;
         const bm = Number(breakMinutes) || 0;
-        const totalHours = Math.max(0, Math.round((diffMs / (1000 * 60 * 60) - (bm / 60)) * 100) / 100);
 
-        // Validate: Single timesheet cannot exceed 24 hours
-        if (totalHours > 24) {
-            return res.status(400).json({ message: 'A single timesheet cannot exceed 24 hours. Please check start time, end time, and break duration.' });
+        // Validate: Total hours for each calendar day cannot exceed 24
+        const capError = await timeCalculation.checkDailyCap(req.user._id, dayHours);
+        if (capError) {
+            return res.status(400).json({ message: capError });
         }
 
-        // Validate: Total hours for the day cannot exceed 24
-        const dayStart = new Date(date);
-        dayStart.setHours(0, 0, 0, 0);
-        const dayEnd = new Date(date);
-        dayEnd.setHours(23, 59, 59, 999);
-
-        const existingTimesheets = await Timesheet.find({
-            employee: req.user._id,
-            date: { $gte: dayStart, $lte: dayEnd },
-            status: { $ne: 'rejected' } // Don't count rejected timesheets
-        });
-
-        const existingDayTotal = existingTimesheets.reduce((sum, ts) => sum + (ts.totalHours || 0), 0);
-        const newDayTotal = existingDayTotal + totalHours;
+        // Validate: No hours on approved leave (holidays only warn by default)
+        const leaveCheck = await leaveCalendar.checkTimesheetDays(req.user._id, dayHours);
+        if (leaveCheck.error) {
+            return res.status(400).json({ message: leaveCheck.error });
+        }
 
-        if (newDayTotal > 24) {
-            return res.status(400).json({
-                message: `Total hours for ${new Date(date).toLocaleDateString()} would be ${newDayTotal.toFixed(1)}h, exceeding 24 hours. Existing: ${existingDayTotal.toFixed(1)}h, New: ${totalHours.toFixed(1)}h.`
-            });
+        // Validate: The week must still be open
+        const blockReason = await timesheetPeriods.getEditBlockReason(req.user._id, entryDate);
+        if (blockReason) {
+            return res.status(400).json({ message: blockReason });
         }
+        const period = await timesheetPeriods.findOrCreatePeriod(req.user._id, entryDate);
 
         const status = isDraft ? 'draft' : 'pending';
-        const overtimeHours = Math.max(0, totalHours - 8);
+        const overtime = await overtimePolicy.computeForTimesheet({ employeeId: req.user._id, date: entryDate, startTime, hours: totalHours, dayHours });
 
         const ts = await Timesheet.create({
             employee: req.user._id,
-            date: new Date(date),
+            date: entryDate,
+            endDate: hours.endDate || undefined,
             startTime,
             endTime,
             breakMinutes: bm,
             totalHours,
+            dayHours,
             description,
             project,
             task,
+            // Left out: defaulted from the task/project
+            billable: typeof billable === 'boolean' ? billable : null,
             status,
-            overtimeHours
+            overtimeHours: overtime.overtimeHours,
+            payableOvertimeHours: overtime.payableOvertimeHours,
+            unapprovedOvertimeHours: overtime.unapprovedOvertimeHours,
+            weightedOvertimeHours: overtime.weightedOvertimeHours,
+            overtimeMultiplier: overtime.multiplier,
+            overtimePolicy: overtime.policy || undefined,
+            period: period._id
         });
+        // Entries later in the week now come after more hours
+        await overtimePolicy.recalculateTimesheetWeeks(req.user._id, [ts.date, ts.endDate]);
 
         // Invalidate cache on new submission
         cacheManager.invalidateUserCache(req.user._id);
 
-        res.status(201).json(ts);
+        res.status(201).json(leaveCheck.warnings.length ? { ...ts.toObject(), warnings: leaveCheck.warnings } : ts);
     } catch (err) {
         console.error('Timesheet POST error:', err);
         res.status(500).json({ message: 'Server error', error: err.message });
     }
 });
 
+// ===== WEEKLY GRID (Employee) =====
+// GET /api/timesheets/week?weekStart=YYYY-MM-DD - the week's entries as project/task rows by day
+router.get('/week', auth, permit('employee', 'manager', 'admin'), async (req, res) => {
+    try {
+        let week;
+        try {
+            week = await timesheetGrid.getWeek(req.user._id, req.query.weekStart || new Date());
+        } catch (gridErr) {
+            if (!gridErr.status) throw gridErr;
+            return res.status(gridErr.status).json({ message: gridErr.message });
+        }
+        res.json({ data: week });
+    } catch (err) {
+        console.error('Timesheet week GET error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// PUT /api/timesheets/week - save a whole week grid at once; nothing is saved if any cell is invalid
+router.put('/week', auth, permit('employee', 'manager', 'admin'), audit('Timesheet', { action: 'week_save' }), async (req, res) => {
+    try {
+        const { weekStart, rows, isDraft = false } = req.body;
+        let result;
+        try {
+            result = await timesheetGrid.saveWeek(req.user, { weekStart, rows, isDraft });
+        } catch (gridErr) {
+            if (!gridErr.status) throw gridErr;
+            return res.status(gridErr.status).json({ message: gridErr.message });
+        }
+        if (!result.saved) {
+            return res.status(400).json({ message: 'Some cells could not be saved', errors: result.errors, warnings: result.warnings });
+        }
+        res.json({ message: isDraft ? 'Week saved as draft' : 'Week submitted', data: result });
+    } catch (err) {
+        console.error('Timesheet week PUT error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// POST /api/timesheets/copy-week { fromWeek?, toWeek? } - repeat a week's entries as drafts (default: last week into this week)
+router.post('/copy-week', auth, permit('employee', 'manager', 'admin'), audit('Timesheet', { action: 'copy_week' }), async (req, res) => {
+    try {
+        let result;
+        try {
+            result = await timesheetTemplates.copyWeek(req.user._id, { fromWeek: req.body.fromWeek, toWeek: req.body.toWeek });
+        } catch (copyErr) {
+            if (!copyErr.status) throw copyErr;
+            return res.status(copyErr.status).json({ message: copyErr.message });
+        }
+        res.status(result.created.length ? 201 : 200).json({
+            message: `${result.created.length} draft entries created, ${result.skipped.length} skipped`,
+            data: result
+        });
+    } catch (err) {
+        console.error('Timesheet copy-week error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// ===== IMPORT TIMESHEETS (Manager/Admin) =====
+// POST /api/timesheets/import { fileName, format, content, mapping, dateOrder, dryRun, skipInvalid, status }
+// CSV as text or XLSX as base64; dryRun defaults to true and only reports row errors
+router.post('/import', auth, permit('manager', 'admin'), audit('TimesheetImport', { action: 'import' }), async (req, res) => {
+    try {
+        const { fileName, format, content, mapping, dateOrder, status, skipInvalid = false } = req.body;
+        const dryRun = req.body.dryRun !== false;
+
+        let report;
+        try {
+            const { rows } = await readTable({ format, fileName, content });
+            report = await timesheetImport.importTimesheets(req.user, { rows, mapping, dateOrder, dryRun, skipInvalid, status, fileName });
+        } catch (importErr) {
+            if (!importErr.status) throw importErr;
+            return res.status(importErr.status).json({ message: importErr.message });
+        }
+
+        const { totals } = report;
+        let message;
+        if (dryRun) message = `Dry run: ${totals.valid} row(s) valid, ${totals.invalid} with errors`;
+        else if (report.imported) message = `Imported ${totals.valid} entries (${totals.totalHours}h)${totals.invalid ? `, ${totals.invalid} invalid row(s) skipped` : ''}`;
+        else message = totals.valid ? `Nothing imported: ${totals.invalid} row(s) have errors. Fix them or set skipInvalid` : 'Nothing imported: no valid rows';
+        res.status(!dryRun && !report.imported ? 400 : 200).json({ message, data: report });
+    } catch (err) {
+        console.error('Import timesheets error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// GET /api/timesheets/imports - past import batches (managers see their own)
+router.get('/imports', auth, permit('manager', 'admin'), async (req, res) => {
+    try {
+        const query = req.user.role === 'admin' ? {} : { importedBy: req.user._id };
+        const batches = await TimesheetImport.find(query)
+            .populate('importedBy', 'name email')
+            .populate('rolledBackBy', 'name email')
+            .sort({ createdAt: -1 })
+            .limit(100);
+        res.json({ message: 'Imports retrieved successfully', data: batches });
+    } catch (err) {
+        console.error('Get timesheet imports error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// DELETE /api/timesheets/imports/:batchId - roll back an import (entries in locked weeks stay)
+router.delete('/imports/:batchId', auth, permit('manager', 'admin'), audit('TimesheetImport', { action: 'rollback' }), async (req, res) => {
+    try {
+        let result;
+        try {
+            result = await timesheetImport.rollbackImport(req.user, req.params.batchId);
+        } catch (rollbackErr) {
+            if (!rollbackErr.status) throw rollbackErr;
+            return res.status(rollbackErr.status).json({ message: rollbackErr.message });
+        }
+        if (!result) return res.status(404).json({ message: 'Import not found' });
+
+        res.json({
+            message: `Import rolled back: ${result.removed} entries removed` + (result.kept.length ? `, ${result.kept.length} kept (locked or in a closed week)` : ''),
+            data: result
+        });
+    } catch (err) {
+        if (err.name === 'CastError') return res.status(400).json({ message: 'Invalid import id' });
+        console.error('Rollback timesheet import error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
 // UPDATE timesheet (save as draft or edit pending)
-router.put('/:id', auth, permit('employee', 'manager', 'admin'), async (req, res) => {
+router.put('/:id', auth, permit('employee', 'manager', 'admin'), audit('Timesheet'), async (req, res) => {
     try {
-        const { date, startTime, endTime, breakMinutes = 0, description, project, isDraft = false } = req.body;
+        const { date, endDate, startTime, endTime, breakMinutes = 0, description, project, billable, isDraft = false } = req.body;
         const ts = await Timesheet.findById(req.params.id);
 
         if (!ts) return res.status(404).json({ message: 'Timesheet not found' });
         if (String(ts.employee) !== String(req.user._id) && req.user.role !== 'admin') {
             return res.status(403).json({ message: 'Not allowed' });
         }
+        if (ts.invoice) {
+            return res.status(400).json({ message: 'Timesheet is on an invoice and cannot be changed' });
+        }
+
+        // Locked or submitted weeks can't be edited by anyone, admins included
+        const blockReason = await timesheetPeriods.getEditBlockReason(ts.employee, ts.date) ||
+            (date ? await timesheetPeriods.getEditBlockReason(ts.employee, timeCalculation.parseDate(date)) : null);
+        if (ts.status === 'locked' || blockReason) {
+            return res.status(400).json({ message: blockReason || 'Timesheet is locked' });
+        }
 
         // Only allow editing if pending or draft (unless admin)
         if (req.user.role !== 'admin' && !['pending', 'draft', 'rework_required'].includes(ts.status)) {
             return res.status(400).json({ message: 'Cannot edit timesheet after it has been approved or rejected' });
         }
 
-        if (date && startTime && endTime) {
-            const s = new Date(`${date}T${startTime}`);
-            let e = new Date(`${date}T${endTime}`);
-            if (e < s) e = new Date(e.getTime() + 24 * 60 * 60 * 1000);
-
-            let diffMs = e - s;
-            if (diffMs < 0) diffMs = 0;
-
+        let warnings = [];
+        const timesChanged = !!(date && startTime && endTime);
+        const previousDates = [ts.date, ts.endDate];
+        if (timesChanged) {
+            let hours;
+            try {
+                hours = timeCalculation.calculateEntry({ date, endDate, startTime, endTime, breakMinutes });
+            } catch (calcErr) {
+                return res.status(calcErr.status || 400).json({ message: calcErr.message });
+            }
+            const { totalHours, dayHours } = hours;
             const bm = Number(breakMinutes) || 0;
-            const hours = diffMs / (1000 * 60 * 60) - (bm / 60);
-            const totalHours = Math.max(0, Math.round(hours * 100) / 100);
 
-            // Validate: Single timesheet cannot exceed 24 hours
-            if (totalHours > 24) {
-                return res.status(400).json({ message: 'A single timesheet cannot exceed 24 hours. Please check start time, end time, and break duration.' });
+            // Validate: Total hours for each calendar day cannot exceed 24
+            const capError = await timeCalculation.checkDailyCap(ts.employee, dayHours, { excludeId: ts._id });
+            if (capError) {
+                return res.status(400).json({ message: capError });
             }
 
-            // Validate: Total hours for the day cannot exceed 24
-            const dayStart = new Date(date);
-            dayStart.setHours(0, 0, 0, 0);
-            const dayEnd = new Date(date);
-            dayEnd.setHours(23, 59, 59, 999);
-
-            const existingTimesheets = await Timesheet.find({
-                employee: ts.employee,
-                date: { $gte: dayStart, $lte: dayEnd },
-                status: { $ne: 'rejected' },
-                _id: { $ne: ts._id } // Exclude current timesheet
-            });
-
-            const existingDayTotal = existingTimesheets.reduce((sum, t) => sum + (t.totalHours || 0), 0);
-            const newDayTotal = existingDayTotal + totalHours;
-
-            if (newDayTotal > 24) {
-                return res.status(400).json({
-                    message: `Total hours for ${new Date(date).toLocaleDateString()} would be ${newDayTotal.toFixed(1)}h, exceeding 24 hours. Other timesheets: ${existingDayTotal.toFixed(1)}h, This entry: ${totalHours.toFixed(1)}h.`
-                });
+            const leaveCheck = await leaveCalendar.checkTimesheetDays(ts.employee, dayHours);
+            if (leaveCheck.error) {
+                return res.status(400).json({ message: leaveCheck.error });
             }
+            warnings = leaveCheck.warnings;
 
-            ts.date = date;
+            ts.date = hours.date;
+            ts.endDate = hours.endDate || undefined;
+            ts.period = (await timesheetPeriods.findOrCreatePeriod(ts.employee, hours.date))._id;
             ts.startTime = startTime;
             ts.endTime = endTime;
             ts.breakMinutes = bm;
             ts.totalHours = totalHours;
-            ts.overtimeHours = Math.max(0, Math.round(Math.max(0, totalHours - 8) * 100) / 100);
+            ts.dayHours = dayHours;
+            overtimePolicy.applyToTimesheet(ts, await overtimePolicy.computeForTimesheet({
+                employeeId: ts.employee,
+                date: hours.date,
+                startTime,
+                hours: totalHours,
+                dayHours,
+                excludeId: ts._id
+            }));
         }
 
         if (description) ts.description = description;
-        if (project) ts.project = project;
+        if (project && String(project) !== String(ts.project)) {
+            ts.project = project;
+            // Re-default for the new project unless given
+            ts.billable = null;
+        }
+        if (typeof billable === 'boolean') ts.billable = billable;
 
         // If editing, and it was draft, keep it draft unless submitted. 
         // If it was pending, keep it pending.
@@ -269,11 +424,14 @@ router.put('/:id', auth, permit('employee', 'manager', 'admin'), async (req, res
         }
 
         await ts.save();
+        if (timesChanged) {
+            await overtimePolicy.recalculateTimesheetWeeks(ts.employee, previousDates.concat([ts.date, ts.endDate]));
+        }
 
         // Invalidate cache
         cacheManager.invalidateUserCache(req.user._id);
 
-        res.json(ts);
+        res.json(warnings.length ? { ...ts.toObject(), warnings } : ts);
     } catch (err) {
         console.error(err);
         res.status(500).json({ message: 'Server error' });
@@ -281,7 +439,7 @@ router.put('/:id', auth, permit('employee', 'manager', 'admin'), async (req, res
 });
 
 // DELETE timesheet (cancel)
-router.delete('/:id', auth, permit('employee', 'manager', 'admin'), async (req, res) => {
+router.delete('/:id', auth, permit('employee', 'manager', 'admin'), audit('Timesheet'), async (req, res) => {
     try {
         const ts = await Timesheet.findById(req.params.id);
         if (!ts) return res.status(404).json({ message: 'Timesheet not found' });
@@ -290,12 +448,21 @@ router.delete('/:id', auth, permit('employee', 'manager', 'admin'), async (req,
             return res.status(403).json({ message: 'Not allowed' });
         }
 
+        const blockReason = await timesheetPeriods.getEditBlockReason(ts.employee, ts.date);
+        if (ts.status === 'locked' || blockReason) {
+            return res.status(400).json({ message: blockReason || 'Timesheet is locked' });
+        }
+        if (ts.invoice) {
+            return res.status(400).json({ message: 'Timesheet is on an invoice and cannot be deleted' });
+        }
+
         // Only allow deleting if pending or draft (unless admin)
         if (req.user.role !== 'admin' && !['pending', 'draft', 'rework_required'].includes(ts.status)) {
             return res.status(400).json({ message: 'Cannot delete timesheet after it has been approved or rejected' });
         }
 
         await Timesheet.deleteOne({ _id: req.params.id });
+        await overtimePolicy.recalculateTimesheetWeeks(ts.employee, [ts.date, ts.endDate]);
 
         // Invalidate cache
         cacheManager.invalidateUserCache(req.user._id);
@@ -307,8 +474,35 @@ router.delete('/:id', auth, permit('employee', 'manager', 'admin'), async (req,
     }
 });
 
+// ===== BILLABLE FLAG (Manager/Admin) =====
+// PUT /api/timesheets/:id/billable { billable } - reclassify an entry, e.g. while reviewing it; null restores the project/task default
+router.put('/:id/billable', auth, permit('manager', 'admin'), audit('Timesheet', { action: 'billable' }), async (req, res) => {
+    try {
+        const { billable } = req.body;
+        if (typeof billable !== 'boolean' && billable !== null) {
+            return res.status(400).json({ message: 'billable must be true, false or null' });
+        }
+        const ts = await Timesheet.findById(req.params.id);
+        if (!ts) return res.status(404).json({ message: 'Timesheet not found' });
+        if (ts.invoice) return res.status(400).json({ message: 'Timesheet is on an invoice; void the invoice to reclassify it' });
+
+        const visibleIds = await getVisibleEmployeeIds(req.user);
+        if (visibleIds && !visibleIds.includes(String(ts.employee))) {
+            return res.status(403).json({ message: 'Not allowed' });
+        }
+
+        ts.billable = billable;
+        await ts.save();
+        res.json({ message: `Timesheet marked ${ts.billable ? 'billable' : 'non-billable'}`, data: ts });
+    } catch (err) {
+        if (err.name === 'CastError') return res.status(400).json({ message: 'Invalid timesheet id' });
+        console.error('Timesheet billable error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
 // SUBMIT draft timesheet (change status from draft to pending)
-router.post('/:id/submit', auth, permit('employee', 'manager', 'admin'), async (req, res) => {
+router.post('/:id/submit', auth, permit('employee', 'manager', 'admin'), audit('Timesheet', { action: 'submit' }), async (req, res) => {
     try {
         const ts = await Timesheet.findById(req.params.id);
         if (!ts) return res.status(404).json({ message: 'Timesheet not found' });
@@ -321,6 +515,17 @@ router.post('/:id/submit', auth, permit('employee', 'manager', 'admin'), async (
             return res.status(400).json({ message: 'Only draft timesheets can be submitted' });
         }
 
+        const blockReason = await timesheetPeriods.getEditBlockReason(ts.employee, ts.date);
+        if (blockReason) {
+            return res.status(400).json({ message: blockReason });
+        }
+
+        // Leave may have been approved since the draft was saved
+        const leaveCheck = await leaveCalendar.checkTimesheetDays(ts.employee, timeCalculation.getDayHours(ts));
+        if (leaveCheck.error) {
+            return res.status(400).json({ message: leaveCheck.error });
+        }
+
         ts.status = 'pending';
         await ts.save();
 
@@ -378,7 +583,9 @@ router.get('/team/all', auth, permit('manager', 'admin'), async (req, res) => {
 // pending (manager/admin)
 router.get('/pending', auth, permit('manager', 'admin'), async (req, res) => {
     try {
-        let query = { status: 'pending' };
+        // Only timesheets waiting at a level this user can sign off
+        const statuses = await approvalEngine.getActionableStatuses(req.user);
+        let query = { status: { $in: statuses } };
 
         // If manager, show timesheets for employees in their projects
         if (req.user.role === 'manager') {
@@ -422,29 +629,98 @@ router.get('/pending', auth, permit('manager', 'admin'), async (req, res) => {
         }
 
         const list = await Timesheet.find(query)
-            .populate('employee', 'name email')
+            .populate('employee', 'name email department')
             .populate('project', 'name')
             .populate('task', 'title')
             .sort({ date: -1 });
-        res.json(list);
+        res.json(await approvalEngine.filterActionable(req.user, list));
     } catch (err) {
         console.error('Get pending timesheets error:', err);
         res.status(500).json({ message: 'Server error', error: err.message });
     }
 });
 
+// approval history for a timesheet
+router.get('/:id/approvals', auth, permit('employee', 'manager', 'admin'), async (req, res) => {
+    try {
+        const ts = await Timesheet.findById(req.params.id);
+        if (!ts) return res.status(404).json({ message: 'Timesheet not found' });
+
+        if (req.user.role === 'employee' && String(ts.employee) !== String(req.user._id)) {
+            return res.status(403).json({ message: 'Not allowed' });
+        }
+
+        const employee = await User.findById(ts.employee).select('department');
+        const levels = await approvalEngine.getLevelsForDepartment(employee && employee.department);
+        const history = await Approval.find({ timesheet: ts._id })
+            .populate('approver', 'name email role')
+            .sort({ createdAt: 1 });
+
+        const currentIndex = approvalEngine.getCurrentLevelIndex(ts.status, levels);
+
+        res.json({
+            status: ts.status,
+            currentLevel: currentIndex === -1 ? null : levels[currentIndex].key,
+            levels: levels.map(l => ({ key: l.key, display: l.display, role: l.role, status: l.status })),
+            history
+        });
+    } catch (err) {
+        console.error('Get approvals error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
 // approve/reject with multi-level workflow
-router.put('/:id/approve', auth, permit('employee', 'manager', 'admin'), async (req, res) => {
+router.put('/:id/approve', auth, audit('Timesheet', { action: 'approval' }), async (req, res) => {
     try {
         const { id } = req.params;
         const { approve, remarks } = req.body;
         const ts = await Timesheet.findById(id);
         if (!ts) return res.status(404).json({ message: 'Timesheet not found' });
 
-        // Simple approval: just change status
-        ts.status = approve ? 'approved' : 'rejected';
-        if (remarks) ts.managerRemarks = remarks;
-        await ts.save();
+        if (String(ts.employee) === String(req.user._id) && req.user.role !== 'admin') {
+            return res.status(403).json({ message: 'You cannot approve your own timesheet' });
+        }
+
+        // Entries in a submitted week are approved through the period
+        if (await timesheetPeriods.getEditBlockReason(ts.employee, ts.date)) {
+            return res.status(400).json({ message: 'This entry is part of a submitted week. Approve the week instead.' });
+        }
+
+        let result;
+        try {
+            result = await approvalEngine.applyDecision({
+                timesheet: ts,
+                approver: req.user,
+                approve: !!approve,
+                comments: remarks
+            });
+        } catch (approvalErr) {
+            return res.status(approvalErr.status || 400).json({ message: approvalErr.message });
+        }
+
+        const { level, nextLevel, isFinal } = result;
+
+        // Weekend/holiday hours earn comp-off once fully approved
+        if (isFinal) await compOff.syncForTimesheets([ts]);
+
+        await Notification.create({
+            user: ts.employee,
+            type: approve ? (isFinal ? 'timesheet_approved' : 'timesheet_level_approved') : 'timesheet_rejected',
+            title: approve ? (isFinal ? '✅ Timesheet Approved' : `✅ ${level.display} Approval`) : '❌ Timesheet Rejected',
+            body: approve
+                ? (isFinal ? 'Your timesheet has been fully approved' : `Your timesheet was approved at ${level.display} level and sent to ${nextLevel.display}`)
+                : `Your timesheet was rejected at ${level.display} level${remarks ? `: ${remarks}` : ''}`,
+            meta: {
+                timesheetId: ts._id,
+                approverId: req.user._id,
+                level: level.key,
+                status: ts.status
+            }
+        });
+
+        cacheManager.invalidateUserCache(ts.employee);
+
         res.json(ts);
     } catch (err) {
         console.error('Approve error:', err);
@@ -1,6 +1,7 @@
 const express = require('express');
 const User = require('../models/User');
 const { auth } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
 
 const router = express.Router();
 
@@ -78,7 +79,7 @@ router.get('/:id', auth, async(req, res) => {
 });
 
 // DELETE user (admin only)
-router.delete('/:id', auth, async(req, res) => {
+router.delete('/:id', auth, audit('User'), async(req, res) => {
     try {
         // Check if requester is admin
         if (req.user.role !== 'admin') {
@@ -0,0 +1,171 @@
+const ApprovalLevel = require('../models/ApprovalLevel');
+const Approval = require('../models/Approval');
+const User = require('../models/User');
+const defaultLevels = require('../config/approvalLevels');
+
+/**
+ * Timesheet Approval Engine
+ *
+ * Walks a timesheet or weekly period through the approval chain configured for the
+ * employee's department. Chains are resolved in this order:
+ * 1. Active ApprovalLevel documents for the department
+ * 2. Active ApprovalLevel documents with no department (company default)
+ * 3. The static chain in config/approvalLevels.js
+ *
+ * Admins may sign off at any level.
+ */
+
+const FINAL_STATUS = defaultLevels.defaultFinalStatus || 'approved_final';
+
+// Timesheet statuses whose hours count as signed off ('locked' = approved and period closed)
+const APPROVED_STATUSES = ['approved', FINAL_STATUS, 'locked'];
+
+function approvalError(message, status = 400) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+/**
+ * Resolve the ordered approval chain for a department
+ */
+async function getLevelsForDepartment(department) {
+    if (department) {
+        const deptLevels = await ApprovalLevel.find({ department, isActive: true }).sort({ order: 1 }).lean();
+        if (deptLevels.length > 0) return deptLevels;
+    }
+
+    const globalLevels = await ApprovalLevel.find({ department: null, isActive: true }).sort({ order: 1 }).lean();
+    if (globalLevels.length > 0) return globalLevels;
+
+    return defaultLevels.map((level, index) => ({ ...level, order: index }));
+}
+
+/**
+ * Index of the level a timesheet is waiting on, or -1 if it is not awaiting approval.
+ * Plain 'pending' (freshly submitted) means the first level.
+ */
+function getCurrentLevelIndex(status, levels) {
+    if (status === 'pending') return 0;
+    return levels.findIndex(l => l.status === status);
+}
+
+/**
+ * Check whether a user may act at the given level
+ */
+function canActOnLevel(user, level) {
+    if (!user || !level) return false;
+    return user.role === 'admin' || user.role === level.role;
+}
+
+/**
+ * Timesheet statuses a user can currently act on, across all configured chains.
+ * Used to pre-filter the pending-approval queue; a status can belong to a level
+ * the user holds in one department's chain but not another's, so narrow the
+ * results with filterActionable.
+ */
+async function getActionableStatuses(user) {
+    const configured = await ApprovalLevel.find({ isActive: true }).sort({ order: 1 }).lean();
+
+    // One chain per department (null = company default), plus the static chain
+    const chains = {};
+    configured.forEach(level => {
+        const key = level.department || '';
+        (chains[key] = chains[key] || []).push(level);
+    });
+    const allChains = Object.values(chains).concat([defaultLevels.map((level, index) => ({ ...level, order: index }))]);
+
+    const statuses = new Set();
+    allChains.forEach(levels => {
+        levels.forEach((level, index) => {
+            if (!canActOnLevel(user, level)) return;
+            statuses.add(level.status);
+            // Freshly submitted entries wait on the chain's first level, whatever its order
+            if (index === 0) statuses.add('pending');
+        });
+    });
+
+    return Array.from(statuses);
+}
+
+/**
+ * Timesheets or periods the user can act on now, each checked against the
+ * chain of its employee's department (populate employee with `department`)
+ */
+async function filterActionable(user, subjects) {
+    const chains = {};
+    const actionable = [];
+    for (const subject of subjects) {
+        const department = (subject.employee && subject.employee.department) || '';
+        if (!(department in chains)) chains[department] = await getLevelsForDepartment(department || null);
+        const levels = chains[department];
+        const index = getCurrentLevelIndex(subject.status, levels);
+        if (index !== -1 && canActOnLevel(user, levels[index])) actionable.push(subject);
+    }
+    return actionable;
+}
+
+/**
+ * Record an approve/reject decision and move a timesheet (or a weekly
+ * TimesheetPeriod) along its chain.
+ * Throws an error with a `status` code when the action is not allowed.
+ */
+async function applyDecision({ timesheet, period, approver, approve, comments }) {
+    const subject = period || timesheet;
+    const employee = await User.findById(subject.employee).select('name department');
+    const levels = await getLevelsForDepartment(employee && employee.department);
+
+    const index = getCurrentLevelIndex(subject.status, levels);
+    if (index === -1) {
+        throw approvalError(`${period ? 'Timesheet period' : 'Timesheet'} is not awaiting approval (status: ${subject.status})`);
+    }
+
+    const level = levels[index];
+    if (!canActOnLevel(approver, level)) {
+        throw approvalError(`${level.display} approval requires the '${level.role}' role`, 403);
+    }
+
+    const fromStatus = subject.status;
+    let nextLevel = null;
+    let toStatus;
+
+    if (!approve) {
+        toStatus = 'rejected';
+    } else if (index + 1 < levels.length) {
+        nextLevel = levels[index + 1];
+        toStatus = nextLevel.status;
+    } else {
+        toStatus = FINAL_STATUS;
+    }
+
+    const approval = await Approval.create({
+        timesheet: period ? undefined : timesheet._id,
+        period: period ? period._id : undefined,
+        approver: approver._id,
+        level: level.key,
+        levelOrder: index,
+        action: approve ? 'approved' : 'rejected',
+        comments,
+        fromStatus,
+        toStatus
+    });
+
+    subject.status = toStatus;
+    subject.approvals = (subject.approvals || []).concat(approval._id);
+    if (comments) subject.managerRemarks = comments;
+    if (index === 0) subject.manager = approver._id;
+    await subject.save();
+
+    return { timesheet, period, approval, level, nextLevel, isFinal: toStatus === FINAL_STATUS };
+}
+
+module.exports = {
+    FINAL_STATUS,
+    APPROVED_STATUSES,
+    getLevelsForDepartment,
+    getCurrentLevelIndex,
+    canActOnLevel,
+    getActionableStatuses,
+    filterActionable,
+    applyDecision
+};
@@ -0,0 +1,335 @@
+const ExcelJS = require('exceljs');
+const Timesheet = require('../models/Timesheet');
+const Project = require('../models/Project');
+const Task = require('../models/Task');
+const User = require('../models/User');
+const Client = require('../models/Client');
+const RateCard = require('../models/RateCard');
+const Invoice = require('../models/Invoice');
+const settings = require('../config/billing');
+const { APPROVED_STATUSES } = require('./approval-engine');
+const { startOfDay, dateKey } = require('./time-calculation');
+
+/**
+ * Client Billing
+ *
+ * Approved billable hours become client invoices:
+ * - an entry is billable unless marked otherwise; the default comes from
+ *   its task (Task.billable), else its project (Project.billable); entries
+ *   without a project are not billable
+ * - each entry is priced with the most specific RateCard effective on its
+ *   date (see models/RateCard.js)
+ * - an invoice covers one client's approved, not yet invoiced billable
+ *   entries in a period, one line per project, employee and rate
+ * - a draft invoice holds its entries so no other invoice can take them;
+ *   issuing it marks them invoiced, voiding it releases them
+ */
+
+const round2 = n => Math.round(n * 100) / 100;
+
+function badRequest(message) {
+    const err = new Error(message);
+    err.status = 400;
+    return err;
+}
+
+/**
+ * Whether an entry on this project/task is billable by default
+ */
+async function getDefaultBillable(projectId, taskId) {
+    if (taskId) {
+        const task = await Task.findById(taskId).select('billable project').lean();
+        if (task && task.billable !== null && task.billable !== undefined) return task.billable;
+        if (!projectId && task) projectId = task.project;
+    }
+    if (!projectId) return false;
+    const project = await Project.findById(projectId).select('billable').lean();
+    return project ? project.billable !== false : false;
+}
+
+/**
+ * How specific a rate card is for an employee/project; -1 when it doesn't apply
+ */
+function cardScore(card, { employeeId, role, projectId }) {
+    if (card.employee && String(card.employee) !== String(employeeId)) return -1;
+    if (card.project && String(card.project) !== String(projectId)) return -1;
+    if (card.role && (!role || card.role.toLowerCase() !== role.toLowerCase())) return -1;
+    return (card.employee ? 4 : 0) + (card.role ? 2 : 0) + (card.project ? 1 : 0);
+}
+
+/**
+ * The rate card for an entry, from cards loaded with loadRateCards
+ */
+function findRateCard(cards, { employeeId, role, projectId, date }) {
+    const day = startOfDay(date);
+    let best = null;
+    let bestScore = -1;
+    cards.forEach(card => {
+        if (startOfDay(card.effectiveFrom) > day || (card.effectiveTo && startOfDay(card.effectiveTo) < day)) return;
+        const score = cardScore(card, { employeeId, role, projectId });
+        // Ties go to the card that took effect last
+        if (score > bestScore || (score === bestScore && score >= 0 && card.effectiveFrom > best.effectiveFrom)) {
+            best = card;
+            bestScore = score;
+        }
+    });
+    return best;
+}
+
+/**
+ * Fill in the billable flag on entries logged before it existed (the
+ * pre-save default never ran for them), storing it so it only happens once
+ */
+async function resolveBillable(entries) {
+    const unresolved = entries.filter(e => e.billable === null || e.billable === undefined);
+    const defaults = {};
+    for (const e of unresolved) {
+        const key = `${e.project || ''}|${e.task || ''}`;
+        if (!(key in defaults)) defaults[key] = await getDefaultBillable(e.project, e.task);
+        e.billable = defaults[key];
+    }
+
+    for (const value of [true, false]) {
+        const ids = unresolved.filter(e => e.billable === value).map(e => e._id);
+        if (ids.length) await Timesheet.updateMany({ _id: { $in: ids }, billable: null }, { billable: value });
+    }
+    return entries;
+}
+
+function loadRateCards(from, to) {
+    return RateCard.find({
+        isActive: true,
+        effectiveFrom: { $lte: to },
+        $or: [{ effectiveTo: null }, { effectiveTo: { $gte: startOfDay(from) } }]
+    }).lean();
+}
+
+/**
+ * A client's approved billable entries in a period not on any invoice,
+ * priced and grouped into invoice lines
+ *
+ * @returns {Promise<{ client, lineItems, unrated, totalHours, subtotal, currency }>}
+ *   unrated: entries no rate card covers
+ */
+async function getUnbilled({ clientId, from, to, projectIds = null }) {
+    const client = await Client.findById(clientId).lean();
+    if (!client) throw badRequest('Client not found');
+    const start = startOfDay(from);
+    const end = new Date(startOfDay(to).getTime() + 24 * 60 * 60 * 1000 - 1);
+    if (isNaN(start.getTime()) || isNaN(end.getTime()) || end < start) throw badRequest('A valid from/to period is required');
+
+    const projectQuery = { client: client._id };
+    if (projectIds) projectQuery._id = { $in: projectIds };
+    const projects = await Project.find(projectQuery).select('name').lean();
+    const projectNames = {};
+    projects.forEach(p => { projectNames[String(p._id)] = p.name; });
+
+    const [candidates, cards] = await Promise.all([
+        // Not `billable: true`: entries from before billing have no flag yet
+        Timesheet.find({
+            project: { $in: projects.map(p => p._id) },
+            billable: { $ne: false },
+            invoice: null,
+            status: { $in: APPROVED_STATUSES },
+            date: { $gte: start, $lte: end }
+        }).sort({ date: 1 }).lean(),
+        loadRateCards(start, end)
+    ]);
+    const entries = (await resolveBillable(candidates)).filter(e => e.billable);
+
+    // Rates in another currency can't be billed to this client
+    const currency = client.currency || settings.currency;
+    const rateCards = cards.filter(c => !c.currency || c.currency === currency);
+
+    const employees = await User.find({ _id: { $in: [...new Set(entries.map(e => String(e.employee)))] } })
+        .select('name email designation').lean();
+    const employeeById = {};
+    employees.forEach(u => { employeeById[String(u._id)] = u; });
+
+    const lines = {};
+    const unrated = [];
+    entries.forEach(e => {
+        const employee = employeeById[String(e.employee)] || {};
+        const card = findRateCard(rateCards, { employeeId: e.employee, role: employee.designation, projectId: e.project, date: e.date });
+        if (!card) {
+            unrated.push({ timesheetId: e._id, employee: employee.name, project: projectNames[String(e.project)], date: e.date, hours: e.totalHours });
+            return;
+        }
+        const key = `${e.project}|${e.employee}|${card._id}`;
+        const line = lines[key] = lines[key] || {
+            project: e.project,
+            employee: e.employee,
+            rateCard: card._id,
+            description: `${projectNames[String(e.project)]} - ${employee.name || 'Unknown'}${employee.designation ? ` (${employee.designation})` : ''}`,
+            hours: 0,
+            rate: card.rate,
+            amount: 0,
+            timesheets: []
+        };
+        line.hours = round2(line.hours + (e.totalHours || 0));
+        line.amount = round2(line.hours * line.rate);
+        line.timesheets.push(e._id);
+    });
+
+    const lineItems = Object.values(lines).sort((a, b) => a.description.localeCompare(b.description));
+    return {
+        client,
+        periodStart: start,
+        periodEnd: end,
+        currency,
+        lineItems,
+        unrated,
+        totalHours: round2(lineItems.reduce((sum, l) => sum + l.hours, 0)),
+        subtotal: round2(lineItems.reduce((sum, l) => sum + l.amount, 0))
+    };
+}
+
+/**
+ * Next free number in this year's sequence
+ */
+async function nextInvoiceNumber(date = new Date()) {
+    const prefix = `${settings.invoicePrefix}-${date.getFullYear()}-`;
+    const escaped = prefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    // Highest sequence compared as a number: as strings, -9999 sorts after -10000
+    const [last] = await Invoice.aggregate([
+        { $match: { number: { $regex: `^${escaped}\\d+$` } } },
+        { $project: { sequence: { $toLong: { $substrCP: ['$number', prefix.length, { $strLenCP: '$number' }] } } } },
+        { $sort: { sequence: -1 } },
+        { $limit: 1 }
+    ]);
+    const sequence = last ? Number(last.sequence) + 1 : 1;
+    return prefix + String(sequence).padStart(4, '0');
+}
+
+/**
+ * Create a draft invoice for a client's unbilled hours in a period.
+ * Refused while any entry has no rate, unless skipUnrated.
+ */
+async function createInvoice(user, { clientId, from, to, projectIds = null, notes, skipUnrated = false }) {
+    const unbilled = await getUnbilled({ clientId, from, to, projectIds });
+    if (unbilled.unrated.length && !skipUnrated) {
+        const err = badRequest(`${unbilled.unrated.length} billable entries have no rate card. Add rates or set skipUnrated`);
+        err.details = { unrated: unbilled.unrated };
+        throw err;
+    }
+    if (unbilled.lineItems.length === 0) throw badRequest('No approved, uninvoiced billable hours for this client in the period');
+
+    const taxRate = unbilled.client.taxRate !== undefined && unbilled.client.taxRate !== null ? unbilled.client.taxRate : settings.taxRate;
+    const taxAmount = round2(unbilled.subtotal * taxRate / 100);
+    const fields = {
+        client: unbilled.client._id,
+        periodStart: unbilled.periodStart,
+        periodEnd: unbilled.periodEnd,
+        currency: unbilled.currency,
+        lineItems: unbilled.lineItems,
+        totalHours: unbilled.totalHours,
+        subtotal: unbilled.subtotal,
+        taxRate,
+        taxAmount,
+        total: round2(unbilled.subtotal + taxAmount),
+        notes,
+        createdBy: user._id
+    };
+
+    // Retry on a number taken by a concurrent invoice
+    let invoice;
+    for (let attempt = 0; !invoice; attempt++) {
+        try {
+            invoice = await Invoice.create({ ...fields, number: await nextInvoiceNumber() });
+        } catch (err) {
+            if (err.code !== 11000 || attempt >= 4) throw err;
+        }
+    }
+
+    // Claim the entries; one already taken by another invoice in the meantime undoes this one
+    const timesheetIds = unbilled.lineItems.flatMap(l => l.timesheets);
+    const claimed = await Timesheet.updateMany({ _id: { $in: timesheetIds }, invoice: null }, { invoice: invoice._id });
+    if (claimed.modifiedCount !== timesheetIds.length) {
+        await Timesheet.updateMany({ invoice: invoice._id }, { invoice: null });
+        await Invoice.deleteOne({ _id: invoice._id });
+        throw badRequest('Some of these hours were invoiced at the same time. Please try again');
+    }
+    return { invoice, unrated: unbilled.unrated };
+}
+
+/**
+ * Issue a draft: its hours are marked invoiced
+ */
+async function issueInvoice(invoice, { issueDate = new Date() } = {}) {
+    if (invoice.status !== 'draft') throw badRequest(`Only draft invoices can be issued (this one is ${invoice.status})`);
+    const client = await Client.findById(invoice.client).select('paymentTermsDays').lean();
+    const terms = client && client.paymentTermsDays !== undefined && client.paymentTermsDays !== null ?
+        client.paymentTermsDays : settings.paymentTermsDays;
+
+    invoice.status = 'issued';
+    invoice.issueDate = issueDate;
+    invoice.dueDate = new Date(startOfDay(issueDate).getTime() + terms * 24 * 60 * 60 * 1000);
+    await invoice.save();
+    await Timesheet.updateMany({ invoice: invoice._id }, { invoicedAt: issueDate });
+    return invoice;
+}
+
+async function markPaid(invoice, { paidAt = new Date() } = {}) {
+    if (invoice.status !== 'issued') throw badRequest('Only issued invoices can be marked paid');
+    invoice.status = 'paid';
+    invoice.paidAt = paidAt;
+    await invoice.save();
+    return invoice;
+}
+
+/**
+ * Void a draft or issued invoice; its hours can be billed again
+ */
+async function voidInvoice(invoice) {
+    if (!['draft', 'issued'].includes(invoice.status)) throw badRequest(`A ${invoice.status} invoice cannot be voided`);
+    invoice.status = 'void';
+    invoice.voidedAt = new Date();
+    await invoice.save();
+    await Timesheet.updateMany({ invoice: invoice._id }, { invoice: null, $unset: { invoicedAt: 1 } });
+    return invoice;
+}
+
+/**
+ * Invoice as an XLSX workbook (header, line items, totals)
+ */
+async function buildInvoiceWorkbook(invoice) {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet(`Invoice ${invoice.number}`);
+    const client = invoice.client || {};
+
+    sheet.addRow(['Invoice', invoice.number]).font = { bold: true, size: 14 };
+    sheet.addRow(['Client', client.name || '']);
+    if (client.billingAddress) sheet.addRow(['Address', client.billingAddress]);
+    sheet.addRow(['Period', `${dateKey(invoice.periodStart)} to ${dateKey(invoice.periodEnd)}`]);
+    sheet.addRow(['Status', invoice.status]);
+    if (invoice.issueDate) sheet.addRow(['Issued', dateKey(invoice.issueDate)]);
+    if (invoice.dueDate) sheet.addRow(['Due', dateKey(invoice.dueDate)]);
+    sheet.addRow([]);
+
+    const header = sheet.addRow(['Description', 'Hours', `Rate (${invoice.currency})`, `Amount (${invoice.currency})`]);
+    header.font = { bold: true };
+    header.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF4A90E2' } };
+    invoice.lineItems.forEach(l => sheet.addRow([l.description, l.hours, l.rate, l.amount]));
+    sheet.addRow([]);
+    sheet.addRow(['Total hours', invoice.totalHours]);
+    sheet.addRow(['Subtotal', null, null, invoice.subtotal]);
+    sheet.addRow([`Tax (${invoice.taxRate}%)`, null, null, invoice.taxAmount]);
+    sheet.addRow(['Total', null, null, invoice.total]).font = { bold: true };
+    if (invoice.notes) sheet.addRow(['Notes', invoice.notes]);
+
+    sheet.getColumn(1).width = 50;
+    [2, 3, 4].forEach(c => { sheet.getColumn(c).width = 16; });
+    return workbook;
+}
+
+module.exports = {
+    getDefaultBillable,
+    findRateCard,
+    loadRateCards,
+    getUnbilled,
+    createInvoice,
+    issueInvoice,
+    markPaid,
+    voidInvoice,
+    buildInvoiceWorkbook
+};
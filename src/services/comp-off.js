@@ -0,0 +1,332 @@
+const CompOffCredit = require('../models/CompOffCredit');
+const Timesheet = require('../models/Timesheet');
+const Holiday = require('../models/Holiday');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const settings = require('../config/compOff');
+const workSchedule = require('./work-schedule');
+const { APPROVED_STATUSES } = require('./approval-engine');
+const { MAX_ENTRY_DAYS, dateKey, startOfDay, getDayHours } = require('./time-calculation');
+
+/**
+ * Comp-off Credits
+ *
+ * Approved timesheet hours on an employee's non-working day (a day outside
+ * their shift's workDays, or a Holiday) earn a credit:
+ * - fullDayHours or more → 1 day, halfDayHours or more → 0.5 day
+ * - one credit per employee and day, pending until a manager grants it
+ *   (or auto-approved, see config/compOff.js)
+ * - credits expire expiryDays after the day worked
+ *
+ * COMP_OFF leave (LeaveType.usesCompOffCredits) spends approved credits,
+ * soonest-expiring first, and gives them back when cancelled.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const round2 = n => Math.round(n * 100) / 100;
+
+function badRequest(message) {
+    const err = new Error(message);
+    err.status = 400;
+    return err;
+}
+
+function getCreditDays(hours) {
+    if (hours >= settings.fullDayHours) return 1;
+    if (hours >= settings.halfDayHours) return 0.5;
+    return 0;
+}
+
+/**
+ * Approved hours per day on the given days (YYYY-MM-DD keys) with the
+ * entries that contributed
+ */
+async function getApprovedHours(employeeId, keys) {
+    const sorted = [...keys].sort();
+    const from = startOfDay(sorted[0]);
+    const to = new Date(startOfDay(sorted[sorted.length - 1]).getTime() + DAY_MS - 1);
+
+    const entries = await Timesheet.find({
+        employee: employeeId,
+        status: { $in: APPROVED_STATUSES },
+        date: { $gte: new Date(from.getTime() - MAX_ENTRY_DAYS * DAY_MS), $lte: to }
+    }).select('date endDate startTime endTime breakMinutes totalHours dayHours').lean();
+
+    const byDay = {};
+    entries.forEach(entry => {
+        getDayHours(entry).forEach(d => {
+            const key = dateKey(d.date);
+            if (!keys.has(key)) return;
+            const day = byDay[key] = byDay[key] || { hours: 0, timesheets: [] };
+            day.hours += d.hours;
+            day.timesheets.push(entry._id);
+        });
+    });
+    return byDay;
+}
+
+/**
+ * 'holiday' | 'weekend' for a non-working day of the employee, else null
+ */
+async function getNonWorkingDayType(employeeId, date, holidaysByKey) {
+    const holiday = holidaysByKey[dateKey(date)];
+    if (holiday) return { dayType: 'holiday', holidayName: holiday.description };
+    const shift = await workSchedule.getShiftForDate(employeeId, date);
+    return workSchedule.isWorkDay(shift, date) ? null : { dayType: 'weekend' };
+}
+
+/**
+ * Tell the employee about a new credit, and whoever grants it: their
+ * manager, else the admins
+ */
+async function notifyCreated(credit) {
+    const employee = await User.findById(credit.employee).select('name manager').lean();
+    const day = dateKey(credit.workDate);
+    const meta = { creditId: credit._id, employeeId: credit.employee, workDate: credit.workDate, days: credit.days, status: credit.status };
+    const notifications = [{
+        user: credit.employee,
+        type: 'comp_off_earned',
+        title: '🎁 Comp-off Earned',
+        body: `You earned ${credit.days} comp-off day(s) for working on ${day}` +
+            (credit.status === 'pending' ? ' (awaiting approval)' : ''),
+        meta
+    }];
+
+    if (credit.status === 'pending') {
+        const approvers = employee && employee.manager ?
+            [{ _id: employee.manager }] :
+            await User.find({ role: 'admin' }).select('_id').lean();
+        approvers.forEach(a => notifications.push({
+            user: a._id,
+            type: 'comp_off_pending',
+            title: '🎁 Comp-off Credit to Review',
+            body: `${employee ? employee.name : 'An employee'} worked ${credit.hoursWorked}h on ${day} (${credit.dayType}) - ${credit.days} day(s) of comp-off`,
+            meta
+        }));
+    }
+    await Notification.insertMany(notifications);
+}
+
+/**
+ * Create or update the credits of one employee for the given days from
+ * their approved hours. Credits already decided are left alone.
+ *
+ * @returns {Promise<object[]>} credits created by this call
+ */
+async function syncDays(employeeId, keys) {
+    if (keys.size === 0) return [];
+    const sorted = [...keys].sort();
+    const [hoursByDay, holidays] = await Promise.all([
+        getApprovedHours(employeeId, keys),
+        Holiday.find({
+            date: { $gte: startOfDay(sorted[0]), $lte: new Date(startOfDay(sorted[sorted.length - 1]).getTime() + DAY_MS - 1) }
+        }).lean()
+    ]);
+    const holidaysByKey = {};
+    holidays.forEach(h => { holidaysByKey[dateKey(h.date)] = h; });
+
+    const created = [];
+    for (const key of sorted) {
+        const workDate = startOfDay(key + 'T00:00:00');
+        const worked = hoursByDay[key] || { hours: 0, timesheets: [] };
+        const nonWorking = await getNonWorkingDayType(employeeId, workDate, holidaysByKey);
+        const days = nonWorking ? getCreditDays(worked.hours) : 0;
+
+        const existing = await CompOffCredit.findOne({ employee: employeeId, workDate });
+        if (existing) {
+            if (existing.status !== 'pending') continue;
+            if (days === 0) {
+                await existing.deleteOne();
+                continue;
+            }
+            Object.assign(existing, { ...nonWorking, hoursWorked: round2(worked.hours), days, timesheets: worked.timesheets });
+            await existing.save();
+            continue;
+        }
+        if (days === 0) continue;
+
+        const approved = settings.autoApprove;
+        const credit = await CompOffCredit.create({
+            employee: employeeId,
+            workDate,
+            ...nonWorking,
+            hoursWorked: round2(worked.hours),
+            days,
+            timesheets: worked.timesheets,
+            status: approved ? 'approved' : 'pending',
+            decidedAt: approved ? new Date() : undefined,
+            comments: approved ? 'Approved automatically' : undefined,
+            expiresAt: new Date(workDate.getTime() + settings.expiryDays * DAY_MS)
+        });
+        await notifyCreated(credit);
+        created.push(credit);
+    }
+    return created;
+}
+
+/**
+ * Re-evaluate the days touched by some timesheet entries, e.g. once they
+ * are approved
+ *
+ * @returns {Promise<object[]>} credits created
+ */
+async function syncForTimesheets(entries) {
+    const keysByEmployee = {};
+    entries.forEach(entry => {
+        const keys = keysByEmployee[String(entry.employee)] = keysByEmployee[String(entry.employee)] || new Set();
+        getDayHours(entry).forEach(d => keys.add(dateKey(d.date)));
+    });
+
+    const created = [];
+    for (const [employeeId, keys] of Object.entries(keysByEmployee)) {
+        created.push(...await syncDays(employeeId, keys));
+    }
+    return created;
+}
+
+/**
+ * Re-evaluate every day of a range for some employees (backfill)
+ */
+async function syncRange(employeeIds, from, to) {
+    const keys = new Set();
+    for (const day = startOfDay(from); day <= startOfDay(to); day.setDate(day.getDate() + 1)) {
+        keys.add(dateKey(day));
+    }
+
+    const created = [];
+    for (const employeeId of employeeIds) {
+        created.push(...await syncDays(employeeId, keys));
+    }
+    return created;
+}
+
+/**
+ * Mark approved credits past their expiry with days left as expired
+ */
+async function expireCredits(employeeId = null) {
+    const query = { status: 'approved', expiresAt: { $lt: new Date() }, $expr: { $lt: ['$usedDays', '$days'] } };
+    if (employeeId) query.employee = employeeId;
+    const result = await CompOffCredit.updateMany(query, { $set: { status: 'expired' } });
+    return result.modifiedCount || 0;
+}
+
+/**
+ * Approved credits with days left that are still valid on `onDate`,
+ * soonest-expiring first
+ */
+async function getUsableCredits(employeeId, onDate = new Date()) {
+    await expireCredits(employeeId);
+    return CompOffCredit.find({
+        employee: employeeId,
+        status: 'approved',
+        expiresAt: { $gte: startOfDay(onDate) },
+        $expr: { $lt: ['$usedDays', '$days'] }
+    }).sort({ expiresAt: 1, workDate: 1 });
+}
+
+async function getAvailableDays(employeeId, onDate = new Date()) {
+    const credits = await getUsableCredits(employeeId, onDate);
+    return round2(credits.reduce((sum, c) => sum + c.days - c.usedDays, 0));
+}
+
+/**
+ * Totals for display: available now, waiting for approval, used, lapsed
+ */
+async function getSummary(employeeId) {
+    await expireCredits(employeeId);
+    const credits = await CompOffCredit.find({ employee: employeeId }).lean();
+    const today = startOfDay(new Date());
+
+    const summary = { available: 0, pending: 0, used: 0, expired: 0, nextExpiry: null };
+    credits.forEach(c => {
+        summary.used += c.usedDays || 0;
+        if (c.status === 'pending') summary.pending += c.days;
+        if (c.status === 'expired') summary.expired += c.days - (c.usedDays || 0);
+        if (c.status === 'approved' && c.expiresAt >= today && c.usedDays < c.days) {
+            summary.available += c.days - c.usedDays;
+            if (!summary.nextExpiry || c.expiresAt < summary.nextExpiry) summary.nextExpiry = c.expiresAt;
+        }
+    });
+    ['available', 'pending', 'used', 'expired'].forEach(k => { summary[k] = round2(summary[k]); });
+    return summary;
+}
+
+/**
+ * Spend `days` of credits on an approved leave request (valid on its
+ * start date). Throws with status 400 when not enough are left.
+ */
+async function consume(employeeId, days, leaveRequest) {
+    const credits = await getUsableCredits(employeeId, leaveRequest.fromDate);
+    const available = round2(credits.reduce((sum, c) => sum + c.days - c.usedDays, 0));
+    if (available < days) {
+        throw badRequest(`Insufficient comp-off credits. Available: ${available}, Required: ${days}`);
+    }
+
+    let remaining = days;
+    const allocations = [];
+    for (const credit of credits) {
+        if (remaining <= 0) break;
+        const take = Math.min(remaining, round2(credit.days - credit.usedDays));
+        credit.usedDays = round2(credit.usedDays + take);
+        credit.usage.push({ leaveRequest: leaveRequest._id, days: take });
+        await credit.save();
+        allocations.push({ credit: credit._id, days: take });
+        remaining = round2(remaining - take);
+    }
+    return allocations;
+}
+
+/**
+ * Give back what consume() took for a leave request, or only `days` of it
+ * (an amended, shorter leave). Latest-expiring credits come back first;
+ * credits that have expired since stay expired.
+ */
+async function release(leaveRequest, days = null) {
+    const id = String(leaveRequest._id);
+    const credits = await CompOffCredit.find({ 'usage.leaveRequest': leaveRequest._id }).sort({ expiresAt: -1 });
+    let remaining = days === null ? Infinity : days;
+    let released = 0;
+
+    for (const credit of credits) {
+        if (remaining <= 0) break;
+        const used = credit.usage.filter(u => String(u.leaveRequest) === id).reduce((sum, u) => sum + u.days, 0);
+        const give = Math.min(used, remaining);
+
+        credit.usage = credit.usage.filter(u => String(u.leaveRequest) !== id);
+        if (used - give > 0) credit.usage.push({ leaveRequest: leaveRequest._id, days: round2(used - give) });
+        credit.usedDays = Math.max(0, round2(credit.usedDays - give));
+        await credit.save();
+
+        released += give;
+        remaining -= give;
+    }
+    return round2(released);
+}
+
+/**
+ * Grant or refuse a pending credit
+ */
+async function decide(credit, { approver, approve, comments }) {
+    if (credit.status !== 'pending') {
+        throw badRequest(`Comp-off credit is already ${credit.status}`);
+    }
+    credit.status = approve ? 'approved' : 'rejected';
+    credit.decidedBy = approver._id;
+    credit.decidedAt = new Date();
+    if (comments) credit.comments = comments;
+    await credit.save();
+    return credit;
+}
+
+module.exports = {
+    getCreditDays,
+    syncDays,
+    syncForTimesheets,
+    syncRange,
+    expireCredits,
+    getAvailableDays,
+    getSummary,
+    consume,
+    release,
+    decide
+};
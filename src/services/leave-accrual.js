@@ -0,0 +1,320 @@
+const LeaveBalance = require('../models/LeaveBalance');
+const User = require('../models/User');
+const settings = require('../config/leaveAccrual');
+const leaveTypes = require('./leave-types');
+const leaveLedger = require('./leave-ledger');
+
+/**
+ * Leave Accrual & Rollover
+ *
+ * LeaveBalance totals are no longer fixed yearly grants:
+ *   total = carriedForward + accrued + adjustment
+ * - accrued follows each LeaveType's schedule (annualAllowance, monthly or
+ *   yearly, pro-rated from the employee's joining date)
+ * - carriedForward is set by the year-end rollover, capped per type; the
+ *   rest of the unused balance lapses
+ * - adjustment keeps manual admin changes across accrual runs
+ *
+ * Balances are refreshed lazily when read (getCurrentBalance) and in bulk
+ * by runAccrual(). Every change is mirrored in the leave ledger.
+ */
+
+const round2 = n => Math.round(n * 100) / 100;
+
+function badRequest(message) {
+    const err = new Error(message);
+    err.status = 400;
+    return err;
+}
+
+function roundDown(amount) {
+    const step = settings.roundTo || 0.5;
+    // epsilon so 1.5 * 12 / 12 style sums don't drop a step
+    return Math.floor(amount / step + 1e-9) * step;
+}
+
+function getJoiningDate(user) {
+    return (user && (user.joiningDate || user.createdAt)) || null;
+}
+
+/**
+ * Amount of one leave type earned in `year` up to `asOf`
+ */
+function getAccruedAmount(type, year, joiningDate, asOf = new Date()) {
+    const at = new Date(asOf);
+    if (at.getFullYear() < year) return 0;
+
+    const joined = joiningDate ? new Date(joiningDate) : null;
+    if (joined && joined.getFullYear() > year) return 0;
+
+    let firstMonth = 0;
+    if (type.prorate !== false && joined && joined.getFullYear() === year) {
+        firstMonth = joined.getMonth() + (joined.getDate() > settings.joiningCutoffDay ? 1 : 0);
+    }
+    if (firstMonth > 11) return 0;
+
+    const perMonth = (type.annualAllowance || 0) / 12;
+    if (type.accrual === 'monthly') {
+        const lastMonth = at.getFullYear() > year ? 11 : at.getMonth();
+        return roundDown(Math.max(0, lastMonth - firstMonth + 1) * perMonth);
+    }
+    return roundDown((12 - firstMonth) * perMonth);
+}
+
+/**
+ * Recalculate accrued/total/balance of every balance-tracked type on a
+ * balance (document or plain object) as of `asOf`. Mutates and returns
+ * `balance`.
+ */
+function applyAccrual(balance, joiningDate, asOf, types) {
+    // Balances granted before accrual existed keep what they were given
+    const legacy = !balance.accruedThrough;
+
+    types.filter(leaveTypes.tracksBalance).forEach(type => {
+        const bucket = leaveTypes.getBucket(balance, type, { create: true });
+        const accrued = getAccruedAmount(type, balance.year, joiningDate, asOf);
+        const carriedForward = bucket.carriedForward || 0;
+        if (legacy) bucket.adjustment = Math.max(0, round2((bucket.total || 0) - carriedForward - accrued));
+
+        bucket.accrued = accrued;
+        bucket.total = round2(carriedForward + accrued + (bucket.adjustment || 0));
+        bucket.balance = round2(bucket.total - (bucket.used || 0));
+    });
+    balance.accruedThrough = new Date(asOf);
+    return balance;
+}
+
+/**
+ * LeaveBalance fields for a new employee/year, optionally with amounts
+ * carried from the previous year (keyed by leave type code)
+ */
+async function buildOpeningBalance(employeeId, year, { carriedForward = {} } = {}) {
+    const [user, types] = await Promise.all([
+        User.findById(employeeId).select('joiningDate createdAt').lean(),
+        leaveTypes.getLeaveTypes({ includeInactive: true })
+    ]);
+    const yearStart = new Date(year, 0, 1);
+    const asOf = new Date() > yearStart ? new Date() : yearStart;
+
+    const data = { employee: employeeId, year, accruedThrough: null, extra: {} };
+    types.filter(leaveTypes.tracksBalance).forEach(type => {
+        const bucket = leaveTypes.getBucket(data, type, { create: true }) || (data[type.balanceField] = {});
+        Object.assign(bucket, { used: 0, carriedForward: carriedForward[type.code] || 0, adjustment: 0, total: 0 });
+    });
+    applyAccrual(data, getJoiningDate(user), asOf, types);
+    return data;
+}
+
+// Comparable snapshot of every bucket's total/balance
+function bucketState(balance, types) {
+    return JSON.stringify(types.filter(leaveTypes.tracksBalance).map(type => {
+        const bucket = leaveTypes.getBucket(balance, type) || {};
+        return [bucket.total, bucket.balance];
+    }));
+}
+
+/**
+ * Bring a stored balance up to date, saving only when something changed
+ */
+async function refreshBalance(balance, { user = null, asOf = new Date(), types = null } = {}) {
+    const owner = user || await User.findById(balance.employee).select('joiningDate createdAt').lean();
+    const catalog = types || await leaveTypes.getLeaveTypes({ includeInactive: true });
+    const before = bucketState(balance, catalog);
+    const wasLegacy = !balance.accruedThrough;
+    const hadLedger = await leaveLedger.hasEntries(balance);
+    const components = leaveLedger.snapshotComponents(balance, catalog);
+    const balances = leaveLedger.snapshotBalances(balance, catalog);
+
+    applyAccrual(balance, getJoiningDate(owner), asOf, catalog);
+
+    if (before !== bucketState(balance, catalog) || wasLegacy) {
+        balance.lastUpdated = Date.now();
+        await balance.save();
+    }
+
+    if (!hadLedger) {
+        await leaveLedger.recordOpening(balance, catalog);
+    } else if (wasLegacy) {
+        // Its old grant is already on the ledger; only the net change is new
+        await leaveLedger.recordBalanceChanges(balance, balances, catalog, { note: 'Balance moved to accrual' });
+    } else {
+        await leaveLedger.recordComponentChanges(balance, components, catalog, {
+            note: `Accrual through ${new Date(asOf).toISOString().slice(0, 10)}`
+        });
+    }
+    return balance;
+}
+
+/**
+ * The employee's current-year balance, created and/or accrued as needed
+ */
+async function getCurrentBalance(employeeId) {
+    const balance = await LeaveBalance.initializeForEmployee(employeeId);
+    return refreshBalance(balance);
+}
+
+/**
+ * Refresh every balance of a year (default: current year)
+ *
+ * @returns {Promise<{ year: number, balances: number, updated: number }>}
+ */
+async function runAccrual({ year = new Date().getFullYear(), asOf = new Date() } = {}) {
+    const balances = await LeaveBalance.find({ year });
+    const users = await User.find({ _id: { $in: balances.map(b => b.employee) } }).select('joiningDate createdAt').lean();
+    const types = await leaveTypes.getLeaveTypes({ includeInactive: true });
+    const usersById = {};
+    users.forEach(u => { usersById[String(u._id)] = u; });
+
+    let updated = 0;
+    for (const balance of balances) {
+        const before = balance.accruedThrough ? bucketState(balance, types) : null;
+        await refreshBalance(balance, { user: usersById[String(balance.employee)] || {}, asOf, types });
+        if (before !== bucketState(balance, types)) updated++;
+    }
+    return { year, balances: balances.length, updated };
+}
+
+/**
+ * What rolling `fromYear` into the next year would do, per employee and
+ * leave type: closing balance, amount carried, amount lapsed and the
+ * resulting opening balance. Nothing is saved.
+ *
+ * @returns {Promise<{ fromYear: number, toYear: number, rows: object[], summary: object }>}
+ */
+async function planRollover(fromYear, { employeeIds = null } = {}) {
+    const toYear = fromYear + 1;
+    const userQuery = employeeIds ? { _id: { $in: employeeIds } } : { role: { $in: ['employee', 'manager'] }, isActive: { $ne: false } };
+    const users = await User.find(userQuery).select('name email department joiningDate createdAt').lean();
+    const ids = users.map(u => u._id);
+
+    const [closingBalances, openingBalances, types] = await Promise.all([
+        LeaveBalance.find({ employee: { $in: ids }, year: fromYear }).lean(),
+        LeaveBalance.find({ employee: { $in: ids }, year: toYear }).select('employee rolledOverFrom').lean(),
+        leaveTypes.getLeaveTypes({ includeInactive: true })
+    ]);
+    const trackedTypes = types.filter(leaveTypes.tracksBalance);
+    const closingByEmployee = {};
+    closingBalances.forEach(b => { closingByEmployee[String(b.employee)] = b; });
+    const openingByEmployee = {};
+    openingBalances.forEach(b => { openingByEmployee[String(b.employee)] = b; });
+
+    const yearEnd = new Date(fromYear, 11, 31, 23, 59, 59, 999);
+    const toYearStart = new Date(toYear, 0, 1);
+    const openingAsOf = new Date() > toYearStart ? new Date() : toYearStart;
+
+    const summary = { employees: users.length, alreadyRolledOver: 0, byType: {} };
+    const rows = users.map(user => {
+        const joiningDate = getJoiningDate(user);
+        const stored = closingByEmployee[String(user._id)];
+        // Accrue the closing year through 31 December on a copy
+        const closing = stored ? applyAccrual(JSON.parse(JSON.stringify(stored)), joiningDate, yearEnd, types) : null;
+        const next = openingByEmployee[String(user._id)];
+        const alreadyRolledOver = !!(next && next.rolledOverFrom === fromYear);
+        if (alreadyRolledOver) summary.alreadyRolledOver++;
+
+        const byCode = {};
+        const carriedForward = {};
+        trackedTypes.forEach(type => {
+            const closingBucket = closing ? leaveTypes.getBucket(closing, type) : null;
+            const closingBalance = closingBucket ? Math.max(0, closingBucket.balance) : 0;
+            const cap = type.carryForwardCap;
+            const carry = cap === null || cap === undefined ? closingBalance : Math.min(closingBalance, cap);
+            const accrued = getAccruedAmount(type, toYear, joiningDate, openingAsOf);
+
+            carriedForward[type.code] = carry;
+            byCode[type.code] = {
+                closing: closingBalance,
+                carryForward: carry,
+                lapsed: round2(closingBalance - carry),
+                accrued,
+                opening: round2(carry + accrued)
+            };
+
+            const totals = summary.byType[type.code] = summary.byType[type.code] || { carryForward: 0, lapsed: 0, opening: 0 };
+            totals.carryForward = round2(totals.carryForward + carry);
+            totals.lapsed = round2(totals.lapsed + byCode[type.code].lapsed);
+            totals.opening = round2(totals.opening + byCode[type.code].opening);
+        });
+
+        return {
+            employee: { _id: user._id, name: user.name, email: user.email, department: user.department },
+            hasBalance: !!stored,
+            alreadyRolledOver,
+            carriedForward,
+            types: byCode
+        };
+    });
+
+    return { fromYear, toYear, rows, summary };
+}
+
+/**
+ * Commit the rollover of `fromYear` into the next year. Employees already
+ * rolled over are skipped, so it is safe to run again.
+ */
+async function applyRollover(fromYear, { employeeIds = null } = {}) {
+    if (fromYear >= new Date().getFullYear()) {
+        throw badRequest(`${fromYear} has not ended yet; use the preview until then`);
+    }
+
+    const plan = await planRollover(fromYear, { employeeIds });
+    const types = await leaveTypes.getLeaveTypes({ includeInactive: true });
+    const yearEnd = new Date(fromYear, 11, 31, 23, 59, 59, 999);
+    let rolledOver = 0;
+
+    for (const row of plan.rows) {
+        if (row.alreadyRolledOver) continue;
+
+        if (row.hasBalance) {
+            // Close the old year on the ledger: accrue through 31 December,
+            // then move the balance out as carried forward or lapsed
+            const closing = await LeaveBalance.findOne({ employee: row.employee._id, year: fromYear });
+            await refreshBalance(closing, { asOf: yearEnd, types });
+            for (const type of types.filter(leaveTypes.tracksBalance)) {
+                const amounts = row.types[type.code];
+                await leaveLedger.record(closing, type, { type: 'carry_forward', amount: -amounts.carryForward, yearEnd: true, note: `Carried forward to ${plan.toYear}` });
+                await leaveLedger.record(closing, type, { type: 'lapse', amount: -amounts.lapsed, yearEnd: true, note: `Lapsed at the end of ${fromYear}` });
+            }
+        }
+
+        let next = await LeaveBalance.findOne({ employee: row.employee._id, year: plan.toYear });
+        const created = !next;
+        if (next) {
+            await leaveLedger.ensureOpening(next, types);
+            const components = leaveLedger.snapshotComponents(next, types);
+            types.filter(leaveTypes.tracksBalance).forEach(type => {
+                leaveTypes.getBucket(next, type, { create: true }).carriedForward = row.carriedForward[type.code] || 0;
+            });
+            await leaveLedger.recordComponentChanges(next, components, types, { note: `Carried forward from ${fromYear}` });
+            await refreshBalance(next, { types });
+        } else {
+            next = new LeaveBalance(await buildOpeningBalance(row.employee._id, plan.toYear, { carriedForward: row.carriedForward }));
+        }
+        next.rolledOverFrom = fromYear;
+        next.rolledOverAt = new Date();
+        await next.save();
+        if (created) {
+            await leaveLedger.recordOpening(next, types, { note: `Opening balance, carried forward from ${fromYear}` });
+        }
+        rolledOver++;
+    }
+
+    return {
+        fromYear,
+        toYear: plan.toYear,
+        rolledOver,
+        skipped: plan.rows.length - rolledOver,
+        summary: plan.summary
+    };
+}
+
+module.exports = {
+    getAccruedAmount,
+    applyAccrual,
+    buildOpeningBalance,
+    refreshBalance,
+    getCurrentBalance,
+    runAccrual,
+    planRollover,
+    applyRollover
+};
@@ -0,0 +1,155 @@
+const LeaveRequest = require('../models/LeaveRequest');
+const Holiday = require('../models/Holiday');
+const leaveConfig = require('../config/leave');
+const { dateKey, startOfDay } = require('./time-calculation');
+const { getDayPortion } = require('./leave-days');
+const leaveTypeCatalog = require('./leave-types');
+
+/**
+ * Leave Calendar
+ *
+ * Where approved leave and holidays meet the rest of the system, with each
+ * leave type's treatment taken from the LeaveType catalog:
+ * - day-based leave and holidays are excused days for attendance
+ * - remote types (isRemote, e.g. WFH) are excused from checking in but the
+ *   employee is still working
+ * - half-day leave and hour-based leave reduce the hours expected that day
+ * - timesheet entries on leave/holiday dates are blocked or warned about
+ *   (see config/leave.js)
+ */
+
+/**
+ * Approved leave and holidays over a range, indexed by day.
+ *
+ * @returns {Promise<{ holidays: Object<string, string>, byEmployee: Object<string, Object<string, object>> }>}
+ *   holidays: dateKey → description; byEmployee: employeeId → dateKey → day info
+ */
+async function buildCalendar(employeeIds, from, to) {
+    const rangeStart = startOfDay(from);
+    const rangeEnd = startOfDay(to);
+    rangeEnd.setHours(23, 59, 59, 999);
+
+    const [leaves, holidays, typeMap] = await Promise.all([
+        LeaveRequest.find({
+            employee: { $in: employeeIds },
+            status: 'approved',
+            fromDate: { $lte: rangeEnd },
+            toDate: { $gte: rangeStart }
+        }).select('employee leaveType fromDate toDate fromSession toSession permissionHours').lean(),
+        Holiday.find({ date: { $gte: rangeStart, $lte: rangeEnd } }).lean(),
+        leaveTypeCatalog.getTypeMap()
+    ]);
+
+    const calendar = { holidays: {}, byEmployee: {} };
+    holidays.forEach(h => { calendar.holidays[dateKey(h.date)] = h.description || 'Holiday'; });
+
+    leaves.forEach(leave => {
+        const type = typeMap[leave.leaveType] || { unit: 'days' };
+        const empKey = String(leave.employee);
+        const days = calendar.byEmployee[empKey] = calendar.byEmployee[empKey] || {};
+        const last = startOfDay(leave.toDate);
+        for (const day = startOfDay(leave.fromDate); day <= last; day.setDate(day.getDate() + 1)) {
+            if (day < rangeStart || day > rangeEnd) continue;
+            const key = dateKey(day);
+            const entry = days[key] = days[key] || { leaveTypes: [], leaveIds: [], absenceTypes: [], permissionHours: 0, leavePortion: 0, remote: false };
+            entry.leaveTypes.push(leave.leaveType);
+            entry.leaveIds.push(leave._id);
+            if (leaveTypeCatalog.isHourly(type)) {
+                entry.permissionHours += leave.permissionHours || 0;
+            } else if (type.isRemote) {
+                entry.remote = true;
+            } else {
+                entry.absenceTypes.push(leave.leaveType);
+                entry.leavePortion = Math.min(1, entry.leavePortion + getDayPortion(leave, day));
+            }
+        }
+    });
+
+    return calendar;
+}
+
+/**
+ * Leave/holiday status of one employee on one day, from a calendar
+ */
+function getDayStatus(calendar, employeeId, date) {
+    const key = dateKey(date);
+    const leave = (calendar.byEmployee[String(employeeId)] || {})[key] || null;
+    const leaveTypes = leave ? leave.leaveTypes : [];
+    const leavePortion = leave ? leave.leavePortion : 0;
+    const remote = leave ? leave.remote : false;
+    // A half day of leave still means working (and checking in) the other half
+    const onLeave = leavePortion >= 1;
+    const holiday = calendar.holidays[key] || null;
+
+    return {
+        holiday,
+        leaveTypes,
+        leaveIds: leave ? leave.leaveIds : [],
+        absenceTypes: leave ? leave.absenceTypes : [],
+        onLeave,
+        halfDay: leavePortion > 0 && leavePortion < 1,
+        remote,
+        permissionHours: leave ? leave.permissionHours : 0,
+        // not expected to check in
+        excused: onLeave || !!holiday || remote
+    };
+}
+
+/**
+ * Hours expected from the employee on a day: 0 on leave/holidays, half on
+ * half-day leave, minus any hour-based leave
+ */
+function getExpectedHours(dayStatus, scheduledHours) {
+    if (dayStatus.onLeave || dayStatus.holiday) return 0;
+    const hours = dayStatus.halfDay ? scheduledHours / 2 : scheduledHours;
+    return Math.max(0, hours - dayStatus.permissionHours);
+}
+
+/**
+ * Check timesheet hours (per-day slices, see time-calculation) against
+ * approved leave and holidays. Pass a prebuilt `calendar` covering the days
+ * when checking many entries.
+ *
+ * @returns {Promise<{ error: string|null, warnings: string[] }>}
+ */
+async function checkTimesheetDays(employeeId, dayHours, { calendar = null } = {}) {
+    const result = { error: null, warnings: [] };
+    if (!dayHours || !dayHours.length) return result;
+
+    calendar = calendar || await buildCalendar([employeeId], dayHours[0].date, dayHours[dayHours.length - 1].date);
+    for (const d of dayHours) {
+        const status = getDayStatus(calendar, employeeId, d.date);
+        const label = new Date(d.date).toLocaleDateString();
+
+        if (status.onLeave) {
+            const message = `You are on approved leave (${status.absenceTypes.join(', ')}) on ${label}`;
+            if (leaveConfig.timesheetOnLeave === 'block') {
+                result.error = `${message}. Cancel the leave before logging hours for that day.`;
+                return result;
+            }
+            result.warnings.push(message);
+        }
+        if (status.holiday) {
+            const message = `${label} is a holiday (${status.holiday})`;
+            if (leaveConfig.timesheetOnHoliday === 'block') {
+                result.error = `${message}. Hours cannot be logged on holidays.`;
+                return result;
+            }
+            result.warnings.push(message);
+        }
+        if (status.halfDay) {
+            result.warnings.push(`You have approved half-day leave on ${label}`);
+        }
+        if (status.permissionHours > 0) {
+            result.warnings.push(`You have ${status.permissionHours}h of approved hourly leave on ${label}`);
+        }
+    }
+    return result;
+}
+
+module.exports = {
+    buildCalendar,
+    getDayStatus,
+    getExpectedHours,
+    checkTimesheetDays
+};
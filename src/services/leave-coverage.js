@@ -0,0 +1,229 @@
+const User = require('../models/User');
+const Project = require('../models/Project');
+const LeaveRequest = require('../models/LeaveRequest');
+const StaffingRule = require('../models/StaffingRule');
+const leaveConfig = require('../config/leave');
+const leaveTypes = require('./leave-types');
+const leaveDays = require('./leave-days');
+const { dateKey, startOfDay } = require('./time-calculation');
+
+/**
+ * Team Coverage
+ *
+ * Checks a leave against the people who work with the requester:
+ * - their team: everyone reporting to the same manager (User.manager)
+ * - every running project they are a member of (Project.employees)
+ *
+ * For each of the requester's working days, other members' overlapping
+ * leave is counted and the people left are compared with the group's
+ * StaffingRule (or config/leave.js coverageMinPresentPercent). Only absences
+ * count: remote and hourly types leave the person available, half days are
+ * counted as a full absence.
+ */
+
+const RUNNING_PROJECT_STATUSES = ['active', 'pending_review', 'rework_required'];
+
+/**
+ * Groups an employee belongs to, with their active members' ids
+ */
+async function getGroups(employeeId) {
+    const user = await User.findById(employeeId).select('manager').lean();
+    const groups = [];
+
+    if (user && user.manager) {
+        const [manager, members] = await Promise.all([
+            User.findById(user.manager).select('name').lean(),
+            User.find({ manager: user.manager, isActive: { $ne: false } }).select('_id').lean()
+        ]);
+        groups.push({
+            key: `team:${user.manager}`,
+            kind: 'team',
+            id: user.manager,
+            name: `${manager ? manager.name : 'Manager'}'s team`,
+            members: members.map(m => String(m._id))
+        });
+    }
+
+    const projects = await Project.find({ employees: employeeId, status: { $in: RUNNING_PROJECT_STATUSES } })
+        .select('name employees').lean();
+    projects.forEach(p => {
+        groups.push({
+            key: `project:${p._id}`,
+            kind: 'project',
+            id: p._id,
+            name: p.name,
+            members: Array.from(new Set((p.employees || []).map(String)))
+        });
+    });
+
+    return groups;
+}
+
+/**
+ * Members required present in a group of `size`, or null for no minimum
+ */
+function getMinimumPresent(rule, size) {
+    const fromPercent = percent => Math.ceil(size * percent / 100);
+    if (!rule) {
+        const percent = leaveConfig.coverageMinPresentPercent;
+        return percent === null || percent === undefined ? null : fromPercent(percent);
+    }
+    const minimums = [];
+    if (rule.minPresent !== null && rule.minPresent !== undefined) minimums.push(Math.min(rule.minPresent, size));
+    if (rule.minPresentPercent !== null && rule.minPresentPercent !== undefined) minimums.push(fromPercent(rule.minPresentPercent));
+    return minimums.length ? Math.max(...minimums) : null;
+}
+
+function isAbsence(type) {
+    // Unknown (e.g. deleted) types are treated as time off
+    return !type || (!type.isRemote && !leaveTypes.isHourly(type));
+}
+
+function emptyReport() {
+    return { groups: [], conflicts: [], warnings: [], belowThreshold: false, blocking: false };
+}
+
+/**
+ * Coverage report for one employee's leave.
+ *
+ * @param {object} leave - { employeeId, leaveType, fromDate, toDate, fromSession, toSession }
+ * @param {object} options
+ * @param {boolean} options.includePending - count other pending requests as absences (requester's view)
+ * @param {string} options.excludeRequestId - the request being checked, if already saved
+ * @returns {Promise<{ groups: object[], conflicts: object[], warnings: string[], belowThreshold: boolean, blocking: boolean }>}
+ */
+async function checkCoverage(leave, { includePending = true, excludeRequestId = null } = {}) {
+    const typeMap = await leaveTypes.getTypeMap();
+    if (!isAbsence(typeMap[String(leave.leaveType || '').toUpperCase()])) return emptyReport();
+
+    const groups = await getGroups(leave.employeeId);
+    if (groups.length === 0) return emptyReport();
+
+    const requesterId = String(leave.employeeId);
+    const colleagueIds = new Set();
+    groups.forEach(g => g.members.forEach(id => { if (id !== requesterId) colleagueIds.add(id); }));
+
+    const from = startOfDay(leave.fromDate);
+    const to = startOfDay(leave.toDate || leave.fromDate);
+    const toEnd = new Date(to.getTime() + 24 * 60 * 60 * 1000 - 1);
+
+    const query = {
+        employee: { $in: Array.from(colleagueIds) },
+        status: { $in: includePending ? ['approved', 'pending'] : ['approved'] },
+        fromDate: { $lte: toEnd },
+        toDate: { $gte: from }
+    };
+    if (excludeRequestId) query._id = { $ne: excludeRequestId };
+
+    const [overlapping, rules, breakdown] = await Promise.all([
+        LeaveRequest.find(query).populate('employee', 'name').lean(),
+        StaffingRule.find({
+            isActive: true,
+            $or: [
+                { scope: 'team', manager: { $in: groups.filter(g => g.kind === 'team').map(g => g.id) } },
+                { scope: 'project', project: { $in: groups.filter(g => g.kind === 'project').map(g => g.id) } }
+            ]
+        }).lean(),
+        leaveDays.countLeaveDays({
+            employeeId: leave.employeeId,
+            fromDate: from,
+            toDate: to,
+            fromSession: leave.fromSession || 'full',
+            toSession: leave.toSession || 'full'
+        })
+    ]);
+    const absences = overlapping.filter(r => r.employee && isAbsence(typeMap[r.leaveType]));
+
+    const report = emptyReport();
+    groups.forEach(group => {
+        const rule = rules.find(r => (group.kind === 'team' ? String(r.manager) : String(r.project)) === String(group.id)) || null;
+        const size = group.members.length;
+        const minimumPresent = getMinimumPresent(rule, size);
+        const memberSet = new Set(group.members);
+
+        const days = breakdown.days.map(({ date }) => {
+            const key = dateKey(date);
+            const away = absences.filter(r => memberSet.has(String(r.employee._id)) &&
+                dateKey(r.fromDate) <= key && dateKey(r.toDate || r.fromDate) >= key);
+            const awayIds = new Set(away.map(r => String(r.employee._id)));
+            // Colleagues away plus the requester
+            const present = size - awayIds.size - (memberSet.has(requesterId) ? 1 : 0);
+            return {
+                date,
+                away: away.map(r => ({ name: r.employee.name, status: r.status, leaveType: r.leaveType })),
+                present,
+                shortBy: minimumPresent === null ? 0 : Math.max(0, minimumPresent - present)
+            };
+        }).filter(day => day.away.length > 0 || day.shortBy > 0);
+
+        if (days.length === 0) return;
+        const shortDays = days.filter(day => day.shortBy > 0);
+        const belowThreshold = shortDays.length > 0;
+
+        report.groups.push({
+            key: group.key,
+            kind: group.kind,
+            name: group.name,
+            size,
+            minimumPresent,
+            rule: rule ? { _id: rule._id, name: rule.name, blockApproval: rule.blockApproval } : null,
+            belowThreshold,
+            days
+        });
+
+        if (belowThreshold) {
+            report.belowThreshold = true;
+            if (rule && rule.blockApproval) report.blocking = true;
+            const worst = shortDays.reduce((a, b) => (b.present < a.present ? b : a));
+            report.warnings.push(`${group.name} would be below minimum staffing on ${shortDays.length} day(s): ` +
+                `${worst.present} of ${size} present on ${dateKey(worst.date)} (minimum ${minimumPresent})`);
+        }
+    });
+
+    const groupsByEmployee = {};
+    report.groups.forEach(g => {
+        groups.find(x => x.key === g.key).members.forEach(id => {
+            (groupsByEmployee[id] = groupsByEmployee[id] || []).push(g.name);
+        });
+    });
+    report.conflicts = absences
+        .filter(r => groupsByEmployee[String(r.employee._id)])
+        .map(r => ({
+            leaveRequestId: r._id,
+            employee: { _id: r.employee._id, name: r.employee.name },
+            leaveType: r.leaveType,
+            fromDate: r.fromDate,
+            toDate: r.toDate,
+            status: r.status,
+            groups: groupsByEmployee[String(r.employee._id)]
+        }));
+
+    if (report.conflicts.length > 0) {
+        const names = report.conflicts.map(c => `${c.employee.name}${c.status === 'pending' ? ' (pending)' : ''}`);
+        report.warnings.unshift(`Also off during this period: ${Array.from(new Set(names)).join(', ')}`);
+    }
+
+    return report;
+}
+
+/**
+ * Coverage of a stored request. By default only others' approved leave
+ * counts, which is what approving it would actually leave behind.
+ */
+async function checkRequest(leaveRequest, { includePending = false } = {}) {
+    return checkCoverage({
+        employeeId: leaveRequest.employee._id || leaveRequest.employee,
+        leaveType: leaveRequest.leaveType,
+        fromDate: leaveRequest.fromDate,
+        toDate: leaveRequest.toDate,
+        fromSession: leaveRequest.fromSession,
+        toSession: leaveRequest.toSession
+    }, { includePending, excludeRequestId: leaveRequest._id });
+}
+
+module.exports = {
+    getGroups,
+    getMinimumPresent,
+    checkCoverage,
+    checkRequest
+};
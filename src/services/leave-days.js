@@ -0,0 +1,187 @@
+const Holiday = require('../models/Holiday');
+const leaveConfig = require('../config/leave');
+const workSchedule = require('./work-schedule');
+const leaveTypes = require('./leave-types');
+const compOff = require('./comp-off');
+const { dateKey, startOfDay } = require('./time-calculation');
+
+/**
+ * Leave Day Calculator
+ *
+ * Counts the days a leave request charges against the balance: only the
+ * employee's working days (shift workDays, else config/leave.js workWeek),
+ * never public holidays, with half days at either end of the range.
+ *
+ * Sessions: `fromSession` is 'full', 'first_half' (single-day leave only)
+ * or 'second_half'; `toSession` is 'full' or 'first_half'.
+ *
+ * All LeaveBalance deductions and restores go through deduct()/restore();
+ * comp-off types spend and give back comp-off credits there instead.
+ */
+
+const SESSIONS = ['full', 'first_half', 'second_half'];
+const MAX_LEAVE_DAYS = 366;
+
+function badRequest(message) {
+    const err = new Error(message);
+    err.status = 400;
+    return err;
+}
+
+/**
+ * Share of a day (0.5 or 1) a leave covers on `date`, given its sessions.
+ * Assumes the date lies within the leave.
+ */
+function getDayPortion(leave, date) {
+    const key = dateKey(date);
+    const fromKey = dateKey(leave.fromDate);
+    const toKey = dateKey(leave.toDate || leave.fromDate);
+    const fromSession = leave.fromSession || 'full';
+    const toSession = leave.toSession || 'full';
+
+    if (fromKey === toKey) return fromSession === 'full' ? 1 : 0.5;
+    if (key === fromKey && fromSession !== 'full') return 0.5;
+    if (key === toKey && toSession !== 'full') return 0.5;
+    return 1;
+}
+
+/**
+ * Count the chargeable leave days for a date range.
+ *
+ * @returns {Promise<{ totalDays: number, days: Array<{date: Date, portion: number}>, excluded: Array<{date: Date, reason: string}> }>}
+ */
+async function countLeaveDays({ employeeId, fromDate, toDate, fromSession = 'full', toSession = 'full' }) {
+    const from = startOfDay(fromDate);
+    const to = startOfDay(toDate || fromDate);
+    if (isNaN(from.getTime()) || isNaN(to.getTime())) throw badRequest('Invalid leave dates');
+    if (to < from) throw badRequest('toDate cannot be before fromDate');
+    if ((to - from) / (1000 * 60 * 60 * 24) >= MAX_LEAVE_DAYS) throw badRequest('Leave cannot span more than a year');
+
+    if (!SESSIONS.includes(fromSession) || !SESSIONS.includes(toSession)) {
+        throw badRequest(`Session must be one of: ${SESSIONS.join(', ')}`);
+    }
+    const singleDay = dateKey(from) === dateKey(to);
+    if (!singleDay && fromSession === 'first_half') {
+        throw badRequest('A multi-day leave can only start in the second half of the first day');
+    }
+    if (!singleDay && toSession === 'second_half') {
+        throw badRequest('A multi-day leave can only end after the first half of the last day');
+    }
+
+    const [holidays, assignments] = await Promise.all([
+        Holiday.find({ date: { $gte: from, $lte: new Date(to.getTime() + 24 * 60 * 60 * 1000 - 1) } }).lean(),
+        employeeId ? workSchedule.getAssignmentsInRange([employeeId], from, to) : {}
+    ]);
+    const holidayKeys = new Set(holidays.map(h => dateKey(h.date)));
+    const employeeAssignments = employeeId ? assignments[String(employeeId)] : null;
+
+    const leave = { fromDate: from, toDate: to, fromSession, toSession };
+    const days = [];
+    const excluded = [];
+    for (const day = new Date(from); day <= to; day.setDate(day.getDate() + 1)) {
+        const shift = employeeAssignments && employeeAssignments.length ?
+            workSchedule.pickShift(employeeAssignments, day) :
+            { workDays: leaveConfig.workWeek };
+
+        if (!(shift.workDays || leaveConfig.workWeek).includes(day.getDay())) {
+            excluded.push({ date: new Date(day), reason: 'weekend' });
+        } else if (holidayKeys.has(dateKey(day))) {
+            excluded.push({ date: new Date(day), reason: 'holiday' });
+        } else {
+            days.push({ date: new Date(day), portion: getDayPortion(leave, day) });
+        }
+    }
+
+    return {
+        totalDays: days.reduce((sum, d) => sum + d.portion, 0),
+        days,
+        excluded
+    };
+}
+
+/**
+ * Days/hours a leave request takes from the balance (`type` is its
+ * LeaveType). Approved requests restore exactly what was deducted, even if
+ * holidays changed since.
+ */
+function getCharge(leaveRequest, type) {
+    if (leaveTypes.isHourly(type)) {
+        const hours = leaveRequest.deductedHours !== undefined && leaveRequest.deductedHours !== null ?
+            leaveRequest.deductedHours : (leaveRequest.permissionHours || 0);
+        return { days: 0, hours };
+    }
+    const days = leaveRequest.deductedDays !== undefined && leaveRequest.deductedDays !== null ?
+        leaveRequest.deductedDays : (leaveRequest.totalDays || 0);
+    return { days, hours: 0 };
+}
+
+/**
+ * Deduct an approved request from the balance and remember the charge.
+ * `performedBy` (the approver) is kept on the ledger entry.
+ */
+async function deduct(leaveBalance, leaveRequest, { performedBy = null } = {}) {
+    const type = await leaveTypes.getLeaveType(leaveRequest.leaveType);
+    const charge = getCharge({ totalDays: leaveRequest.totalDays, permissionHours: leaveRequest.permissionHours }, type);
+    if (leaveTypes.usesCompOffCredits(type)) {
+        await compOff.consume(leaveRequest.employee._id || leaveRequest.employee, charge.days, leaveRequest);
+    } else {
+        await leaveBalance.deductLeave(leaveRequest.leaveType, charge.days, charge.hours, {
+            leaveRequest: leaveRequest._id,
+            performedBy,
+            note: 'Leave approved'
+        });
+    }
+    leaveRequest.deductedDays = charge.days;
+    leaveRequest.deductedHours = charge.hours;
+    return charge;
+}
+
+/**
+ * Give back what deduct() took for a request
+ */
+async function restore(leaveBalance, leaveRequest, { performedBy = null, note = 'Leave cancelled' } = {}) {
+    const type = await leaveTypes.getLeaveType(leaveRequest.leaveType);
+    const charge = getCharge(leaveRequest, type);
+    if (leaveTypes.usesCompOffCredits(type)) {
+        await compOff.release(leaveRequest);
+    } else {
+        await leaveBalance.restoreLeave(leaveRequest.leaveType, charge.days, charge.hours, {
+            leaveRequest: leaveRequest._id,
+            performedBy,
+            note
+        });
+    }
+    return charge;
+}
+
+/**
+ * Move an approved day-based request's charge to `days` (an approved
+ * amendment), changing the balance or comp-off credits by the difference
+ * only. Call after setting the amended dates on the request.
+ */
+async function adjust(leaveBalance, leaveRequest, days, { performedBy = null, note = 'Leave amended' } = {}) {
+    const type = await leaveTypes.getLeaveType(leaveRequest.leaveType);
+    const charged = getCharge(leaveRequest, type).days;
+    const difference = Math.round((days - charged) * 100) / 100;
+    const context = { leaveRequest: leaveRequest._id, performedBy, note };
+
+    if (leaveTypes.usesCompOffCredits(type)) {
+        if (difference > 0) await compOff.consume(leaveRequest.employee._id || leaveRequest.employee, difference, leaveRequest);
+        if (difference < 0) await compOff.release(leaveRequest, -difference);
+    } else {
+        if (difference > 0) await leaveBalance.deductLeave(leaveRequest.leaveType, difference, 0, context);
+        if (difference < 0) await leaveBalance.restoreLeave(leaveRequest.leaveType, -difference, 0, context);
+    }
+    leaveRequest.deductedDays = days;
+    return { previousDays: charged, days, difference };
+}
+
+module.exports = {
+    SESSIONS,
+    getDayPortion,
+    countLeaveDays,
+    getCharge,
+    deduct,
+    restore,
+    adjust
+};
@@ -0,0 +1,330 @@
+const LeaveTransaction = require('../models/LeaveTransaction');
+const LeaveBalance = require('../models/LeaveBalance');
+const leaveTypes = require('./leave-types');
+
+/**
+ * Leave Ledger
+ *
+ * Every change to a LeaveBalance bucket is also written as an immutable
+ * LeaveTransaction, so a balance can be explained entry by entry:
+ * - opening entries when a balance is created (accrual, carry_forward,
+ *   grant for anything else, deduction for usage already on it)
+ * - accrual / carry_forward / adjustment when accrual or rollover moves
+ *   those bucket components
+ * - deduction / restore for approved and cancelled leave requests
+ * - adjustment / encashment for admin changes
+ * - lapse and carry_forward (out) as year-end closing entries
+ *
+ * Balances that existed before the ledger get their opening entries the
+ * first time they are touched (ensureOpening).
+ */
+
+// Bucket components and the ledger entry type that moves each of them
+const COMPONENTS = [
+    ['carriedForward', 'carry_forward'],
+    ['accrued', 'accrual'],
+    ['adjustment', 'adjustment']
+];
+
+const round2 = n => Math.round(n * 100) / 100;
+
+function badRequest(message) {
+    const err = new Error(message);
+    err.status = 400;
+    return err;
+}
+
+function employeeIdOf(balance) {
+    return balance.employee && balance.employee._id ? balance.employee._id : balance.employee;
+}
+
+function entry(balance, type, fields) {
+    return {
+        employee: employeeIdOf(balance),
+        year: balance.year,
+        leaveType: type.code,
+        unit: type.unit,
+        ...fields,
+        amount: round2(fields.amount)
+    };
+}
+
+/**
+ * Append one entry for a bucket change; zero amounts are skipped
+ */
+async function record(balance, type, { type: txType, amount, leaveRequest = null, performedBy = null, note, meta, yearEnd = false }) {
+    if (!round2(amount || 0)) return null;
+    return LeaveTransaction.create(entry(balance, type, { type: txType, amount, leaveRequest, performedBy, note, meta, yearEnd }));
+}
+
+async function hasEntries(balance) {
+    if (balance.$locals && balance.$locals.ledgerReady) return true;
+    const exists = !!(await LeaveTransaction.exists({ employee: employeeIdOf(balance), year: balance.year }));
+    if (exists && balance.$locals) balance.$locals.ledgerReady = true;
+    return exists;
+}
+
+/**
+ * Entries explaining a balance's current state, for balances without any
+ * ledger history yet
+ */
+async function recordOpening(balance, types = null, { note = 'Opening balance', performedBy = null } = {}) {
+    const catalog = types || await leaveTypes.getLeaveTypes({ includeInactive: true });
+    const entries = [];
+
+    catalog.filter(leaveTypes.tracksBalance).forEach(type => {
+        const bucket = leaveTypes.getBucket(balance, type);
+        if (!bucket) return;
+
+        let explained = 0;
+        COMPONENTS.forEach(([field, txType]) => {
+            const amount = bucket[field] || 0;
+            explained += amount;
+            if (round2(amount)) entries.push(entry(balance, type, { type: txType, amount, note, performedBy }));
+        });
+        // Totals granted outside accrual (e.g. fixed yearly grants before accrual existed)
+        const granted = (bucket.total || 0) - explained;
+        if (round2(granted)) entries.push(entry(balance, type, { type: 'grant', amount: granted, note, performedBy }));
+        if (round2(bucket.used || 0)) entries.push(entry(balance, type, { type: 'deduction', amount: -bucket.used, note, performedBy }));
+    });
+
+    if (entries.length) await LeaveTransaction.insertMany(entries);
+    if (balance.$locals) balance.$locals.ledgerReady = true;
+    return entries.length;
+}
+
+/**
+ * Write opening entries if the balance has no ledger history yet. Call
+ * before changing the balance, so the change isn't counted twice.
+ */
+async function ensureOpening(balance, types = null) {
+    if (await hasEntries(balance)) return false;
+    await recordOpening(balance, types, { note: 'Balance before the leave ledger' });
+    return true;
+}
+
+/**
+ * Component values (carriedForward/accrued/adjustment) per type code
+ */
+function snapshotComponents(balance, types) {
+    const snapshot = {};
+    types.filter(leaveTypes.tracksBalance).forEach(type => {
+        const bucket = leaveTypes.getBucket(balance, type) || {};
+        snapshot[type.code] = {};
+        COMPONENTS.forEach(([field]) => { snapshot[type.code][field] = bucket[field] || 0; });
+    });
+    return snapshot;
+}
+
+/**
+ * Record how the components moved since `before` (from snapshotComponents)
+ */
+async function recordComponentChanges(balance, before, types, { note, performedBy = null } = {}) {
+    const entries = [];
+    types.filter(leaveTypes.tracksBalance).forEach(type => {
+        const bucket = leaveTypes.getBucket(balance, type);
+        if (!bucket) return;
+        COMPONENTS.forEach(([field, txType]) => {
+            const delta = (bucket[field] || 0) - ((before[type.code] || {})[field] || 0);
+            if (round2(delta)) entries.push(entry(balance, type, { type: txType, amount: delta, note, performedBy }));
+        });
+    });
+    if (entries.length) await LeaveTransaction.insertMany(entries);
+    return entries.length;
+}
+
+/**
+ * Available balance per type code
+ */
+function snapshotBalances(balance, types) {
+    const snapshot = {};
+    types.filter(leaveTypes.tracksBalance).forEach(type => {
+        snapshot[type.code] = (leaveTypes.getBucket(balance, type) || {}).balance || 0;
+    });
+    return snapshot;
+}
+
+/**
+ * One entry per type whose available balance moved since `before`
+ * (from snapshotBalances), e.g. after an admin edit
+ */
+async function recordBalanceChanges(balance, before, types, { type: txType = 'adjustment', note, performedBy = null, meta } = {}) {
+    const entries = [];
+    types.filter(leaveTypes.tracksBalance).forEach(type => {
+        const bucket = leaveTypes.getBucket(balance, type);
+        if (!bucket) return;
+        const delta = (bucket.balance || 0) - (before[type.code] || 0);
+        if (round2(delta)) entries.push(entry(balance, type, { type: txType, amount: delta, note, performedBy, meta }));
+    });
+    if (entries.length) await LeaveTransaction.insertMany(entries);
+    return entries.length;
+}
+
+/**
+ * Pay out part of a balance: the amount leaves the bucket as a negative
+ * adjustment (so accrual keeps it out) and is recorded as 'encashment'
+ */
+async function encash(balance, code, amount, { performedBy = null, note } = {}) {
+    const type = await leaveTypes.getLeaveType(code);
+    if (!type || !leaveTypes.tracksBalance(type)) throw badRequest('Leave type has no balance to encash');
+
+    const value = round2(Number(amount));
+    if (!value || value <= 0) throw badRequest('Amount must be greater than zero');
+
+    const bucket = leaveTypes.getBucket(balance, type);
+    if (!bucket || bucket.balance < value) {
+        throw badRequest(`Cannot encash more than the available ${type.code} balance`);
+    }
+
+    await ensureOpening(balance);
+    bucket.adjustment = round2((bucket.adjustment || 0) - value);
+    bucket.total = round2(bucket.total - value);
+    bucket.balance = round2(bucket.balance - value);
+    balance.lastUpdated = Date.now();
+    await balance.save();
+
+    const transaction = await record(balance, type, { type: 'encashment', amount: -value, performedBy, note: note || 'Leave encashed' });
+    return { balance, transaction };
+}
+
+/**
+ * Ledger sums per type code: `balance` excludes year-end closing entries
+ * (comparable with the LeaveBalance counters), `closing` includes them
+ */
+async function getLedgerSums(employeeId, year) {
+    const transactions = await LeaveTransaction.find({ employee: employeeId, year }).select('leaveType amount yearEnd').lean();
+    const sums = {};
+    transactions.forEach(t => {
+        const sum = sums[t.leaveType] = sums[t.leaveType] || { balance: 0, closing: 0 };
+        if (!t.yearEnd) sum.balance += t.amount;
+        sum.closing += t.amount;
+    });
+    Object.values(sums).forEach(sum => {
+        sum.balance = round2(sum.balance);
+        sum.closing = round2(sum.closing);
+    });
+    return sums;
+}
+
+/**
+ * Compare a balance's counters with its ledger, per tracked type
+ */
+function compareWithLedger(balance, sums, types) {
+    return types.filter(leaveTypes.tracksBalance).map(type => {
+        const recorded = round2((leaveTypes.getBucket(balance, type) || {}).balance || 0);
+        const ledger = (sums[type.code] || { balance: 0 }).balance;
+        return { code: type.code, recorded, ledger, difference: round2(recorded - ledger), inSync: recorded === ledger };
+    });
+}
+
+/**
+ * Per-type ledger statement of one employee's year, with running balances
+ * and reconciliation against the stored LeaveBalance
+ */
+async function getStatement(employeeId, year) {
+    const types = await leaveTypes.getLeaveTypes({ includeInactive: true });
+    const balance = await LeaveBalance.findOne({ employee: employeeId, year });
+    if (balance) await ensureOpening(balance, types);
+
+    const [transactions, sums] = await Promise.all([
+        LeaveTransaction.find({ employee: employeeId, year })
+            .populate('leaveRequest', 'leaveType fromDate toDate status')
+            .populate('performedBy', 'name email')
+            .sort({ createdAt: 1, _id: 1 })
+            .lean(),
+        getLedgerSums(employeeId, year)
+    ]);
+    const comparison = balance ? compareWithLedger(balance, sums, types) : [];
+
+    const rows = types
+        .filter(type => leaveTypes.tracksBalance(type) || transactions.some(t => t.leaveType === type.code))
+        .map(type => {
+            let running = 0;
+            const entries = transactions.filter(t => t.leaveType === type.code).map(t => {
+                running = round2(running + t.amount);
+                return {
+                    _id: t._id,
+                    date: t.createdAt,
+                    type: t.type,
+                    amount: t.amount,
+                    balanceAfter: running,
+                    yearEnd: t.yearEnd,
+                    note: t.note,
+                    leaveRequest: t.leaveRequest,
+                    performedBy: t.performedBy,
+                    meta: t.meta
+                };
+            });
+            const check = comparison.find(c => c.code === type.code) || null;
+
+            return {
+                code: type.code,
+                name: type.name,
+                unit: type.unit,
+                credits: round2(entries.filter(e => e.amount > 0).reduce((sum, e) => sum + e.amount, 0)),
+                debits: round2(entries.filter(e => e.amount < 0).reduce((sum, e) => sum + e.amount, 0)),
+                ledgerBalance: (sums[type.code] || { balance: 0 }).balance,
+                closingBalance: (sums[type.code] || { closing: 0 }).closing,
+                recordedBalance: check ? check.recorded : null,
+                difference: check ? check.difference : null,
+                inSync: check ? check.inSync : null,
+                transactions: entries
+            };
+        })
+        .filter(row => row.transactions.length > 0 || row.recordedBalance !== null);
+
+    return {
+        employee: employeeId,
+        year,
+        hasBalance: !!balance,
+        inSync: rows.every(row => row.inSync !== false),
+        types: rows
+    };
+}
+
+/**
+ * Balances of a year whose counters disagree with their ledger
+ */
+async function findDiscrepancies(year) {
+    const types = await leaveTypes.getLeaveTypes({ includeInactive: true });
+    const [balances, transactions] = await Promise.all([
+        LeaveBalance.find({ year }).populate('employee', 'name email'),
+        LeaveTransaction.find({ year, yearEnd: false }).select('employee leaveType amount').lean()
+    ]);
+
+    const sumsByEmployee = {};
+    transactions.forEach(t => {
+        const sums = sumsByEmployee[String(t.employee)] = sumsByEmployee[String(t.employee)] || {};
+        const sum = sums[t.leaveType] = sums[t.leaveType] || { balance: 0 };
+        sum.balance = round2(sum.balance + t.amount);
+    });
+
+    return balances
+        .map(balance => {
+            const employeeId = String(employeeIdOf(balance));
+            const sums = sumsByEmployee[employeeId];
+            return {
+                employee: balance.employee,
+                // no entries at all: written on first touch, not a mismatch
+                hasLedger: !!sums,
+                mismatches: sums ? compareWithLedger(balance, sums, types).filter(c => !c.inSync) : []
+            };
+        })
+        .filter(row => row.mismatches.length > 0);
+}
+
+module.exports = {
+    record,
+    hasEntries,
+    recordOpening,
+    ensureOpening,
+    snapshotComponents,
+    recordComponentChanges,
+    snapshotBalances,
+    recordBalanceChanges,
+    encash,
+    getLedgerSums,
+    compareWithLedger,
+    getStatement,
+    findDiscrepancies
+};
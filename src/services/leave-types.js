@@ -0,0 +1,174 @@
+const LeaveType = require('../models/LeaveType');
+const DEFAULT_LEAVE_TYPES = require('../config/leaveTypes');
+
+/**
+ * Leave Type Catalog
+ *
+ * Read access to the LeaveType collection plus the helpers that turn a
+ * type into behaviour:
+ * - unit 'hours' types are requested in hours (`permissionHours`)
+ * - types with an annualAllowance keep a LeaveBalance bucket, either in
+ *   their built-in `balanceField` or under `LeaveBalance.extra[code]`
+ * - usesCompOffCredits types are charged against comp-off credits
+ *
+ * The catalog is cached briefly; admin writes call clearCache().
+ */
+
+const CACHE_MS = 60 * 1000;
+
+let cache = null;
+let seeded = false;
+
+// Insert any missing built-in type; existing documents are never touched
+async function seedDefaults() {
+    if (seeded) return;
+    await LeaveType.bulkWrite(DEFAULT_LEAVE_TYPES.map(type => ({
+        updateOne: { filter: { code: type.code }, update: { $setOnInsert: type }, upsert: true }
+    })));
+    seeded = true;
+}
+
+function clearCache() {
+    cache = null;
+}
+
+/**
+ * Catalog ordered for display (active types only unless includeInactive)
+ */
+async function getLeaveTypes({ includeInactive = false } = {}) {
+    if (!cache || Date.now() - cache.loadedAt > CACHE_MS) {
+        await seedDefaults();
+        const types = await LeaveType.find().sort({ sortOrder: 1, code: 1 }).lean();
+        cache = { loadedAt: Date.now(), types };
+    }
+    return includeInactive ? cache.types : cache.types.filter(t => t.isActive);
+}
+
+/**
+ * One type by code. Inactive types are returned too: existing requests of a
+ * retired type still need its unit and balance bucket.
+ */
+async function getLeaveType(code) {
+    if (!code) return null;
+    const types = await getLeaveTypes({ includeInactive: true });
+    return types.find(t => t.code === String(code).toUpperCase()) || null;
+}
+
+/**
+ * code → type for every type, active or not
+ */
+async function getTypeMap() {
+    const map = {};
+    (await getLeaveTypes({ includeInactive: true })).forEach(t => { map[t.code] = t; });
+    return map;
+}
+
+function isHourly(type) {
+    return !!type && type.unit === 'hours';
+}
+
+function usesCompOffCredits(type) {
+    return !!type && !!type.usesCompOffCredits;
+}
+
+function tracksBalance(type) {
+    return !!type && type.annualAllowance !== null && type.annualAllowance !== undefined;
+}
+
+/**
+ * The balance bucket ({ total, used, balance, ... }) of a type on a
+ * LeaveBalance document or plain object; null for types without a balance.
+ * With `create`, a missing custom-type bucket is added empty.
+ */
+function getBucket(balance, type, { create = false } = {}) {
+    if (!balance || !tracksBalance(type)) return null;
+    if (type.balanceField) return balance[type.balanceField] || null;
+
+    const isMap = balance.extra instanceof Map;
+    let bucket = isMap ? balance.extra.get(type.code) : (balance.extra || {})[type.code];
+    if (!bucket && create) {
+        const empty = { total: 0, used: 0, balance: 0, accrued: 0, carriedForward: 0, adjustment: 0 };
+        if (isMap) {
+            balance.extra.set(type.code, empty);
+            bucket = balance.extra.get(type.code);
+        } else {
+            balance.extra = balance.extra || {};
+            bucket = balance.extra[type.code] = empty;
+        }
+    }
+    return bucket || null;
+}
+
+/**
+ * Per-type rows of a balance for display, in catalog order
+ */
+function summarizeBalance(balance, types) {
+    return types.filter(tracksBalance).map(type => {
+        const bucket = getBucket(balance, type) || {};
+        return {
+            code: type.code,
+            name: type.name,
+            unit: type.unit,
+            isPaid: type.isPaid,
+            total: bucket.total || 0,
+            used: bucket.used || 0,
+            balance: bucket.balance || 0,
+            carriedForward: bucket.carriedForward || 0
+        };
+    });
+}
+
+/**
+ * Error message if a request breaks its type's rules (notice, length,
+ * hours, attachment, half days), else null. Dates are the raw request values.
+ */
+function checkRequestRules(type, { fromDate, toDate, permissionHours, attachments, isEmergency, fromSession, toSession }) {
+    if (isHourly(type)) {
+        const hours = Number(permissionHours);
+        const min = type.minHours || 0;
+        if (!hours || hours <= 0 || hours < min || (type.maxHours && hours > type.maxHours)) {
+            return type.maxHours ?
+                `${type.name} hours must be between ${min || 0.5} and ${type.maxHours}` :
+                `${type.name} hours must be at least ${min || 0.5}`;
+        }
+    } else {
+        if (!toDate) return 'toDate is required for day-based leave types';
+        if (!type.allowHalfDay && ((fromSession && fromSession !== 'full') || (toSession && toSession !== 'full'))) {
+            return `${type.name} cannot be taken in half days`;
+        }
+        if (type.maxConsecutiveDays) {
+            const span = Math.round((new Date(toDate).setHours(0, 0, 0, 0) - new Date(fromDate).setHours(0, 0, 0, 0)) / (24 * 60 * 60 * 1000)) + 1;
+            if (span > type.maxConsecutiveDays) {
+                return `${type.name} cannot exceed ${type.maxConsecutiveDays} consecutive days`;
+            }
+        }
+    }
+
+    if (type.minNoticeDays && !isEmergency) {
+        const earliest = new Date();
+        earliest.setHours(0, 0, 0, 0);
+        earliest.setDate(earliest.getDate() + type.minNoticeDays);
+        if (new Date(fromDate) < earliest) {
+            return `${type.name} must be applied for at least ${type.minNoticeDays} day(s) in advance`;
+        }
+    }
+
+    if (type.requiresAttachment && (!Array.isArray(attachments) || attachments.length === 0)) {
+        return `${type.name} requires a supporting attachment`;
+    }
+    return null;
+}
+
+module.exports = {
+    DEFAULT_LEAVE_TYPES,
+    clearCache,
+    getLeaveTypes,
+    getLeaveType,
+    getTypeMap,
+    isHourly,
+    usesCompOffCredits,
+    tracksBalance,
+    getBucket,
+    summarizeBalance,
+    checkRequestRules
+};
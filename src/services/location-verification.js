@@ -0,0 +1,146 @@
+const OfficeSite = require('../models/OfficeSite');
+const settings = require('../config/attendance');
+const leaveCalendar = require('./leave-calendar');
+
+/**
+ * Check-in Location Verification
+ *
+ * The location an employee checks in from is checked, not just recorded:
+ * - office: the submitted coordinates must fall within an OfficeSite's
+ *   radius, or the request IP within one of its ipRanges; otherwise the
+ *   check-in is saved but flagged unverified
+ * - remote: optionally requires approved remote leave (e.g. WFH) that day
+ *   (config/attendance.js remoteRequiresApprovedLeave)
+ * - client_site: not verified
+ * Without any active OfficeSite nothing can be verified and office
+ * check-ins are marked not_required.
+ */
+
+const EARTH_RADIUS_METERS = 6371000;
+
+function badRequest(message) {
+    const err = new Error(message);
+    err.status = 400;
+    return err;
+}
+
+// '::ffff:10.0.0.5' (IPv4 on a dual-stack socket) → '10.0.0.5'
+function normalizeIp(ip) {
+    if (!ip) return null;
+    return ip.startsWith('::ffff:') && ip.includes('.') ? ip.slice(7) : ip;
+}
+
+function ipv4ToInt(ip) {
+    return ip.split('.').reduce((n, part) => (n * 256) + Number(part), 0);
+}
+
+function ipInRange(ip, range) {
+    if (range.includes(':') || ip.includes(':')) return ip === range;
+    const [base, bits = '32'] = range.split('/');
+    const size = 2 ** (32 - Number(bits));
+    const start = Math.floor(ipv4ToInt(base) / size) * size;
+    const value = ipv4ToInt(ip);
+    return value >= start && value < start + size;
+}
+
+function distanceMeters(lat1, lon1, lat2, lon2) {
+    const rad = d => d * Math.PI / 180;
+    const dLat = rad(lat2 - lat1);
+    const dLon = rad(lon2 - lon1);
+    const a = Math.sin(dLat / 2) ** 2 + Math.cos(rad(lat1)) * Math.cos(rad(lat2)) * Math.sin(dLon / 2) ** 2;
+    return Math.round(2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(a)));
+}
+
+/**
+ * { latitude, longitude, accuracy } from a request body, or null when no
+ * coordinates were sent. Throws with status 400 on malformed ones.
+ */
+function parseCoordinates({ latitude, longitude, accuracy }) {
+    if ((latitude === undefined || latitude === null) && (longitude === undefined || longitude === null)) return null;
+    const lat = Number(latitude);
+    const lon = Number(longitude);
+    if (isNaN(lat) || isNaN(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+        throw badRequest('Invalid coordinates');
+    }
+    const acc = accuracy === undefined || accuracy === null ? null : Number(accuracy);
+    return { latitude: lat, longitude: lon, accuracy: isNaN(acc) ? null : acc };
+}
+
+/**
+ * Match an office check-in against the active sites, GPS first then IP
+ */
+async function verifyOffice(coordinates, ip) {
+    const sites = await OfficeSite.find({ isActive: true }).lean();
+    if (sites.length === 0) {
+        return { status: 'not_required', reason: 'No office sites configured' };
+    }
+
+    let nearest = null;
+    const gpsUsable = coordinates && (coordinates.accuracy === null || coordinates.accuracy <= settings.maxLocationAccuracyMeters);
+    if (gpsUsable) {
+        sites.filter(s => s.latitude !== null && s.longitude !== null).forEach(site => {
+            const distance = distanceMeters(coordinates.latitude, coordinates.longitude, site.latitude, site.longitude);
+            if (!nearest || distance < nearest.distance) nearest = { site, distance };
+        });
+        if (nearest && nearest.distance <= nearest.site.radiusMeters) {
+            return { status: 'verified', method: 'gps', site: nearest.site._id, siteName: nearest.site.name, distanceMeters: nearest.distance };
+        }
+    }
+
+    if (ip) {
+        const site = sites.find(s => (s.ipRanges || []).some(range => ipInRange(ip, range)));
+        if (site) return { status: 'verified', method: 'ip', site: site._id, siteName: site.name };
+    }
+
+    let reason;
+    if (nearest) reason = `${nearest.distance}m from ${nearest.site.name}`;
+    else if (coordinates && !gpsUsable) reason = `Location accuracy of ${coordinates.accuracy}m is too low`;
+    else reason = 'No location sent and not on an office network';
+    return {
+        status: 'unverified',
+        site: nearest ? nearest.site._id : undefined,
+        siteName: nearest ? nearest.site.name : undefined,
+        distanceMeters: nearest ? nearest.distance : undefined,
+        reason
+    };
+}
+
+/**
+ * Verification details to store with a check-in. Throws with status 400
+ * when a remote check-in needs approved remote leave and there is none.
+ *
+ * @param {object} params
+ * @param {string} params.location - office | remote | client_site
+ * @param {object|null} params.coordinates - from parseCoordinates
+ * @param {string} params.ip - request IP
+ * @param {Date} params.date - the attendance (shift) day
+ */
+async function verifyCheckIn({ employeeId, location, coordinates, ip, date }) {
+    ip = normalizeIp(ip);
+    const recorded = { ip, ...(coordinates || {}) };
+
+    if (location === 'office') {
+        return { ...recorded, ...(await verifyOffice(coordinates, ip)) };
+    }
+
+    if (location === 'remote') {
+        const calendar = await leaveCalendar.buildCalendar([employeeId], date, date);
+        const dayStatus = leaveCalendar.getDayStatus(calendar, employeeId, date);
+        if (dayStatus.remote) {
+            return { ...recorded, status: 'verified', method: 'leave', reason: `Approved ${dayStatus.leaveTypes.join(', ')}` };
+        }
+        if (settings.remoteRequiresApprovedLeave) {
+            throw badRequest('Remote check-in requires approved work-from-home leave for today');
+        }
+    }
+
+    return { ...recorded, status: 'not_required' };
+}
+
+module.exports = {
+    normalizeIp,
+    ipInRange,
+    distanceMeters,
+    parseCoordinates,
+    verifyCheckIn
+};
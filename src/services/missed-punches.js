@@ -0,0 +1,191 @@
+const Attendance = require('../models/Attendance');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const settings = require('../config/attendance');
+
+/**
+ * Missed Punches
+ *
+ * Attendance left checked in after the shift is closed by a periodic sweep:
+ * - the open session ends at the scheduled shift end, or
+ *   autoCheckOutSessionHours after it started when there is no shift end
+ *   to go by; the sweep waits autoCheckOutGraceMinutes past that time
+ * - the record is flagged autoClosed and the employee is asked to file a
+ *   correction (POST /api/attendance/correction/:attendanceId)
+ * - reaching missedPunchRepeatThreshold within missedPunchWindowDays
+ *   notifies the employee's manager (else the admins)
+ */
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * When a forgotten check-out is taken to have happened
+ */
+function getAutoCheckOutTime(attendance) {
+    const openSession = attendance.getOpenSession();
+    const start = openSession ? openSession.checkIn : attendance.checkInTime;
+    if (attendance.scheduledEnd && attendance.scheduledEnd > start) return attendance.scheduledEnd;
+    return new Date(start.getTime() + settings.autoCheckOutSessionHours * HOUR_MS);
+}
+
+/**
+ * Check an attendance out at `closeAt` on the employee's behalf
+ */
+async function autoClose(attendance, closeAt) {
+    const openBreak = attendance.getOpenBreak();
+    if (openBreak) openBreak.end = openBreak.start > closeAt ? openBreak.start : closeAt;
+    const openSession = attendance.getOpenSession();
+    if (openSession) openSession.checkOut = closeAt;
+
+    attendance.checkOutTime = closeAt;
+    attendance.status = 'checked_out';
+    attendance.autoClosed = true;
+    attendance.autoClosedAt = new Date();
+    await attendance.save();
+    return attendance;
+}
+
+/**
+ * Missed punches of one employee within the repeat window
+ */
+async function countRecent(employeeId, asOf = new Date()) {
+    return Attendance.countDocuments({
+        employee: employeeId,
+        autoClosed: true,
+        date: { $gte: new Date(asOf.getTime() - settings.missedPunchWindowDays * DAY_MS) }
+    });
+}
+
+/**
+ * Tell managers about employees who reached the repeat threshold with
+ * this sweep (not again on every later miss)
+ */
+async function notifyRepeatOffenders(closed, asOf) {
+    const closedByEmployee = {};
+    closed.forEach(a => { closedByEmployee[String(a.employee)] = (closedByEmployee[String(a.employee)] || 0) + 1; });
+
+    const notifications = [];
+    for (const [employeeId, closedNow] of Object.entries(closedByEmployee)) {
+        const count = await countRecent(employeeId, asOf);
+        const threshold = settings.missedPunchRepeatThreshold;
+        if (count < threshold || count - closedNow >= threshold) continue;
+
+        const employee = await User.findById(employeeId).select('name manager').lean();
+        const recipients = employee && employee.manager ?
+            [{ _id: employee.manager }] :
+            await User.find({ role: 'admin' }).select('_id').lean();
+        recipients.forEach(r => notifications.push({
+            user: r._id,
+            type: 'attendance_missed_punch_repeat',
+            title: '🕳️ Repeated Missed Check-Outs',
+            body: `${employee ? employee.name : 'An employee'} forgot to check out ${count} times in the last ${settings.missedPunchWindowDays} days`,
+            meta: {
+                employeeId,
+                count,
+                windowDays: settings.missedPunchWindowDays
+            }
+        }));
+    }
+    if (notifications.length > 0) await Notification.insertMany(notifications);
+}
+
+/**
+ * Close every attendance still checked in past its auto check-out time
+ *
+ * @returns {Promise<number>} records closed
+ */
+async function autoCloseStale(asOf = new Date()) {
+    const graceMs = settings.autoCheckOutGraceMinutes * MINUTE_MS;
+    const candidates = await Attendance.find({
+        status: 'checked_in',
+        checkInTime: { $lte: new Date(asOf.getTime() - graceMs) }
+    });
+
+    const closed = [];
+    for (const attendance of candidates) {
+        const closeAt = getAutoCheckOutTime(attendance);
+        if (closeAt.getTime() + graceMs > asOf.getTime()) continue;
+
+        await autoClose(attendance, closeAt);
+        closed.push(attendance);
+
+        await Notification.create({
+            user: attendance.employee,
+            type: 'attendance_auto_checkout',
+            title: '🕔 Checked Out Automatically',
+            body: `You did not check out on ${attendance.date.toDateString()}, so you were checked out at ${closeAt.toLocaleTimeString()} (${attendance.totalHours}h). If that is wrong, please request an attendance correction.`,
+            meta: {
+                attendanceId: attendance._id,
+                date: attendance.date,
+                checkOutTime: closeAt,
+                totalHours: attendance.totalHours,
+                correctionPath: `/api/attendance/correction/${attendance._id}`
+            }
+        });
+    }
+
+    await notifyRepeatOffenders(closed, asOf);
+    return closed.length;
+}
+
+/**
+ * Auto-closed attendance per employee in a date range, most misses first.
+ * `employeeIds` null means everyone.
+ */
+async function getReport({ from, to, employeeIds = null, minCount = 1 }) {
+    const query = { autoClosed: true, date: { $gte: from, $lte: to } };
+    if (employeeIds) query.employee = { $in: employeeIds };
+
+    const records = await Attendance.find(query)
+        .populate('employee', 'name email department')
+        .sort({ date: -1 })
+        .lean();
+
+    const byEmployee = {};
+    records.forEach(r => {
+        if (!r.employee) return;
+        const key = String(r.employee._id);
+        const row = byEmployee[key] = byEmployee[key] || {
+            employee: r.employee,
+            count: 0,
+            corrected: 0,
+            correctionPending: 0,
+            uncorrected: 0,
+            records: []
+        };
+        row.count++;
+        if (r.status === 'correction_approved') row.corrected++;
+        else if (r.status === 'correction_requested') row.correctionPending++;
+        else row.uncorrected++;
+        row.records.push({
+            attendanceId: r._id,
+            date: r.date,
+            checkInTime: r.checkInTime,
+            checkOutTime: r.checkOutTime,
+            totalHours: r.totalHours,
+            status: r.status
+        });
+    });
+
+    const employees = Object.values(byEmployee)
+        .filter(row => row.count >= minCount)
+        .map(row => ({ ...row, isRepeat: row.count >= settings.missedPunchRepeatThreshold }))
+        .sort((a, b) => b.count - a.count);
+
+    return {
+        from,
+        to,
+        repeatThreshold: settings.missedPunchRepeatThreshold,
+        totalMissedPunches: records.length,
+        repeatOffenders: employees.filter(e => e.isRepeat).length,
+        employees
+    };
+}
+
+module.exports = {
+    getAutoCheckOutTime,
+    autoCloseStale,
+    getReport
+};
@@ -0,0 +1,361 @@
+const mongoose = require('mongoose');
+const OvertimePolicy = require('../models/OvertimePolicy');
+const OvertimeRequest = require('../models/OvertimeRequest');
+const Holiday = require('../models/Holiday');
+const Timesheet = require('../models/Timesheet');
+const User = require('../models/User');
+const { getWeekBounds } = require('./timesheet-periods');
+const timeCalculation = require('./time-calculation');
+
+const { dateKey } = timeCalculation;
+
+/**
+ * Overtime Policy Engine
+ *
+ * Resolves the overtime policy assigned to an employee and computes
+ * overtime for timesheet entries and attendance days:
+ * - daily and weekly thresholds (whichever yields more overtime)
+ * - weekend / holiday multipliers (Holiday collection)
+ * - daily caps: overtime above the cap only counts as payable when an
+ *   approved OvertimeRequest covers it
+ */
+
+// Used when no OvertimePolicy documents are configured
+const DEFAULT_POLICY = {
+    _id: null,
+    name: 'Standard',
+    dailyThresholdHours: 8,
+    weeklyThresholdHours: 40,
+    weekdayMultiplier: 1.5,
+    weekendMultiplier: 2,
+    holidayMultiplier: 2,
+    weekendDays: [0, 6],
+    restDayAllHoursOvertime: true,
+    dailyCapHours: null
+};
+
+const round2 = n => Math.round(n * 100) / 100;
+
+function dayBounds(date) {
+    const start = new Date(date);
+    start.setHours(0, 0, 0, 0);
+    const end = new Date(start);
+    end.setHours(23, 59, 59, 999);
+    return { start, end };
+}
+
+/**
+ * Start instant of an entry (its date at startTime); entries are ordered by
+ * it, then by id, when counting the hours logged before one
+ */
+function entryStart({ date, startTime }) {
+    const d = timeCalculation.startOfDay(date);
+    const match = /^(\d{1,2}):(\d{2})/.exec(String(startTime || ''));
+    if (match) d.setHours(Number(match[1]), Number(match[2]), 0, 0);
+    return d.getTime();
+}
+
+function compareEntries(a, b) {
+    return entryStart(a) - entryStart(b) || String(a._id).localeCompare(String(b._id));
+}
+
+/**
+ * Policy for an employee: employee-specific, then department, then default
+ */
+async function resolvePolicy(employee) {
+    const user = employee && employee.department !== undefined ?
+        employee :
+        await User.findById(employee).select('department');
+    if (!user) return DEFAULT_POLICY;
+
+    const byEmployee = await OvertimePolicy.findOne({ isActive: true, employees: user._id }).lean();
+    if (byEmployee) return byEmployee;
+
+    if (user.department) {
+        const byDepartment = await OvertimePolicy.findOne({ isActive: true, departments: user.department }).lean();
+        if (byDepartment) return byDepartment;
+    }
+
+    const fallback = await OvertimePolicy.findOne({ isActive: true, isDefault: true }).lean();
+    return fallback || DEFAULT_POLICY;
+}
+
+/**
+ * Holiday dates (as YYYY-MM-DD local keys) within a range
+ */
+async function getHolidayKeys(from, to) {
+    const holidays = await Holiday.find({ date: { $gte: from, $lte: to } }).select('date').lean();
+    return new Set(holidays.map(h => dateKey(h.date)));
+}
+
+/**
+ * 'holiday' | 'weekend' | 'weekday'
+ */
+function getDayType(policy, date, holidayKeys) {
+    if (holidayKeys && holidayKeys.has(dateKey(date))) return 'holiday';
+    if ((policy.weekendDays || []).includes(new Date(date).getDay())) return 'weekend';
+    return 'weekday';
+}
+
+/**
+ * Pure overtime calculation for a block of hours.
+ *
+ * priorDayHours / priorWeekHours: regular-day hours already worked before this block
+ * priorDayOvertime: payable overtime already granted that day (for the cap)
+ * approvedExtraHours: pre-approved overtime beyond the cap for that day
+ */
+function calculateOvertime(policy, { hours, priorDayHours = 0, priorWeekHours = 0, priorDayOvertime = 0, dayType = 'weekday', approvedExtraHours = 0 }) {
+    let overtime;
+    if (dayType !== 'weekday' && policy.restDayAllHoursOvertime) {
+        overtime = hours;
+    } else {
+        const daily = Math.max(0, priorDayHours + hours - policy.dailyThresholdHours) -
+            Math.max(0, priorDayHours - policy.dailyThresholdHours);
+        const weekly = policy.weeklyThresholdHours ?
+            Math.max(0, priorWeekHours + hours - policy.weeklyThresholdHours) -
+            Math.max(0, priorWeekHours - policy.weeklyThresholdHours) :
+            0;
+        overtime = Math.min(hours, Math.max(daily, weekly));
+    }
+
+    const multiplier = dayType === 'holiday' ? policy.holidayMultiplier :
+        dayType === 'weekend' ? policy.weekendMultiplier :
+        policy.weekdayMultiplier;
+
+    let payable = overtime;
+    if (policy.dailyCapHours !== null && policy.dailyCapHours !== undefined) {
+        const allowed = policy.dailyCapHours + approvedExtraHours;
+        payable = Math.min(overtime, Math.max(0, allowed - priorDayOvertime));
+    }
+
+    return {
+        overtimeHours: round2(overtime),
+        payableOvertimeHours: round2(payable),
+        unapprovedOvertimeHours: round2(overtime - payable),
+        weightedOvertimeHours: round2(payable * multiplier),
+        multiplier,
+        dayType,
+        exceedsCap: overtime - payable > 0
+    };
+}
+
+/**
+ * Pre-approved overtime hours for an employee on a day
+ */
+async function getApprovedExtraHours(employeeId, date) {
+    const { start, end } = dayBounds(date);
+    const approved = await OvertimeRequest.find({
+        employee: employeeId,
+        date: { $gte: start, $lte: end },
+        status: 'approved'
+    }).select('hours').lean();
+    return approved.reduce((sum, r) => sum + (r.hours || 0), 0);
+}
+
+/**
+ * Overtime for a timesheet entry, given the employee's entries earlier that day/week.
+ * With `startTime`, only entries starting before this one count as prior
+ * hours (ties go by id; a new entry without `excludeId` comes last), so the
+ * result doesn't depend on the order entries were logged in. Without it every
+ * other entry counts.
+ * Entries spanning midnight pass `dayHours` (see time-calculation) so each
+ * calendar day is evaluated against its own thresholds and day type.
+ */
+async function computeForTimesheet({ employeeId, date, startTime = null, hours, dayHours = null, excludeId = null, excludeIds = [] }) {
+    const policy = await resolvePolicy(employeeId);
+    const slices = dayHours && dayHours.length ? dayHours : [{ date, hours }];
+    const excluded = excludeIds.concat(excludeId ? [excludeId] : []);
+    const self = startTime ? { _id: excludeId, date, startTime } : null;
+    const isPrior = e => !self || (self._id ? compareEntries(e, self) < 0 : entryStart(e) <= entryStart(self));
+
+    const weekCache = {};
+    async function loadWeek(day) {
+        const { weekStart, weekEnd } = getWeekBounds(day);
+        const cacheKey = dateKey(weekStart);
+        if (!weekCache[cacheKey]) {
+            const query = {
+                employee: employeeId,
+                // entries starting before the week can still spill into it
+                date: { $gte: new Date(weekStart.getTime() - timeCalculation.MAX_ENTRY_DAYS * 24 * 60 * 60 * 1000), $lte: weekEnd },
+                status: { $ne: 'rejected' }
+            };
+            if (excluded.length) query._id = { $nin: excluded.map(id => new mongoose.Types.ObjectId(String(id))) };
+            const entries = await Timesheet.find(query)
+                .select('date endDate startTime endTime breakMinutes totalHours dayHours overtimeHours payableOvertimeHours')
+                .lean();
+            weekCache[cacheKey] = {
+                weekStart,
+                weekEnd,
+                entries,
+                holidayKeys: await getHolidayKeys(weekStart, weekEnd)
+            };
+        }
+        return weekCache[cacheKey];
+    }
+
+    const totals = { overtimeHours: 0, payableOvertimeHours: 0, unapprovedOvertimeHours: 0, weightedOvertimeHours: 0 };
+    let first = null;
+    let exceedsCap = false;
+
+    for (let i = 0; i < slices.length; i++) {
+        const slice = slices[i];
+        const key = dateKey(slice.date);
+        const week = await loadWeek(slice.date);
+
+        let priorDayHours = 0;
+        let priorDayOvertime = 0;
+        let priorWeekHours = 0;
+        week.entries.filter(isPrior).forEach(e => {
+            if (dateKey(e.date) === key) {
+                priorDayOvertime += e.payableOvertimeHours !== undefined ? e.payableOvertimeHours : (e.overtimeHours || 0);
+            }
+            timeCalculation.getDayHours(e).forEach(d => {
+                const day = new Date(d.date);
+                if (day < week.weekStart || day > week.weekEnd) return;
+                if (dateKey(day) === key) priorDayHours += d.hours;
+                if (getDayType(policy, day, week.holidayKeys) === 'weekday') priorWeekHours += d.hours;
+            });
+        });
+        // Earlier days of this same entry count toward the weekly threshold
+        slices.slice(0, i).forEach(prev => {
+            const day = new Date(prev.date);
+            if (day >= week.weekStart && day <= week.weekEnd && getDayType(policy, day, week.holidayKeys) === 'weekday') {
+                priorWeekHours += prev.hours;
+            }
+        });
+
+        const result = calculateOvertime(policy, {
+            hours: slice.hours,
+            priorDayHours,
+            priorWeekHours,
+            priorDayOvertime,
+            dayType: getDayType(policy, slice.date, week.holidayKeys),
+            approvedExtraHours: await getApprovedExtraHours(employeeId, slice.date)
+        });
+
+        Object.keys(totals).forEach(k => { totals[k] += result[k]; });
+        exceedsCap = exceedsCap || result.exceedsCap;
+        if (!first) first = result;
+    }
+
+    return {
+        overtimeHours: round2(totals.overtimeHours),
+        payableOvertimeHours: round2(totals.payableOvertimeHours),
+        unapprovedOvertimeHours: round2(totals.unapprovedOvertimeHours),
+        weightedOvertimeHours: round2(totals.weightedOvertimeHours),
+        // Blended rate when an entry crosses into a day with another multiplier
+        multiplier: totals.payableOvertimeHours > 0 ? round2(totals.weightedOvertimeHours / totals.payableOvertimeHours) : first.multiplier,
+        dayType: first.dayType,
+        exceedsCap,
+        policy: policy._id
+    };
+}
+
+/**
+ * Overtime for an attendance record (one record per employee per day)
+ */
+async function computeForAttendance(attendance) {
+    const Attendance = mongoose.model('Attendance');
+    let policy = await resolvePolicy(attendance.employee);
+
+    // The scheduled shift length is the daily threshold when the day had a shift
+    if (attendance.scheduledHours) {
+        policy = { ...policy, dailyThresholdHours: attendance.scheduledHours };
+    }
+    const { weekStart, weekEnd } = getWeekBounds(attendance.date);
+    const holidayKeys = await getHolidayKeys(weekStart, weekEnd);
+
+    const weekRecords = await Attendance.find({
+        employee: attendance.employee,
+        date: { $gte: weekStart, $lte: weekEnd },
+        _id: { $ne: attendance._id }
+    }).select('date totalHours').lean();
+
+    const priorWeekHours = weekRecords
+        .filter(r => getDayType(policy, r.date, holidayKeys) === 'weekday')
+        .reduce((sum, r) => sum + (r.totalHours || 0), 0);
+
+    // Shift work days override the policy's weekend days
+    let dayType = getDayType(policy, attendance.date, holidayKeys);
+    if (dayType !== 'holiday' && attendance.isScheduledWorkDay !== undefined && attendance.isScheduledWorkDay !== null) {
+        dayType = attendance.isScheduledWorkDay ? 'weekday' : 'weekend';
+    }
+
+    const result = calculateOvertime(policy, {
+        hours: attendance.totalHours || 0,
+        priorWeekHours,
+        dayType,
+        approvedExtraHours: await getApprovedExtraHours(attendance.employee, attendance.date)
+    });
+
+    return { ...result, policy: policy._id };
+}
+
+/**
+ * Recompute overtime for all of an employee's timesheet entries in the weeks
+ * containing `dates`, in start order, after an entry is created, changed or
+ * deleted (or an overtime pre-approval changes a day's cap)
+ *
+ * @returns {Promise<number>} entries updated
+ */
+async function recalculateTimesheetWeeks(employeeId, dates) {
+    const weeks = {};
+    [].concat(dates).filter(Boolean).forEach(d => {
+        const bounds = getWeekBounds(d);
+        weeks[dateKey(bounds.weekStart)] = bounds;
+    });
+
+    let updated = 0;
+    for (const { weekStart, weekEnd } of Object.values(weeks)) {
+        const entries = await Timesheet.find({
+            employee: employeeId,
+            date: { $gte: weekStart, $lte: weekEnd },
+            status: { $ne: 'rejected' }
+        });
+        entries.sort(compareEntries);
+
+        // Saved one by one: each entry reads the daily overtime stored on the ones before it
+        for (const entry of entries) {
+            // Locked and invoiced entries keep the overtime they were signed off and billed at
+            if (entry.status === 'locked' || entry.invoice) continue;
+            applyToTimesheet(entry, await computeForTimesheet({
+                employeeId,
+                date: entry.date,
+                startTime: entry.startTime,
+                hours: entry.totalHours || 0,
+                dayHours: timeCalculation.getDayHours(entry),
+                excludeId: entry._id
+            }));
+            if (entry.isModified()) {
+                await entry.save();
+                updated++;
+            }
+        }
+    }
+    return updated;
+}
+
+/**
+ * Copy a computation result onto a Timesheet document
+ */
+function applyToTimesheet(ts, ot) {
+    ts.overtimeHours = ot.overtimeHours;
+    ts.payableOvertimeHours = ot.payableOvertimeHours;
+    ts.unapprovedOvertimeHours = ot.unapprovedOvertimeHours;
+    ts.weightedOvertimeHours = ot.weightedOvertimeHours;
+    ts.overtimeMultiplier = ot.multiplier;
+    ts.overtimePolicy = ot.policy || undefined;
+    return ts;
+}
+
+module.exports = {
+    DEFAULT_POLICY,
+    resolvePolicy,
+    getDayType,
+    getHolidayKeys,
+    calculateOvertime,
+    computeForTimesheet,
+    computeForAttendance,
+    recalculateTimesheetWeeks,
+    applyToTimesheet
+};
@@ -0,0 +1,237 @@
+const Timesheet = require('../models/Timesheet');
+const Project = require('../models/Project');
+const Client = require('../models/Client');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const settings = require('../config/budget');
+const billingSettings = require('../config/billing');
+const { APPROVED_STATUSES } = require('./approval-engine');
+const { dateKey } = require('./time-calculation');
+const { getWeekBounds } = require('./timesheet-periods');
+const billing = require('./billing');
+
+/**
+ * Project Budget Burn
+ *
+ * Approved timesheet hours are burned against a project's budgetHours and,
+ * priced at cost rates (RateCard.costRate, most specific card as for
+ * billing), against its currency budget:
+ * - weekly burn with a planned line spread evenly from startDate to endDate
+ * - run rate: average weekly burn over the last runRateWeeks
+ *   (config/budget.js)
+ * - estimate at completion: burned so far plus the run rate until endDate,
+ *   and the date the budget runs out at that rate
+ * - the project manager is notified once per alert threshold crossed; a
+ *   threshold re-arms if burn falls back under it (e.g. budget raised)
+ * Hours without a cost rate are reported as unpriced, not guessed.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+// Projects in these states no longer burn budget
+const CLOSED_STATUSES = ['completed', 'approved', 'rejected'];
+
+const round2 = n => Math.round(n * 100) / 100;
+
+function addDays(date, days) {
+    const d = new Date(date);
+    d.setDate(d.getDate() + days);
+    return d;
+}
+
+/**
+ * Budget figures for one metric (hours or cost)
+ */
+function summarize(budget, used, runRatePerWeek, endDate, asOf) {
+    const remainingWeeks = endDate && endDate > asOf ? (endDate - asOf) / WEEK_MS : 0;
+    const result = {
+        budget: budget || null,
+        used: round2(used),
+        remaining: budget ? round2(budget - used) : null,
+        percent: budget ? round2(used / budget * 100) : null,
+        runRatePerWeek: round2(runRatePerWeek),
+        estimateAtCompletion: round2(used + runRatePerWeek * remainingWeeks),
+        projectedExhaustion: null
+    };
+    if (budget && used < budget && runRatePerWeek > 0) {
+        result.projectedExhaustion = new Date(asOf.getTime() + (budget - used) / runRatePerWeek * WEEK_MS);
+    }
+    if (budget) result.projectedOverrun = round2(Math.max(0, result.estimateAtCompletion - budget));
+    return result;
+}
+
+/**
+ * Burn of one project up to `asOf`
+ *
+ * @returns {Promise<{ project, currency, hours, cost, weekly }>}
+ *   weekly: [{ weekStart, hours, cost, cumulativeHours, cumulativeCost, plannedHours, plannedCost }];
+ *   actual figures are null for weeks after asOf
+ */
+async function getBurn(project, { asOf = new Date() } = {}) {
+    const client = project.client ? await Client.findById(project.client._id || project.client).select('currency').lean() : null;
+    const currency = (client && client.currency) || billingSettings.currency;
+
+    const entries = await Timesheet.find({
+        project: project._id,
+        status: { $in: APPROVED_STATUSES },
+        date: { $lte: asOf }
+    }).select('employee date totalHours').sort({ date: 1 }).lean();
+
+    const firstDate = entries.length ? entries[0].date : asOf;
+    const [cards, employees] = await Promise.all([
+        billing.loadRateCards(firstDate, asOf),
+        User.find({ _id: { $in: [...new Set(entries.map(e => String(e.employee)))] } }).select('designation').lean()
+    ]);
+    const costCards = cards.filter(c => c.costRate !== null && c.costRate !== undefined && (!c.currency || c.currency === currency));
+    const designations = {};
+    employees.forEach(u => { designations[String(u._id)] = u.designation; });
+
+    // Each entry priced at its cost rate (null when no card has one)
+    const priced = entries.map(e => {
+        const hours = e.totalHours || 0;
+        const card = billing.findRateCard(costCards, {
+            employeeId: e.employee,
+            role: designations[String(e.employee)],
+            projectId: project._id,
+            date: e.date
+        });
+        return { date: e.date, hours, cost: card ? hours * card.costRate : null };
+    });
+
+    // Weekly actuals
+    const byWeek = {};
+    let unpricedHours = 0;
+    priced.forEach(e => {
+        const key = dateKey(getWeekBounds(e.date).weekStart);
+        const week = byWeek[key] = byWeek[key] || { hours: 0, cost: 0 };
+        week.hours += e.hours;
+        if (e.cost !== null) week.cost += e.cost;
+        else unpricedHours += e.hours;
+    });
+
+    // Weeks from the project's (or first entry's) start to its end (or now)
+    const start = getWeekBounds(project.startDate && project.startDate < firstDate ? project.startDate : firstDate).weekStart;
+    const last = getWeekBounds(project.endDate && project.endDate > asOf ? project.endDate : asOf).weekStart;
+    const planSpan = project.startDate && project.endDate && project.endDate > project.startDate ?
+        project.endDate - project.startDate : null;
+    const planned = (budget, weekEnd) => {
+        if (!budget || !planSpan) return null;
+        const elapsed = Math.min(Math.max((weekEnd - project.startDate) / planSpan, 0), 1);
+        return round2(budget * elapsed);
+    };
+
+    const weekly = [];
+    let cumulativeHours = 0;
+    let cumulativeCost = 0;
+    for (let weekStart = start; weekStart <= last; weekStart = addDays(weekStart, 7)) {
+        const week = byWeek[dateKey(weekStart)] || { hours: 0, cost: 0 };
+        const weekEnd = getWeekBounds(weekStart).weekEnd;
+        const future = weekStart > asOf;
+        cumulativeHours += week.hours;
+        cumulativeCost += week.cost;
+        weekly.push({
+            weekStart,
+            hours: future ? null : round2(week.hours),
+            cost: future ? null : round2(week.cost),
+            cumulativeHours: future ? null : round2(cumulativeHours),
+            cumulativeCost: future ? null : round2(cumulativeCost),
+            plannedHours: planned(project.budgetHours, weekEnd),
+            plannedCost: planned(project.budget, weekEnd)
+        });
+    }
+
+    // Run rate over the recent window
+    const windowStart = new Date(asOf.getTime() - settings.runRateWeeks * WEEK_MS);
+    const recent = { hours: 0, cost: 0 };
+    priced.filter(e => e.date > windowStart).forEach(e => {
+        recent.hours += e.hours;
+        recent.cost += e.cost || 0;
+    });
+
+    const endDate = project.endDate ? new Date(project.endDate) : null;
+    return {
+        project: { _id: project._id, name: project.name, status: project.status, startDate: project.startDate, endDate: project.endDate },
+        asOf,
+        currency,
+        hours: summarize(project.budgetHours, cumulativeHours, recent.hours / settings.runRateWeeks, endDate, asOf),
+        cost: {
+            ...summarize(project.budget, cumulativeCost, recent.cost / settings.runRateWeeks, endDate, asOf),
+            unpricedHours: round2(unpricedHours)
+        },
+        weekly
+    };
+}
+
+/**
+ * Notify the project manager of thresholds crossed since the last check
+ *
+ * @returns {Promise<number>} notifications sent
+ */
+async function checkAlerts(project, burn) {
+    const sent = project.budgetAlerts || [];
+    const current = [];
+    const notifications = [];
+
+    [['hours', burn.hours], ['cost', burn.cost]].forEach(([metric, figures]) => {
+        if (figures.percent === null) return;
+        const crossed = settings.alertThresholds.filter(t => figures.percent >= t);
+        crossed.forEach(threshold => {
+            const previous = sent.find(a => a.metric === metric && a.threshold === threshold);
+            current.push(previous || { metric, threshold, sentAt: new Date() });
+        });
+
+        // One notification for the highest new threshold when several are crossed at once
+        const fresh = crossed.filter(t => !sent.some(a => a.metric === metric && a.threshold === t));
+        if (fresh.length === 0) return;
+        const threshold = fresh[fresh.length - 1];
+        const amount = metric === 'hours' ?
+            `${figures.used} of ${figures.budget}h` :
+            `${figures.used} of ${figures.budget} ${burn.currency}`;
+        notifications.push({
+            user: project.manager,
+            type: 'project_budget_threshold',
+            title: threshold >= 100 ? '🚨 Project Over Budget' : '💸 Project Budget Alert',
+            body: `${project.name} has used ${figures.percent}% of its ${metric} budget (${amount})` +
+                (figures.projectedExhaustion ? `. At the current rate it runs out on ${figures.projectedExhaustion.toDateString()}.` : '.'),
+            meta: {
+                projectId: project._id,
+                metric,
+                threshold,
+                percent: figures.percent,
+                used: figures.used,
+                budget: figures.budget,
+                estimateAtCompletion: figures.estimateAtCompletion
+            }
+        });
+    });
+
+    const changed = current.length !== sent.length || notifications.length > 0;
+    if (changed) await Project.updateOne({ _id: project._id }, { budgetAlerts: current });
+    if (notifications.length > 0 && project.manager) await Notification.insertMany(notifications);
+    return project.manager ? notifications.length : 0;
+}
+
+/**
+ * Check every open project with a budget
+ *
+ * @returns {Promise<number>} notifications sent
+ */
+async function sweepBudgets(asOf = new Date()) {
+    const projects = await Project.find({
+        status: { $nin: CLOSED_STATUSES },
+        $or: [{ budget: { $gt: 0 } }, { budgetHours: { $gt: 0 } }]
+    }).select('name status manager client budget budgetHours budgetAlerts startDate endDate').lean();
+
+    let sent = 0;
+    for (const project of projects) {
+        const burn = await getBurn(project, { asOf });
+        sent += await checkAlerts(project, burn);
+    }
+    return sent;
+}
+
+module.exports = {
+    getBurn,
+    checkAlerts,
+    sweepBudgets
+};
@@ -0,0 +1,329 @@
+const Attendance = require('../models/Attendance');
+const User = require('../models/User');
+const settings = require('../config/attendance');
+const workSchedule = require('./work-schedule');
+const { dateKey } = require('./time-calculation');
+const { parseDateTime } = require('../utils/tabular-file');
+
+/**
+ * Device Punch Import
+ *
+ * Punch logs exported by biometric/door-access devices become Attendance:
+ * - rows are matched to employees on email or User.employeeCode
+ * - punches are grouped into shift days (overnight shifts belong to the day
+ *   they start) and paired into sessions: by their IN/OUT direction when
+ *   the file has one, else alternately
+ * - a day without attendance is created (late/early from the shift); a day
+ *   that already has attendance is a duplicate when the punches are already
+ *   there, else a conflict that is skipped or, with onConflict 'replace',
+ *   overwritten by the device punches
+ * Nothing is written on a dry run; the report is the same either way.
+ */
+
+const MINUTE_MS = 60 * 1000;
+const REPORT_LIMIT = 500;
+
+function badRequest(message) {
+    const err = new Error(message);
+    err.status = 400;
+    return err;
+}
+
+function getDirection(value) {
+    const text = String(value || '').trim().toLowerCase();
+    if (!text) return null;
+    if (settings.punchDirections.in.includes(text)) return 'in';
+    if (settings.punchDirections.out.includes(text)) return 'out';
+    return undefined;
+}
+
+/**
+ * Rows → punches, with the rows that could not be read
+ */
+function parseRows(rows, mapping, dateOrder) {
+    const punches = [];
+    const invalid = [];
+    rows.forEach(({ rowNumber, values }) => {
+        const email = mapping.email ? String(values[mapping.email] || '').trim().toLowerCase() : '';
+        const employeeCode = mapping.employeeCode ? String(values[mapping.employeeCode] || '').trim() : '';
+        if (!email && !employeeCode) {
+            invalid.push({ row: rowNumber, reason: 'No email or employee code' });
+            return;
+        }
+
+        const hasTimestamp = mapping.timestamp && values[mapping.timestamp] !== undefined && values[mapping.timestamp] !== '';
+        const time = hasTimestamp ?
+            parseDateTime(values[mapping.timestamp], { dateOrder }) :
+            parseDateTime(values[mapping.date], { dateOrder, timeValue: values[mapping.time] || undefined });
+        if (!time) {
+            invalid.push({ row: rowNumber, reason: 'Unreadable punch date/time' });
+            return;
+        }
+
+        const direction = mapping.direction ? getDirection(values[mapping.direction]) : null;
+        if (direction === undefined) {
+            invalid.push({ row: rowNumber, reason: `Unknown direction "${values[mapping.direction]}"` });
+            return;
+        }
+
+        punches.push({
+            row: rowNumber,
+            email,
+            employeeCode,
+            time,
+            direction,
+            device: mapping.device ? String(values[mapping.device] || '').trim() || null : null
+        });
+    });
+    return { punches, invalid };
+}
+
+/**
+ * Attach employees to punches; punches nobody matches are returned apart
+ */
+async function matchEmployees(punches) {
+    const emails = [...new Set(punches.map(p => p.email).filter(Boolean))];
+    const codes = [...new Set(punches.map(p => p.employeeCode).filter(Boolean))];
+    const users = await User.find({ $or: [{ email: { $in: emails } }, { employeeCode: { $in: codes } }] })
+        .collation({ locale: 'en', strength: 2 })
+        .select('name email employeeCode')
+        .lean();
+
+    const byEmail = {};
+    const byCode = {};
+    users.forEach(u => {
+        byEmail[u.email.toLowerCase()] = u;
+        if (u.employeeCode) byCode[u.employeeCode.toLowerCase()] = u;
+    });
+
+    const matched = [];
+    const unmatched = [];
+    punches.forEach(p => {
+        const user = (p.email && byEmail[p.email]) || (p.employeeCode && byCode[p.employeeCode.toLowerCase()]);
+        if (user) {
+            matched.push({ ...p, employee: user });
+        } else {
+            unmatched.push({
+                row: p.row,
+                identifier: p.email || p.employeeCode,
+                reason: p.email ? `No employee with email ${p.email}` : `No employee with code ${p.employeeCode}`
+            });
+        }
+    });
+    return { matched, unmatched };
+}
+
+/**
+ * Pair one day's punches (time order) into sessions
+ */
+function pairSessions(punches) {
+    const sessions = [];
+    const warnings = [];
+    let open = null;
+
+    punches.forEach(p => {
+        // Punches without a direction alternate in/out
+        const direction = p.direction || (open ? 'out' : 'in');
+        if (direction === 'in') {
+            if (open) {
+                warnings.push({ row: p.row, reason: 'Check-in while already checked in; punch ignored' });
+                return;
+            }
+            open = { checkIn: p.time, device: p.device, rows: [p.row] };
+            sessions.push(open);
+        } else {
+            if (!open) {
+                warnings.push({ row: p.row, reason: 'Check-out without a check-in; punch ignored' });
+                return;
+            }
+            open.checkOut = p.time;
+            open.rows.push(p.row);
+            open = null;
+        }
+    });
+    return { sessions, warnings };
+}
+
+/**
+ * Whether every imported punch is already on the attendance record
+ */
+function isAlreadyRecorded(attendance, sessions) {
+    const existing = attendance.getTimeline().filter(t => t.kind === 'session');
+    const near = (a, b) => (!a && !b) || (a && b && Math.abs(a - b) <= settings.punchDedupeMinutes * MINUTE_MS);
+    return existing.length === sessions.length &&
+        sessions.every((s, i) => near(s.checkIn, existing[i].start) && near(s.checkOut, existing[i].end));
+}
+
+/**
+ * Put device sessions on an attendance record (new or replaced) and
+ * re-evaluate lateness; early check-out and hours follow on save
+ */
+function applySessions(attendance, day, sessions) {
+    const last = sessions[sessions.length - 1];
+    const verification = s => ({ status: 'verified', method: 'device', reason: s.device ? `Device ${s.device}` : 'Device punch' });
+    attendance.sessions = sessions.map(s => ({
+        checkIn: s.checkIn,
+        checkOut: s.checkOut,
+        location: 'office',
+        verification: verification(s)
+    }));
+    // Breaks recorded in the app only count if they fall inside a device session
+    attendance.breaks = attendance.breaks.filter(b => b.end &&
+        sessions.some(s => s.checkOut && b.start >= s.checkIn && b.end <= s.checkOut));
+    attendance.checkInTime = sessions[0].checkIn;
+    attendance.checkOutTime = last.checkOut || undefined;
+    attendance.status = last.checkOut ? 'checked_out' : 'checked_in';
+    attendance.location = 'office';
+    attendance.verification = verification(sessions[0]);
+    attendance.source = 'device_import';
+    attendance.autoClosed = false;
+    attendance.shift = day.shift._id || undefined;
+    attendance.scheduledStart = day.window.start;
+    attendance.scheduledEnd = day.window.end;
+    attendance.scheduledHours = workSchedule.getScheduledHours(day.shift);
+    attendance.isScheduledWorkDay = workSchedule.isWorkDay(day.shift, day.date);
+    if (attendance.isScheduledWorkDay) {
+        attendance.checkIfLate(day.shift.graceMinutes);
+    } else {
+        attendance.isLate = false;
+        attendance.lateMinutes = 0;
+    }
+}
+
+/**
+ * Import device punches.
+ *
+ * @param {object} params
+ * @param {Array} params.rows - from utils/tabular-file readTable()
+ * @param {object} [params.mapping] - column names, over config/attendance.js punchImportMapping
+ * @param {string} [params.dateOrder] - 'DMY' | 'MDY' for dd/mm/yyyy-style dates
+ * @param {boolean} [params.dryRun=true]
+ * @param {string} [params.onConflict='skip'] - 'skip' | 'replace'
+ * @param {string} [params.fileName] - noted on created records
+ */
+async function importPunches({ rows, mapping = {}, dateOrder = 'DMY', dryRun = true, onConflict = 'skip', fileName }) {
+    if (!['skip', 'replace'].includes(onConflict)) throw badRequest('onConflict must be skip or replace');
+    if (!['DMY', 'MDY'].includes(dateOrder)) throw badRequest('dateOrder must be DMY or MDY');
+    const columns = { ...settings.punchImportMapping, ...mapping };
+
+    const { punches, invalid } = parseRows(rows, columns, dateOrder);
+    const { matched, unmatched } = await matchEmployees(punches);
+
+    // Employee → shift day → punches, duplicates (device double reads) dropped
+    const days = {};
+    let duplicatePunches = 0;
+    matched.sort((a, b) => a.time - b.time);
+    const lastByEmployee = {};
+    for (const punch of matched) {
+        const employeeId = String(punch.employee._id);
+        const previous = lastByEmployee[employeeId];
+        if (previous && punch.time - previous.time <= settings.punchDedupeMinutes * MINUTE_MS &&
+            (punch.direction || null) === (previous.direction || null)) {
+            duplicatePunches++;
+            continue;
+        }
+        lastByEmployee[employeeId] = punch;
+
+        const shiftDay = await workSchedule.resolveShiftDay(punch.employee._id, punch.time);
+        const key = `${employeeId}|${dateKey(shiftDay.date)}`;
+        const day = days[key] = days[key] || { employee: punch.employee, ...shiftDay, punches: [] };
+        day.punches.push(punch);
+    }
+
+    const report = {
+        dryRun,
+        onConflict,
+        totals: {
+            rows: rows.length,
+            invalid: invalid.length,
+            unmatched: unmatched.length,
+            punches: matched.length,
+            duplicatePunches,
+            days: Object.keys(days).length,
+            created: 0,
+            replaced: 0,
+            alreadyRecorded: 0,
+            conflicts: 0,
+            skipped: 0
+        },
+        invalid: invalid.slice(0, REPORT_LIMIT),
+        unmatched: unmatched.slice(0, REPORT_LIMIT),
+        conflicts: [],
+        warnings: [],
+        days: []
+    };
+
+    for (const day of Object.values(days)) {
+        const { sessions, warnings } = pairSessions(day.punches);
+        report.warnings.push(...warnings);
+        const summary = {
+            employee: { _id: day.employee._id, name: day.employee.name, email: day.employee.email },
+            date: day.date,
+            rows: day.punches.map(p => p.row),
+            sessions: sessions.map(s => ({ checkIn: s.checkIn, checkOut: s.checkOut || null }))
+        };
+        if (sessions.length === 0) {
+            summary.action = 'skipped';
+            report.totals.skipped++;
+            report.days.push(summary);
+            continue;
+        }
+
+        const existing = await Attendance.findOne({ employee: day.employee._id, date: day.date });
+        if (!existing) {
+            summary.action = 'create';
+            report.totals.created++;
+            if (!dryRun) {
+                const attendance = new Attendance({
+                    employee: day.employee._id,
+                    date: day.date,
+                    checkInTime: sessions[0].checkIn,
+                    notes: `Imported from device punches${fileName ? ` (${fileName})` : ''}`
+                });
+                applySessions(attendance, day, sessions);
+                await attendance.save();
+                summary.attendanceId = attendance._id;
+            }
+        } else if (existing.status !== 'correction_requested' && isAlreadyRecorded(existing, sessions)) {
+            summary.action = 'already_recorded';
+            summary.attendanceId = existing._id;
+            report.totals.alreadyRecorded++;
+        } else {
+            report.totals.conflicts++;
+            report.conflicts.push({
+                ...summary,
+                attendanceId: existing._id,
+                reason: existing.status === 'correction_requested' ?
+                    'A correction request is pending on this day' : 'Attendance already recorded with different times',
+                existing: {
+                    status: existing.status,
+                    source: existing.source,
+                    sessions: existing.getTimeline().filter(t => t.kind === 'session').map(t => ({ checkIn: t.start, checkOut: t.end }))
+                }
+            });
+            summary.attendanceId = existing._id;
+            // A pending correction is the employee's claim; leave it to the reviewer
+            if (onConflict === 'replace' && existing.status !== 'correction_requested') {
+                summary.action = 'replace';
+                report.totals.replaced++;
+                if (!dryRun) {
+                    applySessions(existing, day, sessions);
+                    await existing.save();
+                }
+            } else {
+                summary.action = 'conflict_skipped';
+                report.totals.skipped++;
+            }
+        }
+        report.days.push(summary);
+    }
+
+    report.conflicts = report.conflicts.slice(0, REPORT_LIMIT);
+    report.warnings = report.warnings.slice(0, REPORT_LIMIT);
+    report.days = report.days.sort((a, b) => a.date - b.date).slice(0, REPORT_LIMIT);
+    return report;
+}
+
+module.exports = {
+    importPunches
+};
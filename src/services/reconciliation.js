@@ -0,0 +1,243 @@
+const Attendance = require('../models/Attendance');
+const Timesheet = require('../models/Timesheet');
+const User = require('../models/User');
+const timeCalculation = require('./time-calculation');
+const { getVisibleEmployeeIds } = require('./team');
+const leaveCalendar = require('./leave-calendar');
+
+/**
+ * Attendance / Timesheet Reconciliation
+ *
+ * Compares office presence (Attendance check-in/out) with claimed work
+ * (Timesheet entries) per employee per calendar day and flags:
+ * - hours_exceed_attendance: logged hours above attended hours
+ * - no_attendance: hours logged on a day without any check-in
+ * - missing_timesheet: attended day with nothing logged
+ * - outside_attendance_window: an entry starting/ending outside check-in/out
+ */
+
+const DEFAULT_TOLERANCE_MINUTES = 15;
+const MAX_RANGE_DAYS = 92;
+
+const FLAG_TYPES = ['hours_exceed_attendance', 'no_attendance', 'missing_timesheet', 'outside_attendance_window'];
+
+const round2 = n => Math.round(n * 100) / 100;
+
+function formatTime(date) {
+    return new Date(date).toTimeString().slice(0, 5);
+}
+
+/**
+ * Reconcile a date range.
+ *
+ * @param {object} params
+ * @param {string[]|null} params.employeeIds - null for all active employees/managers
+ * @param {Date} params.from
+ * @param {Date} params.to
+ * @param {number} [params.toleranceMinutes] - slack before anything is flagged
+ * @param {boolean} [params.flaggedOnly] - drop days without flags
+ * @returns {Promise<{ rows: object[], summary: object }>}
+ */
+async function reconcile({ employeeIds = null, from, to, toleranceMinutes = DEFAULT_TOLERANCE_MINUTES, flaggedOnly = false }) {
+    const rangeStart = timeCalculation.startOfDay(from);
+    const rangeEnd = timeCalculation.startOfDay(to);
+    rangeEnd.setHours(23, 59, 59, 999);
+    const toleranceMs = toleranceMinutes * 60 * 1000;
+    const toleranceHours = toleranceMinutes / 60;
+
+    const userQuery = employeeIds ? { _id: { $in: employeeIds } } : { role: { $in: ['employee', 'manager'] }, isActive: { $ne: false } };
+    const users = await User.find(userQuery).select('name email department').lean();
+    const ids = users.map(u => u._id);
+
+    // Entries may start up to MAX_ENTRY_DAYS earlier and spill into the range
+    const lookback = new Date(rangeStart.getTime() - timeCalculation.MAX_ENTRY_DAYS * 24 * 60 * 60 * 1000);
+    const [attendance, entries, calendar] = await Promise.all([
+        Attendance.find({ employee: { $in: ids }, date: { $gte: rangeStart, $lte: rangeEnd } }).lean(),
+        Timesheet.find({ employee: { $in: ids }, date: { $gte: lookback, $lte: rangeEnd }, status: { $ne: 'rejected' } })
+            .populate('project', 'name')
+            .lean(),
+        leaveCalendar.buildCalendar(ids, rangeStart, rangeEnd)
+    ]);
+
+    const days = {};
+    const getDay = (employeeId, date) => {
+        const key = `${employeeId}_${timeCalculation.dateKey(date)}`;
+        if (!days[key]) {
+            days[key] = {
+                employee: String(employeeId),
+                date: timeCalculation.startOfDay(date),
+                attendedHours: 0,
+                timesheetHours: 0,
+                checkIns: [],
+                entries: [],
+                flags: []
+            };
+        }
+        return days[key];
+    };
+
+    attendance.forEach(a => {
+        const day = getDay(a.employee, a.date);
+        day.attendedHours += a.totalHours || 0;
+        day.checkIns.push({ checkInTime: a.checkInTime, checkOutTime: a.checkOutTime || null });
+    });
+
+    const windows = {};
+    attendance.forEach(a => {
+        const key = String(a.employee);
+        (windows[key] = windows[key] || []).push({
+            start: new Date(a.checkInTime).getTime() - toleranceMs,
+            // still checked in: the window is open until now
+            end: (a.checkOutTime ? new Date(a.checkOutTime).getTime() : Date.now()) + toleranceMs
+        });
+    });
+
+    entries.forEach(e => {
+        let window = null;
+        try {
+            window = timeCalculation.getEntryWindow(e);
+        } catch (err) {
+            // malformed legacy times: hours still count, the window check is skipped
+        }
+
+        timeCalculation.getDayHours(e).forEach(d => {
+            const dayDate = new Date(d.date);
+            if (dayDate < rangeStart || dayDate > rangeEnd) return;
+            const day = getDay(e.employee, dayDate);
+            day.timesheetHours += d.hours;
+            if (!day.entries.some(x => String(x._id) === String(e._id))) {
+                day.entries.push({
+                    _id: e._id,
+                    project: e.project ? e.project.name : null,
+                    startTime: e.startTime,
+                    endTime: e.endTime,
+                    totalHours: e.totalHours,
+                    status: e.status
+                });
+            }
+        });
+
+        // An entry must sit inside one attendance window (overnight shifts included)
+        const employeeWindows = windows[String(e.employee)] || [];
+        if (window && employeeWindows.length) {
+            const inside = employeeWindows.some(w => window.start.getTime() >= w.start && window.end.getTime() <= w.end);
+            const entryDate = new Date(e.date);
+            if (!inside && entryDate >= rangeStart && entryDate <= rangeEnd) {
+                getDay(e.employee, entryDate).flags.push({
+                    type: 'outside_attendance_window',
+                    timesheetId: e._id,
+                    message: `Entry ${e.startTime}-${e.endTime} falls outside check-in/out`
+                });
+            }
+        }
+    });
+
+    const usersById = {};
+    users.forEach(u => { usersById[String(u._id)] = u; });
+
+    const rows = Object.values(days).map(day => {
+        day.attendedHours = round2(day.attendedHours);
+        day.timesheetHours = round2(day.timesheetHours);
+        day.differenceHours = round2(day.timesheetHours - day.attendedHours);
+
+        const hasAttendance = day.checkIns.length > 0;
+        const stillCheckedIn = day.checkIns.some(c => !c.checkOutTime);
+
+        // Approved WFH: hours without a check-in are expected
+        const remote = leaveCalendar.getDayStatus(calendar, day.employee, day.date).remote;
+
+        if (!hasAttendance && day.timesheetHours > 0 && !remote) {
+            day.flags.unshift({ type: 'no_attendance', message: `${day.timesheetHours}h logged without attendance` });
+        } else if (hasAttendance && !stillCheckedIn && day.differenceHours > toleranceHours) {
+            day.flags.unshift({
+                type: 'hours_exceed_attendance',
+                message: `${day.timesheetHours}h logged vs ${day.attendedHours}h attended (+${day.differenceHours}h)`
+            });
+        }
+        if (hasAttendance && day.timesheetHours === 0 && (day.attendedHours > 0 || stillCheckedIn)) {
+            day.flags.push({ type: 'missing_timesheet', message: `Attended ${day.attendedHours}h but nothing logged` });
+        }
+
+        const user = usersById[day.employee] || {};
+        return {
+            ...day,
+            employeeName: user.name,
+            employeeEmail: user.email,
+            department: user.department,
+            checkIns: day.checkIns.map(c => ({
+                checkInTime: c.checkInTime,
+                checkOutTime: c.checkOutTime,
+                label: `${formatTime(c.checkInTime)}-${c.checkOutTime ? formatTime(c.checkOutTime) : '…'}`
+            }))
+        };
+    })
+        .filter(row => !flaggedOnly || row.flags.length > 0)
+        .sort((a, b) => a.date - b.date || String(a.employeeName).localeCompare(String(b.employeeName)));
+
+    const summary = {
+        from: rangeStart,
+        to: rangeEnd,
+        toleranceMinutes,
+        employees: users.length,
+        days: rows.length,
+        flaggedDays: rows.filter(r => r.flags.length > 0).length,
+        attendedHours: round2(rows.reduce((sum, r) => sum + r.attendedHours, 0)),
+        timesheetHours: round2(rows.reduce((sum, r) => sum + r.timesheetHours, 0)),
+        byFlag: {}
+    };
+    FLAG_TYPES.forEach(type => {
+        summary.byFlag[type] = rows.reduce((sum, r) => sum + r.flags.filter(f => f.type === type).length, 0);
+    });
+
+    return { rows, summary };
+}
+
+/**
+ * Build reconcile() options from request query params, scoped to the
+ * employees the requesting user may see (or only themselves with selfOnly).
+ * Throws a 400/403 error on bad input.
+ */
+async function resolveOptions(user, query, { selfOnly = false } = {}) {
+    const to = query.to ? new Date(query.to) : new Date();
+    const from = query.from ? new Date(query.from) : new Date(to.getTime() - 6 * 24 * 60 * 60 * 1000);
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || from > to) {
+        const err = new Error('Invalid date range');
+        err.status = 400;
+        throw err;
+    }
+    if ((to - from) > MAX_RANGE_DAYS * 24 * 60 * 60 * 1000) {
+        const err = new Error(`Date range cannot exceed ${MAX_RANGE_DAYS} days`);
+        err.status = 400;
+        throw err;
+    }
+
+    let employeeIds = selfOnly ? [String(user._id)] : await getVisibleEmployeeIds(user);
+    if (query.employeeId && !selfOnly) {
+        if (employeeIds && !employeeIds.includes(String(query.employeeId))) {
+            const err = new Error('Employee is not in your team');
+            err.status = 403;
+            throw err;
+        }
+        employeeIds = [String(query.employeeId)];
+    }
+    if (query.department && !selfOnly) {
+        const inDepartment = await User.find({ department: query.department, ...(employeeIds ? { _id: { $in: employeeIds } } : {}) }).select('_id');
+        employeeIds = inDepartment.map(u => String(u._id));
+    }
+
+    const tolerance = query.toleranceMinutes !== undefined ? Number(query.toleranceMinutes) : DEFAULT_TOLERANCE_MINUTES;
+    return {
+        employeeIds,
+        from,
+        to,
+        toleranceMinutes: isNaN(tolerance) || tolerance < 0 ? DEFAULT_TOLERANCE_MINUTES : tolerance,
+        flaggedOnly: query.flaggedOnly === 'true'
+    };
+}
+
+module.exports = {
+    DEFAULT_TOLERANCE_MINUTES,
+    FLAG_TYPES,
+    reconcile,
+    resolveOptions
+};
@@ -0,0 +1,33 @@
+const User = require('../models/User');
+const Project = require('../models/Project');
+
+/**
+ * Employees visible to a manager: direct reports plus members of the
+ * projects they manage
+ */
+async function getTeamIds(managerId) {
+    const reports = await User.find({ manager: managerId }).select('_id');
+    const projects = await Project.find({ manager: managerId }).select('employees');
+
+    const ids = new Set(reports.map(r => String(r._id)));
+    projects.forEach(p => (p.employees || []).forEach(e => ids.add(String(e))));
+    return Array.from(ids);
+}
+
+/**
+ * Employee ids a user may report on, or `null` for no restriction.
+ * Managers without a configured team see everyone, as in the approval queues.
+ */
+async function getVisibleEmployeeIds(user) {
+    if (user.role === 'admin') return null;
+    if (user.role === 'manager') {
+        const teamIds = await getTeamIds(user._id);
+        return teamIds.length > 0 ? teamIds : null;
+    }
+    return [String(user._id)];
+}
+
+module.exports = {
+    getTeamIds,
+    getVisibleEmployeeIds
+};
@@ -0,0 +1,224 @@
+const Timesheet = require('../models/Timesheet');
+
+/**
+ * Time Calculation
+ *
+ * Single source of truth for turning a timesheet entry's date/time fields
+ * into hours. Shared by entry creation and editing so the two can't drift.
+ *
+ * - An end time before the start time on the same date runs past
+ *   midnight into the next day (22:00-06:00 = 8h)
+ * - `endDate` allows entries spanning several calendar days
+ * - Hours are split per calendar day (`dayHours`) for the 24h/day cap and
+ *   for day-based reports; breaks are deducted proportionally
+ */
+
+const MAX_HOURS_PER_DAY = 24;
+const MAX_ENTRY_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round2 = n => Math.round(n * 100) / 100;
+
+function badRequest(message) {
+    const err = new Error(message);
+    err.status = 400;
+    return err;
+}
+
+function startOfDay(date) {
+    const d = new Date(date);
+    d.setHours(0, 0, 0, 0);
+    return d;
+}
+
+/**
+ * YYYY-MM-DD in local time
+ */
+function dateKey(date) {
+    const d = new Date(date);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * A date from a request: 'YYYY-MM-DD' is the local calendar day (new Date()
+ * would read it as UTC midnight, the previous day west of Greenwich)
+ */
+function parseDate(value) {
+    const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(typeof value === 'string' ? value.trim() : '');
+    return m ? new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3])) : new Date(value);
+}
+
+function atTime(day, hhmm) {
+    const match = /^(\d{1,2}):(\d{2})/.exec(String(hhmm || ''));
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) return null;
+    const d = startOfDay(day);
+    d.setHours(Number(match[1]), Number(match[2]), 0, 0);
+    return d;
+}
+
+/**
+ * Start/end instants of an entry. Throws a 400 error on invalid input.
+ */
+function getEntryWindow({ date, endDate, startTime, endTime }) {
+    const day = parseDate(date);
+    if (isNaN(day.getTime())) throw badRequest('Invalid date or time format');
+
+    const start = atTime(day, startTime);
+    let end = atTime(endDate ? parseDate(endDate) : day, endTime);
+    if (!start || !end || isNaN(end.getTime())) throw badRequest('Invalid date or time format');
+
+    if (endDate && startOfDay(parseDate(endDate)) < startOfDay(day)) {
+        throw badRequest('End date cannot be before the start date');
+    }
+
+    // Same calendar day but the clock went backwards: overnight entry
+    if (end < start && dateKey(end) === dateKey(start)) {
+        const nextDay = new Date(day);
+        nextDay.setDate(nextDay.getDate() + 1);
+        end = atTime(nextDay, endTime);
+    }
+    if (end <= start) throw badRequest('End time must be after the start time');
+
+    if (startOfDay(end) - startOfDay(start) >= MAX_ENTRY_DAYS * DAY_MS) {
+        throw badRequest(`A single timesheet cannot span more than ${MAX_ENTRY_DAYS} days`);
+    }
+
+    return { start, end };
+}
+
+/**
+ * Split a worked window into per-calendar-day hours, deducting the break
+ * proportionally to each day's share
+ */
+function splitByDay(start, end, breakMinutes = 0) {
+    const spanHours = (end - start) / (1000 * 60 * 60);
+    const workedHours = Math.max(0, spanHours - (Number(breakMinutes) || 0) / 60);
+    const ratio = spanHours > 0 ? workedHours / spanHours : 0;
+
+    const days = [];
+    let cursor = new Date(start);
+    while (cursor < end) {
+        const nextMidnight = startOfDay(cursor);
+        nextMidnight.setDate(nextMidnight.getDate() + 1);
+        const sliceEnd = nextMidnight < end ? nextMidnight : end;
+        days.push({
+            date: startOfDay(cursor),
+            hours: round2((sliceEnd - cursor) / (1000 * 60 * 60) * ratio)
+        });
+        cursor = sliceEnd;
+    }
+    return days.filter(d => d.hours > 0);
+}
+
+/**
+ * Compute everything stored on an entry from its raw fields
+ *
+ * @returns {{ date: Date, start: Date, end: Date, endDate: Date|null, totalHours: number, dayHours: Array<{date: Date, hours: number}> }}
+ *   date: the entry's calendar day (local midnight), to store on the entry
+ */
+function calculateEntry({ date, endDate, startTime, endTime, breakMinutes = 0 }) {
+    const { start, end } = getEntryWindow({ date, endDate, startTime, endTime });
+    const spanHours = (end - start) / (1000 * 60 * 60);
+    const bm = Number(breakMinutes) || 0;
+    if (bm / 60 >= spanHours) throw badRequest('Break duration must be shorter than the time worked');
+
+    const dayHours = splitByDay(start, end, bm);
+    // Last minute exactly at midnight still belongs to the previous day
+    const endDay = startOfDay(new Date(end.getTime() - 1));
+
+    return {
+        date: startOfDay(start),
+        start,
+        end,
+        endDate: dateKey(endDay) !== dateKey(start) ? endDay : null,
+        totalHours: round2(Math.max(0, spanHours - bm / 60)),
+        dayHours
+    };
+}
+
+/**
+ * Per-day hours of a stored entry. Entries saved before dayHours existed are
+ * split from their times and scaled to their stored totalHours.
+ */
+function getDayHours(entry) {
+    if (entry.dayHours && entry.dayHours.length) return entry.dayHours;
+
+    const total = entry.totalHours || 0;
+    try {
+        const { start, end } = getEntryWindow(entry);
+        const split = splitByDay(start, end, 0);
+        const splitTotal = split.reduce((sum, d) => sum + d.hours, 0);
+        if (splitTotal > 0) {
+            return split.map(d => ({ date: d.date, hours: round2(d.hours / splitTotal * total) }));
+        }
+    } catch (err) {
+        // Malformed legacy entry: attribute everything to its date
+    }
+    return [{ date: startOfDay(entry.date), hours: total }];
+}
+
+/**
+ * Hours logged per calendar day (keyed by dateKey) over non-rejected entries,
+ * leaving out entries about to be replaced (excludeId / excludeIds)
+ */
+async function getDailyTotals(employeeId, from, to, { excludeId = null, excludeIds = [] } = {}) {
+    const rangeStart = startOfDay(from);
+    const rangeEnd = startOfDay(to);
+    rangeEnd.setHours(23, 59, 59, 999);
+
+    // Entries can start up to MAX_ENTRY_DAYS before the range and still spill into it
+    const lookback = new Date(rangeStart.getTime() - MAX_ENTRY_DAYS * DAY_MS);
+    const query = {
+        employee: employeeId,
+        date: { $gte: lookback, $lte: rangeEnd },
+        status: { $ne: 'rejected' }
+    };
+    const excluded = [...excludeIds, ...(excludeId ? [excludeId] : [])];
+    if (excluded.length) query._id = { $nin: excluded };
+
+    const entries = await Timesheet.find(query)
+        .select('date endDate startTime endTime breakMinutes totalHours dayHours')
+        .lean();
+
+    const totals = {};
+    entries.forEach(e => {
+        getDayHours(e).forEach(d => {
+            const day = new Date(d.date);
+            if (day < rangeStart || day > rangeEnd) return;
+            const key = dateKey(day);
+            totals[key] = (totals[key] || 0) + d.hours;
+        });
+    });
+    return totals;
+}
+
+/**
+ * Error message if adding `dayHours` would push any day past 24h, else null
+ */
+async function checkDailyCap(employeeId, dayHours, { excludeId = null } = {}) {
+    if (!dayHours.length) return null;
+    const totals = await getDailyTotals(employeeId, dayHours[0].date, dayHours[dayHours.length - 1].date, { excludeId });
+
+    for (const d of dayHours) {
+        const existing = totals[dateKey(d.date)] || 0;
+        const combined = existing + d.hours;
+        if (combined > MAX_HOURS_PER_DAY) {
+            return `Total hours for ${new Date(d.date).toLocaleDateString()} would be ${combined.toFixed(1)}h, exceeding ${MAX_HOURS_PER_DAY} hours. Other timesheets: ${existing.toFixed(1)}h, This entry: ${d.hours.toFixed(1)}h.`;
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    MAX_HOURS_PER_DAY,
+    MAX_ENTRY_DAYS,
+    dateKey,
+    parseDate,
+    startOfDay,
+    getEntryWindow,
+    splitByDay,
+    calculateEntry,
+    getDayHours,
+    getDailyTotals,
+    checkDailyCap
+};
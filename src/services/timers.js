@@ -0,0 +1,185 @@
+const Timer = require('../models/Timer');
+const Timesheet = require('../models/Timesheet');
+const Notification = require('../models/Notification');
+const timerConfig = require('../config/timer');
+const cacheManager = require('../utils/cache-manager');
+const timeCalculation = require('./time-calculation');
+const timesheetPeriods = require('./timesheet-periods');
+const overtimePolicy = require('./overtime-policy');
+const leaveCalendar = require('./leave-calendar');
+
+/**
+ * Running Timers
+ *
+ * A timer runs against a project/task; pauses accumulate into the
+ * entry's breakMinutes. Stopping a timer turns it into a draft Timesheet
+ * that goes through the same calculation and validation as manual entries.
+ */
+
+const pad = n => String(n).padStart(2, '0');
+
+function toDateString(d) {
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+function toTimeString(d) {
+    return `${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+/**
+ * Total paused minutes up to `asOf` (an open pause counts until then)
+ */
+function getPausedMinutes(timer, asOf = new Date()) {
+    const ms = (timer.pauses || []).reduce((sum, p) => {
+        const end = p.end ? new Date(p.end) : asOf;
+        return sum + Math.max(0, end - new Date(p.start));
+    }, 0);
+    return ms / (1000 * 60);
+}
+
+/**
+ * Worked seconds so far (pauses excluded)
+ */
+function getElapsedSeconds(timer, asOf = new Date()) {
+    const end = timer.stoppedAt ? new Date(timer.stoppedAt) : asOf;
+    const spanMinutes = (end - new Date(timer.startedAt)) / (1000 * 60);
+    return Math.max(0, Math.floor((spanMinutes - getPausedMinutes(timer, end)) * 60));
+}
+
+/**
+ * Plain representation with live elapsed time, for API responses
+ */
+function present(timer) {
+    const obj = timer.toObject ? timer.toObject() : timer;
+    return {
+        ...obj,
+        elapsedSeconds: getElapsedSeconds(timer),
+        pausedMinutes: Math.round(getPausedMinutes(timer, timer.stoppedAt || new Date())),
+        maxHours: timerConfig.maxHours
+    };
+}
+
+/**
+ * Create the draft timesheet for a stopped timer.
+ * Returns { timesheet } or { error } when the entry can't be recorded.
+ */
+async function createDraftTimesheet(timer) {
+    const start = new Date(timer.startedAt);
+    const end = new Date(timer.stoppedAt);
+    const date = toDateString(start);
+    const endDate = toDateString(end);
+    const breakMinutes = Math.round(getPausedMinutes(timer, end));
+
+    let hours;
+    try {
+        hours = timeCalculation.calculateEntry({
+            date,
+            endDate: endDate !== date ? endDate : undefined,
+            startTime: toTimeString(start),
+            endTime: toTimeString(end),
+            breakMinutes
+        });
+    } catch (err) {
+        return { error: toTimeString(start) === toTimeString(end) ? 'Timer ran for less than a minute' : err.message };
+    }
+
+    const capError = await timeCalculation.checkDailyCap(timer.employee, hours.dayHours);
+    if (capError) return { error: capError };
+
+    const blockReason = await timesheetPeriods.getEditBlockReason(timer.employee, hours.date);
+    if (blockReason) return { error: blockReason };
+
+    const leaveCheck = await leaveCalendar.checkTimesheetDays(timer.employee, hours.dayHours);
+    if (leaveCheck.error) return { error: leaveCheck.error };
+
+    const period = await timesheetPeriods.findOrCreatePeriod(timer.employee, hours.date);
+    const overtime = await overtimePolicy.computeForTimesheet({
+        employeeId: timer.employee,
+        date: hours.date,
+        startTime: toTimeString(start),
+        hours: hours.totalHours,
+        dayHours: hours.dayHours
+    });
+
+    const ts = new Timesheet({
+        employee: timer.employee,
+        date: hours.date,
+        endDate: hours.endDate || undefined,
+        startTime: toTimeString(start),
+        endTime: toTimeString(end),
+        breakMinutes,
+        totalHours: hours.totalHours,
+        dayHours: hours.dayHours,
+        description: timer.description,
+        project: timer.project,
+        task: timer.task,
+        status: 'draft',
+        period: period._id
+    });
+    overtimePolicy.applyToTimesheet(ts, overtime);
+    await ts.save();
+    await overtimePolicy.recalculateTimesheetWeeks(timer.employee, [ts.date, ts.endDate]);
+
+    cacheManager.invalidateUserCache(timer.employee);
+    return { timesheet: ts };
+}
+
+/**
+ * Stop a running/paused timer at `stoppedAt` and record its draft timesheet
+ */
+async function stopTimer(timer, { stoppedAt = new Date(), auto = false } = {}) {
+    const openPause = (timer.pauses || []).find(p => !p.end);
+    if (openPause) openPause.end = stoppedAt;
+
+    timer.status = 'stopped';
+    timer.isActive = false;
+    timer.stoppedAt = stoppedAt;
+    timer.autoStopped = auto;
+    await timer.save();
+
+    const result = await createDraftTimesheet(timer);
+    timer.timesheet = result.timesheet ? result.timesheet._id : undefined;
+    timer.timesheetError = result.error;
+    await timer.save();
+
+    return { timer, timesheet: result.timesheet || null, error: result.error || null };
+}
+
+/**
+ * Stop every timer that has been active longer than the configured limit.
+ * The entry ends at startedAt + maxHours rather than at sweep time.
+ */
+async function autoStopExpired(employeeId = null) {
+    const limitMs = timerConfig.maxHours * 60 * 60 * 1000;
+    const query = { isActive: true, startedAt: { $lte: new Date(Date.now() - limitMs) } };
+    if (employeeId) query.employee = employeeId;
+
+    const expired = await Timer.find(query);
+    for (const timer of expired) {
+        const stoppedAt = new Date(new Date(timer.startedAt).getTime() + limitMs);
+        const { timesheet, error } = await stopTimer(timer, { stoppedAt, auto: true });
+
+        await Notification.create({
+            user: timer.employee,
+            type: 'timer_auto_stopped',
+            title: '⏹️ Timer Stopped Automatically',
+            body: timesheet ?
+                `Your timer ran longer than ${timerConfig.maxHours}h and was stopped. A draft timesheet of ${timesheet.totalHours}h was created - please review it.` :
+                `Your timer ran longer than ${timerConfig.maxHours}h and was stopped. No timesheet was created: ${error}`,
+            meta: {
+                timerId: timer._id,
+                timesheetId: timesheet ? timesheet._id : null,
+                stoppedAt
+            }
+        });
+    }
+    return expired.length;
+}
+
+module.exports = {
+    getPausedMinutes,
+    getElapsedSeconds,
+    present,
+    stopTimer,
+    autoStopExpired
+};
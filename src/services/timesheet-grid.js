@@ -0,0 +1,450 @@
+const mongoose = require('mongoose');
+const Timesheet = require('../models/Timesheet');
+const settings = require('../config/timesheet');
+const cacheManager = require('../utils/cache-manager');
+const timeCalculation = require('./time-calculation');
+const timesheetPeriods = require('./timesheet-periods');
+const overtimePolicy = require('./overtime-policy');
+const leaveCalendar = require('./leave-calendar');
+const compOff = require('./comp-off');
+const { APPROVED_STATUSES } = require('./approval-engine');
+
+/**
+ * Weekly Timesheet Grid
+ *
+ * A week of one employee's entries as rows (project + task + description)
+ * by days (Monday-Sunday). Saving a grid validates every changed cell
+ * together before anything is written:
+ * - a cell holds hours (laid out from config/timesheet.js gridStartTime)
+ *   or a start/end time; empty or 0 removes the cell's entry
+ * - the 24h/day cap is checked once over the whole week
+ * - approved leave / holidays and the week's period status as for single
+ *   entries (POST /api/timesheets)
+ * - rows with hours need a description (config requireDescription)
+ * Cells are matched to existing entries by the row's `key` (as returned by
+ * getWeek) and day; days missing from a row's cells are left alone.
+ * Changed entries always go back to the start of the approval chain: an
+ * admin editing approved hours needs a fresh sign-off.
+ * There is no transaction (the database may be a standalone server): if a
+ * write fails part way, the writes already made are undone one by one. Should
+ * an undo fail too, the error says so and the week may be partly saved.
+ */
+
+const { dateKey, startOfDay, MAX_HOURS_PER_DAY, MAX_ENTRY_DAYS } = timeCalculation;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTES_PER_DAY = 24 * 60;
+
+// Entry statuses the owner may still change from the grid
+const EDITABLE_STATUSES = ['draft', 'pending', 'rework_required'];
+
+const round2 = n => Math.round(n * 100) / 100;
+const pad = n => String(n).padStart(2, '0');
+const toTime = minutes => `${pad(Math.floor(minutes / 60) % 24)}:${pad(minutes % 60)}`;
+const toMinutes = hhmm => {
+    const [h, m] = String(hhmm).split(':').map(Number);
+    return h * 60 + m;
+};
+const idOf = v => (v ? String(v._id || v) : '');
+
+function badRequest(message) {
+    const err = new Error(message);
+    err.status = 400;
+    return err;
+}
+
+function rowKey({ project, task, description }) {
+    return [idOf(project), idOf(task), String(description || '').trim()].join('|');
+}
+
+// Invoiced entries stay as billed, even for admins
+function isEditable(entry, isAdmin) {
+    return !entry.invoice && entry.status !== 'locked' && (isAdmin || EDITABLE_STATUSES.includes(entry.status));
+}
+
+function getWeekDays(weekStart) {
+    return Array.from({ length: 7 }, (_, i) => {
+        const d = new Date(weekStart);
+        d.setDate(d.getDate() + i);
+        return d;
+    });
+}
+
+function resolveWeek(date) {
+    if (!date || isNaN(new Date(date).getTime())) throw badRequest('A valid weekStart date is required');
+    return timesheetPeriods.getWeekBounds(date);
+}
+
+function findWeekEntries(employeeId, { weekStart, weekEnd }) {
+    return Timesheet.find({
+        employee: employeeId,
+        date: { $gte: weekStart, $lte: weekEnd },
+        status: { $ne: 'rejected' }
+    }).sort({ date: 1, startTime: 1 });
+}
+
+/**
+ * The week containing `date` as a grid, with each day's leave/holiday
+ * status and logged hours
+ */
+async function getWeek(employeeId, date) {
+    const bounds = resolveWeek(date);
+    const days = getWeekDays(bounds.weekStart);
+    const [entries, calendar, blockReason, dailyTotals] = await Promise.all([
+        findWeekEntries(employeeId, bounds).populate('project', 'name').populate('task', 'title'),
+        leaveCalendar.buildCalendar([employeeId], bounds.weekStart, bounds.weekEnd),
+        timesheetPeriods.getEditBlockReason(employeeId, bounds.weekStart),
+        timeCalculation.getDailyTotals(employeeId, bounds.weekStart, bounds.weekEnd)
+    ]);
+
+    const rows = {};
+    entries.forEach(e => {
+        const key = rowKey(e);
+        const row = rows[key] = rows[key] || {
+            key,
+            project: e.project || null,
+            task: e.task || null,
+            description: e.description || '',
+            cells: {},
+            totalHours: 0
+        };
+        const cell = row.cells[dateKey(e.date)] = row.cells[dateKey(e.date)] || { hours: 0, editable: !blockReason, entries: [] };
+        cell.hours = round2(cell.hours + (e.totalHours || 0));
+        cell.editable = cell.editable && !e.invoice && EDITABLE_STATUSES.includes(e.status);
+        cell.entries.push({
+            _id: e._id,
+            startTime: e.startTime,
+            endTime: e.endTime,
+            endDate: e.endDate || null,
+            breakMinutes: e.breakMinutes,
+            totalHours: e.totalHours,
+            status: e.status
+        });
+        row.totalHours = round2(row.totalHours + (e.totalHours || 0));
+    });
+
+    return {
+        weekStart: bounds.weekStart,
+        weekEnd: bounds.weekEnd,
+        isoYear: bounds.isoYear,
+        isoWeek: bounds.isoWeek,
+        editable: !blockReason,
+        blockReason,
+        days: days.map(d => {
+            const status = leaveCalendar.getDayStatus(calendar, employeeId, d);
+            return {
+                date: d,
+                key: dateKey(d),
+                holiday: status.holiday,
+                onLeave: status.onLeave,
+                halfDay: status.halfDay,
+                leaveTypes: status.absenceTypes,
+                totalHours: round2(dailyTotals[dateKey(d)] || 0)
+            };
+        }),
+        rows: Object.values(rows),
+        totalHours: round2(entries.reduce((sum, e) => sum + (e.totalHours || 0), 0))
+    };
+}
+
+/**
+ * A grid cell as { clear } | { hours } | { startTime, endTime, endDate, breakMinutes }
+ */
+function normalizeCell(value) {
+    if (value === null || value === undefined || value === '' || Number(value) === 0) return { clear: true };
+    if (typeof value !== 'object') value = { hours: value };
+
+    if (value.startTime || value.endTime) {
+        if (!value.startTime || !value.endTime) throw badRequest('Enter both a start and an end time');
+        return {
+            startTime: value.startTime,
+            endTime: value.endTime,
+            endDate: value.endDate || null,
+            breakMinutes: Number(value.breakMinutes) || 0
+        };
+    }
+
+    if (value.hours === null || value.hours === undefined || value.hours === '' || Number(value.hours) === 0) return { clear: true };
+    const hours = Number(value.hours);
+    if (!isFinite(hours) || hours < 0 || hours > MAX_HOURS_PER_DAY) {
+        throw badRequest(`Hours must be between 0 and ${MAX_HOURS_PER_DAY}`);
+    }
+    return { hours: Math.round(hours * 60) / 60 };
+}
+
+function isUnchanged(entry, desired) {
+    if (desired.hours !== undefined) return round2(entry.totalHours || 0) === round2(desired.hours);
+    return entry.startTime === desired.startTime && entry.endTime === desired.endTime &&
+        (entry.breakMinutes || 0) === desired.breakMinutes &&
+        (entry.endDate ? dateKey(entry.endDate) : null) === (desired.endDate ? dateKey(desired.endDate) : null);
+}
+
+/**
+ * Start/end times for cells given only hours: an edited entry keeps its
+ * start, new ones follow the day's other entries from gridStartTime.
+ * Nothing is pushed past midnight.
+ */
+function layOutHours(ops, entries) {
+    const touched = new Set(ops.filter(op => op.entry).map(op => String(op.entry._id)));
+    const cursors = {};
+    entries.forEach(e => {
+        if (touched.has(String(e._id)) || e.endDate) return;
+        const key = dateKey(e.date);
+        const end = toMinutes(e.endTime);
+        if (end > toMinutes(e.startTime)) cursors[key] = Math.max(cursors[key] || 0, end);
+    });
+
+    ops.filter(op => op.desired && op.desired.hours !== undefined).forEach(op => {
+        const minutes = Math.round(op.desired.hours * 60);
+        let start;
+        if (op.entry) {
+            start = Math.min(toMinutes(op.entry.startTime), MINUTES_PER_DAY - minutes);
+        } else {
+            start = Math.min(Math.max(toMinutes(settings.gridStartTime), cursors[op.date] || 0), MINUTES_PER_DAY - minutes);
+            cursors[op.date] = start + minutes;
+        }
+        op.fields = { startTime: toTime(start), endTime: toTime(start + minutes), endDate: null, breakMinutes: 0 };
+    });
+    ops.filter(op => op.desired && op.desired.hours === undefined).forEach(op => {
+        op.fields = { ...op.desired };
+    });
+}
+
+/**
+ * Undo the writes of a failed save
+ */
+/**
+ * Undo a partly applied save
+ *
+ * @returns {Promise<Array<Error>>} the undo steps that failed
+ */
+async function rollback(applied) {
+    const failures = [];
+    const attempt = async step => {
+        try {
+            await step();
+        } catch (err) {
+            failures.push(err);
+        }
+    };
+    if (applied.created.length) await attempt(() => Timesheet.deleteMany({ _id: { $in: applied.created } }));
+    for (const before of applied.updated) {
+        await attempt(() => Timesheet.replaceOne({ _id: before._id }, before));
+    }
+    if (applied.deleted.length) await attempt(() => Timesheet.insertMany(applied.deleted));
+    return failures;
+}
+
+/**
+ * Validate and save a week grid for `user`.
+ *
+ * @param {object} user - the employee (req.user)
+ * @param {object} grid
+ * @param {string} grid.weekStart - any date in the week
+ * @param {Array} grid.rows - [{ key?, project, task, description, cells: { 'YYYY-MM-DD': hours | { hours } | { startTime, endTime, endDate?, breakMinutes? } | null } }]
+ * @param {boolean} [grid.isDraft=false] - save changed cells as drafts instead of submitting them
+ * @returns {Promise<object>} { saved: false, errors, warnings } when any cell
+ *   is invalid (errors: [{ row, date, message }]), else counts and the saved week
+ */
+async function saveWeek(user, { weekStart, rows, isDraft = false }) {
+    if (!Array.isArray(rows) || rows.length === 0) throw badRequest('rows must be a non-empty array');
+    const employeeId = user._id;
+    const isAdmin = user.role === 'admin';
+    const bounds = resolveWeek(weekStart);
+    const days = getWeekDays(bounds.weekStart);
+    const dayKeys = days.map(dateKey);
+    const dayByKey = {};
+    days.forEach(d => { dayByKey[dateKey(d)] = d; });
+
+    const blockReason = await timesheetPeriods.getEditBlockReason(employeeId, bounds.weekStart);
+    if (blockReason) throw badRequest(blockReason);
+
+    const entries = await findWeekEntries(employeeId, bounds);
+    const byCell = {};
+    entries.forEach(e => {
+        const key = `${rowKey(e)}#${dateKey(e.date)}`;
+        (byCell[key] = byCell[key] || []).push(e);
+    });
+
+    const errors = [];
+    const warnings = [];
+    const cellError = (row, date, message) => errors.push({ row, date, message });
+
+    // 1. What each changed cell needs: create, update or delete
+    const ops = [];
+    rows.forEach((row, i) => {
+        ['project', 'task'].forEach(f => {
+            if (row[f] && !mongoose.isValidObjectId(row[f])) cellError(i, null, `Invalid ${f}`);
+        });
+        const target = { project: row.project || null, task: row.task || null, description: String(row.description || '').trim() };
+        const sourceKey = row.key !== undefined && row.key !== null ? row.key : rowKey(target);
+        const fieldsChanged = sourceKey !== rowKey(target);
+        const cells = row.cells || {};
+
+        Object.keys(cells).filter(k => !dayKeys.includes(k)).forEach(k => cellError(i, k, 'Date is outside the week'));
+
+        let hasHours = false;
+        dayKeys.forEach(key => {
+            if (!(key in cells)) return;
+            let desired;
+            try {
+                desired = normalizeCell(cells[key]);
+            } catch (cellErr) {
+                cellError(i, key, cellErr.message);
+                return;
+            }
+            const existing = byCell[`${sourceKey}#${key}`] || [];
+            const locked = existing.find(e => !isEditable(e, isAdmin));
+
+            if (desired.clear) {
+                if (existing.length === 0) return;
+                if (locked) return cellError(i, key, `Cannot remove ${locked.invoice ? 'an invoiced' : `a ${locked.status}`} entry`);
+                existing.forEach(entry => ops.push({ type: 'delete', row: i, date: key, entry }));
+                return;
+            }
+            hasHours = true;
+
+            if (existing.length > 1) {
+                const sum = round2(existing.reduce((s, e) => s + (e.totalHours || 0), 0));
+                if (!fieldsChanged && desired.hours !== undefined && round2(desired.hours) === sum) return;
+                return cellError(i, key, `This cell has ${existing.length} entries; edit them individually`);
+            }
+            const entry = existing[0];
+            if (entry && !fieldsChanged && isUnchanged(entry, desired)) return;
+            if (locked) return cellError(i, key, `Cannot change ${locked.invoice ? 'an invoiced' : `a ${locked.status}`} entry`);
+            ops.push({ type: entry ? 'update' : 'create', row: i, date: key, entry, desired, target });
+        });
+
+        if (hasHours && settings.requireDescription && !target.description) {
+            cellError(i, null, 'Description is required');
+        }
+    });
+
+    // 2. Times and hours per cell
+    layOutHours(ops, entries);
+    const writes = ops.filter(op => op.type !== 'delete');
+    writes.forEach(op => {
+        try {
+            op.hours = timeCalculation.calculateEntry({ date: dayByKey[op.date], ...op.fields });
+        } catch (calcErr) {
+            cellError(op.row, op.date, calcErr.message);
+        }
+    });
+    const calculated = writes.filter(op => op.hours);
+
+    // 3. Approved leave and holidays
+    if (calculated.length) {
+        const calendar = await leaveCalendar.buildCalendar([employeeId], bounds.weekStart,
+            new Date(bounds.weekEnd.getTime() + MAX_ENTRY_DAYS * DAY_MS));
+        for (const op of calculated) {
+            const check = await leaveCalendar.checkTimesheetDays(employeeId, op.hours.dayHours, { calendar });
+            if (check.error) cellError(op.row, op.date, check.error);
+            check.warnings.forEach(message => warnings.push({ row: op.row, date: op.date, message }));
+        }
+    }
+
+    // 4. 24h per day over the week, without the entries being replaced
+    if (calculated.length) {
+        const slices = calculated.flatMap(op => op.hours.dayHours.map(d => ({ op, ...d })));
+        const times = slices.map(s => startOfDay(s.date).getTime());
+        const totals = await timeCalculation.getDailyTotals(employeeId, new Date(Math.min(...times)), new Date(Math.max(...times)), {
+            excludeIds: ops.filter(op => op.entry).map(op => op.entry._id)
+        });
+        slices.forEach(s => { totals[dateKey(s.date)] = (totals[dateKey(s.date)] || 0) + s.hours; });
+        const reported = new Set();
+        slices.forEach(s => {
+            const total = totals[dateKey(s.date)];
+            const id = `${s.op.row}#${s.op.date}`;
+            if (total > MAX_HOURS_PER_DAY && !reported.has(id)) {
+                reported.add(id);
+                cellError(s.op.row, s.op.date, `Total hours for ${new Date(s.date).toLocaleDateString()} would be ${total.toFixed(1)}h, exceeding ${MAX_HOURS_PER_DAY} hours`);
+            }
+        });
+    }
+
+    if (errors.length) return { saved: false, errors, warnings };
+
+    // 5. Write; undo everything if a write fails
+    const applied = { created: [], updated: [], deleted: [] };
+    const counts = { created: 0, updated: 0, deleted: 0 };
+    try {
+        for (const op of ops.filter(o => o.type === 'delete')) {
+            applied.deleted.push(op.entry.toObject());
+            await op.entry.deleteOne();
+            counts.deleted++;
+        }
+
+        const period = calculated.length ? await timesheetPeriods.findOrCreatePeriod(employeeId, bounds.weekStart) : null;
+        for (const op of calculated) {
+            const { totalHours, dayHours, endDate } = op.hours;
+            const overtime = await overtimePolicy.computeForTimesheet({
+                employeeId,
+                date: dayByKey[op.date],
+                startTime: op.fields.startTime,
+                hours: totalHours,
+                dayHours,
+                excludeId: op.entry ? op.entry._id : null
+            });
+            const fields = {
+                date: dayByKey[op.date],
+                endDate: endDate || undefined,
+                startTime: op.fields.startTime,
+                endTime: op.fields.endTime,
+                breakMinutes: op.fields.breakMinutes,
+                totalHours,
+                dayHours,
+                description: op.target.description,
+                project: op.target.project || undefined,
+                task: op.target.task || undefined,
+                period: period._id
+            };
+
+            if (op.entry) {
+                applied.updated.push(op.entry.toObject());
+                // Re-default for the new project/task
+                if (idOf(op.entry.project) !== idOf(op.target.project) || idOf(op.entry.task) !== idOf(op.target.task)) {
+                    op.entry.billable = null;
+                }
+                Object.assign(op.entry, fields);
+                overtimePolicy.applyToTimesheet(op.entry, overtime);
+                // Changed hours need a fresh sign-off, whatever level the entry had reached
+                op.entry.status = isDraft ? 'draft' : 'pending';
+                await op.entry.save();
+                counts.updated++;
+            } else {
+                const ts = new Timesheet({ ...fields, employee: employeeId, status: isDraft ? 'draft' : 'pending' });
+                overtimePolicy.applyToTimesheet(ts, overtime);
+                await ts.save();
+                applied.created.push(ts._id);
+                counts.created++;
+            }
+        }
+    } catch (err) {
+        const undoFailures = await rollback(applied);
+        if (undoFailures.length) {
+            undoFailures.forEach(undoErr => console.error('Week grid undo error:', undoErr));
+            err.message = `${err.message}. The week could not be fully restored and may be partly saved; reload it and check.`;
+        }
+        throw err;
+    }
+
+    // Entries were computed one by one against a half-written week
+    await overtimePolicy.recalculateTimesheetWeeks(employeeId, [bounds.weekStart].concat(calculated.map(op => op.hours.endDate)));
+
+    // Hours that were approved no longer are: drop comp-off credits not yet granted
+    const unapproved = applied.updated.concat(applied.deleted).filter(e => APPROVED_STATUSES.includes(e.status));
+    if (unapproved.length) await compOff.syncForTimesheets(unapproved);
+
+    cacheManager.invalidateUserCache(employeeId);
+
+    return {
+        saved: true,
+        ...counts,
+        warnings,
+        week: await getWeek(employeeId, bounds.weekStart)
+    };
+}
+
+module.exports = {
+    getWeek,
+    saveWeek
+};
@@ -0,0 +1,464 @@
+const mongoose = require('mongoose');
+const Timesheet = require('../models/Timesheet');
+const TimesheetImport = require('../models/TimesheetImport');
+const Approval = require('../models/Approval');
+const User = require('../models/User');
+const Project = require('../models/Project');
+const Task = require('../models/Task');
+const settings = require('../config/timesheet');
+const cacheManager = require('../utils/cache-manager');
+const { parseTime, parseDateTime } = require('../utils/tabular-file');
+const timeCalculation = require('./time-calculation');
+const timesheetPeriods = require('./timesheet-periods');
+const overtimePolicy = require('./overtime-policy');
+const leaveCalendar = require('./leave-calendar');
+const team = require('./team');
+
+/**
+ * Timesheet Import
+ *
+ * Entries from other trackers or contractors' spreadsheets (read with
+ * utils/tabular-file):
+ * - the employee is named by email, employee code or (unique) name; project
+ *   and task by name, tasks within the row's project when it has one
+ * - a row has start/end times, or only hours, laid out from gridStartTime
+ *   (config/timesheet.js) after whatever the day already has
+ * - rows get the same checks as POST /api/timesheets: valid times, the
+ *   24h/day cap (counting earlier rows of the file), approved leave and
+ *   holidays, and the week still being open; an entry the employee already
+ *   has (same date and start time) is an error too
+ * - managers import for their team only
+ * A dry run only reports. A real run imports nothing while any row is
+ * invalid, unless skipInvalid is set. Imported entries carry the
+ * TimesheetImport id, and rollbackImport removes them in one go.
+ */
+
+const { dateKey, startOfDay, MAX_HOURS_PER_DAY, MAX_ENTRY_DAYS } = timeCalculation;
+const REPORT_LIMIT = 500;
+// Imported hours go through the approval chain like any other entry
+const IMPORT_STATUSES = ['draft', 'pending'];
+const MINUTES_PER_DAY = 24 * 60;
+
+const pad = n => String(n).padStart(2, '0');
+const round2 = n => Math.round(n * 100) / 100;
+const lower = v => String(v || '').trim().toLowerCase();
+
+function badRequest(message) {
+    const err = new Error(message);
+    err.status = 400;
+    return err;
+}
+
+function toTimeString(value) {
+    const time = value === '' || value === undefined ? null : parseTime(value);
+    return time ? `${pad(time[0])}:${pad(time[1])}` : null;
+}
+
+// '7.5' or '7:30' → 7.5
+function parseHours(value) {
+    const text = String(value).trim();
+    const hhmm = text.match(/^(\d{1,2}):([0-5]\d)$/);
+    const hours = hhmm ? Number(hhmm[1]) + Number(hhmm[2]) / 60 : Number(text.replace(',', '.'));
+    return isFinite(hours) && hours > 0 && hours <= MAX_HOURS_PER_DAY ? hours : null;
+}
+
+/**
+ * Index documents by a lower-cased key; keys shared by several documents
+ * map to null (ambiguous)
+ */
+function indexBy(docs, keyOf) {
+    const index = {};
+    docs.forEach(d => {
+        const key = lower(keyOf(d));
+        if (!key) return;
+        index[key] = key in index && String(index[key]._id) !== String(d._id) ? null : d;
+    });
+    return index;
+}
+
+/**
+ * Look up every employee, project and task the rows name, in one query each
+ */
+async function loadReferences(rows, columns) {
+    const values = column => [...new Set(rows.map(r => String(r.values[column] || '').trim()).filter(Boolean))];
+    const caseInsensitive = { locale: 'en', strength: 2 };
+    const emails = values(columns.email);
+    const codes = values(columns.employeeCode);
+    const names = values(columns.employee);
+    const projectNames = values(columns.project);
+    const taskTitles = values(columns.task);
+
+    const [users, projects, tasks] = await Promise.all([
+        User.find({ $or: [{ email: { $in: emails } }, { employeeCode: { $in: codes } }, { name: { $in: names } }] })
+            .collation(caseInsensitive).select('name email employeeCode role').lean(),
+        Project.find({ $or: [{ name: { $in: projectNames } }, { _id: { $in: projectNames.filter(mongoose.isValidObjectId) } }] })
+            .collation(caseInsensitive).select('name').lean(),
+        Task.find({ $or: [{ title: { $in: taskTitles } }, { _id: { $in: taskTitles.filter(mongoose.isValidObjectId) } }] })
+            .collation(caseInsensitive).select('title project').lean()
+    ]);
+
+    return {
+        usersByEmail: indexBy(users, u => u.email),
+        usersByCode: indexBy(users, u => u.employeeCode),
+        usersByName: indexBy(users, u => u.name),
+        projectsById: indexBy(projects, p => p._id),
+        projectsByName: indexBy(projects, p => p.name),
+        tasks
+    };
+}
+
+/**
+ * One row → entry fields, or the reasons it can't be read
+ */
+function readRow({ rowNumber, values }, columns, refs, dateOrder) {
+    const errors = [];
+    const cell = column => (column && values[column] !== undefined ? values[column] : '');
+    const text = column => String(cell(column)).trim();
+
+    // Employee: email, then code, then name
+    let employee;
+    const email = lower(cell(columns.email));
+    const code = lower(cell(columns.employeeCode));
+    const name = lower(cell(columns.employee));
+    if (email) employee = refs.usersByEmail[email];
+    else if (code) employee = refs.usersByCode[code];
+    else if (name) employee = refs.usersByName[name];
+    if (!email && !code && !name) errors.push('No employee email, code or name');
+    else if (employee === null) errors.push(`More than one employee is named "${text(columns.employee)}"; use the email`);
+    else if (!employee) errors.push(`Employee not found: ${email || text(columns.employeeCode) || text(columns.employee)}`);
+
+    let project;
+    const projectName = lower(cell(columns.project));
+    if (projectName) {
+        project = refs.projectsById[projectName] || refs.projectsByName[projectName];
+        if (project === null) errors.push(`More than one project is named "${text(columns.project)}"`);
+        else if (!project) errors.push(`Project not found: ${text(columns.project)}`);
+    }
+
+    let task;
+    const taskName = lower(cell(columns.task));
+    if (taskName) {
+        const candidates = refs.tasks.filter(t => (lower(t.title) === taskName || lower(t._id) === taskName) &&
+            (!project || String(t.project) === String(project._id)));
+        if (candidates.length === 1) task = candidates[0];
+        else if (candidates.length > 1) errors.push(`More than one task is titled "${text(columns.task)}"; give its project`);
+        else errors.push(`Task not found${project ? ` in ${project.name}` : ''}: ${text(columns.task)}`);
+    }
+    // A task implies its project
+    if (task && !project) project = { _id: task.project };
+
+    const date = parseDateTime(cell(columns.date), { dateOrder });
+    if (!date) errors.push(`Unreadable date "${text(columns.date)}"`);
+    let endDate = null;
+    if (text(columns.endDate) || cell(columns.endDate) instanceof Date) {
+        endDate = parseDateTime(cell(columns.endDate), { dateOrder });
+        if (!endDate) errors.push(`Unreadable end date "${text(columns.endDate)}"`);
+    }
+
+    const startTime = toTimeString(cell(columns.startTime));
+    const endTime = toTimeString(cell(columns.endTime));
+    let hours = null;
+    if (!startTime || !endTime) {
+        if (text(columns.startTime) && !startTime) errors.push(`Unreadable start time "${text(columns.startTime)}"`);
+        else if (text(columns.endTime) && !endTime) errors.push(`Unreadable end time "${text(columns.endTime)}"`);
+        else if (text(columns.hours)) {
+            hours = parseHours(cell(columns.hours));
+            if (hours === null) errors.push(`Hours must be a number between 0 and ${MAX_HOURS_PER_DAY}`);
+        } else {
+            errors.push('Give start and end times, or hours');
+        }
+    }
+
+    const breakMinutes = text(columns.breakMinutes) ? Number(text(columns.breakMinutes)) : 0;
+    if (!isFinite(breakMinutes) || breakMinutes < 0) errors.push('Break must be a number of minutes');
+
+    return {
+        row: rowNumber,
+        errors,
+        entry: {
+            employee,
+            project,
+            task,
+            date: date ? startOfDay(date) : null,
+            endDate: endDate ? startOfDay(endDate) : null,
+            startTime,
+            endTime,
+            hours,
+            breakMinutes,
+            description: text(columns.description)
+        }
+    };
+}
+
+/**
+ * Validate and (unless a dry run) import timesheet rows for `user`.
+ *
+ * @param {object} user - the importer (req.user)
+ * @param {object} params
+ * @param {Array} params.rows - from utils/tabular-file readTable()
+ * @param {object} [params.mapping] - column names, over config/timesheet.js importMapping
+ * @param {string} [params.dateOrder='DMY'] - 'DMY' | 'MDY' for dd/mm/yyyy-style dates
+ * @param {boolean} [params.dryRun=true]
+ * @param {boolean} [params.skipInvalid=false] - import the valid rows even when others have errors
+ * @param {string} [params.status='pending'] - draft | pending
+ * @param {string} [params.fileName]
+ */
+async function importTimesheets(user, { rows, mapping = {}, dateOrder = 'DMY', dryRun = true, skipInvalid = false, status = 'pending', fileName }) {
+    if (!['DMY', 'MDY'].includes(dateOrder)) throw badRequest('dateOrder must be DMY or MDY');
+    if (!IMPORT_STATUSES.includes(status)) throw badRequest(`status must be one of ${IMPORT_STATUSES.join(', ')}`);
+    const columns = { ...settings.importMapping, ...mapping };
+
+    const refs = await loadReferences(rows, columns);
+    const visibleIds = await team.getVisibleEmployeeIds(user);
+
+    const errors = [];
+    const warnings = [];
+    const rowError = (row, message) => errors.push({ row, message });
+    const parsed = [];
+    rows.forEach(r => {
+        const result = readRow(r, columns, refs, dateOrder);
+        if (result.entry.employee && visibleIds && !visibleIds.includes(String(result.entry.employee._id))) {
+            result.errors.push(`${result.entry.employee.name} is not in your team`);
+        }
+        result.errors.forEach(message => rowError(result.row, message));
+        if (result.errors.length === 0) parsed.push(result);
+    });
+
+    // Everything the valid rows touch: existing entries, leave, weekly status
+    const employeeIds = [...new Set(parsed.map(p => String(p.entry.employee._id)))];
+    const times = parsed.map(p => p.entry.date.getTime());
+    const from = parsed.length ? new Date(Math.min(...times)) : null;
+    const to = parsed.length ? new Date(Math.max(...times) + MAX_ENTRY_DAYS * 24 * 60 * 60 * 1000) : null;
+    const [existing, calendar] = parsed.length ? await Promise.all([
+        Timesheet.find({ employee: { $in: employeeIds }, date: { $gte: from, $lte: to }, status: { $ne: 'rejected' } })
+            .select('employee date startTime endTime endDate totalHours dayHours')
+            .lean(),
+        leaveCalendar.buildCalendar(employeeIds, from, to)
+    ]) : [[], null];
+
+    const logged = new Set(existing.map(e => `${e.employee}|${dateKey(e.date)}|${e.startTime}`));
+    const cursors = {};
+    existing.forEach(e => {
+        const key = `${e.employee}|${dateKey(e.date)}`;
+        const [sh, sm] = e.startTime.split(':').map(Number);
+        const [eh, em] = e.endTime.split(':').map(Number);
+        if (!e.endDate && eh * 60 + em > sh * 60 + sm) cursors[key] = Math.max(cursors[key] || 0, eh * 60 + em);
+    });
+    const totals = {};
+    existing.forEach(e => timeCalculation.getDayHours(e).forEach(d => {
+        const key = `${e.employee}|${dateKey(d.date)}`;
+        totals[key] = (totals[key] || 0) + d.hours;
+    }));
+    const blockReasons = {};
+
+    const valid = [];
+    for (const p of parsed) {
+        const { entry } = p;
+        const employeeId = String(entry.employee._id);
+        const dayKey = `${employeeId}|${dateKey(entry.date)}`;
+
+        if (entry.hours !== null) {
+            const [gh, gm] = settings.gridStartTime.split(':').map(Number);
+            const minutes = Math.round(entry.hours * 60) + entry.breakMinutes;
+            const start = Math.min(Math.max(gh * 60 + gm, cursors[dayKey] || 0), MINUTES_PER_DAY - minutes);
+            if (start < 0) {
+                rowError(p.row, 'Hours and break do not fit in one day');
+                continue;
+            }
+            entry.startTime = `${pad(Math.floor(start / 60))}:${pad(start % 60)}`;
+            entry.endTime = `${pad(Math.floor((start + minutes) / 60) % 24)}:${pad((start + minutes) % 60)}`;
+        }
+
+        let hours;
+        try {
+            hours = timeCalculation.calculateEntry(entry);
+        } catch (calcErr) {
+            rowError(p.row, calcErr.message);
+            continue;
+        }
+
+        if (logged.has(`${dayKey}|${entry.startTime}`)) {
+            rowError(p.row, `${entry.employee.name} already has an entry starting ${entry.startTime} on ${entry.date.toLocaleDateString()}`);
+            continue;
+        }
+
+        const over = hours.dayHours.find(d => (totals[`${employeeId}|${dateKey(d.date)}`] || 0) + d.hours > MAX_HOURS_PER_DAY);
+        if (over) {
+            const total = (totals[`${employeeId}|${dateKey(over.date)}`] || 0) + over.hours;
+            rowError(p.row, `Total hours for ${new Date(over.date).toLocaleDateString()} would be ${total.toFixed(1)}h, exceeding ${MAX_HOURS_PER_DAY} hours`);
+            continue;
+        }
+
+        const leaveCheck = await leaveCalendar.checkTimesheetDays(employeeId, hours.dayHours, { calendar });
+        if (leaveCheck.error) {
+            rowError(p.row, leaveCheck.error.replace(/^You are/, `${entry.employee.name} is`));
+            continue;
+        }
+        leaveCheck.warnings.forEach(message => warnings.push({ row: p.row, message }));
+
+        const weekKey = `${employeeId}|${dateKey(timesheetPeriods.getWeekBounds(entry.date).weekStart)}`;
+        if (!(weekKey in blockReasons)) {
+            blockReasons[weekKey] = await timesheetPeriods.getEditBlockReason(employeeId, entry.date);
+        }
+        if (blockReasons[weekKey]) {
+            rowError(p.row, blockReasons[weekKey]);
+            continue;
+        }
+
+        // Later rows see this one
+        logged.add(`${dayKey}|${entry.startTime}`);
+        hours.dayHours.forEach(d => {
+            const key = `${employeeId}|${dateKey(d.date)}`;
+            totals[key] = (totals[key] || 0) + d.hours;
+        });
+        if (!hours.endDate) {
+            const [eh, em] = entry.endTime.split(':').map(Number);
+            cursors[dayKey] = Math.max(cursors[dayKey] || 0, eh * 60 + em || MINUTES_PER_DAY);
+        }
+        valid.push({ ...p, hours });
+    }
+
+    const invalidRows = new Set(errors.map(e => e.row)).size;
+    const willImport = !dryRun && valid.length > 0 && (invalidRows === 0 || skipInvalid);
+    const report = {
+        dryRun,
+        imported: false,
+        batchId: null,
+        totals: {
+            rows: rows.length,
+            valid: valid.length,
+            invalid: invalidRows,
+            totalHours: round2(valid.reduce((sum, v) => sum + v.hours.totalHours, 0)),
+            employees: new Set(valid.map(v => String(v.entry.employee._id))).size
+        },
+        errors: errors.sort((a, b) => a.row - b.row).slice(0, REPORT_LIMIT),
+        warnings: warnings.slice(0, REPORT_LIMIT),
+        entries: valid.slice(0, REPORT_LIMIT).map(({ row, entry, hours }) => ({
+            row,
+            employee: { _id: entry.employee._id, name: entry.employee.name, email: entry.employee.email },
+            project: entry.project ? entry.project._id : null,
+            task: entry.task ? entry.task._id : null,
+            date: entry.date,
+            startTime: entry.startTime,
+            endTime: entry.endTime,
+            totalHours: hours.totalHours
+        }))
+    };
+    if (!willImport) return report;
+
+    const batch = await TimesheetImport.create({
+        importedBy: user._id,
+        fileName,
+        rowCount: rows.length,
+        errorCount: invalidRows,
+        employees: [...new Set(valid.map(v => String(v.entry.employee._id)))]
+    });
+
+    const created = [];
+    const datesByEmployee = {};
+    try {
+        for (const { entry, hours } of valid) {
+            const period = await timesheetPeriods.findOrCreatePeriod(entry.employee._id, entry.date);
+            const overtime = await overtimePolicy.computeForTimesheet({
+                employeeId: entry.employee._id,
+                date: entry.date,
+                startTime: entry.startTime,
+                hours: hours.totalHours,
+                dayHours: hours.dayHours
+            });
+            const ts = new Timesheet({
+                employee: entry.employee._id,
+                date: entry.date,
+                endDate: hours.endDate || undefined,
+                startTime: entry.startTime,
+                endTime: entry.endTime,
+                breakMinutes: entry.breakMinutes,
+                totalHours: hours.totalHours,
+                dayHours: hours.dayHours,
+                description: entry.description || undefined,
+                project: entry.project ? entry.project._id : undefined,
+                task: entry.task ? entry.task._id : undefined,
+                status,
+                period: period._id,
+                importBatch: batch._id
+            });
+            overtimePolicy.applyToTimesheet(ts, overtime);
+            await ts.save();
+            created.push(ts._id);
+            const key = String(ts.employee);
+            datesByEmployee[key] = (datesByEmployee[key] || []).concat([ts.date, ts.endDate]);
+        }
+    } catch (err) {
+        // All or nothing: a failed write leaves no half-imported batch behind
+        await Timesheet.deleteMany({ _id: { $in: created } });
+        await TimesheetImport.deleteOne({ _id: batch._id });
+        throw err;
+    }
+
+    batch.entryCount = created.length;
+    await batch.save();
+    // Entries already logged later in those weeks now come after more hours
+    for (const [employeeId, dates] of Object.entries(datesByEmployee)) {
+        await overtimePolicy.recalculateTimesheetWeeks(employeeId, dates);
+    }
+    batch.employees.forEach(id => cacheManager.invalidateUserCache(id));
+
+    report.imported = true;
+    report.batchId = batch._id;
+    return report;
+}
+
+/**
+ * Delete the entries of an import batch. Entries that are locked, on an
+ * invoice or in a week that has been submitted/locked since are kept and
+ * counted.
+ * Returns null when the batch doesn't exist (or isn't the manager's).
+ */
+async function rollbackImport(user, batchId) {
+    const batch = await TimesheetImport.findById(batchId);
+    if (!batch || (user.role !== 'admin' && String(batch.importedBy) !== String(user._id))) return null;
+    if (batch.status === 'rolled_back') throw badRequest('This import has already been rolled back');
+
+    const entries = await Timesheet.find({ importBatch: batch._id });
+    const blockReasons = {};
+    const removable = [];
+    const kept = [];
+    const datesByEmployee = {};
+    for (const ts of entries) {
+        const weekKey = `${ts.employee}|${dateKey(timesheetPeriods.getWeekBounds(ts.date).weekStart)}`;
+        if (!(weekKey in blockReasons)) {
+            blockReasons[weekKey] = await timesheetPeriods.getEditBlockReason(ts.employee, ts.date);
+        }
+        let reason = blockReasons[weekKey];
+        if (ts.status === 'locked') reason = 'Timesheet is locked';
+        if (ts.invoice) reason = 'Timesheet is on an invoice';
+        if (reason) kept.push({ timesheetId: ts._id, employee: ts.employee, date: ts.date, reason });
+        else {
+            removable.push(ts._id);
+            const key = String(ts.employee);
+            datesByEmployee[key] = (datesByEmployee[key] || []).concat([ts.date, ts.endDate]);
+        }
+    }
+
+    if (removable.length) {
+        await Timesheet.deleteMany({ _id: { $in: removable } });
+        await Approval.deleteMany({ timesheet: { $in: removable } });
+        for (const [employeeId, dates] of Object.entries(datesByEmployee)) {
+            await overtimePolicy.recalculateTimesheetWeeks(employeeId, dates);
+        }
+    }
+
+    batch.status = kept.length ? 'partially_rolled_back' : 'rolled_back';
+    batch.keptCount = kept.length;
+    batch.rolledBackAt = new Date();
+    batch.rolledBackBy = user._id;
+    await batch.save();
+    batch.employees.forEach(id => cacheManager.invalidateUserCache(id));
+
+    return { batch, removed: removable.length, kept: kept.slice(0, REPORT_LIMIT) };
+}
+
+module.exports = {
+    importTimesheets,
+    rollbackImport
+};
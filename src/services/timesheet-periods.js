@@ -0,0 +1,128 @@
+const Timesheet = require('../models/Timesheet');
+const TimesheetPeriod = require('../models/TimesheetPeriod');
+
+/**
+ * Weekly Timesheet Periods
+ *
+ * Groups an employee's Timesheet entries into ISO weeks (Monday-Sunday,
+ * server local time). A period is 'open' until the week is submitted;
+ * after that its entries can only change once it is rejected or an admin
+ * reopens it.
+ */
+
+// Period statuses in which entries may still be added, edited or deleted
+const EDITABLE_STATUSES = ['open', 'rejected'];
+
+/**
+ * ISO week bounds for a date
+ */
+function getWeekBounds(date) {
+    const d = new Date(date);
+    d.setHours(0, 0, 0, 0);
+
+    // Monday = 0 ... Sunday = 6
+    const dayIndex = (d.getDay() + 6) % 7;
+    const weekStart = new Date(d);
+    weekStart.setDate(d.getDate() - dayIndex);
+
+    const weekEnd = new Date(weekStart);
+    weekEnd.setDate(weekStart.getDate() + 6);
+    weekEnd.setHours(23, 59, 59, 999);
+
+    // ISO week number: the week containing the year's first Thursday is week 1
+    const thursday = new Date(weekStart);
+    thursday.setDate(weekStart.getDate() + 3);
+    const isoYear = thursday.getFullYear();
+    const firstThursday = new Date(isoYear, 0, 4);
+    const firstWeekStart = new Date(firstThursday);
+    firstWeekStart.setDate(firstThursday.getDate() - ((firstThursday.getDay() + 6) % 7));
+    const isoWeek = 1 + Math.round((weekStart - firstWeekStart) / (7 * 24 * 60 * 60 * 1000));
+
+    return { weekStart, weekEnd, isoYear, isoWeek };
+}
+
+/**
+ * Find the period covering a date (without creating it)
+ */
+async function getPeriodForDate(employeeId, date) {
+    const { isoYear, isoWeek } = getWeekBounds(date);
+    return TimesheetPeriod.findOne({ employee: employeeId, isoYear, isoWeek });
+}
+
+/**
+ * Find or lazily create the period covering a date
+ */
+async function findOrCreatePeriod(employeeId, date) {
+    const bounds = getWeekBounds(date);
+    const existing = await TimesheetPeriod.findOne({ employee: employeeId, isoYear: bounds.isoYear, isoWeek: bounds.isoWeek });
+    if (existing) return existing;
+
+    try {
+        return await TimesheetPeriod.create({ employee: employeeId, ...bounds });
+    } catch (err) {
+        // Created concurrently by another request
+        if (err.code === 11000) {
+            return TimesheetPeriod.findOne({ employee: employeeId, isoYear: bounds.isoYear, isoWeek: bounds.isoWeek });
+        }
+        throw err;
+    }
+}
+
+/**
+ * Returns a human-readable reason if entries on this date can't be changed, otherwise null
+ */
+async function getEditBlockReason(employeeId, date) {
+    const period = await getPeriodForDate(employeeId, date);
+    if (!period || EDITABLE_STATUSES.includes(period.status)) return null;
+
+    if (period.status === 'locked') {
+        return `Week ${period.isoWeek}/${period.isoYear} is locked. Ask an admin to reopen it.`;
+    }
+    return `Week ${period.isoWeek}/${period.isoYear} has already been submitted (status: ${period.status})`;
+}
+
+/**
+ * Entries belonging to a period (rejected entries excluded)
+ */
+async function getPeriodEntries(period) {
+    return Timesheet.find({
+        employee: period.employee,
+        date: { $gte: period.weekStart, $lte: period.weekEnd },
+        status: { $ne: 'rejected' }
+    }).sort({ date: 1, startTime: 1 });
+}
+
+/**
+ * Refresh totals on the period from its entries
+ */
+function applyTotals(period, entries) {
+    period.entryCount = entries.length;
+    period.totalHours = Math.round(entries.reduce((sum, e) => sum + (e.totalHours || 0), 0) * 100) / 100;
+    period.overtimeHours = Math.round(entries.reduce((sum, e) => sum + (e.overtimeHours || 0), 0) * 100) / 100;
+    return period;
+}
+
+/**
+ * Mirror the period's status onto its entries, except those already in one
+ * of `exceptStatuses` (e.g. entries approved on their own before the week).
+ * Invoiced entries are never touched: they stay as billed.
+ */
+async function setEntriesStatus(period, status, extra = {}, { exceptStatuses = [] } = {}) {
+    const entries = (await getPeriodEntries(period)).filter(e => !e.invoice && !exceptStatuses.includes(e.status));
+    await Timesheet.updateMany(
+        { _id: { $in: entries.map(e => e._id) } },
+        { $set: { status, period: period._id, ...extra } }
+    );
+    return entries.length;
+}
+
+module.exports = {
+    EDITABLE_STATUSES,
+    getWeekBounds,
+    getPeriodForDate,
+    findOrCreatePeriod,
+    getEditBlockReason,
+    getPeriodEntries,
+    applyTotals,
+    setEntriesStatus
+};
@@ -0,0 +1,281 @@
+const Timesheet = require('../models/Timesheet');
+const TimesheetTemplate = require('../models/TimesheetTemplate');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const settings = require('../config/timesheet');
+const cacheManager = require('../utils/cache-manager');
+const timeCalculation = require('./time-calculation');
+const timesheetPeriods = require('./timesheet-periods');
+const overtimePolicy = require('./overtime-policy');
+const leaveCalendar = require('./leave-calendar');
+
+/**
+ * Timesheet Templates
+ *
+ * Repeating weeks without retyping them:
+ * - a template is a named set of rows (project/task/times/description), each
+ *   logged on chosen weekdays; it can be applied to any date range
+ * - copyWeek repeats one week's entries in another (last week into this
+ *   week by default)
+ * - recurring templates are applied to every new week by a periodic sweep
+ * Everything is created as drafts for the employee to review and submit.
+ * Holidays and days of full-day approved leave are skipped, as are entries
+ * the day already has (same start, project and task), closed weeks and
+ * entries that would break the 24h/day cap; each skip is reported.
+ */
+
+const { dateKey, startOfDay, MAX_ENTRY_DAYS } = timeCalculation;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function badRequest(message) {
+    const err = new Error(message);
+    err.status = 400;
+    return err;
+}
+
+function addDays(date, days) {
+    const d = new Date(date);
+    d.setDate(d.getDate() + days);
+    return d;
+}
+
+const idOf = v => (v ? String(v._id || v) : '');
+const entryKey = e => [dateKey(e.date), e.startTime, idOf(e.project), idOf(e.task)].join('|');
+
+/**
+ * Create draft entries one by one (so each counts towards the next one's
+ * daily cap), skipping the ones that can't or needn't be logged.
+ *
+ * @param {Array} items - [{ date, endDate?, startTime, endTime, breakMinutes, project, task, description }]
+ * @returns {Promise<{ created: Array, skipped: Array<{ date, startTime, reason }> }>}
+ */
+async function createDrafts(employeeId, items) {
+    const result = { created: [], skipped: [] };
+    if (items.length === 0) return result;
+
+    const times = items.map(i => startOfDay(i.date).getTime());
+    const from = new Date(Math.min(...times));
+    const to = addDays(new Date(Math.max(...times)), MAX_ENTRY_DAYS);
+    const [calendar, existing] = await Promise.all([
+        leaveCalendar.buildCalendar([employeeId], from, to),
+        Timesheet.find({ employee: employeeId, date: { $gte: from, $lte: to }, status: { $ne: 'rejected' } })
+            .select('date startTime project task')
+            .lean()
+    ]);
+    const logged = new Set(existing.map(entryKey));
+    const blockReasons = {};
+
+    const sorted = [...items].sort((a, b) => startOfDay(a.date) - startOfDay(b.date) || a.startTime.localeCompare(b.startTime));
+    for (const item of sorted) {
+        const skip = reason => result.skipped.push({ date: item.date, startTime: item.startTime, reason });
+        const day = leaveCalendar.getDayStatus(calendar, employeeId, item.date);
+        if (day.holiday) { skip(`Holiday (${day.holiday})`); continue; }
+        if (day.onLeave) { skip(`On approved leave (${day.absenceTypes.join(', ')})`); continue; }
+        if (logged.has(entryKey(item))) { skip('Already logged'); continue; }
+
+        const weekKey = dateKey(timesheetPeriods.getWeekBounds(item.date).weekStart);
+        if (!(weekKey in blockReasons)) {
+            blockReasons[weekKey] = await timesheetPeriods.getEditBlockReason(employeeId, item.date);
+        }
+        if (blockReasons[weekKey]) { skip(blockReasons[weekKey]); continue; }
+
+        let hours;
+        try {
+            hours = timeCalculation.calculateEntry(item);
+        } catch (calcErr) {
+            skip(calcErr.message);
+            continue;
+        }
+        const capError = await timeCalculation.checkDailyCap(employeeId, hours.dayHours);
+        if (capError) { skip(capError); continue; }
+
+        const period = await timesheetPeriods.findOrCreatePeriod(employeeId, item.date);
+        const overtime = await overtimePolicy.computeForTimesheet({
+            employeeId,
+            date: item.date,
+            startTime: item.startTime,
+            hours: hours.totalHours,
+            dayHours: hours.dayHours
+        });
+        const ts = new Timesheet({
+            employee: employeeId,
+            date: startOfDay(item.date),
+            endDate: hours.endDate || undefined,
+            startTime: item.startTime,
+            endTime: item.endTime,
+            breakMinutes: Number(item.breakMinutes) || 0,
+            totalHours: hours.totalHours,
+            dayHours: hours.dayHours,
+            description: item.description,
+            project: item.project || undefined,
+            task: item.task || undefined,
+            status: 'draft',
+            period: period._id
+        });
+        overtimePolicy.applyToTimesheet(ts, overtime);
+        await ts.save();
+        logged.add(entryKey(ts));
+        result.created.push(ts);
+    }
+
+    if (result.created.length) {
+        // Entries already logged later in those weeks now come after more hours
+        await overtimePolicy.recalculateTimesheetWeeks(employeeId, result.created.flatMap(ts => [ts.date, ts.endDate]));
+        cacheManager.invalidateUserCache(employeeId);
+    }
+    return result;
+}
+
+function parseRange(from, to) {
+    const start = startOfDay(from || new Date());
+    const end = startOfDay(to || start);
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) throw badRequest('Invalid from/to date');
+    if (end < start) throw badRequest('to must not be before from');
+    if (Math.round((end - start) / DAY_MS) + 1 > settings.templateMaxRangeDays) {
+        throw badRequest(`A template can be applied to at most ${settings.templateMaxRangeDays} days at a time`);
+    }
+    return { start, end };
+}
+
+/**
+ * Draft entries for every day from `from` to `to` (inclusive) that a
+ * template row is set to
+ */
+async function applyTemplate(template, { from, to }) {
+    const { start, end } = parseRange(from, to);
+    const items = [];
+    for (let d = start; d <= end; d = addDays(d, 1)) {
+        template.rows.filter(row => row.days.includes(d.getDay())).forEach(row => items.push({
+            date: d,
+            startTime: row.startTime,
+            endTime: row.endTime,
+            breakMinutes: row.breakMinutes,
+            project: row.project,
+            task: row.task,
+            description: row.description
+        }));
+    }
+    return { from: start, to: end, ...(await createDrafts(template.employee, items)) };
+}
+
+/**
+ * Draft copies of one week's entries (rejected ones excepted) in another,
+ * same weekday and times. Defaults: into the current week, from the week
+ * before the target.
+ */
+async function copyWeek(employeeId, { fromWeek, toWeek } = {}) {
+    const target = timesheetPeriods.getWeekBounds(toWeek || new Date());
+    const source = timesheetPeriods.getWeekBounds(fromWeek || addDays(target.weekStart, -7));
+    if (isNaN(target.weekStart.getTime()) || isNaN(source.weekStart.getTime())) throw badRequest('Invalid week date');
+    const offsetDays = Math.round((target.weekStart - source.weekStart) / DAY_MS);
+    if (offsetDays === 0) throw badRequest('Choose a different week to copy from');
+
+    const entries = await Timesheet.find({
+        employee: employeeId,
+        date: { $gte: source.weekStart, $lte: source.weekEnd },
+        status: { $ne: 'rejected' }
+    }).lean();
+
+    const items = entries.map(e => ({
+        date: addDays(e.date, offsetDays),
+        endDate: e.endDate ? addDays(e.endDate, offsetDays) : undefined,
+        startTime: e.startTime,
+        endTime: e.endTime,
+        breakMinutes: e.breakMinutes,
+        project: e.project,
+        task: e.task,
+        description: e.description
+    }));
+    return {
+        fromWeek: source.weekStart,
+        toWeek: target.weekStart,
+        sourceEntries: entries.length,
+        ...(await createDrafts(employeeId, items))
+    };
+}
+
+/**
+ * Template rows from the entries of the week containing `date`: entries
+ * with the same project, task, description and times become one row on
+ * each of their weekdays
+ */
+async function rowsFromWeek(employeeId, date) {
+    const { weekStart, weekEnd } = timesheetPeriods.getWeekBounds(date);
+    const entries = await Timesheet.find({
+        employee: employeeId,
+        date: { $gte: weekStart, $lte: weekEnd },
+        status: { $ne: 'rejected' }
+    }).sort({ date: 1, startTime: 1 }).lean();
+
+    const rows = {};
+    entries.forEach(e => {
+        const key = [idOf(e.project), idOf(e.task), e.description || '', e.startTime, e.endTime, e.breakMinutes || 0].join('|');
+        const row = rows[key] = rows[key] || {
+            project: e.project,
+            task: e.task,
+            description: e.description,
+            startTime: e.startTime,
+            endTime: e.endTime,
+            breakMinutes: e.breakMinutes || 0,
+            days: []
+        };
+        const weekday = new Date(e.date).getDay();
+        if (!row.days.includes(weekday)) row.days.push(weekday);
+    });
+    return Object.values(rows);
+}
+
+/**
+ * Apply recurring templates to the week containing `asOf` once, and tell
+ * each employee what was drafted
+ *
+ * @returns {Promise<number>} templates applied
+ */
+async function generateRecurring(asOf = new Date()) {
+    const { weekStart, weekEnd } = timesheetPeriods.getWeekBounds(asOf);
+    const templates = await TimesheetTemplate.find({
+        recurring: true,
+        isActive: true,
+        $or: [{ lastGeneratedWeek: null }, { lastGeneratedWeek: { $lt: weekStart } }]
+    });
+
+    let applied = 0;
+    for (const template of templates) {
+        // One failing template must not hold up the rest; it is retried next
+        // sweep, which skips the drafts it already created
+        try {
+            const employee = await User.findById(template.employee).select('isActive').lean();
+            if (!employee || employee.isActive === false) continue;
+
+            const result = await applyTemplate(template, { from: weekStart, to: weekEnd });
+            template.lastGeneratedWeek = weekStart;
+            await template.save();
+            applied++;
+
+            await Notification.create({
+                user: template.employee,
+                type: 'timesheet_template_drafts',
+                title: '🗓️ Weekly Timesheet Drafted',
+                body: `${result.created.length} draft ${result.created.length === 1 ? 'entry was' : 'entries were'} created from your "${template.name}" template for this week` +
+                    (result.skipped.length ? ` (${result.skipped.length} skipped).` : '.') + ' Review and submit them when the week is done.',
+                meta: {
+                    templateId: template._id,
+                    weekStart,
+                    created: result.created.map(ts => ts._id),
+                    skipped: result.skipped
+                }
+            });
+        } catch (err) {
+            console.error(`Recurring timesheet template ${template._id} error:`, err.message);
+        }
+    }
+    return applied;
+}
+
+module.exports = {
+    createDrafts,
+    applyTemplate,
+    copyWeek,
+    rowsFromWeek,
+    generateRecurring
+};
@@ -0,0 +1,178 @@
+const ShiftAssignment = require('../models/ShiftAssignment');
+
+/**
+ * Work Schedules
+ *
+ * Resolves which shift an employee works on a given day and evaluates
+ * check-in/check-out times against it. Shifts whose endTime is at or
+ * before their startTime run past midnight into the next calendar day;
+ * such a shift belongs to the day it starts on.
+ */
+
+// Used for employees without a ShiftAssignment (the old 9-to-5 constants)
+const DEFAULT_SHIFT = {
+    _id: null,
+    name: 'General',
+    startTime: '09:00',
+    endTime: '17:00',
+    breakMinutes: 0,
+    graceMinutes: 30,
+    earlyLeaveGraceMinutes: 0,
+    workDays: [1, 2, 3, 4, 5]
+};
+
+function startOfDay(date) {
+    const d = new Date(date);
+    d.setHours(0, 0, 0, 0);
+    return d;
+}
+
+function atTime(day, hhmm) {
+    const [h, m] = hhmm.split(':').map(Number);
+    const d = new Date(day);
+    d.setHours(h, m, 0, 0);
+    return d;
+}
+
+/**
+ * Scheduled start/end instants of a shift on a given day
+ */
+function getShiftWindow(shift, date) {
+    const day = startOfDay(date);
+    const start = atTime(day, shift.startTime);
+    const end = atTime(day, shift.endTime);
+    if (end <= start) end.setDate(end.getDate() + 1);
+    return { start, end };
+}
+
+/**
+ * Scheduled working hours of a shift (break excluded)
+ */
+function getScheduledHours(shift) {
+    const { start, end } = getShiftWindow(shift, new Date());
+    return Math.max(0, Math.round(((end - start) / (1000 * 60 * 60) - (shift.breakMinutes || 0) / 60) * 100) / 100);
+}
+
+/**
+ * Whether the shift is scheduled on this day of week
+ */
+function isWorkDay(shift, date) {
+    return (shift.workDays || DEFAULT_SHIFT.workDays).includes(new Date(date).getDay());
+}
+
+/**
+ * The employee's shift on a day (assignment in effect, else the default shift)
+ */
+async function getShiftForDate(employeeId, date) {
+    const day = startOfDay(date);
+    const assignment = await ShiftAssignment.findOne({
+        employee: employeeId,
+        effectiveFrom: { $lte: day },
+        $or: [{ effectiveTo: null }, { effectiveTo: { $gte: day } }]
+    }).sort({ effectiveFrom: -1 }).populate('shift');
+
+    if (assignment && assignment.shift && assignment.shift.isActive !== false) return assignment.shift;
+    return DEFAULT_SHIFT;
+}
+
+/**
+ * Which shift day a punch belongs to. A punch shortly after midnight that
+ * falls inside yesterday's overnight shift belongs to yesterday.
+ */
+async function resolveShiftDay(employeeId, time) {
+    const yesterday = startOfDay(time);
+    yesterday.setDate(yesterday.getDate() - 1);
+
+    const previousShift = await getShiftForDate(employeeId, yesterday);
+    const previousWindow = getShiftWindow(previousShift, yesterday);
+    if (previousWindow.end.getDate() !== yesterday.getDate() && time < previousWindow.end) {
+        return { date: yesterday, shift: previousShift, window: previousWindow };
+    }
+
+    const today = startOfDay(time);
+    const shift = await getShiftForDate(employeeId, today);
+    return { date: today, shift, window: getShiftWindow(shift, today) };
+}
+
+/**
+ * Minutes late past the shift's grace period (0 when on time)
+ */
+function getLateMinutes(shift, window, checkInTime) {
+    const threshold = window.start.getTime() + (shift.graceMinutes || 0) * 60 * 1000;
+    return Math.max(0, Math.floor((new Date(checkInTime).getTime() - threshold) / (60 * 1000)));
+}
+
+/**
+ * Minutes left early before the shift end (0 when not early)
+ */
+function getEarlyMinutes(shift, window, checkOutTime) {
+    const threshold = window.end.getTime() - (shift.earlyLeaveGraceMinutes || 0) * 60 * 1000;
+    return Math.max(0, Math.floor((threshold - new Date(checkOutTime).getTime()) / (60 * 1000)));
+}
+
+/**
+ * Assignments overlapping a date range for several employees, grouped by employee id
+ */
+async function getAssignmentsInRange(employeeIds, from, to) {
+    const assignments = await ShiftAssignment.find({
+        employee: { $in: employeeIds },
+        effectiveFrom: { $lte: to },
+        $or: [{ effectiveTo: null }, { effectiveTo: { $gte: from } }]
+    }).populate('shift').sort({ effectiveFrom: -1 }).lean();
+
+    const byEmployee = {};
+    assignments.forEach(a => {
+        const key = String(a.employee);
+        (byEmployee[key] = byEmployee[key] || []).push(a);
+    });
+    return byEmployee;
+}
+
+/**
+ * Shift in effect on a day, picked from preloaded assignments (see getAssignmentsInRange)
+ */
+function pickShift(assignments, date) {
+    const day = startOfDay(date);
+    const match = (assignments || []).find(a =>
+        new Date(a.effectiveFrom) <= day && (!a.effectiveTo || new Date(a.effectiveTo) >= day) && a.shift && a.shift.isActive !== false);
+    return match ? match.shift : DEFAULT_SHIFT;
+}
+
+/**
+ * Day-by-day schedule for one employee
+ */
+async function getSchedule(employeeId, from, to) {
+    const start = startOfDay(from);
+    const end = startOfDay(to);
+    const byEmployee = await getAssignmentsInRange([employeeId], start, end);
+
+    const days = [];
+    for (const day = new Date(start); day <= end; day.setDate(day.getDate() + 1)) {
+        const shift = pickShift(byEmployee[String(employeeId)], day);
+        const window = getShiftWindow(shift, day);
+        days.push({
+            date: new Date(day),
+            shift: { _id: shift._id, name: shift.name, startTime: shift.startTime, endTime: shift.endTime },
+            isWorkDay: isWorkDay(shift, day),
+            scheduledStart: window.start,
+            scheduledEnd: window.end,
+            scheduledHours: getScheduledHours(shift)
+        });
+    }
+    return days;
+}
+
+module.exports = {
+    DEFAULT_SHIFT,
+    startOfDay,
+    getShiftWindow,
+    getScheduledHours,
+    isWorkDay,
+    getShiftForDate,
+    resolveShiftDay,
+    getLateMinutes,
+    getEarlyMinutes,
+    getAssignmentsInRange,
+    pickShift,
+    getSchedule
+};
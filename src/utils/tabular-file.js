@@ -0,0 +1,203 @@
+/**
+ * Tabular File Reading
+ * CSV and XLSX uploads (sent as JSON: CSV as text, XLSX as base64) read
+ * into header-keyed rows for the import endpoints.
+ */
+
+const ExcelJS = require('exceljs');
+
+const MAX_ROWS = 20000;
+
+function badRequest(message) {
+    const err = new Error(message);
+    err.status = 400;
+    return err;
+}
+
+/**
+ * Split CSV text into rows of cells (quoted cells may hold delimiters,
+ * doubled quotes and line breaks). The delimiter is guessed from the first
+ * line: comma, semicolon or tab.
+ */
+function parseCsv(text) {
+    text = String(text).replace(/^\uFEFF/, '');
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const delimiter = [',', ';', '\t'].reduce((best, d) =>
+        firstLine.split(d).length > firstLine.split(best).length ? d : best, ',');
+
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quoted) {
+            if (ch === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                cell += ch;
+            }
+        } else if (ch === '"' && cell === '') {
+            quoted = true;
+        } else if (ch === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += ch;
+        }
+    }
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows;
+}
+
+/**
+ * Cell values of the first worksheet; dates stay Date objects
+ */
+async function parseXlsx(buffer) {
+    const workbook = new ExcelJS.Workbook();
+    try {
+        await workbook.xlsx.load(buffer);
+    } catch (err) {
+        throw badRequest('Could not read the XLSX file');
+    }
+    const sheet = workbook.worksheets[0];
+    if (!sheet) return [];
+
+    const rows = [];
+    sheet.eachRow({ includeEmpty: true }, r => {
+        const values = [];
+        for (let c = 1; c <= sheet.columnCount; c++) {
+            let value = r.getCell(c).value;
+            if (value && typeof value === 'object' && !(value instanceof Date)) {
+                // Formula results, rich text and hyperlinks
+                value = value.result !== undefined ? value.result :
+                    value.richText ? value.richText.map(t => t.text).join('') :
+                    value.text !== undefined ? value.text : String(value);
+            }
+            // Excel stores wall-clock times; ExcelJS reads them as UTC
+            if (value instanceof Date) {
+                value = new Date(value.getUTCFullYear(), value.getUTCMonth(), value.getUTCDate(),
+                    value.getUTCHours(), value.getUTCMinutes(), value.getUTCSeconds());
+            }
+            values.push(value === null || value === undefined ? '' : value);
+        }
+        rows[r.number - 1] = values;
+    });
+    return Array.from(rows, r => r || []);
+}
+
+/**
+ * Read an uploaded table into rows keyed by (trimmed) header.
+ *
+ * @param {object} file
+ * @param {string} file.format - 'csv' or 'xlsx' (defaults from fileName)
+ * @param {string} [file.fileName]
+ * @param {string} file.content - CSV text, or base64 for XLSX
+ * @returns {Promise<{ headers: string[], rows: Array<{ rowNumber: number, values: object }> }>}
+ *   rowNumber is the line/row in the file (header = 1); blank rows are skipped
+ */
+async function readTable({ format, fileName, content }) {
+    if (!content) throw badRequest('File content is required');
+    const type = (format || (fileName && fileName.split('.').pop()) || 'csv').toLowerCase();
+
+    let cells;
+    if (type === 'csv') {
+        cells = parseCsv(content);
+    } else if (type === 'xlsx') {
+        cells = await parseXlsx(Buffer.from(content, 'base64'));
+    } else {
+        throw badRequest('Unsupported file format. Use csv or xlsx');
+    }
+
+    const headers = (cells[0] || []).map(h => String(h).trim());
+    if (headers.filter(Boolean).length === 0) throw badRequest('The file has no header row');
+    if (cells.length - 1 > MAX_ROWS) throw badRequest(`The file has more than ${MAX_ROWS} rows`);
+
+    const rows = [];
+    cells.slice(1).forEach((cellRow, i) => {
+        if (cellRow.every(v => String(v).trim() === '')) return;
+        const values = {};
+        headers.forEach((h, c) => {
+            if (!h) return;
+            const v = cellRow[c];
+            values[h] = v instanceof Date ? v : String(v === undefined ? '' : v).trim();
+        });
+        rows.push({ rowNumber: i + 2, values });
+    });
+    return { headers, rows };
+}
+
+/**
+ * [hours, minutes, seconds] from 'HH:mm[:ss][ AM|PM]' or a Date's clock
+ * time, else null
+ */
+function parseTime(value) {
+    if (value instanceof Date) return [value.getHours(), value.getMinutes(), value.getSeconds()];
+    const m = String(value || '').trim().match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([AaPp][Mm])?$/);
+    if (!m) return null;
+    let hours = Number(m[1]);
+    if (m[4]) {
+        if (hours < 1 || hours > 12) return null;
+        hours = (hours % 12) + (m[4].toUpperCase() === 'PM' ? 12 : 0);
+    }
+    const time = [hours, Number(m[2]), Number(m[3] || 0)];
+    return time[0] > 23 || time[1] > 59 || time[2] > 59 ? null : time;
+}
+
+/**
+ * Parse a local date/time cell: a Date (XLSX), 'YYYY-MM-DD', or
+ * 'dd/mm/yyyy' in `dateOrder` ('DMY' | 'MDY'), optionally followed by a
+ * time. A separate time cell can be passed as `timeValue`.
+ * Returns null when unreadable.
+ */
+function parseDateTime(value, { dateOrder = 'DMY', timeValue } = {}) {
+    let date;
+    let time = null;
+    if (value instanceof Date) {
+        if (isNaN(value.getTime())) return null;
+        date = [value.getFullYear(), value.getMonth() + 1, value.getDate()];
+        time = parseTime(value);
+    } else {
+        const text = String(value || '').trim();
+        const [datePart, ...timeParts] = text.split(/[T ]+/);
+        let m = datePart.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+        if (m) {
+            date = [Number(m[1]), Number(m[2]), Number(m[3])];
+        } else {
+            m = datePart.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+            if (!m) return null;
+            date = dateOrder === 'MDY' ? [Number(m[3]), Number(m[1]), Number(m[2])] : [Number(m[3]), Number(m[2]), Number(m[1])];
+        }
+        if (timeParts.length > 0) {
+            time = parseTime(timeParts.join(' '));
+            if (!time) return null;
+        }
+    }
+    if (timeValue !== undefined && timeValue !== '') {
+        time = parseTime(timeValue);
+        if (!time) return null;
+    }
+
+    const [year, month, day] = date;
+    const result = new Date(year, month - 1, day, ...(time || [0, 0, 0]));
+    return result.getMonth() !== month - 1 || result.getDate() !== day ? null : result;
+}
+
+module.exports = {
+    parseCsv,
+    readTable,
+    parseTime,
+    parseDateTime
+};